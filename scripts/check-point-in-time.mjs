@@ -0,0 +1,132 @@
+/**
+ * Point-in-time check: runs the audit in pointInTimeAudit.js on a seeded synthetic dataset
+ * at an early, a middle and a late session date and exits non-zero if any analytic changed
+ * when rows after the session date were poisoned. The sentiment weight re-fit is checked the
+ * same way against its own holdout: poisoning prices from the first holdout date on must not
+ * change the fitted weights or their in-sample scores.
+ *
+ * Usage: npm run check:point-in-time
+ */
+
+import { createServer } from 'vite';
+
+const SECURITIES = 10;
+const CALENDAR_DAYS = 200;
+const TRANSACTIONS = 120;
+const MANAGERS = ['A', 'B', 'C', 'D'];
+const CLIENT_TYPE_IDS = ['F', 'M', 'G', 'P'];
+
+// Deterministic so a failure can be reproduced
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+function buildDataset({ aggregateSmartMoneyData, toDateKey }) {
+  const random = createRandom(1);
+  const sessions = [];
+  const start = Date.UTC(2024, 0, 1);
+  for (let day = 0; day < CALENDAR_DAYS; day++) {
+    const date = new Date(start + day * 24 * 60 * 60 * 1000);
+    if (date.getUTCDay() !== 5 && date.getUTCDay() !== 6) sessions.push(date.toISOString().slice(0, 10));
+  }
+
+  const tradingData = [];
+  const smartMoneyRaw = [];
+  const securityToIsin = new Map();
+  const prices = new Map();
+  for (let s = 0; s < SECURITIES; s++) {
+    const isin = `IL000000000${s}`;
+    securityToIsin.set(String(s), isin);
+    let price = 100;
+    for (const tradeDate of sessions) {
+      const change = (random() - 0.5) * 4;
+      price *= 1 + change / 100;
+      prices.set(`${isin}_${tradeDate}`, price);
+      tradingData.push({ isin, tradeDate, change, closingPrice: price });
+      for (const clientTypeId of CLIENT_TYPE_IDS) {
+        smartMoneyRaw.push({
+          tradeDate,
+          securityId: String(s),
+          clientTypeId,
+          turnoverBuyNis: random() * 100,
+          turnoverSellNis: random() * 100,
+        });
+      }
+    }
+  }
+
+  const transactions = [];
+  for (let i = 0; i < TRANSACTIONS; i++) {
+    const isin = `IL000000000${Math.floor(random() * SECURITIES)}`;
+    const orderDate = sessions[Math.floor(random() * sessions.length)];
+    transactions.push({
+      ISIN: isin,
+      OrderDate: orderDate,
+      Action: random() < 0.6 ? 'Buy' : 'Sell',
+      Quantity: '100',
+      Price: String(prices.get(`${isin}_${orderDate}`)),
+      InvestmentManager: MANAGERS[Math.floor(random() * MANAGERS.length)],
+    });
+  }
+
+  return {
+    sessions,
+    dataset: {
+      transactions,
+      tradingData,
+      smartMoneyAggregated: aggregateSmartMoneyData(smartMoneyRaw, securityToIsin),
+      benchmarkChanges: new Map(sessions.map(date => [date, { change: (random() - 0.5) * 2 }])),
+      parseDate: toDateKey,
+      smartMoneyLoaded: true,
+    },
+  };
+}
+
+const server = await createServer({
+  appType: 'custom',
+  logLevel: 'error',
+  server: { middlewareMode: true, hmr: false },
+  // Only source modules are loaded; skip the browser dependency pre-bundling scan
+  optimizeDeps: { noDiscovery: true, include: [] },
+});
+
+let failed = false;
+try {
+  const { auditPointInTime } = await server.ssrLoadModule('/scripts/pointInTimeAudit.js');
+  const { aggregateSmartMoneyData } = await server.ssrLoadModule('/src/lib/smartMoney.js');
+  const { toDateKey } = await server.ssrLoadModule('/src/lib/dateParsing.js');
+  const { buildTimeSeriesIndex } = await server.ssrLoadModule('/src/lib/timeSeriesIndex.js');
+  const { fitSentimentWeights } = await server.ssrLoadModule('/src/lib/weightFit.js');
+
+  const { sessions, dataset } = buildDataset({ aggregateSmartMoneyData, toDateKey });
+  const sessionDates = [0.2, 0.5, 0.8].map(share => sessions[Math.floor(sessions.length * share)]);
+
+  for (const asOf of sessionDates) {
+    const report = await auditPointInTime(dataset, asOf);
+    const leaks = report.checks.filter(check => !check.passed).map(check => check.name);
+    console.log(`${asOf}: ${report.checks.length - leaks.length}/${report.checks.length} checks passed`);
+    if (leaks.length > 0) {
+      console.log(`  Rows after ${asOf} changed: ${leaks.join(', ')}`);
+      failed = true;
+    }
+  }
+
+  // No training label may read a price dated on or after the first holdout date
+  const fit = (tradingData) => fitSentimentWeights(buildTimeSeriesIndex(tradingData, dataset.smartMoneyAggregated), { horizon: 5 });
+  const trainingView = (report) => JSON.stringify(Object.values(report.sets).map(set => set.inSample)) + JSON.stringify(report.weights);
+  const real = await fit(dataset.tradingData);
+  const poisoned = await fit(dataset.tradingData.map(row => (
+    row.tradeDate >= real.holdoutFrom ? { ...row, change: row.change + 50 } : row
+  )));
+  const embargoHolds = trainingView(real) === trainingView(poisoned);
+  console.log(`Weight fit holdout from ${real.holdoutFrom}: ${embargoHolds ? 'training labels stop before it' : 'training labels read holdout prices'}`);
+  if (!embargoHolds) failed = true;
+} finally {
+  await server.close();
+}
+
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,258 @@
+/**
+ * Point-in-Time Audit
+ * Test harness for the session date cutoff: every row dated after the session date is
+ * poisoned (prices, changes, smart money flows, benchmark moves, extra future transactions)
+ * and each analytic is run on the real and the poisoned dataset. Any difference means a row
+ * after the session date influenced a result.
+ *
+ * Every probe gets the full dataset and the session date, so the cutoff under test is the one
+ * the app makes itself: createSessionAnalytics, the store's buildSessionData and the analytics
+ * worker module (run in-process, its point-in-time view built from asOf by indexAsOf()).
+ */
+
+import { buildTimeSeriesIndex, truncateTimeSeriesIndex } from '../src/lib/timeSeriesIndex';
+import { buildTradingCalendar, shiftSessions } from '../src/lib/tradingCalendar';
+import { createSessionAnalytics, buildSessionData } from '../src/lib/sessionAnalytics';
+import { buildTraderHoldings, buildLatestPriceMap, createHoldingsLedger, isBuyAction, parseAmount } from '../src/lib/holdings';
+import { toDateKey } from '../src/lib/dateParsing';
+
+// Securities and sessions probed by the per-security analytics
+const AUDIT_ISINS = 5;
+const AUDIT_SESSIONS = 3;
+// Synthetic transactions appended after the session date
+const FUTURE_TRANSACTIONS = 20;
+
+function negate(value) {
+  return value === null || value === undefined ? value : -value;
+}
+
+/**
+ * Copy of the dataset with everything after asOf altered
+ */
+function poisonDataset({ transactions, tradingData, smartMoneyAggregated, benchmarkChanges, parseDate }, asOf) {
+  const poisonedTrading = tradingData.map(row => (
+    toDateKey(row.tradeDate) > asOf
+      ? {
+        ...row,
+        closingPrice: row.closingPrice ? row.closingPrice * 3 + 1 : 1,
+        change: (row.change || 0) * -5 + 7,
+      }
+      : row
+  ));
+
+  const poisonedSentiment = new Map();
+  for (const [key, entry] of smartMoneyAggregated) {
+    if (entry.date <= asOf) {
+      poisonedSentiment.set(key, entry);
+      continue;
+    }
+    // Buyers become sellers for every client type
+    const byType = Object.fromEntries(Object.entries(entry.byType || {}).map(([type, flow]) => (
+      [type, { buy: flow.sell * 2, sell: flow.buy * 2 }]
+    )));
+    const typeSentiments = Object.fromEntries(Object.entries(entry.typeSentiments || {}).map(([type, value]) => (
+      [type, negate(value)]
+    )));
+    poisonedSentiment.set(key, {
+      ...entry,
+      byType,
+      typeSentiments,
+      smartMoneySentiment: negate(entry.smartMoneySentiment),
+      totalSentiment: negate(entry.totalSentiment),
+    });
+  }
+
+  const poisonedBenchmark = new Map();
+  for (const [date, day] of benchmarkChanges) {
+    poisonedBenchmark.set(date, date > asOf ? { ...day, change: (day.change || 0) * -5 + 7 } : day);
+  }
+
+  // Future trades in the most traded securities, dated on the sessions after asOf
+  const futureDates = [...new Set(tradingData.map(row => toDateKey(row.tradeDate)))]
+    .filter(date => date > asOf)
+    .sort();
+  const futureTransactions = [];
+  if (futureDates.length > 0) {
+    const templates = transactions.filter(tx => parseDate(String(tx.OrderDate)) <= asOf).slice(-FUTURE_TRANSACTIONS);
+    templates.forEach((tx, i) => {
+      futureTransactions.push({
+        ...tx,
+        OrderDate: futureDates[i % futureDates.length],
+        Action: isBuyAction(tx.Action) ? 'Sell' : 'Buy',
+        Quantity: (parseAmount(tx.Quantity) || 1) * 10,
+      });
+    });
+  }
+  const poisonedTransactions = transactions
+    .map(tx => (
+      parseDate(String(tx.OrderDate)) > asOf
+        ? { ...tx, Quantity: (parseAmount(tx.Quantity) || 1) * 10, Price: (parseAmount(tx.Price) || 1) * 3 }
+        : tx
+    ))
+    .concat(futureTransactions);
+
+  return {
+    transactions: poisonedTransactions,
+    tradingData: poisonedTrading,
+    smartMoneyAggregated: poisonedSentiment,
+    benchmarkChanges: poisonedBenchmark,
+    parseDate,
+  };
+}
+
+// Maps serialize to their entries so they compare by content
+function serialize(value) {
+  return JSON.stringify(value, (key, item) => (item instanceof Map ? [...item] : item));
+}
+
+let workerRunner = null;
+
+/**
+ * Analytics worker module run in-process behind a stand-in for the worker global: each request
+ * is dispatched to its onmessage handler and resolves with the result payload. The side's full
+ * dataset is loaded first whenever the previous request ran on the other side.
+ */
+async function getWorkerRunner() {
+  if (workerRunner) return workerRunner;
+
+  const replies = [];
+  globalThis.self = { postMessage: (message) => replies.push(message) };
+  await import('../src/workers/analytics.worker.js');
+  const worker = globalThis.self;
+
+  let nextRequestId = 1;
+  const request = async (message) => {
+    replies.length = 0;
+    await worker.onmessage({ data: { ...message, requestId: nextRequestId++ } });
+    const reply = replies.find(item => item.type !== 'progress');
+    if (reply?.type !== 'result') {
+      throw new Error(`Analytics worker ${message.type} replied ${reply?.type}: ${reply?.message || ''}`);
+    }
+    return reply.payload;
+  };
+
+  let loadedData = null;
+  workerRunner = async (data, message) => {
+    if (loadedData !== data) {
+      await request({ type: 'loadDataset', tradingData: data.tradingData, smartMoneyAggregated: data.smartMoneyAggregated, securitiesData: [] });
+      loadedData = data;
+    }
+    return request(message);
+  };
+  return workerRunner;
+}
+
+/**
+ * Securities with smart money data in the sessions leading up to asOf
+ */
+function pickAuditIsins(seriesIndex, sessions) {
+  const isins = [];
+  for (const [isin, series] of seriesIndex.sentiment) {
+    if (series.dates.some(date => sessions.includes(date))) isins.push(isin);
+    if (isins.length >= AUDIT_ISINS) break;
+  }
+  return isins;
+}
+
+/**
+ * Run every analytic on the real and the poisoned dataset
+ * @param {object} dataset - { transactions, tradingData, smartMoneyAggregated, benchmarkChanges, parseDate, smartMoneyLoaded }
+ * @param {string} asOf - Session date (YYYY-MM-DD)
+ * @param {object} options - { includeWorkerAnalytics (scan, calibration, weight fit, backtest, simulator), weights }
+ * @returns {Promise<object>} - { asOf, checks: [{ name, passed }], passed }
+ */
+export async function auditPointInTime(dataset, asOf, { includeWorkerAnalytics = true, weights = undefined } = {}) {
+  const poisoned = poisonDataset(dataset, asOf);
+  const buildSide = (data) => {
+    const seriesIndex = buildTimeSeriesIndex(data.tradingData, data.smartMoneyAggregated, buildTradingCalendar(data.tradingData));
+    return {
+      data,
+      seriesIndex,
+      analytics: createSessionAnalytics({
+        transactions: data.transactions,
+        seriesIndex,
+        benchmarkChanges: data.benchmarkChanges,
+        parseDate: data.parseDate,
+        smartMoneyLoaded: dataset.smartMoneyLoaded,
+      }, asOf),
+    };
+  };
+  const real = buildSide(dataset);
+  const dirty = buildSide(poisoned);
+
+  // Sessions and securities to probe are chosen on the real data up to asOf
+  const pointInTime = truncateTimeSeriesIndex(real.seriesIndex, asOf);
+  const sessions = [];
+  for (let offset = 0; offset < AUDIT_SESSIONS; offset++) {
+    const date = shiftSessions(pointInTime.calendar, asOf, -offset);
+    if (date && !sessions.includes(date)) sessions.push(date);
+  }
+  const isins = pickAuditIsins(pointInTime, sessions);
+
+  const probes = [
+    ['getSmartMoneySentiment', ({ analytics }) => isins.flatMap(isin => sessions.map(date => analytics.getSmartMoneySentiment(isin, date)))],
+    ['getSmartMoneyHistory', ({ analytics }) => isins.map(isin => analytics.getSmartMoneyHistory(isin, asOf, 30))],
+    ['detectSmartMoneyPattern', ({ analytics }) => isins.map(isin => analytics.detectSmartMoneyPattern(isin, asOf, 10))],
+    ['getPatternOutcomes', ({ analytics }) => isins.map(isin => analytics.getPatternOutcomes(isin, -0.5, 5))],
+    ['getHistoricalPerformance', ({ analytics }) => analytics.getHistoricalPerformance(5)],
+    ['getHorizonSweep', ({ analytics }) => analytics.getHorizonSweep()],
+    ['getMarketData', ({ analytics }) => isins.flatMap(isin => sessions.map(date => analytics.getMarketData(isin, date)))],
+    ['getIndexChange', ({ analytics }) => sessions.map(date => analytics.getIndexChange(date))],
+    ['getTradeAttribution', ({ analytics }) => analytics.getTradeAttribution(5)],
+    ['getTraderComparison', ({ analytics }) => analytics.getTraderComparison(5)],
+    ['getRoundTrips', ({ analytics }) => analytics.getRoundTrips()],
+    ['buildTraderHoldings', ({ data }) => buildTraderHoldings(data.transactions, {
+      parseDate: data.parseDate,
+      maxDate: asOf,
+      latestPrices: buildLatestPriceMap(data.tradingData, asOf),
+    })],
+    // Stepped forward through the audited sessions, then to the end of the data and back
+    ['createHoldingsLedger', ({ data }) => {
+      const ledger = createHoldingsLedger(data.transactions, data.tradingData, { parseDate: data.parseDate });
+      const stepped = [...sessions].reverse().map(date => ledger.holdingsAsOf(date));
+      ledger.holdingsAsOf(null);
+      return [...stepped, ledger.holdingsAsOf(asOf)];
+    }],
+    // The store's processData for the session, on a fresh ledger
+    ['buildSessionData', ({ data, seriesIndex }) => buildSessionData({
+      transactions: data.transactions,
+      seriesIndex,
+      indexChangeMap: data.benchmarkChanges,
+      holdingsLedger: createHoldingsLedger(data.transactions, data.tradingData, { parseDate: data.parseDate }),
+    }, { maxDate: asOf })],
+  ];
+
+  if (includeWorkerAnalytics) {
+    // Requests as the store sends them: the worker holds the full dataset and cuts it at asOf
+    const runWorker = await getWorkerRunner();
+    const trades = (data) => data.transactions.map(tx => ({
+      isin: tx.ISIN,
+      date: data.parseDate(String(tx.OrderDate)),
+      isBuy: isBuyAction(tx.Action),
+      quantity: parseAmount(tx.Quantity),
+      price: parseAmount(tx.Price),
+    }));
+    probes.push(
+      ['worker scan', ({ data }) => runWorker(data, { type: 'scan', isins, date: asOf, weights })],
+      ['worker calibrate', ({ data }) => runWorker(data, { type: 'calibrate', asOf })],
+      ['worker fitWeights', ({ data }) => runWorker(data, { type: 'fitWeights', options: { horizon: 5 }, asOf })],
+      ['worker backtest', ({ data }) => runWorker(data, { type: 'backtest', options: { horizon: 5, weights }, asOf })],
+      ['worker simulate', ({ data }) => runWorker(data, { type: 'simulate', trades: trades(data), options: { weights }, asOf })],
+    );
+  }
+
+  const checks = [];
+  for (const [name, probe] of probes) {
+    const expected = serialize(await probe(real));
+    const actual = serialize(await probe(dirty));
+    checks.push({ name, passed: expected === actual });
+  }
+
+  return {
+    asOf,
+    isins,
+    sessions,
+    checks,
+    passed: checks.every(check => check.passed),
+  };
+}
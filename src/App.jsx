@@ -6,6 +6,8 @@ import FileUpload from './components/FileUpload';
 import TraderSelection from './components/TraderSelection';
 import Dashboard from './components/Dashboard';
 import TradeChecker from './components/TradeChecker';
+import PortfolioMonitor from './components/PortfolioMonitor';
+import TeamComparison from './components/TeamComparison';
 
 // Inner component that has access to DataProvider context
 function AppContent() {
@@ -54,6 +56,8 @@ function AppContent() {
         <>
           {activeTab === 'dashboard' && <Dashboard />}
           {activeTab === 'checker' && <TradeChecker />}
+          {activeTab === 'monitor' && <PortfolioMonitor />}
+          {activeTab === 'team' && <TeamComparison onOpenDashboard={() => setActiveTab('dashboard')} />}
         </>
       )}
     </Layout>
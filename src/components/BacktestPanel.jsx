@@ -0,0 +1,271 @@
+import { useState, useEffect, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend, CartesianGrid } from 'recharts';
+import { History, Play, X, AlertTriangle } from 'lucide-react';
+import { useDataStore } from '../hooks/useDataStore';
+import { FOREIGN_FLOW_EDA } from '../lib/smartMoney';
+import { BACKTEST_LIGHTS } from '../lib/backtest';
+import InfoTooltip, { METRIC_EXPLANATIONS } from './InfoTooltip';
+import { ButtonSpinner } from './LoadingSpinner';
+
+const LIGHT_STYLES = {
+  GREEN: { label: 'PROCEED', dot: 'bg-green-500' },
+  YELLOW: { label: 'ADJUST', dot: 'bg-yellow-400' },
+  RED: { label: 'RECONSIDER', dot: 'bg-red-500' },
+};
+
+const ACTION_LABELS = { buy: 'Buys', sell: 'Sells', all: 'All' };
+
+/**
+ * BacktestPanel - Walk-forward replay of the traffic light: hit rates and average returns
+ * by colour and action, and "follow the light" vs "ignore it" cumulative curves
+ */
+export default function BacktestPanel() {
+  const { analyticsReady, tradingCalendar, sessionDate, runBacktest, weightsSource, weightFitStatus } = useDataStore();
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [horizon, setHorizon] = useState(5);
+  const [curveAction, setCurveAction] = useState('buy');
+  const [result, setResult] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const jobRef = useRef(null);
+
+  const firstDate = tradingCalendar.dates[0] || '';
+  // The session date is a hard cutoff for the replay and its forward returns
+  const lastDate = sessionDate || tradingCalendar.dates[tradingCalendar.dates.length - 1] || '';
+
+  // A result only describes the dataset and cutoff it was run on
+  useEffect(() => {
+    setResult(null);
+  }, [tradingCalendar, sessionDate]);
+
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancel();
+  }, []);
+
+  const handleRun = async () => {
+    setError(null);
+    setProgress({ done: 0, total: 1 });
+    const job = runBacktest(
+      { from: from || null, to: to || null, horizon },
+      (done, total) => setProgress({ done, total })
+    );
+    jobRef.current = job;
+    try {
+      const backtest = await job.promise;
+      if (backtest) setResult(backtest);
+    } catch (err) {
+      setError(`Backtest failed: ${err.message}`);
+    } finally {
+      if (jobRef.current === job) jobRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const cancelRun = () => {
+    if (jobRef.current) jobRef.current.cancel();
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex items-center gap-3">
+        <History className="w-6 h-6 text-indigo-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Traffic Light Backtest</h3>
+        <InfoTooltip title={METRIC_EXPLANATIONS.trafficLightBacktest.title} position="right">
+          {METRIC_EXPLANATIONS.trafficLightBacktest.description}
+        </InfoTooltip>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-end gap-3 text-sm">
+        <label className="flex flex-col gap-1 text-gray-600 dark:text-gray-400">
+          From
+          <input
+            type="date"
+            value={from}
+            min={firstDate}
+            max={lastDate}
+            onChange={(e) => setFrom(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-gray-600 dark:text-gray-400">
+          To
+          <input
+            type="date"
+            value={to}
+            min={firstDate}
+            max={lastDate}
+            onChange={(e) => setTo(e.target.value)}
+            className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+          />
+        </label>
+        <label className="flex flex-col gap-1 text-gray-600 dark:text-gray-400">
+          Forward horizon
+          <select
+            value={horizon}
+            onChange={(e) => setHorizon(Number(e.target.value))}
+            className="px-3 py-1.5 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          >
+            {FOREIGN_FLOW_EDA.periods.map(p => (
+              <option key={p.days} value={p.days}>{p.days} session{p.days > 1 ? 's' : ''}</option>
+            ))}
+          </select>
+        </label>
+
+        {progress ? (
+          <button
+            onClick={cancelRun}
+            className="px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center gap-1.5"
+          >
+            <X className="w-4 h-4" />
+            Cancel Backtest
+          </button>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={!analyticsReady}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1.5"
+          >
+            {analyticsReady ? <Play className="w-4 h-4" /> : <ButtonSpinner />}
+            Run backtest
+          </button>
+        )}
+      </div>
+
+      {progress && (
+        <div className="mt-3 h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-indigo-500 transition-all"
+            style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }}
+          />
+        </div>
+      )}
+
+      {weightsSource === 'fitted' && weightFitStatus !== 'ahead' && (
+        <p className="mt-3 text-sm text-yellow-700 dark:text-yellow-400 flex items-center gap-1.5">
+          <AlertTriangle className="w-4 h-4" />
+          Re-fit weights are active. They were fitted on this dataset, so the backtest is not fully out of sample.
+        </p>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {result && (
+        <div className="mt-4 space-y-5">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {result.sessions.toLocaleString()} sessions ({result.from} to {result.to}),{' '}
+            {result.signals.toLocaleString()} security-days with a complete {result.horizon}-session forward window.
+          </p>
+
+          {/* Hit rate / average return by colour and action */}
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b dark:border-gray-700">
+                  <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Light</th>
+                  {Object.entries(ACTION_LABELS).map(([action, label]) => (
+                    <th key={action} className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {BACKTEST_LIGHTS.map(light => (
+                  <tr key={light} className="border-b dark:border-gray-700 last:border-0">
+                    <td className="py-2 px-3 text-gray-700 dark:text-gray-300">
+                      <span className="flex items-center gap-2">
+                        <span className={`w-2.5 h-2.5 rounded-full ${LIGHT_STYLES[light].dot}`} />
+                        {LIGHT_STYLES[light].label}
+                      </span>
+                    </td>
+                    {Object.keys(ACTION_LABELS).map(action => (
+                      <StatsCell key={action} stats={result.byLight[light][action]} />
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Follow the light vs ignore it */}
+          <div className="grid md:grid-cols-2 gap-4">
+            {Object.entries(result.summary).map(([action, summary]) => (
+              <div key={action} className="p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+                <p className="text-sm font-medium text-gray-900 dark:text-white mb-2">{ACTION_LABELS[action]}</p>
+                <StrategyLine label="Follow the light" stats={summary.follow} />
+                <StrategyLine label="Ignore it" stats={summary.ignore} />
+              </div>
+            ))}
+          </div>
+
+          {result.curve.length > 1 && (
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                  Cumulative return (rebalanced every {result.horizon} session{result.horizon > 1 ? 's' : ''})
+                </p>
+                <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden text-xs">
+                  {['buy', 'sell'].map(action => (
+                    <button
+                      key={action}
+                      onClick={() => setCurveAction(action)}
+                      className={`px-2.5 py-1 ${curveAction === action ? 'bg-gray-800 text-white dark:bg-gray-200 dark:text-gray-900' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+                    >
+                      {ACTION_LABELS[action]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={result.curve} margin={{ top: 4, right: 8, left: -8, bottom: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                    <XAxis dataKey="date" tick={{ fontSize: 10 }} minTickGap={24} />
+                    <YAxis tick={{ fontSize: 10 }} tickFormatter={(value) => `${value.toFixed(0)}%`} />
+                    <Tooltip formatter={(value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`} />
+                    <Legend />
+                    <Line type="monotone" dataKey={`${curveAction}Follow`} name="Follow the light" stroke="#22c55e" dot={false} strokeWidth={2} />
+                    <Line type="monotone" dataKey={`${curveAction}Ignore`} name="Ignore it" stroke="#9ca3af" dot={false} strokeWidth={2} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatReturn(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function StatsCell({ stats }) {
+  if (stats.calls === 0) {
+    return <td className="py-2 px-3 text-right text-gray-400">-</td>;
+  }
+  return (
+    <td className="py-2 px-3 text-right">
+      <span className={`font-medium ${stats.avgReturn >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatReturn(stats.avgReturn)}</span>
+      <span className="block text-xs text-gray-500 dark:text-gray-400">
+        {stats.hitRate.toFixed(1)}% hit · n={stats.calls.toLocaleString()}
+      </span>
+    </td>
+  );
+}
+
+function StrategyLine({ label, stats }) {
+  return (
+    <div className="flex items-center justify-between text-sm py-0.5">
+      <span className="text-gray-600 dark:text-gray-400">{label}</span>
+      <span className="text-gray-900 dark:text-white">
+        {stats.hitRate !== null ? `${stats.hitRate.toFixed(1)}% hit` : '-'}
+        <span className="text-gray-400"> · </span>
+        avg {formatReturn(stats.avgReturn)}
+        <span className="text-gray-400"> · </span>
+        cum. {formatReturn(stats.cumulative)}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import { useState, useMemo } from 'react';
+import { SlidersHorizontal, RefreshCw, ChevronDown, ChevronUp, AlertTriangle } from 'lucide-react';
+import { useDataStore } from '../hooks/useDataStore';
+import { SHIPPED_EDA_CONSTANTS, diffEdaConstants } from '../lib/calibration';
+import InfoTooltip, { METRIC_EXPLANATIONS } from './InfoTooltip';
+import { ButtonSpinner } from './LoadingSpinner';
+
+/**
+ * CalibrationPanel - Switch between the shipped EDA constants and ones recalibrated
+ * from the loaded dataset, with a side-by-side diff
+ */
+export default function CalibrationPanel() {
+  const { analyticsReady, edaSource, setEdaSource, calibratedEda, calibrationAsOf, calibrationStatus, isCalibrating, calibrateEda } = useDataStore();
+  const [showDiff, setShowDiff] = useState(false);
+  const [error, setError] = useState(null);
+
+  const diff = useMemo(() => (
+    calibratedEda ? diffEdaConstants(SHIPPED_EDA_CONSTANTS, calibratedEda) : []
+  ), [calibratedEda]);
+
+  const groups = useMemo(() => [...new Set(diff.map(row => row.group))], [diff]);
+
+  const handleCalibrate = async () => {
+    setError(null);
+    try {
+      await calibrateEda();
+      setShowDiff(true);
+    } catch (err) {
+      setError(`Calibration failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <SlidersHorizontal className="w-6 h-6 text-gray-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">EDA Constants</h3>
+        <InfoTooltip title={METRIC_EXPLANATIONS.edaCalibration.title} position="right">
+          {METRIC_EXPLANATIONS.edaCalibration.description}
+        </InfoTooltip>
+
+        <div className="ml-auto flex items-center gap-2">
+          <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden text-sm">
+            <button
+              onClick={() => setEdaSource('shipped')}
+              className={`px-3 py-1.5 ${edaSource === 'shipped' ? 'bg-gray-800 text-white dark:bg-gray-200 dark:text-gray-900' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+            >
+              Shipped
+            </button>
+            <button
+              onClick={() => setEdaSource('calibrated')}
+              disabled={!calibratedEda}
+              className={`px-3 py-1.5 disabled:opacity-50 disabled:cursor-not-allowed ${edaSource === 'calibrated' ? 'bg-gray-800 text-white dark:bg-gray-200 dark:text-gray-900' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+            >
+              Recalibrated
+            </button>
+          </div>
+          <button
+            onClick={handleCalibrate}
+            disabled={!analyticsReady || isCalibrating}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1.5"
+          >
+            {isCalibrating ? <ButtonSpinner /> : <RefreshCw className="w-4 h-4" />}
+            {calibratedEda ? 'Recalibrate' : 'Calibrate from data'}
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {calibrationStatus === 'stale' && (
+        <p className="mt-3 text-sm text-gray-500 dark:text-gray-400">
+          Calibrated as of {calibrationAsOf}. Recalibrate to include the sessions since then.
+        </p>
+      )}
+      {calibrationStatus === 'ahead' && (
+        <p className="mt-3 text-sm text-yellow-700 dark:text-yellow-400 flex items-center gap-1.5">
+          <AlertTriangle className="w-4 h-4" />
+          Calibrated {calibrationAsOf ? `as of ${calibrationAsOf}` : 'on all dates'}, after the session date. Shipped constants are used until you recalibrate or step past it.
+        </p>
+      )}
+
+      {calibratedEda && (
+        <div className="mt-4">
+          <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400">
+            <span>
+              {calibratedEda.sampleSize.toLocaleString()} security-days
+              {calibratedEda.dateRange.from && ` (${calibratedEda.dateRange.from} to ${calibratedEda.dateRange.to})`}
+            </span>
+            <button
+              onClick={() => setShowDiff(!showDiff)}
+              className="flex items-center gap-1 text-blue-600 dark:text-blue-400 hover:underline"
+            >
+              {showDiff ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+              {showDiff ? 'Hide differences' : 'Show differences'}
+            </button>
+          </div>
+
+          {showDiff && (
+            <div className="mt-3 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b dark:border-gray-700">
+                    <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Constant</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Shipped</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Recalibrated</th>
+                    <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Change</th>
+                  </tr>
+                </thead>
+                {groups.map(group => (
+                  <tbody key={group}>
+                    <tr>
+                      <td colSpan={4} className="pt-3 pb-1 px-3 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">{group}</td>
+                    </tr>
+                    {diff.filter(row => row.group === group).map(row => (
+                      <DiffRow key={row.label} row={row} />
+                    ))}
+                  </tbody>
+                ))}
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatConstant(value, unit) {
+  if (value === null || value === undefined) return '-';
+  if (typeof value !== 'number') return value;
+  return `${value.toFixed(unit === '%' ? 2 : 4)}${unit}`;
+}
+
+function DiffRow({ row }) {
+  const numeric = typeof row.shipped === 'number' && typeof row.calibrated === 'number';
+  const delta = numeric ? row.calibrated - row.shipped : null;
+  const changed = numeric ? Math.abs(delta) > 1e-9 : row.shipped !== row.calibrated;
+
+  return (
+    <tr className="border-b dark:border-gray-700 last:border-0">
+      <td className="py-1.5 px-3 text-gray-700 dark:text-gray-300">{row.label}</td>
+      <td className="py-1.5 px-3 text-right font-mono text-gray-500 dark:text-gray-400">{formatConstant(row.shipped, row.unit)}</td>
+      <td className={`py-1.5 px-3 text-right font-mono ${changed ? 'text-gray-900 dark:text-white font-medium' : 'text-gray-500 dark:text-gray-400'}`}>
+        {formatConstant(row.calibrated, row.unit)}
+      </td>
+      <td className={`py-1.5 px-3 text-right font-mono ${delta === null ? 'text-gray-400' : delta >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+        {delta !== null ? `${delta >= 0 ? '+' : ''}${formatConstant(delta, row.unit)}` : changed ? 'changed' : '-'}
+      </td>
+    </tr>
+  );
+}
@@ -0,0 +1,178 @@
+import { useState, useMemo } from 'react';
+import { Columns, Save, Trash2, Wand2 } from 'lucide-react';
+import { FILE_SCHEMAS } from '../lib/dataValidation';
+import { getMappingFields, suggestMapping, isMappingComplete, findMatchingProfile } from '../lib/columnMapping';
+
+/**
+ * Column mapping step for a file whose headers don't match what the loader expects
+ * (e.g. Hebrew back office exports). Fields are pre-filled from a matching saved profile,
+ * otherwise from alias suggestions.
+ */
+export default function ColumnMappingWizard({ pending, queued, profiles, onConfirm, onCancel, onDeleteProfile }) {
+  const headers = useMemo(() => (pending.rows.length > 0 ? Object.keys(pending.rows[0]) : []), [pending]);
+
+  const initialMapping = (fileType) => {
+    const profile = findMatchingProfile(profiles, fileType, headers);
+    return profile
+      ? { mapping: { ...suggestMapping(fileType, headers), ...profile.mapping }, profile: profile.name }
+      : { mapping: suggestMapping(fileType, headers), profile: '' };
+  };
+
+  const [type, setType] = useState(pending.type);
+  const [{ mapping, profile }, setState] = useState(() => initialMapping(pending.type));
+  const [profileName, setProfileName] = useState('');
+
+  const fields = getMappingFields(type);
+  const typeProfiles = profiles.filter(p => p.type === type);
+  const complete = isMappingComplete(type, mapping);
+  const sampleRow = pending.rows[0] || {};
+
+  const changeType = (nextType) => {
+    setType(nextType);
+    setState(initialMapping(nextType));
+  };
+
+  const applyProfile = (name) => {
+    const saved = profiles.find(p => p.name === name);
+    setState({
+      mapping: saved ? { ...suggestMapping(type, headers), ...saved.mapping } : suggestMapping(type, headers),
+      profile: name,
+    });
+  };
+
+  const setField = (field, header) => {
+    setState(prev => ({ mapping: { ...prev.mapping, [field]: header || null }, profile: prev.profile }));
+  };
+
+  return (
+    <div className="mt-6 p-4 bg-white dark:bg-gray-800 border-2 border-blue-300 dark:border-blue-700 rounded-xl">
+      <div className="flex flex-wrap items-center gap-2 mb-1">
+        <Columns className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+        <h3 className="font-semibold text-gray-900 dark:text-white">Map Columns</h3>
+        {queued > 0 && (
+          <span className="text-xs text-gray-500 dark:text-gray-400">+{queued} more file{queued > 1 ? 's' : ''} to map</span>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        <strong className="text-gray-900 dark:text-white">{pending.name}</strong> doesn't use the expected column names.
+        Match each field to a column in the file.
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+        <label className="text-sm">
+          <span className="block text-gray-600 dark:text-gray-400 mb-1">File type</span>
+          <select
+            value={type}
+            onChange={(e) => changeType(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+          >
+            {Object.entries(FILE_SCHEMAS).map(([key, schema]) => (
+              <option key={key} value={key}>{schema.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-sm">
+          <span className="block text-gray-600 dark:text-gray-400 mb-1">Saved profile</span>
+          <div className="flex items-center gap-1">
+            <select
+              value={profile}
+              onChange={(e) => applyProfile(e.target.value)}
+              className="flex-1 min-w-0 px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+            >
+              <option value="">Suggested mapping</option>
+              {typeProfiles.map(p => (
+                <option key={p.name} value={p.name}>{p.name}</option>
+              ))}
+            </select>
+            {profile && (
+              <button
+                onClick={() => {
+                  onDeleteProfile(profile);
+                  applyProfile('');
+                }}
+                className="p-2 text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                title="Delete profile"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            )}
+          </div>
+        </label>
+      </div>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b dark:border-gray-700">
+              <th className="text-left py-2 px-2 font-medium text-gray-600 dark:text-gray-400">Field</th>
+              <th className="text-left py-2 px-2 font-medium text-gray-600 dark:text-gray-400">Column in file</th>
+              <th className="text-left py-2 px-2 font-medium text-gray-600 dark:text-gray-400">First row</th>
+            </tr>
+          </thead>
+          <tbody>
+            {fields.map(({ field, required }) => {
+              const header = mapping[field] || '';
+              return (
+                <tr key={field} className="border-b dark:border-gray-700 last:border-0">
+                  <td className="py-2 px-2 font-mono text-gray-900 dark:text-white whitespace-nowrap">
+                    {field}
+                    {required
+                      ? <span className="ml-1 text-red-500" title="Required">*</span>
+                      : <span className="ml-1 text-xs text-gray-400 font-sans">(optional)</span>}
+                  </td>
+                  <td className="py-2 px-2">
+                    <select
+                      value={header}
+                      onChange={(e) => setField(field, e.target.value)}
+                      dir="auto"
+                      className={`w-full px-2 py-1 border rounded bg-white dark:bg-gray-700 dark:text-white ${
+                        required && !header ? 'border-red-300 dark:border-red-700' : 'border-gray-300 dark:border-gray-600'
+                      }`}
+                    >
+                      <option value="">Not mapped</option>
+                      {headers.map(h => (
+                        <option key={h} value={h}>{h}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="py-2 px-2 text-gray-500 dark:text-gray-400 truncate max-w-[10rem]" dir="auto">
+                    {header ? String(sampleRow[header] ?? '') : '-'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+        <div className="flex items-center gap-2 flex-1">
+          <Save className="w-4 h-4 text-gray-400 flex-shrink-0" />
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            placeholder="Save as profile (optional)"
+            className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+          />
+        </div>
+        <div className="flex items-center gap-2 justify-end">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-lg"
+          >
+            Skip File
+          </button>
+          <button
+            onClick={() => onConfirm({ type, mapping, profileName: profileName.trim() })}
+            disabled={!complete}
+            className="inline-flex items-center gap-2 px-4 py-2 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Wand2 className="w-4 h-4" />
+            Apply Mapping
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
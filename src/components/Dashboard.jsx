@@ -1,9 +1,25 @@
 import { useState, useMemo, useEffect } from 'react';
 import { useDataStore } from '../hooks/useDataStore';
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend } from 'recharts';
-import { TrendingUp, TrendingDown, Target, BarChart3, Users, Info, Activity, Zap, CheckCircle, XCircle, AlertTriangle, AlertCircle, Shield, ShieldCheck, Clock, Eye, Globe, ArrowLeftRight, Star } from 'lucide-react';
-import { CLIENT_TYPES, SMART_MONEY_TYPES, getEnhancedAlertLevel, calculatePatternStrength, calculateConsensusScore, getSentimentLevel, calculateForeignFlowSignal, calculateWeightedSentiment, FOREIGN_FLOW_TYPE, FOREIGN_FLOW_EDA, TYPE_PREDICTIVE_QUALITY } from '../lib/smartMoney';
+import { TrendingUp, TrendingDown, Target, BarChart3, Users, Info, Activity, Zap, CheckCircle, XCircle, AlertTriangle, AlertCircle, Shield, ShieldCheck, Clock, Eye, Globe, ArrowLeftRight, Star, Briefcase, Award } from 'lucide-react';
+import { CLIENT_TYPES, SMART_MONEY_TYPES, getSentimentLevel, FOREIGN_FLOW_TYPE, FOREIGN_FLOW_EDA } from '../lib/smartMoney';
 import InfoTooltip, { METRIC_EXPLANATIONS } from './InfoTooltip';
+import IndexSelector from './IndexSelector';
+import CalibrationPanel from './CalibrationPanel';
+import WeightFitPanel from './WeightFitPanel';
+import BacktestPanel from './BacktestPanel';
+import StrategySimulator from './StrategySimulator';
+import { summarizePortfolioScan } from '../lib/portfolioScan';
+import { getPositionValues } from '../lib/holdings';
+import { filterTradeAttribution, summarizeTradeAttribution } from '../lib/attribution';
+import { buildPeerRanking } from '../lib/peerRanking';
+import { summarizeRoundTrips, POST_EXIT_SESSIONS } from '../lib/roundTrips';
+
+// Portfolio sentiment weighting options
+const SENTIMENT_WEIGHTINGS = [
+  { id: 'exposure', label: 'By Value' },
+  { id: 'equal', label: 'Equal Weight' },
+];
 
 const COLORS = {
   bullish: '#10B981',
@@ -18,171 +34,84 @@ const COLORS = {
 export default function Dashboard() {
   const { 
     processedData, traders, selectedTrader, filterByTrader, 
-    smartMoneyLoaded, getHistoricalPerformance, getSmartMoneySentiment,
-    detectSmartMoneyPattern, getPatternOutcomes, isinToSecurity, sessionDate
+    smartMoneyLoaded, getHistoricalPerformance, getHorizonSweep, getTradeAttribution, getTraderComparison, getRoundTrips, isinToSecurity, sessionDate,
+    scanPortfolio, analyticsReady, analyticsDatasetVersion, edaConstants, sentimentWeights, weightsSource, weightFitStatus
   } = useDataStore();
   
   // Calculate historical performance if smart money data is loaded
   const historicalPerf = smartMoneyLoaded ? getHistoricalPerformance(5) : null;
+  
+  // All traders up to the session date (peer percentiles)
+  const traderComparison = useMemo(() => getTraderComparison(5), [getTraderComparison]);
 
-  // Portfolio-wide smart money analysis
-  const portfolioAnalysis = useMemo(() => {
-    if (!smartMoneyLoaded || !processedData?.traderPortfolios) return null;
-    
-    const currentTrader = selectedTrader === 'all' ? Object.keys(processedData.traderPortfolios)[0] : selectedTrader;
-    const portfolio = processedData.traderPortfolios[currentTrader] || [];
-    
-    if (portfolio.length === 0) return null;
-    
-    const redAlerts = [];
-    const yellowAlerts = [];
-    const tealAlerts = [];
-    const greenPositions = [];
-    const noData = [];
+  // With/against win rates across 1-20 session horizons
+  const horizonSweep = useMemo(() => (
+    smartMoneyLoaded ? getHorizonSweep() : null
+  ), [smartMoneyLoaded, getHorizonSweep]);
+
+  // Trader whose portfolio is scanned and summarized; with all traders selected it is picked in the header
+  const [pickedTrader, setPickedTrader] = useState('');
+  const portfolioTraders = useMemo(() => (
+    Object.keys(processedData?.traderPortfolios || {}).sort()
+  ), [processedData]);
+  const portfolioTrader = selectedTrader !== 'all'
+    ? selectedTrader
+    : (portfolioTraders.includes(pickedTrader) ? pickedTrader : portfolioTraders[0]);
+
+  // Portfolio-wide smart money scan (runs in the analytics worker)
+  const [portfolioScan, setPortfolioScan] = useState(null);
+  const [scanProgress, setScanProgress] = useState(null); // { done, total }
+
+  useEffect(() => {
+    setPortfolioScan(null);
+    if (!analyticsReady || !processedData?.traderPortfolios) return;
     
-    let totalSentiment = 0;
-    let sentimentCount = 0;
-    const clientTypeTotals = {};
-    [...SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE].forEach(t => clientTypeTotals[t] = { total: 0, count: 0 });
+    const portfolio = processedData.traderPortfolios[portfolioTrader] || [];
     
-    // Foreign flow tracking
-    let foreignFlowBullish = 0;
-    let foreignFlowBearish = 0;
-    let foreignFlowNeutral = 0;
-    let contrarianCount = 0;
-    let totalWeightedSentiment = 0;
-    let weightedSentimentCount = 0;
-    let gDataCount = 0; // positions with Foreign G data (high confidence)
+    if (portfolio.length === 0) return;
     
-    for (const isin of portfolio) {
-      const sentiment = getSmartMoneySentiment(isin, sessionDate);
-      const secInfo = isinToSecurity.get(isin.toUpperCase());
-      const pattern = detectSmartMoneyPattern(isin, sessionDate, 10);
-      const patternOutcomes = sentiment?.smartMoneySentiment < -0.3 
-        ? getPatternOutcomes(isin, sentiment.smartMoneySentiment, 5) 
-        : null;
-      const patternStrength = calculatePatternStrength(pattern, sentiment?.smartMoneySentiment);
-      const consensus = sentiment?.typeSentiments 
-        ? calculateConsensusScore(sentiment.typeSentiments)
-        : null;
-      
-      // Foreign flow signal
-      const foreignFlow = sentiment ? calculateForeignFlowSignal(sentiment) : null;
-      
-      // Weighted sentiment
-      const weighted = sentiment?.typeSentiments 
-        ? calculateWeightedSentiment(sentiment.typeSentiments, sentiment.byType)
-        : null;
-      
-      const item = {
-        isin,
-        symbol: secInfo?.symbol || isin.substring(0, 8),
-        companyName: secInfo?.companyName,
-        sentiment: sentiment?.smartMoneySentiment,
-        typeSentiments: sentiment?.typeSentiments,
-        buyVolume: sentiment?.smartMoneyBuy,
-        sellVolume: sentiment?.smartMoneySell,
-        pattern,
-        patternOutcomes,
-        patternStrength,
-        consensus,
-        foreignFlow,
-        weighted,
-      };
-      
-      // Check both if sentiment exists AND has valid data
-      if (!sentiment || sentiment.smartMoneySentiment === null) {
-        noData.push(item);
-        continue;
-      }
-      
-      // Accumulate for averages
-      totalSentiment += sentiment.smartMoneySentiment;
-      sentimentCount++;
-      
-      // Accumulate foreign flow stats
-      if (foreignFlow) {
-        gDataCount++;
-        if (foreignFlow.direction === 'BULLISH') foreignFlowBullish++;
-        else if (foreignFlow.direction === 'BEARISH') foreignFlowBearish++;
-        else foreignFlowNeutral++;
-        if (foreignFlow.isContrarian) contrarianCount++;
-      }
-      
-      // Accumulate weighted sentiment
-      if (weighted?.weightedSentiment !== null && weighted?.weightedSentiment !== undefined) {
-        totalWeightedSentiment += weighted.weightedSentiment;
-        weightedSentimentCount++;
-      }
-      
-      // Accumulate client type sentiments (including G for foreign flow)
-      if (sentiment.typeSentiments) {
-        [...SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE].forEach(type => {
-          const typeSentiment = sentiment.typeSentiments[type];
-          if (typeSentiment !== undefined && typeSentiment !== null) {
-            clientTypeTotals[type].total += typeSentiment;
-            clientTypeTotals[type].count++;
-          }
-        });
-      }
-      
-      // Categorize by alert level
-      const enhancedAlert = getEnhancedAlertLevel(sentiment.smartMoneySentiment, pattern);
-      item.alertLevel = enhancedAlert.level;
-      item.alertReason = enhancedAlert.reason;
-      item.alertAction = enhancedAlert.action;
-      
-      if (enhancedAlert.level === 'HIGH') {
-        redAlerts.push(item);
-      } else if (enhancedAlert.level === 'MEDIUM') {
-        yellowAlerts.push(item);
-      } else if (enhancedAlert.level === 'BULLISH') {
-        tealAlerts.push(item);
-      } else {
-        greenPositions.push(item);
-      }
-    }
-    
-    // Sort by sentiment/strength
-    redAlerts.sort((a, b) => (a.sentiment || 0) - (b.sentiment || 0));
-    yellowAlerts.sort((a, b) => (a.sentiment || 0) - (b.sentiment || 0));
-    tealAlerts.sort((a, b) => (b.sentiment || 0) - (a.sentiment || 0));
-    
-    // Calculate client type averages
-    const clientTypeAvg = {};
-    [...SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE].forEach(type => {
-      if (clientTypeTotals[type].count > 0) {
-        clientTypeAvg[type] = clientTypeTotals[type].total / clientTypeTotals[type].count;
-      }
+    let active = true;
+    setScanProgress({ done: 0, total: portfolio.length });
+    const job = scanPortfolio(portfolio, sessionDate, (done, total) => {
+      if (active) setScanProgress({ done, total });
     });
+    job.promise
+      .then(scan => {
+        if (active && scan) setPortfolioScan(scan);
+      })
+      .catch(err => console.error('Portfolio scan failed:', err))
+      .finally(() => {
+        if (active) setScanProgress(null);
+      });
+    
+    // Cancel when the trader/date/dataset changes or the tab unmounts
+    return () => {
+      active = false;
+      job.cancel();
+      setScanProgress(null);
+    };
+  }, [analyticsReady, analyticsDatasetVersion, processedData, portfolioTrader, sessionDate, scanPortfolio]);
+
+  // Portfolio averages: weighted by market value, or equal weight per security
+  const [sentimentWeighting, setSentimentWeighting] = useState('exposure');
+
+  const portfolioAnalysis = useMemo(() => {
+    if (!portfolioScan || !processedData) return null;
     
+    // Exposure weights: market value of the scanned trader's open positions
+    const marketValues = getPositionValues(processedData.traderHoldings?.[portfolioTrader]);
+
+    // Most bearish first for red/yellow
+    const bySentiment = (a, b) => (a.sentiment || 0) - (b.sentiment || 0);
     return {
-      totalSecurities: portfolio.length,
-      withData: sentimentCount,
-      avgSentiment: sentimentCount > 0 ? totalSentiment / sentimentCount : 0,
-      avgWeightedSentiment: weightedSentimentCount > 0 ? totalWeightedSentiment / weightedSentimentCount : 0,
-      redAlerts,
-      yellowAlerts,
-      tealAlerts,
-      greenPositions,
-      noData,
-      clientTypeAvg,
-      patternAlerts: redAlerts.filter(a => a.pattern?.flagged).length + 
-                     yellowAlerts.filter(a => a.pattern?.flagged).length,
-      foreignFlow: {
-        bullish: foreignFlowBullish,
-        bearish: foreignFlowBearish,
-        neutral: foreignFlowNeutral,
-        contrarianSignals: contrarianCount,
-        total: foreignFlowBullish + foreignFlowBearish + foreignFlowNeutral,
-      },
-      gCoverage: {
-        count: gDataCount,
-        total: sentimentCount,
-        percent: sentimentCount > 0 ? (gDataCount / sentimentCount * 100) : 0,
-      },
+      ...summarizePortfolioScan(portfolioScan, { marketValues }),
+      redAlerts: [...portfolioScan.redAlerts].sort(bySentiment),
+      yellowAlerts: [...portfolioScan.yellowAlerts].sort(bySentiment),
+      tealAlerts: portfolioScan.tealAlerts,
+      greenPositions: portfolioScan.greenPositions,
+      noData: portfolioScan.noData,
     };
-  }, [smartMoneyLoaded, processedData, selectedTrader, sessionDate, getSmartMoneySentiment, detectSmartMoneyPattern, getPatternOutcomes, isinToSecurity]);
+  }, [portfolioScan, processedData, portfolioTrader]);
 
   if (!processedData) {
     return (
@@ -207,6 +136,19 @@ export default function Dashboard() {
   }
 
   const { stats, traderStats } = processedData;
+  const holdings = processedData.traderHoldings?.[portfolioTrader];
+  const peerRanking = buildPeerRanking(traderComparison, portfolioTrader);
+
+  // Sentiment figures for the selected weighting (equal weight when no position has a market value)
+  const exposureWeighted = sentimentWeighting === 'exposure' && !!portfolioAnalysis?.exposure;
+  const portfolioSentiment = portfolioAnalysis && (exposureWeighted ? portfolioAnalysis.exposure : portfolioAnalysis);
+  const comparisonSentiment = portfolioAnalysis?.exposure && (exposureWeighted ? portfolioAnalysis : portfolioAnalysis.exposure);
+  // Foreign flow tallies: share of G-covered market value, or position counts
+  const formatFlowTally = (value) => (
+    exposureWeighted
+      ? (portfolioSentiment.foreignFlow.total > 0 ? `${((value / portfolioSentiment.foreignFlow.total) * 100).toFixed(0)}%` : '-')
+      : value
+  );
 
   return (
     <div className="space-y-6">
@@ -219,14 +161,84 @@ export default function Dashboard() {
           </p>
         </div>
         
-        {sessionDate && (
-          <div className="flex items-center gap-2 px-3 py-2 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 rounded-lg">
-            <Clock className="w-4 h-4 text-blue-600 dark:text-blue-400" />
-            <span className="text-sm text-blue-700 dark:text-blue-300">Analysis Date: <strong>{sessionDate}</strong></span>
-          </div>
-        )}
+        <div className="flex flex-wrap items-center gap-2">
+          <IndexSelector />
+          {selectedTrader === 'all' && portfolioTraders.length > 0 && (
+            <div className="flex items-center gap-2 px-3 py-1.5 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 rounded-lg">
+              <Briefcase className="w-4 h-4 text-blue-600 dark:text-blue-400 flex-shrink-0" />
+              <label htmlFor="portfolio-trader" className="text-sm text-blue-700 dark:text-blue-300 whitespace-nowrap">
+                Portfolio
+              </label>
+              <select
+                id="portfolio-trader"
+                value={portfolioTrader}
+                onChange={(e) => setPickedTrader(e.target.value)}
+                className="max-w-[12rem] px-2 py-1 border border-blue-200 dark:border-blue-800 rounded text-sm font-medium bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-400 outline-none"
+              >
+                {portfolioTraders.map(trader => (
+                  <option key={trader} value={trader}>{trader}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          {portfolioAnalysis?.exposure && (
+            <div className="flex items-center gap-1 p-1 bg-gray-100 dark:bg-gray-700 rounded-lg" title="Portfolio sentiment weighting">
+              {SENTIMENT_WEIGHTINGS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setSentimentWeighting(option.id)}
+                  className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                    sentimentWeighting === option.id
+                      ? 'bg-white dark:bg-gray-800 text-gray-900 dark:text-white shadow-sm'
+                      : 'text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-white'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+          )}
+          {sessionDate && (
+            <div className="flex items-center gap-2 px-3 py-2 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 rounded-lg">
+              <Clock className="w-4 h-4 text-blue-600 dark:text-blue-400" />
+              <span className="text-sm text-blue-700 dark:text-blue-300">Analysis Date: <strong>{sessionDate}</strong></span>
+            </div>
+          )}
+        </div>
       </div>
 
+      {/* Counter-Market Analysis */}
+      {processedData.counterMarket && processedData.counterMarket.overall.total > 0 && (
+        <CounterMarketAnalysis counterMarket={processedData.counterMarket} showTraders={selectedTrader === 'all'} />
+      )}
+
+      {/* Peer Ranking */}
+      {peerRanking && <PeerRanking ranking={peerRanking} />}
+
+      {/* Net Holdings */}
+      {holdings && (
+        <HoldingsSummary trader={portfolioTrader} holdings={holdings} isinToSecurity={isinToSecurity} />
+      )}
+
+      {/* Portfolio Scan Progress */}
+      {scanProgress && (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-4">
+          <div className="flex items-center justify-between text-sm text-gray-600 dark:text-gray-400 mb-2">
+            <span className="flex items-center gap-2">
+              <Activity className="w-4 h-4 animate-pulse" />
+              Scanning portfolio...
+            </span>
+            <span>{scanProgress.done}/{scanProgress.total}</span>
+          </div>
+          <div className="h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+            <div
+              className="h-full bg-blue-500 transition-all"
+              style={{ width: `${scanProgress.total > 0 ? (scanProgress.done / scanProgress.total) * 100 : 0}%` }}
+            />
+          </div>
+        </div>
+      )}
+
       {/* Alert Summary Bar */}
       {portfolioAnalysis && (
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-4">
@@ -283,9 +295,9 @@ export default function Dashboard() {
           <MetricCard
             icon={Activity}
             label="EDA-Weighted Sentiment"
-            value={`${portfolioAnalysis.avgWeightedSentiment >= 0 ? '+' : ''}${(portfolioAnalysis.avgWeightedSentiment * 100).toFixed(1)}%`}
-            subtext={portfolioAnalysis.avgWeightedSentiment >= 0.1 ? 'Bullish bias' : portfolioAnalysis.avgWeightedSentiment <= -0.1 ? 'Bearish bias' : 'Neutral'}
-            color={portfolioAnalysis.avgWeightedSentiment >= 0 ? 'green' : 'red'}
+            value={`${portfolioSentiment.avgWeightedSentiment >= 0 ? '+' : ''}${(portfolioSentiment.avgWeightedSentiment * 100).toFixed(1)}%`}
+            subtext={`${portfolioSentiment.avgWeightedSentiment >= 0.1 ? 'Bullish bias' : portfolioSentiment.avgWeightedSentiment <= -0.1 ? 'Bearish bias' : 'Neutral'} · ${exposureWeighted ? 'by value' : 'equal weight'}`}
+            color={portfolioSentiment.avgWeightedSentiment >= 0 ? 'green' : 'red'}
             explanation={METRIC_EXPLANATIONS.portfolioSentiment}
           />
           <MetricCard
@@ -331,24 +343,28 @@ export default function Dashboard() {
             
             <div className="grid grid-cols-3 gap-3 mb-3">
               <div className="text-center p-2 bg-green-50 dark:bg-green-900/30 rounded-lg">
-                <p className="text-xl font-bold text-green-600">{portfolioAnalysis.foreignFlow.bullish}</p>
+                <p className="text-xl font-bold text-green-600">{formatFlowTally(portfolioSentiment.foreignFlow.bullish)}</p>
                 <p className="text-xs text-green-700">Bullish</p>
               </div>
               <div className="text-center p-2 bg-red-50 dark:bg-red-900/30 rounded-lg">
-                <p className="text-xl font-bold text-red-600">{portfolioAnalysis.foreignFlow.bearish}</p>
+                <p className="text-xl font-bold text-red-600">{formatFlowTally(portfolioSentiment.foreignFlow.bearish)}</p>
                 <p className="text-xs text-red-700">Bearish</p>
               </div>
               <div className="text-center p-2 bg-gray-50 dark:bg-gray-700 rounded-lg">
-                <p className="text-xl font-bold text-gray-600 dark:text-gray-300">{portfolioAnalysis.foreignFlow.neutral}</p>
+                <p className="text-xl font-bold text-gray-600 dark:text-gray-300">{formatFlowTally(portfolioSentiment.foreignFlow.neutral)}</p>
                 <p className="text-xs text-gray-500">Neutral</p>
               </div>
             </div>
             
-            {portfolioAnalysis.foreignFlow.contrarianSignals > 0 && (
+            {portfolioSentiment.foreignFlow.contrarianSignals > 0 && (
               <div className="p-2 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700 rounded-lg flex items-center gap-2">
                 <ArrowLeftRight className="w-4 h-4 text-amber-600" />
                 <span className="text-xs text-amber-800 dark:text-amber-300">
-                  <strong>{portfolioAnalysis.foreignFlow.contrarianSignals}</strong> contrarian signals — foreign vs smart money disagree
+                  {exposureWeighted ? (
+                    <><strong>{formatFlowTally(portfolioSentiment.foreignFlow.contrarianSignals)}</strong> of G-covered value in contrarian signals</>
+                  ) : (
+                    <><strong>{portfolioAnalysis.foreignFlow.contrarianSignals}</strong> contrarian signals</>
+                  )} — foreign vs smart money disagree
                 </span>
               </div>
             )}
@@ -368,20 +384,31 @@ export default function Dashboard() {
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">EDA-Weighted (Primary)</p>
-                <p className={`text-2xl font-bold ${portfolioAnalysis.avgWeightedSentiment >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                  {portfolioAnalysis.avgWeightedSentiment >= 0 ? '+' : ''}{(portfolioAnalysis.avgWeightedSentiment * 100).toFixed(1)}%
+                <p className={`text-2xl font-bold ${portfolioSentiment.avgWeightedSentiment >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {portfolioSentiment.avgWeightedSentiment >= 0 ? '+' : ''}{(portfolioSentiment.avgWeightedSentiment * 100).toFixed(1)}%
                 </p>
               </div>
               <div>
                 <p className="text-xs text-gray-500 dark:text-gray-400 mb-1">Raw Composite</p>
-                <p className={`text-lg font-bold ${portfolioAnalysis.avgSentiment >= 0 ? 'text-green-600' : 'text-red-600'}`}>
-                  {portfolioAnalysis.avgSentiment >= 0 ? '+' : ''}{(portfolioAnalysis.avgSentiment * 100).toFixed(1)}%
+                <p className={`text-lg font-bold ${portfolioSentiment.avgSentiment >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {portfolioSentiment.avgSentiment >= 0 ? '+' : ''}{(portfolioSentiment.avgSentiment * 100).toFixed(1)}%
                 </p>
               </div>
             </div>
+
+            {comparisonSentiment && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-3">
+                {exposureWeighted ? 'Equal weight' : 'By market value'}:{' '}
+                <strong className={comparisonSentiment.avgWeightedSentiment >= 0 ? 'text-green-600' : 'text-red-600'}>
+                  {comparisonSentiment.avgWeightedSentiment >= 0 ? '+' : ''}{(comparisonSentiment.avgWeightedSentiment * 100).toFixed(1)}%
+                </strong>{' '}
+                EDA-weighted, {comparisonSentiment.avgSentiment >= 0 ? '+' : ''}{(comparisonSentiment.avgSentiment * 100).toFixed(1)}% raw
+                {' '}({portfolioAnalysis.exposure.coverage.toFixed(0)}% of {formatAmount(portfolioAnalysis.exposure.totalValue, { signed: false })} market value has sentiment data)
+              </p>
+            )}
             
             <p className="text-sm text-gray-400 dark:text-gray-500 mt-3">
-              Optimized weights (G=3.0, O=1.5, F=0.45 with G; F=3.0, O=1.69 without G) drive the traffic light decisions.
+              {weightsSource === 'fitted' && weightFitStatus !== 'ahead' ? 'Re-fit' : 'Optimized'} weights ({formatLeadingWeights(sentimentWeights.withG)} with G; {formatLeadingWeights(sentimentWeights.withoutG)} without G) drive the traffic light decisions.
             </p>
             <p className="text-sm mt-1.5 flex items-center gap-1.5">
               <ShieldCheck className="w-3.5 h-3.5 text-green-500" />
@@ -453,7 +480,7 @@ export default function Dashboard() {
       )}
 
       {/* Client Type Sentiment Breakdown */}
-      {portfolioAnalysis && Object.keys(portfolioAnalysis.clientTypeAvg).length > 0 && (
+      {portfolioAnalysis && Object.keys(portfolioSentiment.clientTypeAvg).length > 0 && (
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
           <div className="flex items-center gap-3 mb-4">
             <Users className="w-6 h-6 text-purple-500" />
@@ -464,17 +491,17 @@ export default function Dashboard() {
           </div>
           
           <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
-            Average sentiment by institutional investor type across your portfolio
+            Average sentiment by institutional investor type across your portfolio{exposureWeighted ? ', weighted by market value' : ''}
           </p>
           
           <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-6 gap-3">
             {[...SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE].map(type => {
-              const avgSentiment = portfolioAnalysis.clientTypeAvg[type];
+              const avgSentiment = portfolioSentiment.clientTypeAvg[type];
               if (avgSentiment === undefined) return null;
               
               const typeInfo = CLIENT_TYPES[type];
               const typeExplanation = METRIC_EXPLANATIONS[`clientType${type}`];
-              const quality = TYPE_PREDICTIVE_QUALITY[type];
+              const quality = edaConstants.typePredictiveQuality[type];
               const isForeign = type === FOREIGN_FLOW_TYPE;
               
               return (
@@ -668,6 +695,38 @@ export default function Dashboard() {
         </div>
       )}
 
+      {/* Win Rate by Holding Horizon */}
+      {horizonSweep && horizonSweep.matrix.some(cell => cell.with.trades + cell.against.trades > 0) && (
+        <HorizonSweep sweep={horizonSweep} />
+      )}
+
+      {/* EDA Constants: shipped vs recalibrated */}
+      <CalibrationPanel />
+
+      {/* Weighted sentiment weights: default vs re-fit */}
+      <WeightFitPanel />
+
+      {/* Walk-forward traffic light backtest */}
+      <BacktestPanel />
+
+      {/* Actual vs no-RED vs alert-rule books */}
+      <StrategySimulator />
+
+      {/* Trade-Level P&L Attribution */}
+      <TradeAttribution
+        getTradeAttribution={getTradeAttribution}
+        traders={traders}
+        defaultTrader={selectedTrader}
+        isinToSecurity={isinToSecurity}
+      />
+
+      {/* FIFO round trips: exit timing vs institutional selling */}
+      <RoundTripAnalysis
+        getRoundTrips={getRoundTrips}
+        trader={selectedTrader}
+        isinToSecurity={isinToSecurity}
+      />
+
       {/* Pattern Detection Summary */}
       {portfolioAnalysis && (portfolioAnalysis.redAlerts.some(a => a.pattern?.flagged) || portfolioAnalysis.yellowAlerts.some(a => a.pattern?.flagged)) && (
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
@@ -761,7 +820,8 @@ export default function Dashboard() {
                 <tr className="border-b">
                   <th className="text-left py-3 px-4 font-medium text-gray-600">Trader</th>
                   <th className="text-right py-3 px-4 font-medium text-gray-600">Total Trades</th>
-                  <th className="text-right py-3 px-4 font-medium text-gray-600">Portfolio Size</th>
+                  <th className="text-right py-3 px-4 font-medium text-gray-600">Open Positions</th>
+                  <th className="text-right py-3 px-4 font-medium text-gray-600">Realized P&L</th>
                 </tr>
               </thead>
               <tbody>
@@ -780,6 +840,11 @@ export default function Dashboard() {
                       <td className="text-right py-3 px-4 font-mono">
                         {processedData.traderPortfolios[trader]?.length || 0} ISINs
                       </td>
+                      <td className={`text-right py-3 px-4 font-mono ${
+                        (processedData.traderHoldings[trader]?.totals.realizedPnl || 0) >= 0 ? 'text-green-600' : 'text-red-600'
+                      }`}>
+                        {formatAmount(processedData.traderHoldings[trader]?.totals.realizedPnl || 0)}
+                      </td>
                     </tr>
                   ))}
               </tbody>
@@ -795,6 +860,893 @@ export default function Dashboard() {
   );
 }
 
+/**
+ * Counter-Market Analysis - trade direction vs benchmark index move
+ */
+function CounterMarketAnalysis({ counterMarket, showTraders }) {
+  const { overall, byAction, byTrader, byPeriod, byLevel } = counterMarket;
+  
+  const distribution = [
+    { name: 'Counter-Market', value: overall.counterMarket, color: COLORS.medium },
+    { name: 'Aligned', value: overall.aligned, color: COLORS.teal },
+  ];
+  
+  const actionData = [
+    { name: 'Buy', counter: Number(byAction.buy.contrarianRatio.toFixed(1)), trades: byAction.buy.total },
+    { name: 'Sell', counter: Number(byAction.sell.contrarianRatio.toFixed(1)), trades: byAction.sell.total },
+  ];
+  
+  const periodData = byPeriod.map(p => ({
+    period: p.period,
+    counter: Number(p.contrarianRatio.toFixed(1)),
+    trades: p.total,
+  }));
+  
+  const counterWins = overall.counterMarket > overall.aligned;
+  const traderRows = Object.entries(byTrader).sort((a, b) => b[1].total - a[1].total);
+  
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Target className="w-6 h-6 text-amber-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Counter-Market Analysis</h3>
+        {counterMarket.indexName && (
+          <span className="text-xs text-yellow-800 dark:text-yellow-300 bg-yellow-100 dark:bg-yellow-900/40 px-2 py-1 rounded">vs {counterMarket.indexName}</span>
+        )}
+        <InfoTooltip title={METRIC_EXPLANATIONS.contrarianRatio.title} position="right">
+          {METRIC_EXPLANATIONS.contrarianRatio.description}
+        </InfoTooltip>
+      </div>
+      
+      {/* Key Metrics */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <MetricCard
+          icon={BarChart3}
+          label="Total Transactions"
+          value={overall.total.toLocaleString()}
+          subtext={counterMarket.withoutIndexData > 0 ? `${counterMarket.withoutIndexData} without index data` : 'All with index data'}
+          color="blue"
+        />
+        <MetricCard
+          icon={Target}
+          label="Contrarian Ratio"
+          value={`${overall.contrarianRatio.toFixed(1)}%`}
+          subtext={`${overall.counterMarket} counter-market trades`}
+          color="amber"
+          explanation={METRIC_EXPLANATIONS.contrarianRatio}
+        />
+        <MetricCard
+          icon={TrendingUp}
+          label="Buy Trades"
+          value={byAction.buy.total.toLocaleString()}
+          subtext={`${byAction.buy.contrarianRatio.toFixed(1)}% counter-market`}
+          color="green"
+        />
+        <MetricCard
+          icon={TrendingDown}
+          label="Sell Trades"
+          value={byAction.sell.total.toLocaleString()}
+          subtext={`${byAction.sell.contrarianRatio.toFixed(1)}% counter-market`}
+          color="red"
+        />
+      </div>
+      
+      {/* Winner Analysis */}
+      <div className="mb-6 p-4 bg-amber-50 dark:bg-amber-900/20 border border-amber-200 dark:border-amber-700 rounded-lg">
+        <p className="text-sm text-amber-800 dark:text-amber-200">
+          <strong>{counterWins ? 'Counter-market' : 'Aligned'} trading</strong> was more frequent
+          ({Math.max(overall.counterMarket, overall.aligned)} of {overall.total} trades).
+        </p>
+        <div className="flex flex-wrap items-center gap-2 mt-2">
+          <span className="text-xs text-amber-700 dark:text-amber-300">Divergence:</span>
+          {['HIGH', 'MEDIUM', 'LOW', 'NONE'].map(level => (
+            <span key={level} className={`px-2 py-0.5 rounded text-xs font-medium ${
+              level === 'HIGH' ? 'bg-red-100 text-red-700' :
+              level === 'MEDIUM' ? 'bg-yellow-100 text-yellow-700' :
+              level === 'LOW' ? 'bg-blue-100 text-blue-700' :
+              'bg-green-100 text-green-700'
+            }`}>
+              {level}: {byLevel[level]}
+            </span>
+          ))}
+          <InfoTooltip title={METRIC_EXPLANATIONS.divergenceLevel.title} position="top">
+            {METRIC_EXPLANATIONS.divergenceLevel.description}
+          </InfoTooltip>
+        </div>
+      </div>
+      
+      {/* Charts */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+        <div>
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Trade Distribution</p>
+          <ResponsiveContainer width="100%" height={220}>
+            <PieChart>
+              <Pie data={distribution} dataKey="value" nameKey="name" innerRadius={50} outerRadius={80} paddingAngle={2}>
+                {distribution.map(entry => (
+                  <Cell key={entry.name} fill={entry.color} />
+                ))}
+              </Pie>
+              <Tooltip />
+              <Legend />
+            </PieChart>
+          </ResponsiveContainer>
+        </div>
+        <div>
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Counter-Market % by Action</p>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={actionData}>
+              <XAxis dataKey="name" />
+              <YAxis unit="%" domain={[0, 100]} />
+              <Tooltip formatter={(value) => `${value}%`} />
+              <Bar dataKey="counter" name="Counter-Market %">
+                {actionData.map(entry => (
+                  <Cell key={entry.name} fill={entry.name === 'Buy' ? COLORS.bullish : COLORS.bearish} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+      
+      {/* By Period */}
+      {periodData.length > 1 && (
+        <div className="mb-6">
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Contrarian Ratio by Month</p>
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={periodData}>
+              <XAxis dataKey="period" tick={{ fontSize: 11 }} />
+              <YAxis unit="%" domain={[0, 100]} />
+              <Tooltip formatter={(value, name) => (name === 'Counter-Market %' ? `${value}%` : value)} />
+              <Bar dataKey="counter" name="Counter-Market %" fill={COLORS.medium} />
+            </BarChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+      
+      {/* By Trader */}
+      {showTraders && traderRows.length > 1 && (
+        <div className="border-t dark:border-gray-700 pt-4 overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b dark:border-gray-700">
+                <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Trader</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Trades</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Counter-Market</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Contrarian Ratio</th>
+              </tr>
+            </thead>
+            <tbody>
+              {traderRows.map(([trader, bucket]) => (
+                <tr key={trader} className="border-b dark:border-gray-700 last:border-0">
+                  <td className="py-2 px-3 font-medium dark:text-gray-200">{trader}</td>
+                  <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{bucket.total}</td>
+                  <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{bucket.counterMarket}</td>
+                  <td className="py-2 px-3 text-right font-mono font-bold text-amber-600">{bucket.contrarianRatio.toFixed(1)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Format a money amount with K/M suffix and sign
+function formatAmount(value, { signed = true } = {}) {
+  if (value === null || value === undefined) return '-';
+  const sign = value < 0 ? '-' : signed && value > 0 ? '+' : '';
+  const abs = Math.abs(value);
+  if (abs >= 1000000) return `${sign}${(abs / 1000000).toFixed(2)}M`;
+  if (abs >= 1000) return `${sign}${(abs / 1000).toFixed(1)}K`;
+  return `${sign}${abs.toFixed(0)}`;
+}
+
+// Weights that dominate a set, e.g. "G=3.00, O=1.50, F=0.45"
+function formatLeadingWeights(weights) {
+  return Object.entries(weights)
+    .filter(([, weight]) => weight >= 0.4)
+    .sort((a, b) => b[1] - a[1])
+    .map(([type, weight]) => `${type}=${weight.toFixed(2)}`)
+    .join(', ');
+}
+
+/**
+ * Net Holdings - open positions from the Quantity/Price ledger as of the session date
+ */
+function HoldingsSummary({ trader, holdings, isinToSecurity }) {
+  const { totals, openPositions } = holdings;
+  const topPositions = openPositions.slice(0, 10);
+  
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Briefcase className="w-6 h-6 text-blue-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Net Holdings</h3>
+        <span className="text-xs text-blue-700 dark:text-blue-300 bg-blue-100 dark:bg-blue-900/40 px-2 py-1 rounded">{trader}</span>
+        <InfoTooltip title={METRIC_EXPLANATIONS.holdingsLedger.title} position="right">
+          {METRIC_EXPLANATIONS.holdingsLedger.description}
+        </InfoTooltip>
+      </div>
+      
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        <MetricCard
+          icon={Briefcase}
+          label="Open Positions"
+          value={totals.openPositions.toString()}
+          subtext={`${totals.closedPositions} fully closed`}
+          color="blue"
+        />
+        <MetricCard
+          icon={BarChart3}
+          label="Market Value"
+          value={formatAmount(totals.marketValue, { signed: false })}
+          subtext={`Cost basis ${formatAmount(totals.costBasis, { signed: false })}`}
+          color="blue"
+        />
+        <MetricCard
+          icon={totals.unrealizedPnl >= 0 ? TrendingUp : TrendingDown}
+          label="Unrealized P&L"
+          value={formatAmount(totals.unrealizedPnl)}
+          subtext="Open positions at latest close"
+          color={totals.unrealizedPnl >= 0 ? 'green' : 'red'}
+        />
+        <MetricCard
+          icon={totals.realizedPnl >= 0 ? TrendingUp : TrendingDown}
+          label="Realized P&L"
+          value={formatAmount(totals.realizedPnl)}
+          subtext="Sells vs average cost"
+          color={totals.realizedPnl >= 0 ? 'green' : 'red'}
+        />
+      </div>
+      
+      {topPositions.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b dark:border-gray-700">
+                <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Security</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Quantity</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Avg Cost</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Last Price</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Market Value</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Unrealized</th>
+                <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Realized</th>
+              </tr>
+            </thead>
+            <tbody>
+              {topPositions.map(position => (
+                <tr key={position.isin} className="border-b dark:border-gray-700 last:border-0">
+                  <td className="py-2 px-3">
+                    <span className="font-medium dark:text-gray-200">{isinToSecurity.get(position.isin)?.symbol || position.isin}</span>
+                    {position.missingQuantity && (
+                      <span className="ml-2 text-xs text-amber-600" title="Some transactions have no Quantity">qty?</span>
+                    )}
+                  </td>
+                  <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{position.quantity.toLocaleString()}</td>
+                  <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{position.avgCost ? position.avgCost.toFixed(2) : '-'}</td>
+                  <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{position.lastPrice != null ? position.lastPrice.toFixed(2) : '-'}</td>
+                  <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{formatAmount(position.marketValue, { signed: false })}</td>
+                  <td className={`py-2 px-3 text-right font-mono ${(position.unrealizedPnl || 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatAmount(position.unrealizedPnl)}
+                  </td>
+                  <td className={`py-2 px-3 text-right font-mono ${position.realizedPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {formatAmount(position.realizedPnl)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {openPositions.length > topPositions.length && (
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              Showing the {topPositions.length} largest of {openPositions.length} open positions
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const PEER_BAND_STYLES = {
+  high: { bar: 'bg-blue-500', badge: 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300' },
+  mid: { bar: 'bg-gray-400', badge: 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300' },
+  low: { bar: 'bg-amber-500', badge: 'bg-amber-100 dark:bg-amber-900/40 text-amber-700 dark:text-amber-300' },
+};
+
+function formatPeerValue(value, format) {
+  if (value === null || value === undefined) return '-';
+  return format === 'sessions' ? `${value.toFixed(0)} sessions` : `${value.toFixed(1)}%`;
+}
+
+/**
+ * Peer Ranking - each style metric as a percentile among all traders, with a style label
+ */
+function PeerRanking({ ranking }) {
+  const headline = [
+    ranking.metrics.find(m => m.key === 'contrarian')?.style,
+    ranking.institutionalStyle?.style,
+    ranking.metrics.find(m => m.key === 'holdingSessions')?.style,
+  ].filter(Boolean);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <Award className="w-6 h-6 text-blue-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Peer Ranking</h3>
+        <InfoTooltip title={METRIC_EXPLANATIONS.peerRanking.title} position="right">
+          {METRIC_EXPLANATIONS.peerRanking.description}
+        </InfoTooltip>
+        <span className="text-sm text-gray-500 dark:text-gray-400">{ranking.trader} vs {ranking.peers - 1} other trader{ranking.peers === 2 ? '' : 's'}</span>
+      </div>
+
+      {ranking.peers < 2 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Percentiles need at least two traders in the file.</p>
+      ) : (
+        <>
+          {headline.length > 0 && (
+            <div className="flex flex-wrap gap-2 mb-4">
+              {headline.map(style => (
+                <span key={style} className="px-3 py-1 text-sm font-medium rounded-full bg-indigo-100 dark:bg-indigo-900/40 text-indigo-700 dark:text-indigo-300">
+                  {style}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b dark:border-gray-700">
+                  <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Metric</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Value</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Team</th>
+                  <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Percentile</th>
+                  <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Style</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ranking.metrics.map(metric => (
+                  <tr key={metric.key} className="border-b dark:border-gray-700 last:border-0">
+                    <td className="py-2 px-3 text-gray-700 dark:text-gray-300">{metric.label}</td>
+                    <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{formatPeerValue(metric.value, metric.format)}</td>
+                    <td className="py-2 px-3 text-right font-mono text-gray-500 dark:text-gray-400">{formatPeerValue(metric.teamValue, metric.format)}</td>
+                    <td className="py-2 px-3">
+                      {metric.percentile === null ? (
+                        <span className="text-gray-400">-</span>
+                      ) : (
+                        <div className="flex items-center gap-2">
+                          <div className="w-24 h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                            <div className={`h-full ${PEER_BAND_STYLES[metric.band].bar}`} style={{ width: `${metric.percentile}%` }} />
+                          </div>
+                          <span className="font-mono text-xs text-gray-600 dark:text-gray-400">P{metric.percentile.toFixed(0)}</span>
+                        </div>
+                      )}
+                    </td>
+                    <td className="py-2 px-3">
+                      {metric.style ? (
+                        <span className={`px-2 py-0.5 text-xs rounded ${PEER_BAND_STYLES[metric.band].badge}`}>{metric.style}</span>
+                      ) : (
+                        <span className="text-xs text-gray-400">{metric.value === null ? 'No data' : '-'}</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+const HORIZON_BUCKETS = [
+  { key: 'with', label: 'With', color: '#22c55e' },
+  { key: 'against', label: 'Against', color: '#ef4444' },
+  { key: 'neutral', label: 'Neutral', color: '#9ca3af' },
+];
+
+const CONFIDENCE_STYLES = {
+  green: 'text-green-700 dark:text-green-300',
+  yellow: 'text-yellow-700 dark:text-yellow-300',
+  orange: 'text-orange-600 dark:text-orange-300',
+  gray: 'text-gray-500 dark:text-gray-400',
+};
+
+/**
+ * Win Rate by Horizon - small multiples of with/against/neutral win rates per holding period
+ */
+function HorizonSweep({ sweep }) {
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex items-center gap-3 mb-4">
+        <Clock className="w-6 h-6 text-purple-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Win Rate by Horizon</h3>
+        <InfoTooltip title={METRIC_EXPLANATIONS.horizonSweep.title} position="right">
+          {METRIC_EXPLANATIONS.horizonSweep.description}
+        </InfoTooltip>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+        {sweep.matrix.map(cell => {
+          const chartData = HORIZON_BUCKETS.map(bucket => ({
+            name: bucket.label,
+            winRate: cell[bucket.key].winRate,
+            trades: cell[bucket.key].trades,
+            color: bucket.color,
+          }));
+          return (
+            <div key={cell.days} className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+              <p className="text-sm font-medium text-gray-900 dark:text-white mb-2">
+                {cell.days} {cell.days === 1 ? 'session' : 'sessions'}
+              </p>
+              <div className="h-32">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={chartData} margin={{ top: 4, right: 4, left: -24, bottom: 0 }}>
+                    <XAxis dataKey="name" tick={{ fontSize: 10 }} />
+                    <YAxis domain={[0, 100]} tick={{ fontSize: 10 }} />
+                    <Tooltip formatter={(value, name, entry) => [`${value.toFixed(1)}% (${entry.payload.trades} trades)`, 'Win rate']} />
+                    <Bar dataKey="winRate">
+                      {chartData.map(entry => (
+                        <Cell key={entry.name} fill={entry.color} />
+                      ))}
+                    </Bar>
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="mt-2 space-y-0.5 text-xs">
+                {HORIZON_BUCKETS.slice(0, 2).map(bucket => {
+                  const data = cell[bucket.key];
+                  return (
+                    <div key={bucket.key} className="flex items-center justify-between">
+                      <span className="text-gray-600 dark:text-gray-400">{bucket.label}: n={data.trades}</span>
+                      <span className={CONFIDENCE_STYLES[data.confidence.color]}>{data.confidence.label}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const ATTRIBUTION_HOLDING_DAYS = [1, 5, 10, 20];
+const ATTRIBUTION_MAX_ROWS = 50;
+
+const ALIGNMENT_STYLES = {
+  WITH: { label: 'With', className: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' },
+  AGAINST: { label: 'Against', className: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300' },
+  NEUTRAL: { label: 'Neutral', className: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300' },
+};
+
+// Signed percent with color, '-' when missing
+function ReturnCell({ value }) {
+  if (value === null || value === undefined) {
+    return <td className="py-2 px-3 text-right text-gray-400">-</td>;
+  }
+  return (
+    <td className={`py-2 px-3 text-right font-mono ${value >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+      {value >= 0 ? '+' : ''}{value.toFixed(2)}%
+    </td>
+  );
+}
+
+function SortableHeader({ label, sortKey, sort, onSort, align = 'right' }) {
+  const active = sort.key === sortKey;
+  return (
+    <th
+      onClick={() => onSort(sortKey)}
+      className={`py-2 px-3 font-medium text-gray-600 dark:text-gray-400 cursor-pointer select-none hover:text-gray-900 dark:hover:text-white text-${align}`}
+    >
+      {label}{active ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : ''}
+    </th>
+  );
+}
+
+/**
+ * Trade-Level P&L Attribution - executed Price vs the close N sessions later, against the benchmark
+ */
+function TradeAttribution({ getTradeAttribution, traders, defaultTrader, isinToSecurity }) {
+  const [holdingDays, setHoldingDays] = useState(5);
+  const [filters, setFilters] = useState({ trader: defaultTrader, isin: '', from: '', to: '' });
+  const [sort, setSort] = useState({ key: 'date', dir: 'desc' });
+
+  // Follow the dashboard trader filter
+  useEffect(() => {
+    setFilters(prev => ({ ...prev, trader: defaultTrader }));
+  }, [defaultTrader]);
+
+  const rows = useMemo(() => getTradeAttribution(holdingDays), [getTradeAttribution, holdingDays]);
+
+  const filtered = useMemo(() => filterTradeAttribution(rows, {
+    trader: filters.trader,
+    isin: filters.isin,
+    from: filters.from || null,
+    to: filters.to || null,
+  }), [rows, filters]);
+
+  const summary = useMemo(() => summarizeTradeAttribution(filtered), [filtered]);
+
+  const sortedTrades = useMemo(() => {
+    const completed = filtered.filter(row => row.status === 'OK');
+    const dir = sort.dir === 'asc' ? 1 : -1;
+    return completed.sort((a, b) => {
+      const av = a[sort.key];
+      const bv = b[sort.key];
+      // Missing values always last
+      if (av === null || av === undefined) return 1;
+      if (bv === null || bv === undefined) return -1;
+      return (av < bv ? -1 : av > bv ? 1 : 0) * dir;
+    });
+  }, [filtered, sort]);
+
+  if (rows.length === 0) return null;
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+  const toggleSort = (key) => setSort(prev => (
+    prev.key === key ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'desc' }
+  ));
+  const { overall, byAlignment } = summary;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <Target className="w-6 h-6 text-indigo-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Trade P&L Attribution</h3>
+        <InfoTooltip title={METRIC_EXPLANATIONS.tradeAttribution.title} position="right">
+          {METRIC_EXPLANATIONS.tradeAttribution.description}
+        </InfoTooltip>
+        <select
+          value={holdingDays}
+          onChange={(e) => setHoldingDays(Number(e.target.value))}
+          className="ml-auto px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+        >
+          {ATTRIBUTION_HOLDING_DAYS.map(days => (
+            <option key={days} value={days}>{days}-session exit</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Filters */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+        <select
+          value={filters.trader}
+          onChange={(e) => updateFilter('trader', e.target.value)}
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+        >
+          <option value="all">All Traders</option>
+          {traders.map(trader => (
+            <option key={trader} value={trader}>{trader}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.isin}
+          onChange={(e) => updateFilter('isin', e.target.value)}
+          placeholder="ISIN or symbol"
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+        />
+        <input
+          type="date"
+          value={filters.from}
+          onChange={(e) => updateFilter('from', e.target.value)}
+          title="From date"
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={(e) => updateFilter('to', e.target.value)}
+          title="To date"
+          className="px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+        />
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <MetricCard
+          icon={BarChart3}
+          label="Avg Return"
+          value={`${overall.avgReturn >= 0 ? '+' : ''}${overall.avgReturn.toFixed(2)}%`}
+          subtext={`${overall.trades} completed trades`}
+          color={overall.avgReturn >= 0 ? 'green' : 'red'}
+        />
+        <MetricCard
+          icon={Target}
+          label="Avg Excess vs Index"
+          value={overall.avgExcess !== null ? `${overall.avgExcess >= 0 ? '+' : ''}${overall.avgExcess.toFixed(2)}%` : '-'}
+          subtext={overall.hitRate !== null ? `${overall.hitRate.toFixed(0)}% beat the benchmark` : 'No benchmark data'}
+          color={(overall.avgExcess || 0) >= 0 ? 'green' : 'red'}
+        />
+        <MetricCard
+          icon={overall.totalPnl >= 0 ? TrendingUp : TrendingDown}
+          label="P&L"
+          value={formatAmount(overall.totalPnl)}
+          subtext="Quantity x price move"
+          color={overall.totalPnl >= 0 ? 'green' : 'red'}
+        />
+        <div className="p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg text-sm space-y-1">
+          <p className="font-medium text-gray-700 dark:text-gray-300 mb-1">Excess by smart money alignment</p>
+          {Object.entries(ALIGNMENT_STYLES).map(([key, style]) => (
+            <div key={key} className="flex items-center justify-between">
+              <span className={`px-1.5 py-0.5 rounded text-xs ${style.className}`}>{style.label}</span>
+              <span className="font-mono text-gray-700 dark:text-gray-300">
+                {byAlignment[key].avgExcess !== null
+                  ? `${byAlignment[key].avgExcess >= 0 ? '+' : ''}${byAlignment[key].avgExcess.toFixed(2)}%`
+                  : '-'}
+                <span className="text-xs text-gray-500 ml-1">({byAlignment[key].trades})</span>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Trades */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b dark:border-gray-700">
+              <SortableHeader label="Date" sortKey="date" sort={sort} onSort={toggleSort} align="left" />
+              <SortableHeader label="Trader" sortKey="trader" sort={sort} onSort={toggleSort} align="left" />
+              <SortableHeader label="Security" sortKey="isin" sort={sort} onSort={toggleSort} align="left" />
+              <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Action</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Entry</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Exit</th>
+              <SortableHeader label="Return" sortKey="absoluteReturn" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="Index" sortKey="indexReturn" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="Excess" sortKey="excessReturn" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="P&L" sortKey="pnl" sort={sort} onSort={toggleSort} />
+              <SortableHeader label="Smart Money" sortKey="smartMoneySentiment" sort={sort} onSort={toggleSort} />
+            </tr>
+          </thead>
+          <tbody>
+            {sortedTrades.slice(0, ATTRIBUTION_MAX_ROWS).map(row => (
+              <tr key={row.id} className="border-b dark:border-gray-700 last:border-0">
+                <td className="py-2 px-3 dark:text-gray-300">{row.date}</td>
+                <td className="py-2 px-3 dark:text-gray-300">{row.trader}</td>
+                <td className="py-2 px-3 font-medium dark:text-gray-200">{isinToSecurity.get(row.isin)?.symbol || row.symbol || row.isin}</td>
+                <td className={`py-2 px-3 font-medium ${row.isBuy ? 'text-green-600' : 'text-red-600'}`}>{row.isBuy ? 'BUY' : 'SELL'}</td>
+                <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{row.entryPrice.toFixed(2)}</td>
+                <td className="py-2 px-3 text-right font-mono dark:text-gray-300" title={row.exitDate}>{row.exitPrice.toFixed(2)}</td>
+                <ReturnCell value={row.absoluteReturn} />
+                <ReturnCell value={row.indexReturn} />
+                <ReturnCell value={row.excessReturn} />
+                <td className={`py-2 px-3 text-right font-mono ${(row.pnl || 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  {formatAmount(row.pnl)}
+                </td>
+                <td className="py-2 px-3 text-right">
+                  {row.alignment ? (
+                    <span className={`px-1.5 py-0.5 rounded text-xs ${ALIGNMENT_STYLES[row.alignment].className}`}>
+                      {ALIGNMENT_STYLES[row.alignment].label} {(row.smartMoneySentiment * 100).toFixed(0)}%
+                    </span>
+                  ) : (
+                    <span className="text-gray-400">-</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          {sortedTrades.length > ATTRIBUTION_MAX_ROWS && `Showing ${ATTRIBUTION_MAX_ROWS} of ${sortedTrades.length} trades. `}
+          {summary.excluded > 0 && `${summary.excluded} trades excluded (no Price, no exit close, or holding window not complete by the session date).`}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+const ROUND_TRIP_MAX_ROWS = 50;
+
+const EXIT_FLOW_STYLES = {
+  SELLING: { label: 'Selling', className: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300' },
+  NEUTRAL: { label: 'Neutral', className: 'bg-gray-100 text-gray-600 dark:bg-gray-700 dark:text-gray-300' },
+  BUYING: { label: 'Buying', className: 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300' },
+};
+
+function formatSignedPercent(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function SentimentCell({ value }) {
+  if (value === null || value === undefined) {
+    return <td className="py-2 px-3 text-right text-gray-400">-</td>;
+  }
+  return (
+    <td className={`py-2 px-3 text-right font-mono ${value >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+      {value >= 0 ? '+' : ''}{(value * 100).toFixed(0)}%
+    </td>
+  );
+}
+
+/**
+ * Round trips (FIFO buy -> sell) with the exit compared against smart money flow
+ */
+function RoundTripAnalysis({ getRoundTrips, trader, isinToSecurity }) {
+  const roundTrips = useMemo(() => getRoundTrips(), [getRoundTrips]);
+
+  const trips = useMemo(() => {
+    if (!roundTrips) return [];
+    return trader === 'all' ? roundTrips.trips : roundTrips.trips.filter(t => t.trader === trader);
+  }, [roundTrips, trader]);
+
+  const summary = useMemo(() => summarizeRoundTrips(trips), [trips]);
+
+  const recentTrips = useMemo(() => (
+    [...trips].sort((a, b) => (a.exitDate < b.exitDate ? 1 : a.exitDate > b.exitDate ? -1 : b.id - a.id))
+  ), [trips]);
+
+  if (!roundTrips || trips.length === 0) return null;
+
+  const { overall, intoSelling, rest, byFlow } = summary;
+  const groups = [
+    { key: 'intoSelling', label: 'Exits into institutional selling', stats: intoSelling, highlight: true },
+    { key: 'rest', label: 'Other exits', stats: rest, highlight: true },
+    ...Object.entries(EXIT_FLOW_STYLES).map(([flow, style]) => ({ key: flow, label: style.label, flow, stats: byFlow[flow] })),
+  ];
+
+  // Beat = higher average realized return on the exits made while smart money was selling
+  let verdict = null;
+  if (intoSelling.avgReturn !== null && rest.avgReturn !== null) {
+    const diff = intoSelling.avgReturn - rest.avgReturn;
+    verdict = {
+      beat: diff > 0,
+      text: diff > 0
+        ? `Exits into institutional selling beat the rest by ${diff.toFixed(2)} points of average return`
+        : `Exits into institutional selling trailed the rest by ${Math.abs(diff).toFixed(2)} points of average return`,
+    };
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <ArrowLeftRight className="w-6 h-6 text-teal-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Round Trips & Exit Timing</h3>
+        <InfoTooltip title={METRIC_EXPLANATIONS.roundTrips.title} position="right">
+          {METRIC_EXPLANATIONS.roundTrips.description}
+        </InfoTooltip>
+        <span className="ml-auto text-sm text-gray-500 dark:text-gray-400">
+          {trader === 'all' ? 'All traders' : trader}
+        </span>
+      </div>
+
+      {/* Summary */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        <MetricCard
+          icon={ArrowLeftRight}
+          label="Round Trips"
+          value={overall.trips}
+          subtext={`Total P&L ${formatAmount(overall.totalPnl)}`}
+          color="blue"
+        />
+        <MetricCard
+          icon={Clock}
+          label="Avg Holding"
+          value={overall.avgHoldingSessions !== null ? `${overall.avgHoldingSessions.toFixed(1)} sessions` : '-'}
+          subtext="Quantity-weighted trading sessions"
+          color="amber"
+        />
+        <MetricCard
+          icon={Target}
+          label="Win Rate"
+          value={overall.winRate !== null ? `${overall.winRate.toFixed(0)}%` : '-'}
+          subtext="Exit price above entry price"
+          color={(overall.winRate || 0) >= 50 ? 'green' : 'red'}
+        />
+        <MetricCard
+          icon={(overall.avgReturn || 0) >= 0 ? TrendingUp : TrendingDown}
+          label="Avg Return"
+          value={formatSignedPercent(overall.avgReturn)}
+          subtext="Realized, per round trip"
+          color={(overall.avgReturn || 0) >= 0 ? 'green' : 'red'}
+        />
+      </div>
+
+      {verdict && (
+        <div className={`mb-4 p-3 rounded-lg text-sm ${
+          verdict.beat
+            ? 'bg-green-50 dark:bg-green-900/20 text-green-800 dark:text-green-300'
+            : 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300'
+        }`}>
+          <span className="font-medium">{verdict.text}</span>
+          <span className="ml-1">({intoSelling.trips} vs {rest.trips} round trips).</span>
+        </div>
+      )}
+
+      {/* Exit timing by smart money flow */}
+      <div className="overflow-x-auto mb-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b dark:border-gray-700">
+              <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Exit</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Trips</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Win Rate</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Avg Return</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Avg Holding (sessions)</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">{POST_EXIT_SESSIONS}d After Exit</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Good Exits</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(({ key, label, flow, stats, highlight }) => (
+              <tr key={key} className={`border-b dark:border-gray-700 last:border-0 ${highlight ? 'font-medium' : ''}`}>
+                <td className="py-2 px-3 dark:text-gray-300">
+                  {flow ? (
+                    <span className={`px-1.5 py-0.5 rounded text-xs ${EXIT_FLOW_STYLES[flow].className}`}>
+                      Smart money {label.toLowerCase()}
+                    </span>
+                  ) : label}
+                </td>
+                <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{stats.trips}</td>
+                <td className="py-2 px-3 text-right font-mono dark:text-gray-300">
+                  {stats.winRate !== null ? `${stats.winRate.toFixed(0)}%` : '-'}
+                </td>
+                <ReturnCell value={stats.avgReturn} />
+                <td className="py-2 px-3 text-right font-mono dark:text-gray-300">
+                  {stats.avgHoldingSessions !== null ? stats.avgHoldingSessions.toFixed(1) : '-'}
+                </td>
+                <ReturnCell value={stats.avgPostExitReturn} />
+                <td className="py-2 px-3 text-right font-mono dark:text-gray-300">
+                  {stats.goodExitRate !== null ? `${stats.goodExitRate.toFixed(0)}%` : '-'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Most recent round trips */}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b dark:border-gray-700">
+              <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Entry</th>
+              <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Exit</th>
+              <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Trader</th>
+              <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Security</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Quantity</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Held (sessions)</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Return</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">SM at Entry</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">SM at Exit</th>
+              <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">{POST_EXIT_SESSIONS}d After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {recentTrips.slice(0, ROUND_TRIP_MAX_ROWS).map(trip => (
+              <tr key={trip.id} className="border-b dark:border-gray-700 last:border-0">
+                <td className="py-2 px-3 dark:text-gray-300">{trip.entryDate}</td>
+                <td className="py-2 px-3 dark:text-gray-300">{trip.exitDate}</td>
+                <td className="py-2 px-3 dark:text-gray-300">{trip.trader}</td>
+                <td className="py-2 px-3 font-medium dark:text-gray-200">{isinToSecurity.get(trip.isin)?.symbol || trip.isin}</td>
+                <td className="py-2 px-3 text-right font-mono dark:text-gray-300">{trip.quantity.toLocaleString()}</td>
+                <td className="py-2 px-3 text-right font-mono dark:text-gray-300">
+                  {trip.holdingSessions}
+                </td>
+                <ReturnCell value={trip.returnPct} />
+                <SentimentCell value={trip.entrySentiment} />
+                <SentimentCell value={trip.exitSentiment} />
+                <ReturnCell value={trip.postExitReturn} />
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          {recentTrips.length > ROUND_TRIP_MAX_ROWS && `Showing the ${ROUND_TRIP_MAX_ROWS} most recent of ${recentTrips.length} round trips. `}
+          {summary.noSentiment > 0 && `${summary.noSentiment} round trips have no smart money data on the exit date. `}
+          {(roundTrips.openLots > 0 || roundTrips.unmatchedSellQuantity > 0) &&
+            `All traders: ${roundTrips.openLots} open lots, ${roundTrips.unmatchedSellQuantity.toLocaleString()} sold units without a matching buy.`}
+        </p>
+      </div>
+    </div>
+  );
+}
+
 function AlertBadge({ count, label, color, icon: Icon, explanation }) {
   const colorClasses = {
     red: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-300 border-red-200 dark:border-red-800',
@@ -1,7 +1,17 @@
-import { useState, useCallback } from 'react';
-import { Upload, FileText, CheckCircle, AlertCircle, Loader2, TrendingUp, Users, Database, Archive } from 'lucide-react';
-import { parseCSV, detectFileType } from '../lib/csvParser';
-import { extractAndParseZip } from '../lib/zipParser';
+import { useState, useCallback, useMemo, useEffect } from 'react';
+import { Upload, FileText, CheckCircle, AlertCircle, AlertTriangle, Loader2, TrendingUp, Users, Database, Archive, HardDrive, RotateCcw, Trash2, ClipboardCheck, CalendarDays, Filter, Lock } from 'lucide-react';
+import { detectFileType } from '../lib/csvParser';
+import { validateRows, checkCrossFileCoverage, FILE_SCHEMAS } from '../lib/dataValidation';
+import {
+  needsColumnMapping,
+  guessFileType,
+  applyColumnMapping,
+  loadMappingProfiles,
+  saveMappingProfile,
+  deleteMappingProfile,
+} from '../lib/columnMapping';
+import { createRowFilter, hasLoadFilters, describeLoadFilters, parseManagerList } from '../lib/loadFilters';
+import ColumnMappingWizard from './ColumnMappingWizard';
 import { useDataStore } from '../hooks/useDataStore';
 
 export default function FileUpload({ onComplete }) {
@@ -9,11 +19,16 @@ export default function FileUpload({ onComplete }) {
     loadTransactions, loadTradingData, loadIndicesData, processData, 
     transactions, tradingData, indicesData,
     loadSecuritiesData, loadSmartMoneyData, aggregateSmartMoney,
-    smartMoneyRaw, securitiesData, securityToIsin
+    smartMoneyRaw, securitiesData, securityToIsin,
+    cachedDatasets, lastCachedDataset, isRestoring, loadFilters, setLoadFilters,
+    registerDatasetSource, restoreDataset, deleteCachedDataset, clearCachedDatasets,
+    parseZipUpload, parseCsvUpload
   } = useDataStore();
   const [loading, setLoading] = useState(false);
   const [loadingMessage, setLoadingMessage] = useState('Processing file...');
+  const [loadingProgress, setLoadingProgress] = useState(null); // { percent, bytesRead, totalBytes } while a ZIP is parsed
   const [isProcessing, setIsProcessing] = useState(false);
+  const [processingMessage, setProcessingMessage] = useState('Processing Data...');
   const [error, setError] = useState(null);
   const [transactionFile, setTransactionFile] = useState(null);
   const [tradingFile, setTradingFile] = useState(null);
@@ -21,6 +36,46 @@ export default function FileUpload({ onComplete }) {
   const [securitiesFile, setSecuritiesFile] = useState(null);
   const [smartMoneyFile, setSmartMoneyFile] = useState(null);
   const [zipFile, setZipFile] = useState(null);
+  // Source files of the current upload (used to key the dataset cache)
+  const [sourceFiles, setSourceFiles] = useState([]);
+  // Schema validation report per file type (data quality report)
+  const [validation, setValidation] = useState({});
+
+  // Column mapping: saved profiles and parsed files waiting for a mapping
+  const [mappingProfiles, setMappingProfiles] = useState(() => loadMappingProfiles());
+  const [pendingMappings, setPendingMappings] = useState([]); // [{ id, type, name, rows, parseErrors, filteredRows, rowNumbers }]
+
+  // Check rows against the file type's schema and load the accepted ones
+  const loadParsedFile = useCallback((type, parsed, parseErrors, name, filteredRows = 0, rowNumbers = null) => {
+    const { rows: validRows, report } = validateRows(type, parsed, { parseErrors, rowNumbers });
+    // Parse-time filters keep rows whose headers weren't mapped yet; filter the mapped, normalized rows again
+    const rowFilter = createRowFilter(type, loadFilters);
+    const rows = rowFilter ? validRows.filter(rowFilter) : validRows;
+    setValidation(prev => ({ ...prev, [type]: { ...report, filteredRows: filteredRows + validRows.length - rows.length } }));
+
+    if (type === 'transactions') {
+      setTransactionFile({ name, rows: loadTransactions(rows) });
+    } else if (type === 'trading') {
+      setTradingFile({ name, rows: loadTradingData(rows) });
+    } else if (type === 'indices') {
+      setIndicesFile({ name, rows: loadIndicesData(rows) });
+    } else if (type === 'securities') {
+      setSecuritiesFile({ name, rows: loadSecuritiesData(rows) });
+    } else if (type === 'smartmoney') {
+      // Aggregated when the data is processed
+      setSmartMoneyFile({ name, rows: loadSmartMoneyData(rows) });
+    }
+  }, [loadFilters, loadTransactions, loadTradingData, loadIndicesData, loadSecuritiesData, loadSmartMoneyData]);
+
+  // Files without the expected headers go through the mapping step first
+  const loadOrMap = useCallback((type, parsed, parseErrors, name, filteredRows = 0, rowNumbers = null) => {
+    const headers = parsed.length > 0 ? Object.keys(parsed[0]) : [];
+    if (headers.length > 0 && needsColumnMapping(type, headers)) {
+      setPendingMappings(prev => [...prev, { id: `${name}-${Date.now()}`, type, name, rows: parsed, parseErrors, filteredRows, rowNumbers }]);
+      return;
+    }
+    loadParsedFile(type, parsed, parseErrors, name, filteredRows, rowNumbers);
+  }, [loadParsedFile]);
 
   // Handle ZIP file upload - extracts and loads all CSVs at once
   const handleZipUpload = useCallback(async (file) => {
@@ -29,7 +84,13 @@ export default function FileUpload({ onComplete }) {
     setError(null);
 
     try {
-      const { data, fileInfo, missingRequired } = await extractAndParseZip(file);
+      // Extracted and parsed in the analytics worker; progress is in bytes of uncompressed CSV data
+      const { data, fileInfo, missingRequired } = await parseZipUpload(file, (bytesRead, totalBytes, phase, entryName) => {
+        setLoadingMessage(`Parsing ${entryName}...`);
+        const percent = totalBytes > 0 ? Math.min(99, Math.floor((bytesRead / totalBytes) * 100)) : 0;
+        setLoadingProgress({ percent, bytesRead, totalBytes });
+      });
+      setLoadingProgress(null);
 
       // Check for missing required files
       if (missingRequired.length > 0) {
@@ -39,96 +100,78 @@ export default function FileUpload({ onComplete }) {
       }
 
       setLoadingMessage('Loading extracted data...');
+      setValidation({});
 
-      // Load transactions
-      if (data.transactions) {
-        const count = loadTransactions(data.transactions);
-        setTransactionFile({ name: fileInfo.transactions.name, rows: count });
-      }
-
-      // Load trading data
-      if (data.trading) {
-        const count = loadTradingData(data.trading);
-        setTradingFile({ name: fileInfo.trading.name, rows: count });
-      }
-
-      // Load indices data
-      if (data.indices) {
-        const count = loadIndicesData(data.indices);
-        setIndicesFile({ name: fileInfo.indices.name, rows: count });
-      }
-
-      // Load securities mapping (optional)
-      if (data.securities) {
-        const count = loadSecuritiesData(data.securities);
-        setSecuritiesFile({ name: fileInfo.securities.name, rows: count });
-      }
-
-      // Load smart money data (optional) - must load after securities for mapping
-      if (data.smartmoney) {
-        const count = loadSmartMoneyData(data.smartmoney, securityToIsin);
-        setSmartMoneyFile({ name: fileInfo.smartmoney.name, rows: count });
-      }
+      // Required files first, then securities mapping and smart money (optional)
+      Object.keys(FILE_SCHEMAS).forEach(type => {
+        if (!data[type]) return;
+        const { parseErrors, name, filteredRows, rowNumbers } = fileInfo[type];
+        loadOrMap(type, data[type], parseErrors, name, filteredRows, rowNumbers);
+      });
 
       setZipFile({ name: file.name });
+      setSourceFiles([file]);
 
     } catch (err) {
       setError(`Error processing ZIP file: ${err.message}`);
+      setLoadingProgress(null);
     }
 
     setLoading(false);
     setLoadingMessage('Processing file...');
-  }, [loadTransactions, loadTradingData, loadIndicesData, loadSecuritiesData, loadSmartMoneyData, securityToIsin]);
+  }, [loadOrMap, parseZipUpload]);
 
   const handleFileUpload = useCallback(async (file, expectedType) => {
     setLoading(true);
     setError(null);
 
     try {
-      const data = await parseCSV(file);
-      const detectedType = detectFileType(data);
+      const { data, errors, filteredRows, rowNumbers, firstRow } = await parseCsvUpload(file, expectedType);
+      const detectedType = detectFileType(data.length > 0 ? data : [firstRow].filter(Boolean));
+      let type = expectedType || detectedType;
       
-      // Allow explicit type for new file types
-      if (expectedType === 'securities' || expectedType === 'smartmoney') {
-        if (expectedType === 'securities') {
-          const count = loadSecuritiesData(data);
-          setSecuritiesFile({ name: file.name, rows: count });
-        } else if (expectedType === 'smartmoney') {
-          const count = loadSmartMoneyData(data, securityToIsin);
-          setSmartMoneyFile({ name: file.name, rows: count });
+      // Securities and smart money files are only loaded from their own buttons
+      if (expectedType !== 'securities' && expectedType !== 'smartmoney') {
+        if (expectedType && detectedType !== 'unknown' && detectedType !== expectedType) {
+          setError(`Expected ${expectedType} file but got ${detectedType}`);
+          setLoading(false);
+          return;
         }
-        setLoading(false);
-        return;
+        // Non-standard headers: best guess from known column aliases
+        if (type === 'unknown') type = guessFileType(data.length > 0 ? Object.keys(data[0]) : []);
       }
       
-      if (detectedType === 'unknown') {
+      if (!type) {
         setError('Could not detect file type. Please ensure correct CSV format.');
         setLoading(false);
         return;
       }
 
-      if (expectedType && detectedType !== expectedType) {
-        setError(`Expected ${expectedType} file but got ${detectedType}`);
-        setLoading(false);
-        return;
-      }
-
-      if (detectedType === 'transactions') {
-        const count = loadTransactions(data);
-        setTransactionFile({ name: file.name, rows: count });
-      } else if (detectedType === 'trading') {
-        const count = loadTradingData(data);
-        setTradingFile({ name: file.name, rows: count });
-      } else if (detectedType === 'indices') {
-        const count = loadIndicesData(data);
-        setIndicesFile({ name: file.name, rows: count });
-      }
+      setSourceFiles(prev => [...prev.filter(f => f.name !== file.name), file]);
+      loadOrMap(type, data, errors, file.name, filteredRows, rowNumbers);
     } catch (err) {
       setError(`Error parsing file: ${err.message}`);
     }
 
     setLoading(false);
-  }, [loadTransactions, loadTradingData, loadIndicesData, loadSecuritiesData, loadSmartMoneyData, securityToIsin]);
+  }, [loadOrMap, parseCsvUpload]);
+
+  const handleMappingConfirm = ({ type, mapping, profileName }) => {
+    const [current, ...rest] = pendingMappings;
+    if (profileName) {
+      setMappingProfiles(prev => saveMappingProfile(prev, { name: profileName, type, mapping }));
+    }
+    loadParsedFile(type, applyColumnMapping(current.rows, mapping), current.parseErrors, current.name, current.filteredRows, current.rowNumbers);
+    setPendingMappings(rest);
+  };
+
+  const handleMappingCancel = () => {
+    setPendingMappings(prev => prev.slice(1));
+  };
+
+  const handleDeleteProfile = (name) => {
+    setMappingProfiles(prev => deleteMappingProfile(prev, name));
+  };
 
   const handleDrop = useCallback((e) => {
     e.preventDefault();
@@ -149,11 +192,28 @@ export default function FileUpload({ onComplete }) {
     // Small delay for visual feedback
     await new Promise(resolve => setTimeout(resolve, 500));
     
+    // Key the dataset for the IndexedDB cache (saved once processing completes)
+    try {
+      setProcessingMessage('Fingerprinting files...');
+      await registerDatasetSource(sourceFiles, zipFile?.name || sourceFiles.map(f => f.name).join(', '), (done, total) => {
+        setProcessingMessage(`Fingerprinting files... ${Math.round((done / total) * 100)}%`);
+      });
+    } catch (err) {
+      console.warn('Could not fingerprint uploaded files:', err);
+    }
+    
     const result = processData();
     if (result) {
-      // Aggregate smart money data if both files are loaded
+      // Aggregate smart money data in the analytics worker if both files are loaded
       if (smartMoneyRaw.length > 0 && securityToIsin.size > 0) {
-        aggregateSmartMoney();
+        setProcessingMessage('Aggregating smart money...');
+        try {
+          await aggregateSmartMoney((done, total) => {
+            setProcessingMessage(`Aggregating smart money... ${Math.round((done / total) * 100)}%`);
+          });
+        } catch (err) {
+          console.warn('Smart money aggregation failed:', err);
+        }
       }
       
       // Small delay to show completion
@@ -165,10 +225,53 @@ export default function FileUpload({ onComplete }) {
     }
     
     setIsProcessing(false);
+    setProcessingMessage('Processing Data...');
+  };
+
+  const handleRestore = async (id) => {
+    setError(null);
+    try {
+      const restored = await restoreDataset(id);
+      if (restored) {
+        onComplete();
+      } else {
+        setError('Cached dataset not found. Please upload your files again.');
+      }
+    } catch (err) {
+      setError(`Error restoring cached dataset: ${err.message}`);
+    }
+  };
+
+  const handleDeleteCached = async (id) => {
+    setError(null);
+    try {
+      await deleteCachedDataset(id);
+    } catch (err) {
+      setError(`Error deleting cached dataset: ${err.message}`);
+    }
+  };
+
+  const handleClearCached = async () => {
+    setError(null);
+    try {
+      await clearCachedDatasets();
+    } catch (err) {
+      setError(`Error purging cached datasets: ${err.message}`);
+    }
   };
 
   const canProcess = transactions.length > 0 && tradingData.length > 0 && indicesData.length > 0;
   const hasSmartMoneyData = smartMoneyRaw.length > 0 && securitiesData.length > 0;
+  // Every file of a dataset is parsed with the same filters
+  const filtersLocked = loading || pendingMappings.length > 0
+    || [zipFile, transactionFile, tradingFile, indicesFile, securitiesFile, smartMoneyFile].some(Boolean);
+
+  // Traded ISINs without prices, smart money securities without an ISIN mapping
+  const coverage = useMemo(() => (
+    transactions.length > 0 && tradingData.length > 0
+      ? checkCrossFileCoverage({ transactions, tradingData, smartMoneyRaw, securityToIsin })
+      : null
+  ), [transactions, tradingData, smartMoneyRaw, securityToIsin]);
 
   return (
     <div className="max-w-2xl mx-auto">
@@ -179,6 +282,21 @@ export default function FileUpload({ onComplete }) {
         </p>
       </div>
 
+      {/* Cached Datasets (IndexedDB) */}
+      {lastCachedDataset && !canProcess && (
+        <CachedDatasetsPanel
+          datasets={cachedDatasets}
+          lastDataset={lastCachedDataset}
+          isRestoring={isRestoring}
+          onRestore={handleRestore}
+          onDelete={handleDeleteCached}
+          onClear={handleClearCached}
+        />
+      )}
+
+      {/* Load Filters (applied while parsing) */}
+      <LoadFiltersPanel filters={loadFilters} onChange={setLoadFilters} locked={filtersLocked} />
+
       {/* Drop Zone */}
       <div
         onDrop={handleDrop}
@@ -189,6 +307,16 @@ export default function FileUpload({ onComplete }) {
           <div className="flex flex-col items-center gap-3">
             <Loader2 className="w-12 h-12 text-blue-500 animate-spin" />
             <p className="text-gray-600 dark:text-gray-400">{loadingMessage}</p>
+            {loadingProgress && (
+              <div className="w-full max-w-sm">
+                <div className="h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                  <div className="h-full bg-blue-500 transition-all" style={{ width: `${loadingProgress.percent}%` }} />
+                </div>
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {formatBytes(loadingProgress.bytesRead)} of {formatBytes(loadingProgress.totalBytes)} ({loadingProgress.percent}%)
+                </p>
+              </div>
+            )}
           </div>
         ) : (
           <>
@@ -326,6 +454,19 @@ export default function FileUpload({ onComplete }) {
         </div>
       )}
 
+      {/* Column Mapping (non-standard headers) */}
+      {pendingMappings.length > 0 && (
+        <ColumnMappingWizard
+          key={pendingMappings[0].id}
+          pending={pendingMappings[0]}
+          queued={pendingMappings.length - 1}
+          profiles={mappingProfiles}
+          onConfirm={handleMappingConfirm}
+          onCancel={handleMappingCancel}
+          onDeleteProfile={handleDeleteProfile}
+        />
+      )}
+
       {/* ZIP File Loaded Banner */}
       {zipFile && (
         <div className="mt-4 p-4 bg-indigo-50 dark:bg-indigo-900/20 border border-indigo-200 dark:border-indigo-800 rounded-lg flex items-center gap-3">
@@ -387,8 +528,13 @@ export default function FileUpload({ onComplete }) {
         )}
       </div>
 
+      {/* Data Quality Report */}
+      {Object.keys(validation).length > 0 && (
+        <DataQualityReport validation={validation} coverage={coverage} />
+      )}
+
       {/* Process Button */}
-      {canProcess && (
+      {canProcess && pendingMappings.length === 0 && (
         <div className="mt-8 text-center">
           <button
             onClick={handleProcess}
@@ -402,7 +548,7 @@ export default function FileUpload({ onComplete }) {
             {isProcessing ? (
               <>
                 <Loader2 className="w-5 h-5 animate-spin" />
-                Processing Data...
+                {processingMessage}
               </>
             ) : (
               'Process Data & Continue'
@@ -439,7 +585,341 @@ export default function FileUpload({ onComplete }) {
         <p className="text-xs text-gray-500 mt-3">
           Smart money data enables sentiment-based alerts showing institutional investor activity.
         </p>
+        <p className="text-xs text-gray-500 mt-1">
+          Files with other column names (e.g. Hebrew headers such as תאריך or כמות) open a mapping step; save the mapping as a profile to reuse it.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function CachedDatasetsPanel({ datasets, lastDataset, isRestoring, onRestore, onDelete, onClear }) {
+  const [showAll, setShowAll] = useState(false);
+  const formatSavedAt = (iso) => new Date(iso).toLocaleString();
+  
+  return (
+    <div className="mb-6 p-4 bg-indigo-50 dark:bg-indigo-900/20 border border-indigo-200 dark:border-indigo-800 rounded-xl">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-start gap-3 min-w-0">
+          <HardDrive className="w-5 h-5 text-indigo-600 dark:text-indigo-400 flex-shrink-0 mt-0.5" />
+          <div className="min-w-0">
+            <p className="font-medium text-indigo-900 dark:text-indigo-200">Restore last dataset</p>
+            <p className="text-sm text-indigo-700 dark:text-indigo-300 truncate">{lastDataset.name}</p>
+            <p className="text-xs text-indigo-600 dark:text-indigo-400">
+              Saved {formatSavedAt(lastDataset.savedAt)} · {lastDataset.counts.transactions.toLocaleString()} transactions
+              {hasLoadFilters(lastDataset.loadFilters) && ` · Filtered: ${describeLoadFilters(lastDataset.loadFilters).join(', ')}`}
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={() => onRestore(lastDataset.id)}
+          disabled={isRestoring}
+          className="inline-flex items-center justify-center gap-2 px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors disabled:opacity-50 flex-shrink-0"
+        >
+          {isRestoring ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+          Restore
+        </button>
       </div>
+      
+      <button
+        onClick={() => setShowAll(!showAll)}
+        className="mt-3 text-xs text-indigo-700 dark:text-indigo-300 hover:underline"
+      >
+        {showAll ? 'Hide cached datasets' : `Manage cached datasets (${datasets.length})`}
+      </button>
+      
+      {showAll && (
+        <div className="mt-3 space-y-2">
+          {datasets.map(dataset => (
+            <div key={dataset.id} className="flex items-center justify-between gap-3 p-2 bg-white dark:bg-gray-800 rounded-lg border border-indigo-100 dark:border-indigo-900">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{dataset.name}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Last used {formatSavedAt(dataset.lastUsedAt)} · {dataset.counts.trading.toLocaleString()} trading rows
+                  {dataset.counts.smartMoney > 0 && ' · smart money'}
+                  {hasLoadFilters(dataset.loadFilters) && ` · Filtered: ${describeLoadFilters(dataset.loadFilters).join(', ')}`}
+                </p>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  onClick={() => onRestore(dataset.id)}
+                  disabled={isRestoring}
+                  className="p-1.5 text-indigo-600 hover:bg-indigo-50 dark:hover:bg-indigo-900/40 rounded disabled:opacity-50"
+                  title="Restore"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => onDelete(dataset.id)}
+                  className="p-1.5 text-gray-400 hover:text-red-500 hover:bg-red-50 dark:hover:bg-red-900/30 rounded"
+                  title="Delete"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+          <button
+            onClick={onClear}
+            className="text-xs text-red-600 dark:text-red-400 hover:underline"
+          >
+            Purge all cached datasets
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function LoadFiltersPanel({ filters, onChange, locked }) {
+  const [expanded, setExpanded] = useState(hasLoadFilters(filters));
+  const [managerText, setManagerText] = useState(filters.managers.join(', '));
+  const managersKey = filters.managers.join('\n');
+
+  // Restoring a cached dataset replaces the filters; rewrite the text unless it already lists the same managers
+  useEffect(() => {
+    setManagerText(text => (parseManagerList(text).join('\n') === managersKey ? text : filters.managers.join(', ')));
+  }, [managersKey]);
+
+  const active = describeLoadFilters(filters);
+
+  const update = (changes) => onChange({ ...filters, ...changes });
+  const inputClass = 'w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white disabled:opacity-60';
+
+  return (
+    <div className="mb-6 p-4 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center gap-2 text-left"
+      >
+        <Filter className="w-4 h-4 text-blue-600 dark:text-blue-400" />
+        <span className="font-medium text-gray-900 dark:text-white">Load Filters</span>
+        <span className="ml-auto text-xs text-gray-500 dark:text-gray-400 truncate">
+          {active.length > 0 ? active.join(' · ') : 'Load all rows'}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="mt-4 space-y-3">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Rows outside these filters are dropped while the files are parsed, so large files never load in full.
+          </p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <label className="text-sm">
+              <span className="block text-gray-600 dark:text-gray-400 mb-1">From</span>
+              <input
+                type="date"
+                value={filters.dateFrom}
+                max={filters.dateTo || undefined}
+                onChange={(e) => update({ dateFrom: e.target.value })}
+                disabled={locked}
+                className={inputClass}
+              />
+            </label>
+            <label className="text-sm">
+              <span className="block text-gray-600 dark:text-gray-400 mb-1">To</span>
+              <input
+                type="date"
+                value={filters.dateTo}
+                min={filters.dateFrom || undefined}
+                onChange={(e) => update({ dateTo: e.target.value })}
+                disabled={locked}
+                className={inputClass}
+              />
+            </label>
+          </div>
+          <label className="block text-sm">
+            <span className="block text-gray-600 dark:text-gray-400 mb-1">Investment managers (comma separated, empty for all)</span>
+            <input
+              type="text"
+              value={managerText}
+              onChange={(e) => {
+                setManagerText(e.target.value);
+                update({ managers: parseManagerList(e.target.value) });
+              }}
+              disabled={locked}
+              dir="auto"
+              className={inputClass}
+            />
+          </label>
+          <label className="flex items-start gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={filters.tradedIsinsOnly}
+              onChange={(e) => update({ tradedIsinsOnly: e.target.checked })}
+              disabled={locked}
+              className="mt-0.5"
+            />
+            <span>
+              Only load trading and smart money rows for securities traded in the loaded transactions
+              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                Needs the transactions (and the securities mapping for smart money) loaded first; a ZIP archive does this automatically
+              </span>
+            </span>
+          </label>
+          {locked && (
+            <p className="text-xs text-amber-700 dark:text-amber-300 flex items-center gap-1.5">
+              <Lock className="w-3.5 h-3.5 flex-shrink-0" />
+              Files are already loaded with these filters. Reload the page to change them.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+const RULE_ACTION_STYLES = {
+  reject: { label: 'Rejected', className: 'bg-red-100 text-red-700 dark:bg-red-900/40 dark:text-red-300' },
+  coerce: { label: 'Coerced', className: 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300' },
+};
+
+function DataQualityReport({ validation, coverage }) {
+  const reports = Object.keys(FILE_SCHEMAS).map(type => validation[type]).filter(Boolean);
+  const crossFileIssues = coverage ? coverage.unpricedIsins.count + coverage.unmappedSecurityIds.count : 0;
+  const hasIssues = crossFileIssues > 0 || reports.some(r => (
+    r.rejected > 0 || r.coerced > 0 || r.missingColumns.length > 0 || r.parseErrors.count > 0
+    || r.dates.some(d => d.ambiguousRows.count > 0 || d.conflicting)
+  ));
+
+  return (
+    <div className="mt-6 p-4 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl">
+      <div className="flex items-center gap-2 mb-3">
+        <ClipboardCheck className="w-5 h-5 text-blue-600 dark:text-blue-400" />
+        <h3 className="font-semibold text-gray-900 dark:text-white">Data Quality Report</h3>
+        <span className={`ml-auto text-xs font-medium px-2 py-1 rounded ${
+          hasIssues
+            ? 'bg-amber-100 text-amber-700 dark:bg-amber-900/40 dark:text-amber-300'
+            : 'bg-green-100 text-green-700 dark:bg-green-900/40 dark:text-green-300'
+        }`}>
+          {hasIssues ? 'Issues found' : 'All checks passed'}
+        </span>
+      </div>
+
+      <div className="space-y-3">
+        {reports.map(report => (
+          <div key={report.type} className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <p className="font-medium text-gray-900 dark:text-white">{report.label}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {report.accepted.toLocaleString()} of {report.totalRows.toLocaleString()} rows accepted
+                {report.rejected > 0 && <span className="text-red-600 dark:text-red-400"> · {report.rejected.toLocaleString()} rejected</span>}
+                {report.coerced > 0 && <span className="text-amber-600 dark:text-amber-400"> · {report.coerced.toLocaleString()} coerced</span>}
+                {report.filteredRows > 0 && <span> · {report.filteredRows.toLocaleString()} excluded by load filters</span>}
+              </p>
+            </div>
+
+            {report.dates.map(dates => (
+              <div key={dates.column} className="mt-2 text-sm">
+                <p className="flex items-center gap-1.5 text-gray-600 dark:text-gray-300">
+                  <CalendarDays className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                  {dates.column}: day/month strings read as {dates.label}
+                  {!dates.confident && <span className="text-gray-400"> (assumed, no day above 12)</span>}
+                </p>
+                {dates.conflicting && (
+                  <p className="ml-6 text-xs text-amber-700 dark:text-amber-300">
+                    Column mixes DD/MM and MM/DD dates; rows are read as {dates.label} where possible
+                  </p>
+                )}
+                {dates.ambiguousRows.count > 0 && (
+                  <p className="ml-6 text-xs text-amber-700 dark:text-amber-300">
+                    {dates.ambiguousRows.count.toLocaleString()} ambiguous dates (valid either way), e.g. line {dates.ambiguousRows.sampleRows.join(', ')}
+                  </p>
+                )}
+              </div>
+            ))}
+
+            {report.missingColumns.length > 0 && (
+              <p className="mt-2 text-sm text-red-700 dark:text-red-300 flex items-center gap-1.5">
+                <AlertCircle className="w-4 h-4 flex-shrink-0" />
+                Missing columns: {report.missingColumns.join(', ')}
+              </p>
+            )}
+
+            {report.parseErrors.count > 0 && (
+              <div className="mt-2 text-sm text-amber-700 dark:text-amber-300">
+                <p className="flex items-center gap-1.5">
+                  <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+                  {report.parseErrors.count.toLocaleString()} CSV parse errors
+                </p>
+                {report.parseErrors.messages.map(message => (
+                  <p key={message} className="ml-6 text-xs text-gray-500 dark:text-gray-400">{message}</p>
+                ))}
+              </div>
+            )}
+
+            {report.rules.length > 0 && (
+              <table className="w-full mt-2 text-xs">
+                <tbody>
+                  {report.rules.map(rule => (
+                    <tr key={rule.id} className="border-t border-gray-200 dark:border-gray-600">
+                      <td className="py-1 pr-2">
+                        <span className={`px-1.5 py-0.5 rounded ${RULE_ACTION_STYLES[rule.action].className}`}>
+                          {RULE_ACTION_STYLES[rule.action].label}
+                        </span>
+                      </td>
+                      <td className="py-1 pr-2 text-gray-700 dark:text-gray-300">{rule.label}</td>
+                      <td className="py-1 pr-2 text-right font-mono text-gray-900 dark:text-white">{rule.count.toLocaleString()}</td>
+                      <td className="py-1 text-right text-gray-400" title="Example line numbers">
+                        line {rule.sampleRows.join(', ')}{rule.count > rule.sampleRows.length ? ', ...' : ''}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        ))}
+
+        {coverage && (
+          <div className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg text-sm space-y-2">
+            <p className="font-medium text-gray-900 dark:text-white">Cross-File Coverage</p>
+            <CoverageIssue
+              count={coverage.unpricedIsins.count}
+              message={`ISINs in transactions (${coverage.unpricedIsins.transactions.toLocaleString()} trades) have no trading_eod rows`}
+              okMessage="Every traded ISIN has trading_eod rows"
+              items={coverage.unpricedIsins.items.map(item => `${item.isin} (${item.transactions})`)}
+            />
+            {/* Only meaningful with both smart money files loaded */}
+            {validation.securities && validation.smartmoney && (
+              <CoverageIssue
+                count={coverage.unmappedSecurityIds.count}
+                message={`smart money securityIds (${coverage.unmappedSecurityIds.rows.toLocaleString()} rows) have no ISIN mapping`}
+                okMessage="Every smart money securityId maps to an ISIN"
+                items={coverage.unmappedSecurityIds.items.map(item => `${item.securityId} (${item.rows})`)}
+              />
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function CoverageIssue({ count, message, okMessage, items }) {
+  if (count === 0) {
+    return (
+      <p className="flex items-center gap-1.5 text-green-700 dark:text-green-300">
+        <CheckCircle className="w-4 h-4 flex-shrink-0" />
+        {okMessage}
+      </p>
+    );
+  }
+  return (
+    <div>
+      <p className="flex items-center gap-1.5 text-amber-700 dark:text-amber-300">
+        <AlertTriangle className="w-4 h-4 flex-shrink-0" />
+        {count.toLocaleString()} {message}
+      </p>
+      <p className="ml-6 text-xs text-gray-500 dark:text-gray-400 break-words">
+        {items.join(', ')}{count > items.length ? `, +${count - items.length} more` : ''}
+      </p>
     </div>
   );
 }
@@ -0,0 +1,31 @@
+import { TrendingUp } from 'lucide-react';
+import { useDataStore } from '../hooks/useDataStore';
+
+/**
+ * IndexSelector - Benchmark index dropdown shown in the header of each tab
+ * The selection is stored in the data store and shared across the session
+ */
+export default function IndexSelector() {
+  const { availableIndices, selectedIndexId, selectBenchmarkIndex } = useDataStore();
+
+  if (availableIndices.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-2 px-3 py-1.5 bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-300 dark:border-yellow-700 rounded-lg">
+      <TrendingUp className="w-4 h-4 text-yellow-700 dark:text-yellow-400 flex-shrink-0" />
+      <label htmlFor="benchmark-index" className="text-sm text-yellow-800 dark:text-yellow-300 whitespace-nowrap">
+        Benchmark
+      </label>
+      <select
+        id="benchmark-index"
+        value={selectedIndexId || ''}
+        onChange={(e) => selectBenchmarkIndex(e.target.value)}
+        className="max-w-[12rem] px-2 py-1 border border-yellow-300 dark:border-yellow-700 rounded text-sm font-medium bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-yellow-400 outline-none"
+      >
+        {availableIndices.map(idx => (
+          <option key={idx.indexId} value={idx.indexId}>{idx.indexName}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -75,7 +75,7 @@ export const METRIC_EXPLANATIONS = {
   },
   portfolioSentiment: {
     title: 'Portfolio Sentiment',
-    description: 'Average smart money sentiment across all securities in your portfolio. Calculated as: (Buy Volume - Sell Volume) / Total Volume for institutional investors (F, M, N, P, O types). Positive = net buying, Negative = net selling.',
+    description: 'Average smart money sentiment across all securities in your portfolio. Calculated as: (Buy Volume - Sell Volume) / Total Volume for institutional investors (F, M, N, P, O types). Positive = net buying, Negative = net selling. By Value (default) weights each security by the current market value of the position (Quantity x latest closing price); Equal Weight counts every security once.',
   },
   patternAlerts: {
     title: 'Pattern Alerts',
@@ -86,6 +86,60 @@ export const METRIC_EXPLANATIONS = {
     description: 'Securities with strong sell signals: sentiment below -50% combined with 3+ consecutive selling days, OR sentiment below -70%. These require immediate attention based on historical pattern analysis.',
   },
   
+  // Counter-market analysis
+  contrarianRatio: {
+    title: 'Contrarian Ratio',
+    description: 'Percentage of your trades that went against the benchmark index move on the same day: buying while the index fell, or selling while it rose. Only trades with index data for their date are counted.',
+  },
+  divergenceLevel: {
+    title: 'Divergence Level',
+    description: 'How far the index moved against your trade direction. HIGH = more than 2%, MEDIUM = 1-2%, LOW = under 1%, NONE = trade aligned with the market direction.',
+  },
+  holdingsLedger: {
+    title: 'Net Holdings',
+    description: 'Positions rebuilt from the transaction file in date order using Quantity and Price (average-cost method). Only positions with a positive net quantity as of the session date are open. Realized P&L comes from sells against the average cost; market value uses the latest closing price on or before the session date.',
+  },
+  horizonSweep: {
+    title: 'Win Rate by Horizon',
+    description: 'Your win rate when trading with, against or neutral to smart money sentiment, measured after 1, 3, 5, 10 and 20 trading sessions (the EDA periods). A trade only counts for horizons fully covered by the data. Confidence reflects the number of trades in each bucket.',
+  },
+  edaCalibration: {
+    title: 'EDA Constants',
+    description: 'Quintile boundaries, per-type signal quality, foreign flow statistics and day-of-week buy ratios were computed offline in the EDA notebook. Calibrating recomputes them from the loaded smart money and trading data (5-session forward returns). Switch between the shipped and recalibrated values; the Trade Checker and Dashboard use the active set.',
+  },
+  trafficLightBacktest: {
+    title: 'Traffic Light Backtest',
+    description: 'Replays every session in the range: for each security with smart money data that day, the traffic light is computed for a buy and a sell from that day\'s end-of-day data only, and the return over the next N sessions is recorded (sells gain when the price falls). "Follow the light" only takes PROCEED calls; "Ignore it" takes every call. The cumulative curve holds equal-weighted positions for N sessions at a time, so holding periods do not overlap.',
+  },
+  strategySimulator: {
+    title: 'Strategy Simulator',
+    description: 'Replays three long-only books over the selected trader\'s transactions and marks them to the daily close: the actual trades; the same trades without those that had a RED traffic light (judged on the previous session\'s smart money data, as it was visible before trading); and a rule book that buys the traded securities on a BULLISH enhanced alert and sells on a HIGH alert, at the next session\'s close. Turnover = traded value / average gross exposure. Hit rate = share of closing sells with a realized profit (average cost).',
+  },
+  weightFit: {
+    title: 'Sentiment Weight Re-fit',
+    description: 'Fits the per-investor-type weights of the weighted sentiment on the older part of the loaded data (differential evolution), maximizing either the top-minus-bottom quintile spread or the correlation with forward returns. The most recent dates are held out, and training days whose forward window reaches into them are dropped (embargoed): the out-of-sample columns show whether the fitted weights still beat the defaults on data the fit never saw. Apply the fitted weights to use them in the traffic light and the Dashboard.',
+  },
+  peerRanking: {
+    title: 'Peer Ranking',
+    description: 'Each style metric is placed on a percentile among all traders in the file, using only trades up to the session date (P100 = highest value among peers). Alignment per client type = share of trades in the same direction as that type\'s sentiment on the trade date. Win rates use a 5-session holding period. Holding period = quantity-weighted trading sessions from a buy to the sell that closes it (oldest lots first). Labels: top third / middle / bottom third of peers.',
+  },
+  traderComparison: {
+    title: 'Team Comparison',
+    description: 'Every Investment Manager\'s transactions up to the session date. Contrarian = share of trades against the selected benchmark\'s move that day (buying on a down day, selling on an up day). SM Alignment = share of trades with smart money data in the direction institutions were trading (the same ±0.1 cut as the Dashboard). Win rates are measured N trading sessions after each trade; With - Against is the gap in percentage points. The Team row pools all managers\' trades.',
+  },
+  roundTrips: {
+    title: 'Round Trips & Exit Timing',
+    description: 'Sells are matched to the same trader\'s oldest open buys of the same ISIN (first in, first out), using only trades up to the session date. Return = exit Price vs entry Price of the matched lot. Smart money sentiment is read on the entry and exit dates; an exit "into institutional selling" was made while smart money sentiment was below -10%. Good exit = the price fell over the 5 sessions after the exit.',
+  },
+  tradeAttribution: {
+    title: 'Trade P&L Attribution',
+    description: 'Each trade is measured from its executed Price to the closing price N trading sessions later. Return is signed by direction (a sell gains when the price falls afterwards). Excess = return minus the selected benchmark index over the same sessions. Alignment compares the trade direction with smart money sentiment on the trade date.',
+  },
+  alertThreshold: {
+    title: 'Alert Threshold',
+    description: 'Minimum gap (in %) between a position\'s daily change and the benchmark index change. Red = the position moved against the index by at least the threshold, Yellow = a gap of at least half the threshold, Green = moving with the market.',
+  },
+  
   // Alert levels
   alertHigh: {
     title: 'HIGH Alert',
@@ -203,7 +257,7 @@ export const METRIC_EXPLANATIONS = {
   },
   foreignFlowSummary: {
     title: 'Foreign Flow Summary',
-    description: 'Portfolio-wide breakdown of Foreign Other (G) sentiment. Shows how many securities have bullish, bearish, or neutral foreign flow, plus how many have contrarian signals (foreign vs smart money disagree).',
+    description: 'Portfolio-wide breakdown of Foreign Other (G) sentiment. Shows how many securities have bullish, bearish, or neutral foreign flow, plus how many have contrarian signals (foreign vs smart money disagree). Weighted by value, the tallies become shares of the market value with G data.',
   },
   
   // Predictive Metrics (Phase 2)
@@ -1,14 +1,17 @@
-import { BarChart3, Search, LogOut, RotateCcw, User, Calendar, Moon, Sun } from 'lucide-react';
+import { BarChart3, Search, Activity, Users, LogOut, RotateCcw, User, Moon, Sun } from 'lucide-react';
 import { useDataStore } from '../hooks/useDataStore';
 import { useTheme } from '../hooks/useTheme';
+import SessionTimeControls from './SessionTimeControls';
 
 const tabs = [
   { id: 'dashboard', label: 'Dashboard', labelFull: 'Dashboard', icon: BarChart3 },
   { id: 'checker', label: 'Checker', labelFull: 'Trade Checker', icon: Search },
+  { id: 'monitor', label: 'Monitor', labelFull: 'Portfolio Monitor', icon: Activity },
+  { id: 'team', label: 'Team', labelFull: 'Team Comparison', icon: Users },
 ];
 
 export default function Layout({ children, activeTab, setActiveTab, appPhase, onLogout, onReset }) {
-  const { isSessionActive, sessionTrader, sessionDate, endSession, reset } = useDataStore();
+  const { isSessionActive, sessionTrader, endSession, reset } = useDataStore();
   const { isDark, toggleTheme } = useTheme();
 
   const handleLogout = () => {
@@ -46,10 +49,7 @@ export default function Layout({ children, activeTab, setActiveTab, appPhase, on
                     <span className="text-sm font-medium">{sessionTrader}</span>
                   </div>
                   <div className="w-px h-4 bg-blue-300 dark:bg-blue-700" />
-                  <div className="flex items-center gap-1.5 text-blue-600 dark:text-blue-400">
-                    <Calendar className="w-4 h-4" />
-                    <span className="text-sm">{sessionDate}</span>
-                  </div>
+                  <SessionTimeControls />
                 </div>
               )}
               
@@ -126,7 +126,7 @@ export default function Layout({ children, activeTab, setActiveTab, appPhase, on
           <div className="flex items-center justify-center gap-3 text-blue-700 dark:text-blue-300 text-sm">
             <span className="font-medium">{sessionTrader}</span>
             <span className="text-blue-400 dark:text-blue-600">|</span>
-            <span>{sessionDate}</span>
+            <SessionTimeControls compact />
           </div>
         </div>
       )}
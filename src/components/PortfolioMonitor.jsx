@@ -1,9 +1,11 @@
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
 import { Activity, AlertTriangle, Search, Plus, X, RefreshCw, TrendingUp, TrendingDown, Users, Zap, AlertCircle, CheckCircle, Clock, BarChart2, Shield, Filter, ArrowUpDown, Globe, ArrowLeftRight } from 'lucide-react';
 import { useDataStore } from '../hooks/useDataStore';
-import { getSentimentAlertLevel, CLIENT_TYPES, SMART_MONEY_TYPES, getEnhancedAlertLevel, calculatePatternStrength, calculateConsensusScore, calculateForeignFlowSignal, FOREIGN_FLOW_TYPE, TYPE_PREDICTIVE_QUALITY } from '../lib/smartMoney';
+import { getSentimentAlertLevel, CLIENT_TYPES, SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE, TYPE_PREDICTIVE_QUALITY } from '../lib/smartMoney';
+import { getPriceAlertLevel, DEFAULT_PRICE_ALERT_THRESHOLD } from '../lib/counterMarket';
 import InfoTooltip, { METRIC_EXPLANATIONS } from './InfoTooltip';
 import LoadingSpinner, { ButtonSpinner } from './LoadingSpinner';
+import IndexSelector from './IndexSelector';
 
 // Format volume with appropriate suffix (M for millions, K for thousands)
 function formatVolume(value) {
@@ -21,15 +23,20 @@ function formatVolume(value) {
 export default function PortfolioMonitor() {
   const { 
     tradingData, processedData, traders,
-    smartMoneyLoaded, getSmartMoneySentiment, getSmartMoneyHistory, detectSmartMoneyPattern, isinToSecurity, getPatternOutcomes,
-    sessionDate, sessionTrader
+    smartMoneyLoaded, getSmartMoneyHistory, isinToSecurity, scanPortfolio, analyticsReady,
+    sessionDate, sessionTrader, getMarketData, getIndexChange, selectedIndex
   } = useDataStore();
   const [isins, setIsins] = useState([]);
   const [newIsin, setNewIsin] = useState('');
   const [isScanning, setIsScanning] = useState(false);
   const [sentimentScan, setSentimentScan] = useState(null);
   const [filterLevel, setFilterLevel] = useState('all'); // 'all', 'HIGH', 'MEDIUM', 'BULLISH', 'CLEAR'
-  const [sortBy, setSortBy] = useState('alert'); // 'alert', 'sentiment', 'pattern'
+  const [sortBy, setSortBy] = useState('alert'); // 'alert', 'sentiment', 'pattern' | 'divergence', 'change'
+  const [viewMode, setViewMode] = useState('price'); // 'price', 'sentiment'
+  const [alertThreshold, setAlertThreshold] = useState(DEFAULT_PRICE_ALERT_THRESHOLD);
+  const [scannedPositions, setScannedPositions] = useState(null); // { isins, date } of the last price scan
+  const [scanProgress, setScanProgress] = useState(null); // { done, total } while the worker scans
+  const scanJobRef = useRef(null); // { promise, cancel } of the running sentiment scan
 
   // Auto-load session trader's portfolio on mount
   useEffect(() => {
@@ -41,6 +48,9 @@ export default function PortfolioMonitor() {
   // Use session date (simulated present day)
   const currentDate = sessionDate || '';
 
+  // Sentiment mode needs smart money data; price mode only needs trading + indices
+  const activeMode = smartMoneyLoaded ? viewMode : 'price';
+
   // Get trader portfolios from processed data
   const traderPortfolios = processedData?.traderPortfolios || {};
 
@@ -70,114 +80,139 @@ export default function PortfolioMonitor() {
     }
   };
 
-  const handleScan = async () => {
-    if (isins.length === 0 || !currentDate) {
+  const handleScan = async (scanIsins = isins) => {
+    if (scanIsins.length === 0 || !currentDate) {
       return;
     }
     
+    // A new scan (e.g. after a session date step) replaces a running one
+    if (scanJobRef.current) scanJobRef.current.cancel();
     setIsScanning(true);
     
-    // Small delay for UI feedback
-    await new Promise(resolve => setTimeout(resolve, 300));
+    // Price alerts are classified live (threshold and benchmark can change after the scan)
+    setScannedPositions({ isins: [...scanIsins], date: currentDate });
     
-    // Scan for smart money sentiment
+    // Scan for smart money sentiment in the analytics worker
     if (smartMoneyLoaded) {
-      const sentimentResults = scanPortfolioSentiment(isins, currentDate);
-      setSentimentScan(sentimentResults);
+      setScanProgress({ done: 0, total: scanIsins.length });
+      const job = scanPortfolio(scanIsins, currentDate, (done, total) => setScanProgress({ done, total }));
+      scanJobRef.current = job;
+      try {
+        const sentimentResults = await job.promise;
+        // A cancelled scan resolves to null - keep the previous results
+        if (sentimentResults) setSentimentScan(sentimentResults);
+      } catch (err) {
+        console.error('Portfolio scan failed:', err);
+      }
+      // Only the latest scan clears the progress state
+      if (scanJobRef.current !== job) return;
+      scanJobRef.current = null;
+      setScanProgress(null);
     } else {
       setSentimentScan(null);
     }
     
     setIsScanning(false);
   };
-  
-  // Scan portfolio for smart money sentiment using EDA-based thresholds
-  const scanPortfolioSentiment = (isinList, scanDate) => {
+
+  // Stepping the session date re-runs the last scan on the same ISINs as of the new date
+  useEffect(() => {
+    if (!scannedPositions || !currentDate || scannedPositions.date === currentDate) return;
+    handleScan(scannedPositions.isins);
+  }, [currentDate]);
+
+  const cancelScan = () => {
+    if (scanJobRef.current) scanJobRef.current.cancel();
+  };
+
+  // Stop a running scan when leaving the tab
+  useEffect(() => () => {
+    if (scanJobRef.current) scanJobRef.current.cancel();
+  }, []);
+
+  // Compare each scanned position's daily change with the selected benchmark
+  const priceScan = useMemo(() => {
+    if (!scannedPositions) return null;
+    
     const redAlerts = [];
     const yellowAlerts = [];
-    const tealAlerts = [];
     const greenPositions = [];
     const noData = [];
+    const indexChange = getIndexChange(scannedPositions.date);
     
-    for (const isin of isinList) {
+    for (const isin of scannedPositions.isins) {
       const isinClean = isin.toUpperCase().trim();
-      const sentiment = getSmartMoneySentiment(isinClean, scanDate);
       const secInfo = isinToSecurity.get(isinClean);
-      const pattern = detectSmartMoneyPattern(isinClean, scanDate, 10);
-      
-      // Get historical pattern outcomes for this security
-      const patternOutcomes = sentiment?.smartMoneySentiment < -0.3 
-        ? getPatternOutcomes(isinClean, sentiment.smartMoneySentiment, 5) 
-        : null;
-      
-      // Calculate pattern strength (based on EDA)
-      const patternStrength = calculatePatternStrength(pattern, sentiment?.smartMoneySentiment);
-      
-      // Calculate consensus across client types (based on EDA)
-      const consensus = sentiment?.typeSentiments 
-        ? calculateConsensusScore(sentiment.typeSentiments)
-        : null;
-      
-      // Foreign flow signal
-      const foreignFlow = sentiment ? calculateForeignFlowSignal(sentiment) : null;
+      const marketData = getMarketData(isinClean, scannedPositions.date);
+      const securityChange = marketData ? marketData.change : null;
+      const { level, relativeChange, isCounterMarket } = getPriceAlertLevel(securityChange, indexChange, alertThreshold);
       
       const item = {
         isin: isinClean,
         symbol: secInfo?.symbol || isinClean.substring(0, 8),
         companyName: secInfo?.companyName,
-        sentiment: sentiment?.smartMoneySentiment,
-        typeSentiments: sentiment?.typeSentiments,
-        buyVolume: sentiment?.smartMoneyBuy,
-        sellVolume: sentiment?.smartMoneySell,
-        pattern,
-        patternOutcomes,
-        patternStrength,
-        consensus,
-        foreignFlow,
-        date: scanDate,
+        securityChange,
+        indexChange,
+        closingPrice: marketData?.closingPrice,
+        relativeChange,
+        isCounterMarket,
+        date: scannedPositions.date,
       };
       
-      // Check both if sentiment exists AND has valid data
-      if (!sentiment || sentiment.smartMoneySentiment === null) {
-        noData.push(item);
-        continue;
-      }
-      
-      // Use EDA-based enhanced alert level
-      const enhancedAlert = getEnhancedAlertLevel(sentiment.smartMoneySentiment, pattern);
-      item.alertLevel = enhancedAlert.level;
-      item.alertColor = enhancedAlert.color;
-      item.alertReason = enhancedAlert.reason;
-      item.alertAction = enhancedAlert.action;
-      item.alertConfidence = enhancedAlert.confidence;
-      
-      // Categorize by EDA-based alert levels
-      if (enhancedAlert.level === 'HIGH') {
-        redAlerts.push(item);
-      } else if (enhancedAlert.level === 'MEDIUM') {
-        yellowAlerts.push(item);
-      } else if (enhancedAlert.level === 'BULLISH') {
-        tealAlerts.push(item);
-      } else {
-        greenPositions.push(item);
-      }
+      if (level === 'RED') redAlerts.push(item);
+      else if (level === 'YELLOW') yellowAlerts.push(item);
+      else if (level === 'GREEN') greenPositions.push(item);
+      else noData.push(item);
     }
     
-    // Sort alerts by pattern strength (worst first for red/yellow, best first for bullish)
-    redAlerts.sort((a, b) => (b.patternStrength?.score || 0) - (a.patternStrength?.score || 0));
-    yellowAlerts.sort((a, b) => (b.patternStrength?.score || 0) - (a.patternStrength?.score || 0));
-    tealAlerts.sort((a, b) => (b.sentiment || 0) - (a.sentiment || 0));
+    // Largest gap vs the index first
+    const byGap = (a, b) => Math.abs(b.relativeChange) - Math.abs(a.relativeChange);
+    redAlerts.sort(byGap);
+    yellowAlerts.sort(byGap);
     
     return {
       redAlerts,
       yellowAlerts,
-      tealAlerts,
       greenPositions,
       noData,
-      totalScanned: isinList.length,
+      indexChange,
+      indexName: selectedIndex?.indexName || '',
+      date: scannedPositions.date,
+      totalScanned: scannedPositions.isins.length,
     };
+  }, [scannedPositions, alertThreshold, getMarketData, getIndexChange, isinToSecurity, selectedIndex]);
+
+  const switchViewMode = (mode) => {
+    setViewMode(mode);
+    setFilterLevel('all');
+    setSortBy('alert');
   };
 
+  // Filter and sort price alert results
+  const filteredPriceResults = useMemo(() => {
+    if (!priceScan) return null;
+    
+    let allItems = [];
+    
+    if (filterLevel === 'all' || filterLevel === 'RED') {
+      allItems = allItems.concat(priceScan.redAlerts.map(i => ({ ...i, category: 'RED' })));
+    }
+    if (filterLevel === 'all' || filterLevel === 'YELLOW') {
+      allItems = allItems.concat(priceScan.yellowAlerts.map(i => ({ ...i, category: 'YELLOW' })));
+    }
+    if (filterLevel === 'all' || filterLevel === 'GREEN') {
+      allItems = allItems.concat(priceScan.greenPositions.map(i => ({ ...i, category: 'GREEN' })));
+    }
+    
+    if (sortBy === 'divergence') {
+      allItems.sort((a, b) => Math.abs(b.relativeChange) - Math.abs(a.relativeChange));
+    } else if (sortBy === 'change') {
+      allItems.sort((a, b) => a.securityChange - b.securityChange);
+    }
+    
+    return allItems;
+  }, [priceScan, filterLevel, sortBy]);
+
   // Filter and sort results
   const filteredResults = useMemo(() => {
     if (!sentimentScan) return null;
@@ -216,19 +251,10 @@ export default function PortfolioMonitor() {
     );
   }
 
-  if (!smartMoneyLoaded) {
-    return (
-      <div className="text-center py-12">
-        <div className="bg-amber-50 border border-amber-200 rounded-xl p-8 max-w-lg mx-auto">
-          <Zap className="w-12 h-12 text-amber-500 mx-auto mb-4" />
-          <h3 className="text-lg font-semibold text-amber-800 mb-2">Smart Money Data Required</h3>
-          <p className="text-amber-700">
-            Please upload the Smart Money EOD and Securities Mapping files to enable portfolio monitoring.
-          </p>
-        </div>
-      </div>
-    );
-  }
+  const filterLevels = activeMode === 'price'
+    ? ['all', 'RED', 'YELLOW', 'GREEN']
+    : ['all', 'HIGH', 'MEDIUM', 'BULLISH', 'CLEAR'];
+  const hasScan = activeMode === 'price' ? !!priceScan : !!sentimentScan;
 
   return (
     <div className="space-y-6">
@@ -237,25 +263,37 @@ export default function PortfolioMonitor() {
         <div>
           <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Portfolio Monitor</h2>
           <p className="text-gray-600 mt-1">
-            Scan positions for institutional sentiment alerts
+            Scan positions for counter-market price moves and institutional sentiment alerts
           </p>
         </div>
         
-        {sessionDate && (
-          <div className="flex items-center gap-2 px-3 py-2 bg-blue-50 border border-blue-200 rounded-lg">
-            <Clock className="w-4 h-4 text-blue-600" />
-            <span className="text-sm text-blue-700">Session: <strong>{sessionDate}</strong></span>
-          </div>
-        )}
+        <div className="flex flex-wrap items-center gap-2">
+          <IndexSelector />
+          {sessionDate && (
+            <div className="flex items-center gap-2 px-3 py-2 bg-blue-50 border border-blue-200 rounded-lg">
+              <Clock className="w-4 h-4 text-blue-600" />
+              <span className="text-sm text-blue-700">Session: <strong>{sessionDate}</strong></span>
+            </div>
+          )}
+        </div>
       </div>
       
       {/* Smart Money Status Banner */}
-      <div className="p-3 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2">
-        <Zap className="w-4 h-4 text-green-600" />
-        <p className="text-sm text-green-700">
-          Smart money sentiment analysis enabled - institutional trading patterns will be analyzed
-        </p>
-      </div>
+      {smartMoneyLoaded ? (
+        <div className="p-3 bg-green-50 border border-green-200 rounded-lg flex items-center gap-2">
+          <Zap className="w-4 h-4 text-green-600" />
+          <p className="text-sm text-green-700">
+            Smart money sentiment analysis enabled - institutional trading patterns will be analyzed
+          </p>
+        </div>
+      ) : (
+        <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg flex items-center gap-2">
+          <Zap className="w-4 h-4 text-amber-500" />
+          <p className="text-sm text-amber-700">
+            Upload the Smart Money EOD and Securities Mapping files to enable Smart Money Alerts. Price Alerts are available.
+          </p>
+        </div>
+      )}
 
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Portfolio Input */}
@@ -270,7 +308,7 @@ export default function PortfolioMonitor() {
             </label>
             <div className="flex items-center gap-2">
               <div className="flex-1 px-3 py-2 border border-blue-300 rounded-lg bg-blue-50 text-sm text-blue-800 font-medium">
-                {sessionTrader} ({traderIsins.length} ISINs)
+                {sessionTrader} ({traderIsins.length} open positions)
               </div>
               <button
                 onClick={reloadTraderPortfolio}
@@ -332,6 +370,62 @@ export default function PortfolioMonitor() {
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
           <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Scan Settings</h3>
           
+          {/* View Mode */}
+          <div className="mb-4">
+            <label className="block text-sm font-medium text-gray-700 mb-1">View Mode</label>
+            <div className="grid grid-cols-2 gap-1 p-1 bg-gray-100 rounded-lg">
+              <button
+                onClick={() => switchViewMode('price')}
+                className={`flex items-center justify-center gap-1 px-2 py-1.5 text-xs font-medium rounded-md transition-colors ${
+                  activeMode === 'price' ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                <TrendingUp className="w-3 h-3" />
+                Price Alerts
+              </button>
+              <button
+                onClick={() => switchViewMode('sentiment')}
+                disabled={!smartMoneyLoaded}
+                title={smartMoneyLoaded ? undefined : 'Smart money data required'}
+                className={`flex items-center justify-center gap-1 px-2 py-1.5 text-xs font-medium rounded-md transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+                  activeMode === 'sentiment' ? 'bg-white text-blue-700 shadow-sm' : 'text-gray-600 hover:text-gray-800'
+                }`}
+              >
+                <Zap className="w-3 h-3" />
+                Smart Money Alerts
+              </button>
+            </div>
+          </div>
+
+          {/* Alert Threshold */}
+          {activeMode === 'price' && (
+            <div className="mb-4">
+              <div className="flex items-center justify-between mb-1">
+                <div className="flex items-center gap-1">
+                  <label htmlFor="alert-threshold" className="text-sm font-medium text-gray-700">Alert Threshold</label>
+                  <InfoTooltip title={METRIC_EXPLANATIONS.alertThreshold.title} position="bottom">
+                    {METRIC_EXPLANATIONS.alertThreshold.description}
+                  </InfoTooltip>
+                </div>
+                <span className="text-sm font-mono font-medium text-blue-700">{alertThreshold.toFixed(1)}%</span>
+              </div>
+              <input
+                id="alert-threshold"
+                type="range"
+                min="0.5"
+                max="5"
+                step="0.5"
+                value={alertThreshold}
+                onChange={(e) => setAlertThreshold(parseFloat(e.target.value))}
+                className="w-full accent-blue-600"
+              />
+              <div className="flex justify-between text-xs text-gray-400">
+                <span>0.5%</span>
+                <span>5%</span>
+              </div>
+            </div>
+          )}
+
           {/* Current Date Display */}
           {currentDate && (
             <div className="mb-4 text-xs text-gray-500 text-center py-2 bg-gray-50 rounded-lg">
@@ -341,22 +435,46 @@ export default function PortfolioMonitor() {
 
           {/* Scan Button */}
           <button
-            onClick={handleScan}
-            disabled={isins.length === 0 || !currentDate || isScanning}
+            onClick={() => handleScan()}
+            disabled={isins.length === 0 || !currentDate || isScanning || (smartMoneyLoaded && !analyticsReady)}
             className="w-full py-3 bg-green-600 text-white font-medium rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
           >
             {isScanning ? (
               <>
                 <ButtonSpinner />
-                Scanning...
+                {scanProgress ? `Scanning ${scanProgress.done}/${scanProgress.total}...` : 'Scanning...'}
+              </>
+            ) : smartMoneyLoaded && !analyticsReady ? (
+              <>
+                <ButtonSpinner />
+                Preparing analytics...
               </>
             ) : (
               <>
                 <Activity className="w-5 h-5" />
-                Scan Smart Money Sentiment
+                Scan Portfolio
               </>
             )}
           </button>
+
+          {/* Scan Progress */}
+          {scanProgress && (
+            <div className="mt-3">
+              <div className="h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-green-500 transition-all"
+                  style={{ width: `${scanProgress.total > 0 ? (scanProgress.done / scanProgress.total) * 100 : 0}%` }}
+                />
+              </div>
+              <button
+                onClick={cancelScan}
+                className="mt-2 w-full py-1.5 text-sm text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center justify-center gap-1"
+              >
+                <X className="w-4 h-4" />
+                Cancel Scan
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Summary */}
@@ -364,11 +482,52 @@ export default function PortfolioMonitor() {
           <div className="flex items-center gap-2 mb-4">
             <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Scan Summary</h3>
             <InfoTooltip title="Scan Summary" position="bottom">
-              Overview of your portfolio's smart money sentiment. Securities are categorized by alert level based on institutional trading patterns and sentiment analysis.
+              {activeMode === 'price'
+                ? 'Overview of your portfolio\'s daily moves against the selected benchmark. Securities are categorized by how far they moved against the index relative to the Alert Threshold.'
+                : 'Overview of your portfolio\'s smart money sentiment. Securities are categorized by alert level based on institutional trading patterns and sentiment analysis.'}
             </InfoTooltip>
           </div>
           
-          {sentimentScan ? (
+          {activeMode === 'price' && priceScan ? (
+            <div className="space-y-4">
+              <div className="grid grid-cols-3 gap-2">
+                <div className="text-center p-2 bg-red-50 rounded-lg">
+                  <p className="text-xl font-bold text-red-600">{priceScan.redAlerts.length}</p>
+                  <p className="text-xs text-red-700">RED</p>
+                </div>
+                <div className="text-center p-2 bg-yellow-50 rounded-lg">
+                  <p className="text-xl font-bold text-yellow-600">{priceScan.yellowAlerts.length}</p>
+                  <p className="text-xs text-yellow-700">YELLOW</p>
+                </div>
+                <div className="text-center p-2 bg-green-50 rounded-lg">
+                  <p className="text-xl font-bold text-green-600">{priceScan.greenPositions.length}</p>
+                  <p className="text-xs text-green-700">GREEN</p>
+                </div>
+              </div>
+              {priceScan.noData.length > 0 && (
+                <p className="text-xs text-gray-500 text-center">
+                  {priceScan.noData.length} positions without market data
+                </p>
+              )}
+              
+              <div className="p-3 bg-gray-50 rounded-lg space-y-1">
+                <p className="text-sm text-gray-600">
+                  <strong>Date:</strong> {priceScan.date}
+                </p>
+                <p className="text-sm text-gray-600">
+                  <strong>{priceScan.indexName || 'Index'}:</strong>{' '}
+                  {priceScan.indexChange !== null ? (
+                    <span className={priceScan.indexChange >= 0 ? 'text-green-600' : 'text-red-600'}>
+                      {priceScan.indexChange >= 0 ? '+' : ''}{priceScan.indexChange.toFixed(2)}%
+                    </span>
+                  ) : 'No market data for this date'}
+                </p>
+                <p className="text-sm text-gray-600">
+                  <strong>Positions:</strong> {priceScan.totalScanned}
+                </p>
+              </div>
+            </div>
+          ) : activeMode === 'sentiment' && sentimentScan ? (
             <div className="space-y-4">
               {/* Alert Summary */}
               <div className="grid grid-cols-2 gap-2">
@@ -417,7 +576,7 @@ export default function PortfolioMonitor() {
               
               <div className="p-3 bg-gray-50 rounded-lg space-y-1">
                 <p className="text-sm text-gray-600">
-                  <strong>Date:</strong> {date}
+                  <strong>Date:</strong> {currentDate}
                 </p>
                 <p className="text-sm text-gray-600">
                   <strong>Positions:</strong> {isins.length}
@@ -439,7 +598,7 @@ export default function PortfolioMonitor() {
       </div>
 
       {/* Filter & Sort Controls */}
-      {sentimentScan && (
+      {hasScan && (
         <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-4">
           <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
             {/* Filter by Alert Level */}
@@ -449,16 +608,16 @@ export default function PortfolioMonitor() {
                 <span className="text-sm text-gray-600">Filter:</span>
               </div>
               <div className="flex flex-wrap gap-1">
-                {['all', 'HIGH', 'MEDIUM', 'BULLISH', 'CLEAR'].map(level => (
+                {filterLevels.map(level => (
                   <button
                     key={level}
                     onClick={() => setFilterLevel(level)}
                     className={`px-2 sm:px-3 py-1 text-xs font-medium rounded transition-colors ${
                       filterLevel === level
-                        ? level === 'HIGH' ? 'bg-red-500 text-white' :
-                          level === 'MEDIUM' ? 'bg-yellow-500 text-white' :
+                        ? level === 'HIGH' || level === 'RED' ? 'bg-red-500 text-white' :
+                          level === 'MEDIUM' || level === 'YELLOW' ? 'bg-yellow-500 text-white' :
                           level === 'BULLISH' ? 'bg-teal-500 text-white' :
-                          level === 'CLEAR' ? 'bg-green-500 text-white' :
+                          level === 'CLEAR' || level === 'GREEN' ? 'bg-green-500 text-white' :
                           'bg-blue-500 text-white'
                         : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
                     }`}
@@ -479,16 +638,60 @@ export default function PortfolioMonitor() {
                 className="flex-1 sm:flex-none px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 outline-none"
               >
                 <option value="alert">By Alert Level</option>
-                <option value="sentiment">By Sentiment</option>
-                <option value="pattern">By Pattern</option>
+                {activeMode === 'price' ? (
+                  <>
+                    <option value="divergence">By Divergence</option>
+                    <option value="change">By Security Change</option>
+                  </>
+                ) : (
+                  <>
+                    <option value="sentiment">By Sentiment</option>
+                    <option value="pattern">By Pattern</option>
+                  </>
+                )}
               </select>
             </div>
           </div>
         </div>
       )}
 
+      {/* Price Alert Results */}
+      {activeMode === 'price' && priceScan && (
+        <div className="space-y-6">
+          {filteredPriceResults && filteredPriceResults.length > 0 ? (
+            <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-4">
+              {filteredPriceResults.map((item) => (
+                <PriceAlertCard key={item.isin} item={item} indexName={priceScan.indexName} />
+              ))}
+            </div>
+          ) : (
+            <div className="bg-gray-50 rounded-xl border border-gray-200 p-8 text-center">
+              <p className="text-gray-500">No positions match the current filter</p>
+            </div>
+          )}
+          
+          {priceScan.noData.length > 0 && filterLevel === 'all' && (
+            <div className="bg-gray-50 rounded-xl border border-gray-200 p-6">
+              <div className="flex items-center gap-2 mb-4">
+                <Clock className="w-5 h-5 text-gray-400" />
+                <h3 className="text-lg font-semibold text-gray-700">
+                  No Market Data ({priceScan.noData.length})
+                </h3>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {priceScan.noData.map((item, idx) => (
+                  <span key={idx} className="px-2 py-1 bg-gray-200 text-gray-600 rounded text-xs font-mono">
+                    {item.symbol || item.isin}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Smart Money Sentiment Results */}
-      {sentimentScan && (
+      {activeMode === 'sentiment' && sentimentScan && (
         <div className="space-y-6">
           {/* Filtered Results Grid */}
           {filteredResults && filteredResults.length > 0 ? (
@@ -527,6 +730,70 @@ export default function PortfolioMonitor() {
   );
 }
 
+/**
+ * Individual Price Alert Card - security daily change vs the benchmark
+ */
+function PriceAlertCard({ item, indexName }) {
+  const categoryColors = {
+    RED: { bg: 'bg-red-50 dark:bg-red-900/20', border: 'border-red-200 dark:border-red-700', badge: 'bg-red-500' },
+    YELLOW: { bg: 'bg-yellow-50 dark:bg-yellow-900/20', border: 'border-yellow-200 dark:border-yellow-700', badge: 'bg-yellow-500' },
+    GREEN: { bg: 'bg-green-50 dark:bg-green-900/20', border: 'border-green-200 dark:border-green-700', badge: 'bg-green-500' },
+  };
+  
+  const colors = categoryColors[item.category] || categoryColors.GREEN;
+  const formatChange = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+  
+  return (
+    <div className={`rounded-xl border-2 ${colors.border} ${colors.bg} p-4`}>
+      {/* Header */}
+      <div className="flex items-start justify-between mb-3">
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center gap-2">
+            <span className={`px-2 py-0.5 rounded text-xs font-bold text-white ${colors.badge}`}>
+              {item.category}
+            </span>
+            <p className="font-semibold text-gray-900 dark:text-white truncate">{item.symbol}</p>
+          </div>
+          {item.companyName && (
+            <p className="text-xs text-gray-500 truncate mt-1">{item.companyName}</p>
+          )}
+        </div>
+        <p className={`text-xl font-bold ml-2 ${item.securityChange >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+          {formatChange(item.securityChange)}
+        </p>
+      </div>
+      
+      {item.isCounterMarket && (
+        <div className="mb-3 flex items-center gap-1 text-xs text-amber-700">
+          <ArrowLeftRight className="w-3 h-3" />
+          <span className="font-medium">Moving against the market</span>
+        </div>
+      )}
+      
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <div className="p-2 bg-white dark:bg-gray-800 rounded">
+          <p className="text-xs text-gray-500 truncate" title={indexName}>{indexName || 'Index'}</p>
+          <p className={`text-sm font-semibold ${item.indexChange >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+            {formatChange(item.indexChange)}
+          </p>
+        </div>
+        <div className="p-2 bg-white dark:bg-gray-800 rounded">
+          <p className="text-xs text-gray-500">vs Index</p>
+          <p className={`text-sm font-semibold ${item.relativeChange >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+            {formatChange(item.relativeChange)}
+          </p>
+        </div>
+        <div className="p-2 bg-white dark:bg-gray-800 rounded">
+          <p className="text-xs text-gray-500">Close</p>
+          <p className="text-sm font-semibold text-gray-700 dark:text-gray-200">
+            {item.closingPrice != null ? item.closingPrice.toLocaleString() : '-'}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 /**
  * Individual Sentiment Alert Card - Enhanced with Pattern Strength Score
  */
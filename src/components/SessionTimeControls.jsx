@@ -0,0 +1,56 @@
+import { ChevronLeft, ChevronRight, Play, Pause, Calendar } from 'lucide-react';
+import { useDataStore } from '../hooks/useDataStore';
+
+/**
+ * SessionTimeControls - Step the session date through the trading calendar or replay it forward
+ * (the store re-runs processData for every new date)
+ */
+export default function SessionTimeControls({ compact = false }) {
+  const {
+    sessionDate, getSteppedSessionDate, stepSessionDate, isReplaying, startReplay, stopReplay,
+  } = useDataStore();
+
+  const previousDate = getSteppedSessionDate(-1);
+  const nextDate = getSteppedSessionDate(1);
+
+  // Manual steps take over from a running replay
+  const step = (offset) => {
+    stopReplay();
+    stepSessionDate(offset);
+  };
+
+  const buttonClass = 'p-1 rounded-md hover:bg-blue-100 dark:hover:bg-blue-800/50 disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent transition-colors';
+
+  return (
+    <div className="flex items-center gap-1 text-blue-600 dark:text-blue-400">
+      <button
+        onClick={() => step(-1)}
+        disabled={!previousDate}
+        className={buttonClass}
+        title={previousDate ? `Previous trading day (${previousDate})` : 'No earlier trading day'}
+      >
+        <ChevronLeft className="w-4 h-4" />
+      </button>
+      <div className="flex items-center gap-1.5">
+        {!compact && <Calendar className="w-4 h-4" />}
+        <span className="text-sm tabular-nums">{sessionDate}</span>
+      </div>
+      <button
+        onClick={() => step(1)}
+        disabled={!nextDate}
+        className={buttonClass}
+        title={nextDate ? `Next trading day (${nextDate})` : 'No later trading day'}
+      >
+        <ChevronRight className="w-4 h-4" />
+      </button>
+      <button
+        onClick={isReplaying ? stopReplay : startReplay}
+        disabled={!isReplaying && !nextDate}
+        className={`${buttonClass} ${isReplaying ? 'bg-blue-100 dark:bg-blue-800/50' : ''}`}
+        title={isReplaying ? 'Pause replay' : 'Replay forward one trading day at a time'}
+      >
+        {isReplaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import { useState, useEffect, useRef } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend, CartesianGrid } from 'recharts';
+import { Layers, Play, X } from 'lucide-react';
+import { useDataStore } from '../hooks/useDataStore';
+import { SIMULATED_BOOKS } from '../lib/strategySimulator';
+import InfoTooltip, { METRIC_EXPLANATIONS } from './InfoTooltip';
+import { ButtonSpinner } from './LoadingSpinner';
+
+/**
+ * StrategySimulator - Equity curve, drawdown, turnover and hit rate of the trader's actual book
+ * vs the same book without RED-light trades vs an alert-rule book
+ */
+export default function StrategySimulator() {
+  const { analyticsReady, processedData, simulateStrategies } = useDataStore();
+  const [result, setResult] = useState(null);
+  const [chart, setChart] = useState('equity'); // 'equity', 'drawdown'
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const jobRef = useRef(null);
+
+  // A simulation only describes the trades it was run on
+  useEffect(() => {
+    setResult(null);
+  }, [processedData]);
+
+  useEffect(() => () => {
+    if (jobRef.current) jobRef.current.cancel();
+  }, []);
+
+  const handleRun = async () => {
+    setError(null);
+    setProgress({ done: 0, total: 1 });
+    const job = simulateStrategies((done, total) => setProgress({ done, total }));
+    jobRef.current = job;
+    try {
+      const simulation = await job.promise;
+      if (simulation) setResult(simulation);
+    } catch (err) {
+      setError(`Simulation failed: ${err.message}`);
+    } finally {
+      if (jobRef.current === job) jobRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const cancelRun = () => {
+    if (jobRef.current) jobRef.current.cancel();
+  };
+
+  const costOfIgnoring = result?.books.actual
+    ? result.books.noRed.totalPnl - result.books.actual.totalPnl
+    : null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <Layers className="w-6 h-6 text-indigo-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Strategy Simulator</h3>
+        <InfoTooltip title={METRIC_EXPLANATIONS.strategySimulator.title} position="right">
+          {METRIC_EXPLANATIONS.strategySimulator.description}
+        </InfoTooltip>
+
+        <div className="ml-auto">
+          {progress ? (
+            <button
+              onClick={cancelRun}
+              className="px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center gap-1.5"
+            >
+              <X className="w-4 h-4" />
+              Cancel Simulation
+            </button>
+          ) : (
+            <button
+              onClick={handleRun}
+              disabled={!analyticsReady || !processedData}
+              className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1.5"
+            >
+              {analyticsReady ? <Play className="w-4 h-4" /> : <ButtonSpinner />}
+              {result ? 'Re-run simulation' : 'Run simulation'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {progress && (
+        <div className="mt-3 h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-indigo-500 transition-all"
+            style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }}
+          />
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {result && !result.from && (
+        <p className="mt-4 text-sm text-gray-500 dark:text-gray-400">No dated transactions within the trading data to simulate.</p>
+      )}
+
+      {result?.from && (
+        <div className="mt-4 space-y-5">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {result.from} to {result.to} · {result.removedTrades} RED-light trade{result.removedTrades === 1 ? '' : 's'} removed ·
+            rule book trades {formatAmount(result.ruleNotional, { signed: false })} per position
+          </p>
+
+          {costOfIgnoring !== null && (
+            <div className={`p-3 rounded-lg text-sm ${costOfIgnoring > 0 ? 'bg-red-50 dark:bg-red-900/20 text-red-700 dark:text-red-300' : 'bg-green-50 dark:bg-green-900/20 text-green-700 dark:text-green-300'}`}>
+              {costOfIgnoring > 0
+                ? <>Ignoring RED lights cost <strong>{formatAmount(costOfIgnoring, { signed: false })}</strong> over the period.</>
+                : <>Skipping RED-light trades would have given up <strong>{formatAmount(-costOfIgnoring, { signed: false })}</strong> over the period.</>}
+            </div>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b dark:border-gray-700">
+                  <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Book</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Trades</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Total P&L</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Max Drawdown</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Turnover</th>
+                  <th className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Hit Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {Object.entries(SIMULATED_BOOKS).map(([key, book]) => (
+                  <BookRow key={key} book={book} stats={result.books[key]} />
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div>
+            <div className="flex justify-end mb-2">
+              <div className="flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden text-xs">
+                {[['equity', 'Equity'], ['drawdown', 'Drawdown']].map(([key, label]) => (
+                  <button
+                    key={key}
+                    onClick={() => setChart(key)}
+                    className={`px-2.5 py-1 ${chart === key ? 'bg-gray-800 text-white dark:bg-gray-200 dark:text-gray-900' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="h-64">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={result.curve} margin={{ top: 4, right: 8, left: 8, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                  <XAxis dataKey="date" tick={{ fontSize: 10 }} minTickGap={24} />
+                  <YAxis tick={{ fontSize: 10 }} tickFormatter={(value) => formatAmount(value, { signed: false })} />
+                  <Tooltip formatter={(value) => formatAmount(value)} />
+                  <Legend />
+                  {Object.entries(SIMULATED_BOOKS).map(([key, book]) => (
+                    <Line
+                      key={key}
+                      type="monotone"
+                      dataKey={chart === 'equity' ? key : `${key}Drawdown`}
+                      name={book.label}
+                      stroke={book.color}
+                      dot={false}
+                      strokeWidth={2}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Same compact format as the Dashboard holdings summary
+function formatAmount(value, { signed = true } = {}) {
+  if (value === null || value === undefined) return '-';
+  const sign = value < 0 ? '-' : signed && value > 0 ? '+' : '';
+  const abs = Math.abs(value);
+  if (abs >= 1000000) return `${sign}${(abs / 1000000).toFixed(2)}M`;
+  if (abs >= 1000) return `${sign}${(abs / 1000).toFixed(1)}K`;
+  return `${sign}${abs.toFixed(0)}`;
+}
+
+function BookRow({ book, stats }) {
+  return (
+    <tr className="border-b dark:border-gray-700 last:border-0">
+      <td className="py-2 px-3 text-gray-700 dark:text-gray-300">
+        <span className="flex items-center gap-2">
+          <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: book.color }} />
+          {book.label}
+        </span>
+      </td>
+      <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">{stats.trades.toLocaleString()}</td>
+      <td className={`py-2 px-3 text-right font-medium ${stats.totalPnl >= 0 ? 'text-green-600' : 'text-red-600'}`}>{formatAmount(stats.totalPnl)}</td>
+      <td className="py-2 px-3 text-right text-red-600">{formatAmount(stats.maxDrawdown)}</td>
+      <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">
+        {stats.turnover !== null ? `${stats.turnover.toFixed(1)}x` : '-'}
+        <span className="block text-xs text-gray-500 dark:text-gray-400">{formatAmount(stats.tradedValue, { signed: false })} traded</span>
+      </td>
+      <td className="py-2 px-3 text-right text-gray-700 dark:text-gray-300">
+        {stats.hitRate !== null ? `${stats.hitRate.toFixed(1)}%` : '-'}
+        <span className="block text-xs text-gray-500 dark:text-gray-400">{stats.closedTrades} closed</span>
+      </td>
+    </tr>
+  );
+}
@@ -0,0 +1,274 @@
+import { useState, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, Legend, CartesianGrid } from 'recharts';
+import { Users, ArrowUpDown, ArrowRight, X } from 'lucide-react';
+import { useDataStore } from '../hooks/useDataStore';
+import { FOREIGN_FLOW_EDA } from '../lib/smartMoney';
+import { TRADER_RANKINGS, rankTraders } from '../lib/traderComparison';
+import InfoTooltip, { METRIC_EXPLANATIONS } from './InfoTooltip';
+import IndexSelector from './IndexSelector';
+
+// Columns that need smart money data
+const SMART_MONEY_COLUMNS = ['alignmentRate', 'withWinRate', 'againstWinRate', 'edge'];
+
+/**
+ * TeamComparison - Every Investment Manager ranked side by side, with a team aggregate row
+ * and a drill-down into any one manager
+ */
+export default function TeamComparison({ onOpenDashboard }) {
+  const { getTraderComparison, smartMoneyLoaded, sessionTrader, sessionDate, selectedIndex, filterByTrader } = useDataStore();
+  const [holdingDays, setHoldingDays] = useState(5);
+  const [sort, setSort] = useState({ key: 'trades', dir: 'desc' });
+  const [drillDown, setDrillDown] = useState(null);
+
+  const comparison = useMemo(() => getTraderComparison(holdingDays), [getTraderComparison, holdingDays]);
+  const ranked = useMemo(() => rankTraders(comparison.traders, sort.key, sort.dir), [comparison, sort]);
+  const selected = comparison.traders.find(row => row.trader === drillDown) || null;
+
+  const toggleSort = (key) => setSort(prev => (
+    prev.key === key ? { key, dir: prev.dir === 'asc' ? 'desc' : 'asc' } : { key, dir: 'desc' }
+  ));
+
+  const openDashboard = (trader) => {
+    filterByTrader(trader);
+    if (onOpenDashboard) onOpenDashboard();
+  };
+
+  if (comparison.traders.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500 dark:text-gray-400">
+        No transactions on or before {sessionDate}.
+      </div>
+    );
+  }
+
+  const columns = Object.keys(TRADER_RANKINGS).filter(key => smartMoneyLoaded || !SMART_MONEY_COLUMNS.includes(key));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <Users className="w-6 h-6 text-blue-500" />
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Team Comparison</h3>
+          <InfoTooltip title={METRIC_EXPLANATIONS.traderComparison.title} position="right">
+            {METRIC_EXPLANATIONS.traderComparison.description}
+          </InfoTooltip>
+          <div className="ml-auto flex flex-wrap items-center gap-3">
+            <IndexSelector />
+            {smartMoneyLoaded && (
+              <select
+                value={holdingDays}
+                onChange={(e) => setHoldingDays(Number(e.target.value))}
+                className="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 dark:text-white"
+              >
+                {FOREIGN_FLOW_EDA.periods.map(p => (
+                  <option key={p.days} value={p.days}>{p.days}-session win rate</option>
+                ))}
+              </select>
+            )}
+          </div>
+        </div>
+
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          {comparison.traders.length} managers · {comparison.team.trades.toLocaleString()} trades up to {sessionDate}
+          {selectedIndex && <> · contrarian vs {selectedIndex.indexName}</>}
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b dark:border-gray-700">
+                <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">#</th>
+                <th className="text-left py-2 px-3 font-medium text-gray-600 dark:text-gray-400">Manager</th>
+                {columns.map(key => (
+                  <th key={key} className="text-right py-2 px-3 font-medium text-gray-600 dark:text-gray-400">
+                    <button onClick={() => toggleSort(key)} className="inline-flex items-center gap-1 hover:text-gray-900 dark:hover:text-white">
+                      {TRADER_RANKINGS[key].label}
+                      <ArrowUpDown className={`w-3 h-3 ${sort.key === key ? 'text-blue-500' : 'opacity-40'}`} />
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {ranked.map((row, i) => (
+                <tr
+                  key={row.trader}
+                  onClick={() => setDrillDown(row.trader === drillDown ? null : row.trader)}
+                  className={`border-b dark:border-gray-700 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 ${
+                    row.trader === drillDown ? 'bg-blue-50 dark:bg-blue-900/20' : ''
+                  }`}
+                >
+                  <td className="py-2 px-3 text-gray-500 dark:text-gray-400">{i + 1}</td>
+                  <td className="py-2 px-3">
+                    <span className="font-medium text-blue-600 dark:text-blue-400">{row.trader}</span>
+                    {row.trader === sessionTrader && (
+                      <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300">you</span>
+                    )}
+                  </td>
+                  {columns.map(key => <MetricCell key={key} metric={key} row={row} />)}
+                </tr>
+              ))}
+            </tbody>
+            <tfoot>
+              <tr className="border-t-2 border-gray-300 dark:border-gray-600 bg-gray-50 dark:bg-gray-700/50 font-medium">
+                <td className="py-2 px-3" />
+                <td className="py-2 px-3 text-gray-900 dark:text-white">Team</td>
+                {columns.map(key => <MetricCell key={key} metric={key} row={comparison.team} />)}
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+
+        <p className="mt-4 text-xs text-gray-500 dark:text-gray-400">
+          Click a manager to drill down; click a column header to rank by it.
+        </p>
+      </div>
+
+      {selected && (
+        <ManagerDrillDown
+          row={selected}
+          team={comparison.team}
+          smartMoneyLoaded={smartMoneyLoaded}
+          holdingDays={holdingDays}
+          onClose={() => setDrillDown(null)}
+          onOpenDashboard={() => openDashboard(selected.trader)}
+        />
+      )}
+    </div>
+  );
+}
+
+function formatPercent(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value.toFixed(1)}%`;
+}
+
+// Percentage-point gap (win rate with minus against smart money)
+function formatPoints(value) {
+  if (value === null || value === undefined) return '-';
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)} pp`;
+}
+
+function MetricCell({ metric, row }) {
+  const value = TRADER_RANKINGS[metric].value(row);
+
+  if (metric === 'trades') {
+    return (
+      <td className="py-2 px-3 text-right font-mono text-gray-700 dark:text-gray-300">
+        {value.toLocaleString()}
+        <span className="block text-xs text-gray-500 dark:text-gray-400">{row.buys} buy · {row.sells} sell</span>
+      </td>
+    );
+  }
+
+  if (metric === 'buyShare') {
+    return (
+      <td className="py-2 px-3 text-right">
+        <span className="font-mono text-gray-700 dark:text-gray-300">{formatPercent(value)}</span>
+        <div className="mt-1 ml-auto w-16 h-1.5 bg-red-200 dark:bg-red-900/50 rounded-full overflow-hidden">
+          <div className="h-full bg-green-500" style={{ width: `${value || 0}%` }} />
+        </div>
+      </td>
+    );
+  }
+
+  if (metric === 'edge') {
+    return (
+      <td className={`py-2 px-3 text-right font-mono ${value === null ? 'text-gray-400' : value >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+        {formatPoints(value)}
+      </td>
+    );
+  }
+
+  const trades = metric === 'withWinRate' ? row.performance?.with.trades
+    : metric === 'againstWinRate' ? row.performance?.against.trades
+      : null;
+  return (
+    <td className="py-2 px-3 text-right font-mono text-gray-700 dark:text-gray-300">
+      {formatPercent(value)}
+      {trades !== null && trades !== undefined && (
+        <span className="block text-xs text-gray-500 dark:text-gray-400">n={trades}</span>
+      )}
+    </td>
+  );
+}
+
+function ManagerDrillDown({ row, team, smartMoneyLoaded, holdingDays, onClose, onOpenDashboard }) {
+  const cards = [
+    { label: 'Trades', value: row.trades.toLocaleString(), team: `${((row.trades / team.trades) * 100).toFixed(1)}% of team` },
+    { label: 'Buy Share', value: formatPercent(row.buyShare), team: formatPercent(team.buyShare) },
+    { label: 'Contrarian (buys)', value: formatPercent(row.contrarian.buyRatio), team: formatPercent(team.contrarian.buyRatio) },
+    { label: 'Contrarian (sells)', value: formatPercent(row.contrarian.sellRatio), team: formatPercent(team.contrarian.sellRatio) },
+  ];
+  if (smartMoneyLoaded) {
+    cards.push(
+      { label: 'SM Alignment', value: formatPercent(row.alignment?.rate), team: formatPercent(team.alignment?.rate) },
+      { label: 'With - Against', value: formatPoints(row.edge), team: formatPoints(team.edge) },
+    );
+  }
+
+  const winRateData = smartMoneyLoaded && row.performance
+    ? [['with', 'With SM'], ['neutral', 'Neutral'], ['against', 'Against SM']].map(([key, name]) => ({
+      name,
+      manager: row.performance[key].winRate !== null ? Number(row.performance[key].winRate.toFixed(1)) : null,
+      team: team.performance[key].winRate !== null ? Number(team.performance[key].winRate.toFixed(1)) : null,
+      trades: row.performance[key].trades,
+    }))
+    : [];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{row.trader}</h3>
+        <span className="text-sm text-gray-500 dark:text-gray-400">{row.firstDate} to {row.lastDate}</span>
+        <div className="ml-auto flex items-center gap-2">
+          <button
+            onClick={onOpenDashboard}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 flex items-center gap-1.5"
+          >
+            Open in Dashboard
+            <ArrowRight className="w-4 h-4" />
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1.5 text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-700"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-3">
+        {cards.map(card => (
+          <div key={card.label} className="p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg">
+            <p className="text-xs text-gray-500 dark:text-gray-400">{card.label}</p>
+            <p className="text-lg font-semibold text-gray-900 dark:text-white">{card.value}</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">Team: {card.team}</p>
+          </div>
+        ))}
+      </div>
+
+      {winRateData.length > 0 && (
+        <div className="mt-5">
+          <p className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            {holdingDays}-session win rate by smart money alignment
+          </p>
+          <div className="h-56">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={winRateData} margin={{ top: 4, right: 8, left: -8, bottom: 0 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e5e7eb" />
+                <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+                <YAxis tick={{ fontSize: 10 }} domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+                <Tooltip formatter={(value) => (value === null ? '-' : `${value}%`)} />
+                <Legend />
+                <Bar dataKey="manager" name={row.trader} fill="#3b82f6" />
+                <Bar dataKey="team" name="Team" fill="#9ca3af" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,11 @@
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo, useCallback, useEffect } from 'react';
 import { Search, AlertTriangle, CheckCircle, Info, AlertCircle, TrendingUp, TrendingDown, Activity, Users, Zap, ThumbsUp, ThumbsDown, Minus, History, BarChart2, Clock, Globe, ArrowLeftRight, Star, Calendar, ShieldCheck, ShieldAlert } from 'lucide-react';
 import { useDataStore } from '../hooks/useDataStore';
-import { getTrafficLight, getSentimentLevel, CLIENT_TYPES, SMART_MONEY_TYPES, calculateConsensusScore, calculateSentimentTrend, getConfidenceLevel, calculatePatternStrength, getEnhancedAlertLevel, calculateForeignFlowSignal, getSentimentQuintile, calculateWeightedSentiment, getForeignDayContext, getMonthEndContext, FOREIGN_FLOW_TYPE, FOREIGN_FLOW_EDA, TYPE_PREDICTIVE_QUALITY } from '../lib/smartMoney';
+import { getTrafficLight, getSentimentLevel, CLIENT_TYPES, SMART_MONEY_TYPES, calculateConsensusScore, calculateSentimentTrend, getConfidenceLevel, calculatePatternStrength, getEnhancedAlertLevel, calculateForeignFlowSignal, getSentimentQuintile, calculateWeightedSentiment, getForeignDayContext, getMonthEndContext, FOREIGN_FLOW_TYPE, FOREIGN_FLOW_EDA } from '../lib/smartMoney';
+import { getDivergenceLevel } from '../lib/counterMarket';
 import InfoTooltip, { METRIC_EXPLANATIONS } from './InfoTooltip';
 import LoadingSpinner, { ButtonSpinner } from './LoadingSpinner';
+import IndexSelector from './IndexSelector';
 
 // Format volume with appropriate suffix (M for millions, K for thousands)
 function formatVolume(value) {
@@ -23,7 +25,7 @@ export default function TradeChecker() {
     tradingData, processedData,
     smartMoneyLoaded, smartMoneyAggregated, getSmartMoneySentiment, getSmartMoneyHistory, getPatternOutcomes, 
     detectSmartMoneyPattern, isinToSecurity,
-    sessionDate
+    sessionDate, getMarketData, getIndexChange, selectedIndex, edaConstants, sentimentWeights
   } = useDataStore();
   const [isin, setIsin] = useState('');
   const [action, setAction] = useState('buy');
@@ -34,10 +36,27 @@ export default function TradeChecker() {
   const [securityInfo, setSecurityInfo] = useState(null);
   const [history, setHistory] = useState([]);
   const [noDataFound, setNoDataFound] = useState(false);
+  const [checkedIsin, setCheckedIsin] = useState(null);
 
   // Use session date (simulated present day)
   const currentDate = sessionDate || '';
 
+  // Counter-market context for the checked security vs the selected benchmark
+  const marketContext = useMemo(() => {
+    if (!checkedIsin || !currentDate) return null;
+    
+    const marketData = getMarketData(checkedIsin, currentDate);
+    const indexChange = getIndexChange(currentDate);
+    const divergence = getDivergenceLevel(action === 'buy', indexChange);
+    
+    return {
+      indexName: selectedIndex?.indexName || '',
+      indexChange,
+      securityChange: marketData ? marketData.change : null,
+      ...divergence,
+    };
+  }, [checkedIsin, currentDate, action, getMarketData, getIndexChange, selectedIndex]);
+
   // Get unique ISINs that have smart money data FOR THE CURRENT SESSION DATE
   const availableIsins = useMemo(() => {
     if (!smartMoneyAggregated || smartMoneyAggregated.size === 0 || !currentDate) return [];
@@ -56,13 +75,14 @@ export default function TradeChecker() {
     return Array.from(isinsWithData).sort();
   }, [smartMoneyAggregated, currentDate]);
 
-  const handleCheck = async () => {
-    if (!isin || !currentDate) {
+  const handleCheck = async (isinToCheck = isin) => {
+    if (!isinToCheck || !currentDate) {
       setSentimentData(null);
       setHistoricalContext(null);
       setPattern(null);
       setSecurityInfo(null);
       setNoDataFound(false);
+      setCheckedIsin(null);
       return;
     }
 
@@ -72,9 +92,10 @@ export default function TradeChecker() {
     // Small delay for UI feedback
     await new Promise(resolve => setTimeout(resolve, 300));
 
-    const cleanIsin = isin.toUpperCase().trim();
+    const cleanIsin = isinToCheck.toUpperCase().trim();
     const secInfo = isinToSecurity.get(cleanIsin);
     setSecurityInfo(secInfo);
+    setCheckedIsin(cleanIsin);
     
     // Fetch smart money sentiment data
     if (smartMoneyLoaded) {
@@ -98,19 +119,19 @@ export default function TradeChecker() {
         const alertLevel = getEnhancedAlertLevel(sentiment.smartMoneySentiment, patternData);
         
         // Phase 1: Foreign Flow Signal
-        const foreignFlow = calculateForeignFlowSignal(sentiment);
+        const foreignFlow = calculateForeignFlowSignal(sentiment, edaConstants.foreignFlow);
         
         // Phase 1.3: Extended consensus including foreign flow
         const consensusWithForeign = calculateConsensusScore(sentiment.typeSentiments, true);
         
         // Phase 2.1: Sentiment quintile and expected return
-        const quintile = getSentimentQuintile(sentiment.smartMoneySentiment);
+        const quintile = getSentimentQuintile(sentiment.smartMoneySentiment, edaConstants.sentimentQuintiles);
         
         // Phase 2.3 & 5: Weighted sentiment and strongest predictor
-        const weighted = calculateWeightedSentiment(sentiment.typeSentiments, sentiment.byType);
+        const weighted = calculateWeightedSentiment(sentiment.typeSentiments, sentiment.byType, edaConstants.typePredictiveQuality, sentimentWeights);
         
         // Phase 4: Seasonality context
-        const dayContext = getForeignDayContext(currentDate);
+        const dayContext = getForeignDayContext(currentDate, edaConstants.foreignDayOfWeek);
         const monthEndContext = getMonthEndContext(currentDate);
         
         setHistoricalContext({
@@ -136,10 +157,12 @@ export default function TradeChecker() {
       
       // Add to history only if there's valid sentiment data
       if (hasValidSentiment) {
-        const histWeighted = calculateWeightedSentiment(sentiment.typeSentiments, sentiment.byType);
-        const histForeignFlow = calculateForeignFlowSignal(sentiment);
+        const histWeighted = calculateWeightedSentiment(sentiment.typeSentiments, sentiment.byType, edaConstants.typePredictiveQuality, sentimentWeights);
+        const histForeignFlow = calculateForeignFlowSignal(sentiment, edaConstants.foreignFlow);
         const histHasG = histForeignFlow != null;
         const histTrafficLight = getTrafficLight(action === 'buy', sentiment.smartMoneySentiment, histWeighted.weightedSentiment, histHasG);
+        const histMarketData = getMarketData(cleanIsin, currentDate);
+        const histIndexChange = getIndexChange(currentDate);
         setHistory(prev => [{
           isin: cleanIsin,
           symbol: secInfo?.symbol || cleanIsin.substring(0, 8),
@@ -149,6 +172,10 @@ export default function TradeChecker() {
           smartMoneySentiment: sentiment.smartMoneySentiment,
           trafficLight: histTrafficLight,
           confidence: histTrafficLight.confidence,
+          indexName: selectedIndex?.indexName || '',
+          indexChange: histIndexChange,
+          securityChange: histMarketData ? histMarketData.change : null,
+          alertLevel: getDivergenceLevel(action === 'buy', histIndexChange).level,
         }, ...prev.slice(0, 9)]);
       }
     } else {
@@ -161,6 +188,11 @@ export default function TradeChecker() {
     setIsChecking(false);
   };
 
+  // Stepping the session date re-checks the last security as of the new date
+  useEffect(() => {
+    if (checkedIsin) handleCheck(checkedIsin);
+  }, [currentDate]);
+
   const handleIsinChange = (value) => {
     setIsin(value.toUpperCase());
     if (noDataFound) {
@@ -201,12 +233,15 @@ export default function TradeChecker() {
           </p>
         </div>
         
-        {sessionDate && (
-          <div className="flex items-center gap-2 px-3 py-2 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 rounded-lg">
-            <Clock className="w-4 h-4 text-blue-600 dark:text-blue-400" />
-            <span className="text-sm text-blue-700 dark:text-blue-300">Session: <strong>{sessionDate}</strong></span>
-          </div>
-        )}
+        <div className="flex flex-wrap items-center gap-2">
+          <IndexSelector />
+          {sessionDate && (
+            <div className="flex items-center gap-2 px-3 py-2 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 rounded-lg">
+              <Clock className="w-4 h-4 text-blue-600 dark:text-blue-400" />
+              <span className="text-sm text-blue-700 dark:text-blue-300">Session: <strong>{sessionDate}</strong></span>
+            </div>
+          )}
+        </div>
       </div>
 
       {/* Compact Input Bar */}
@@ -269,7 +304,7 @@ export default function TradeChecker() {
 
           {/* Check Button */}
           <button
-            onClick={handleCheck}
+            onClick={() => handleCheck()}
             disabled={isChecking || !isin}
             className="h-9 px-5 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 transition-colors flex items-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed"
           >
@@ -300,6 +335,11 @@ export default function TradeChecker() {
         </div>
       </div>
 
+      {/* Market Context vs Benchmark */}
+      {marketContext && (
+        <MarketContextCard context={marketContext} isBuy={action === 'buy'} />
+      )}
+
       {/* Full-Width Results */}
       {sentimentData ? (
         <SmartMoneySentimentCard 
@@ -382,7 +422,11 @@ export default function TradeChecker() {
                   <th className="text-left py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Time</th>
                   <th className="text-left py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Symbol</th>
                   <th className="text-left py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Action</th>
+                  <th className="text-left py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Index</th>
+                  <th className="text-right py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Index Chg</th>
+                  <th className="text-right py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Security Chg</th>
                   <th className="text-right py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Sentiment</th>
+                  <th className="text-center py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Alert</th>
                   <th className="text-center py-2 px-3 text-sm font-medium text-gray-600 dark:text-gray-400">Signal</th>
                 </tr>
               </thead>
@@ -398,6 +442,13 @@ export default function TradeChecker() {
                         {item.action.toUpperCase()}
                       </span>
                     </td>
+                    <td className="py-2 px-3 text-sm text-gray-600 dark:text-gray-300">{item.indexName || '-'}</td>
+                    <td className="py-2 px-3 text-sm text-right font-mono">
+                      <ChangeValue value={item.indexChange} />
+                    </td>
+                    <td className="py-2 px-3 text-sm text-right font-mono">
+                      <ChangeValue value={item.securityChange} />
+                    </td>
                     <td className="py-2 px-3 text-sm text-right font-mono">
                       {item.smartMoneySentiment != null ? (
                         <span className={item.smartMoneySentiment >= 0 ? 'text-green-600' : 'text-red-600'}>
@@ -407,6 +458,9 @@ export default function TradeChecker() {
                         <span className="text-gray-400">-</span>
                       )}
                     </td>
+                    <td className="py-2 px-3 text-center">
+                      {item.alertLevel ? <DivergenceBadge level={item.alertLevel} /> : <span className="text-gray-400">-</span>}
+                    </td>
                     <td className="py-2 px-3 text-center">
                       <div className="flex items-center justify-center gap-1.5">
                         <TrafficLightMini color={item.trafficLight?.color} confidence={item.confidence} />
@@ -425,6 +479,73 @@ export default function TradeChecker() {
   );
 }
 
+function ChangeValue({ value }) {
+  if (value === null || value === undefined) {
+    return <span className="text-gray-400">-</span>;
+  }
+  return (
+    <span className={value >= 0 ? 'text-green-600' : 'text-red-600'}>
+      {value >= 0 ? '+' : ''}{value.toFixed(2)}%
+    </span>
+  );
+}
+
+const DIVERGENCE_STYLES = {
+  HIGH: 'bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300',
+  MEDIUM: 'bg-yellow-100 dark:bg-yellow-900/40 text-yellow-700 dark:text-yellow-300',
+  LOW: 'bg-blue-100 dark:bg-blue-900/40 text-blue-700 dark:text-blue-300',
+  NONE: 'bg-green-100 dark:bg-green-900/40 text-green-700 dark:text-green-300',
+};
+
+function DivergenceBadge({ level }) {
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-medium ${DIVERGENCE_STYLES[level] || DIVERGENCE_STYLES.NONE}`}>
+      {level}
+    </span>
+  );
+}
+
+/**
+ * Market Context Card - trade direction vs the selected benchmark on the session date
+ */
+function MarketContextCard({ context, isBuy }) {
+  const hasIndexData = context.indexChange !== null && context.indexChange !== undefined;
+  
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 px-4 py-3">
+      <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+        <div className="flex items-center gap-1.5">
+          <TrendingUp className="w-4 h-4 text-yellow-600 dark:text-yellow-400" />
+          <span className="text-sm font-medium text-gray-700 dark:text-gray-200">Market Context</span>
+          <InfoTooltip title={METRIC_EXPLANATIONS.divergenceLevel.title} position="bottom">
+            {METRIC_EXPLANATIONS.divergenceLevel.description}
+          </InfoTooltip>
+        </div>
+        {hasIndexData ? (
+          <>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              {context.indexName}: <span className="font-mono font-medium"><ChangeValue value={context.indexChange} /></span>
+            </span>
+            <span className="text-sm text-gray-500 dark:text-gray-400">
+              Security: <span className="font-mono font-medium"><ChangeValue value={context.securityChange} /></span>
+            </span>
+            <div className="flex items-center gap-2">
+              <DivergenceBadge level={context.level} />
+              <span className="text-sm text-gray-600 dark:text-gray-300">
+                {context.isCounterMarket
+                  ? `Counter-market ${isBuy ? 'buy' : 'sell'} (${context.divergence.toFixed(2)}% divergence)`
+                  : 'Aligned with market direction'}
+              </span>
+            </div>
+          </>
+        ) : (
+          <span className="text-sm text-amber-600 dark:text-amber-400">No market data for this date</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
 function TrafficLightMini({ color, confidence }) {
   // Handle "No Data" case
   if (color === 'GRAY') {
@@ -448,6 +569,7 @@ function TrafficLightMini({ color, confidence }) {
  * Smart Money Sentiment Card with Traffic Light
  */
 function SmartMoneySentimentCard({ sentimentData, isBuy, securityInfo, pattern, historicalContext }) {
+  const { edaConstants } = useDataStore();
   // Use EDA-weighted sentiment as primary signal (aligns with EDA insights: Foreign G is strongest predictor)
   const weightedValue = historicalContext?.weighted?.weightedSentiment;
   const hasGData = historicalContext?.foreignFlow != null;
@@ -583,7 +705,7 @@ function SmartMoneySentimentCard({ sentimentData, isBuy, securityInfo, pattern,
             <div className="grid grid-cols-2 gap-4 mt-2">
               <div>
                 <span className="text-sm text-gray-500 dark:text-gray-400">Hist. Avg 5d Return</span>
-                <p className="text-lg font-bold text-blue-700 dark:text-blue-400">+{historicalContext.quintile.avgReturn.toFixed(3)}%</p>
+                <p className="text-lg font-bold text-blue-700 dark:text-blue-400">{historicalContext.quintile.avgReturn >= 0 ? '+' : ''}{historicalContext.quintile.avgReturn.toFixed(3)}%</p>
               </div>
               <div>
                 <span className="text-sm text-gray-500 dark:text-gray-400">Hist. Win Rate</span>
@@ -705,7 +827,7 @@ function SmartMoneySentimentCard({ sentimentData, isBuy, securityInfo, pattern,
           {historicalContext.dayContext?.note && (
             <div className="px-3 py-1.5 bg-slate-50 dark:bg-slate-800 text-slate-600 dark:text-slate-300 rounded-lg text-sm flex items-center gap-1.5 border border-slate-200 dark:border-slate-600">
               <Clock className="w-4 h-4" />
-              {historicalContext.dayContext.name}: Foreign buy ratio ~{historicalContext.dayContext.buyRatio}%
+              {historicalContext.dayContext.name}: Foreign buy ratio ~{historicalContext.dayContext.buyRatio.toFixed(1)}%
               {historicalContext.dayContext.note && ` (${historicalContext.dayContext.note.toLowerCase()})`}
               <InfoTooltip title={METRIC_EXPLANATIONS.dayOfWeek.title} position="bottom">
                 {METRIC_EXPLANATIONS.dayOfWeek.description}
@@ -751,7 +873,7 @@ function SmartMoneySentimentCard({ sentimentData, isBuy, securityInfo, pattern,
             const typeData = sentimentData.byType?.[type];
             const buyVol = typeData?.buy || 0;
             const sellVol = typeData?.sell || 0;
-            const quality = TYPE_PREDICTIVE_QUALITY[type];
+            const quality = edaConstants.typePredictiveQuality[type];
             const isForeign = type === FOREIGN_FLOW_TYPE;
             
             return (
@@ -984,6 +1106,7 @@ function ForeignFlowCard({ foreignFlow }) {
     NEUTRAL: { bg: 'bg-gray-50 dark:bg-gray-800 border-gray-300 dark:border-gray-600', text: 'text-gray-700 dark:text-gray-300', badge: 'bg-gray-500' },
   };
   const c = dirColors[foreignFlow.direction] || dirColors.NEUTRAL;
+  const strongestPeriod = foreignFlow.eda.periods.reduce((best, p) => (p.spread > best.spread ? p : best));
   
   return (
     <div className={`mb-4 p-3 rounded-lg border-2 ${c.bg}`}>
@@ -995,7 +1118,7 @@ function ForeignFlowCard({ foreignFlow }) {
           <InfoTooltip title={METRIC_EXPLANATIONS.foreignFlow.title} position="bottom">
             {METRIC_EXPLANATIONS.foreignFlow.description}
           </InfoTooltip>
-          <span className="text-sm px-2.5 py-0.5 rounded bg-cyan-100 dark:bg-cyan-900/40 text-cyan-700 dark:text-cyan-300 font-medium">EDA: USEFUL</span>
+          <span className="text-sm px-2.5 py-0.5 rounded bg-cyan-100 dark:bg-cyan-900/40 text-cyan-700 dark:text-cyan-300 font-medium">EDA: {foreignFlow.eda.verdict}</span>
         </div>
         <div className="flex items-center gap-2">
           <span className={`text-lg font-bold font-mono ${foreignFlow.sentiment >= 0 ? 'text-green-600' : 'text-red-600'}`}>
@@ -1024,12 +1147,12 @@ function ForeignFlowCard({ foreignFlow }) {
                 p.spread >= 4 ? 'bg-green-50 dark:bg-green-900/20 text-green-600 dark:text-green-400' :
                 'bg-gray-50 dark:bg-gray-700 text-gray-500 dark:text-gray-400'
               }`}>
-                +{p.spread.toFixed(1)}%
+                {p.spread >= 0 ? '+' : ''}{p.spread.toFixed(1)}%
               </div>
             </div>
           ))}
         </div>
-        <p className="text-sm text-gray-400 dark:text-gray-500 mt-1.5 italic">Strongest at 1-day horizon</p>
+        <p className="text-sm text-gray-400 dark:text-gray-500 mt-1.5 italic">Strongest at {strongestPeriod.days}-day horizon</p>
       </div>
       
       {/* Contrarian Alert (Phase 1.2) */}
@@ -1,9 +1,10 @@
 import { useState, useMemo } from 'react';
-import { User, Calendar, ArrowRight, BarChart3, Loader2 } from 'lucide-react';
+import { User, Calendar, ArrowRight, BarChart3, Loader2, Filter } from 'lucide-react';
 import { useDataStore } from '../hooks/useDataStore';
+import { describeLoadFilters } from '../lib/loadFilters';
 
 export default function TraderSelection({ onSessionStart }) {
-  const { traders, getAvailableDates, startSession } = useDataStore();
+  const { traders, getAvailableDates, startSession, loadFilters } = useDataStore();
   const [selectedTrader, setSelectedTrader] = useState('');
   const [selectedDate, setSelectedDate] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -31,6 +32,7 @@ export default function TraderSelection({ onSessionStart }) {
   };
 
   const isValid = selectedTrader && selectedDate;
+  const activeFilters = describeLoadFilters(loadFilters);
 
   return (
     <div className="min-h-[60vh] flex items-center justify-center">
@@ -46,6 +48,14 @@ export default function TraderSelection({ onSessionStart }) {
           </p>
         </div>
 
+        {/* Dataset was sliced at load time */}
+        {activeFilters.length > 0 && (
+          <div className="mb-6 p-3 bg-blue-50 dark:bg-blue-900/30 border border-blue-200 dark:border-blue-800 rounded-lg text-sm text-blue-800 dark:text-blue-200 flex items-start gap-2">
+            <Filter className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <span>Loaded with filters: {activeFilters.join(' · ')}</span>
+          </div>
+        )}
+
         <div className="space-y-6">
           {/* Trader Selection */}
           <div>
@@ -0,0 +1,286 @@
+import { useState, useEffect, useRef } from 'react';
+import { Scale, Play, X, AlertTriangle } from 'lucide-react';
+import { useDataStore } from '../hooks/useDataStore';
+import { CLIENT_TYPES, DEFAULT_SENTIMENT_WEIGHTS, FOREIGN_FLOW_EDA } from '../lib/smartMoney';
+import { FIT_OBJECTIVES } from '../lib/weightFit';
+import InfoTooltip, { METRIC_EXPLANATIONS } from './InfoTooltip';
+import { ButtonSpinner } from './LoadingSpinner';
+
+const HOLDOUT_OPTIONS = [0.2, 0.3, 0.4];
+
+const WEIGHT_SET_LABELS = {
+  withG: 'With G (foreign flow available)',
+  withoutG: 'Without G',
+};
+
+/**
+ * WeightFitPanel - Re-fit the weighted sentiment weights on the loaded data,
+ * compare them with the defaults in and out of sample, and apply them
+ */
+export default function WeightFitPanel() {
+  const { analyticsReady, weightFit, weightFitAsOf, weightFitStatus, weightsSource, setWeightsSource, isFittingWeights, fitSentimentWeights } = useDataStore();
+  const [objective, setObjective] = useState('spread');
+  const [horizon, setHorizon] = useState(5);
+  const [holdoutFraction, setHoldoutFraction] = useState(0.3);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const fitJobRef = useRef(null);
+
+  // Stop a running fit when the panel unmounts
+  useEffect(() => () => {
+    if (fitJobRef.current) fitJobRef.current.cancel();
+  }, []);
+
+  const handleFit = async () => {
+    setError(null);
+    setProgress({ done: 0, total: 1 });
+    const job = fitSentimentWeights(
+      { objective, horizon, holdoutFraction },
+      (done, total) => setProgress({ done, total })
+    );
+    fitJobRef.current = job;
+    try {
+      await job.promise;
+    } catch (err) {
+      setError(`Fit failed: ${err.message}`);
+    } finally {
+      if (fitJobRef.current === job) fitJobRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const cancelFit = () => {
+    if (fitJobRef.current) fitJobRef.current.cancel();
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border dark:border-gray-700 p-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <Scale className="w-6 h-6 text-gray-500" />
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Sentiment Weights</h3>
+        <InfoTooltip title={METRIC_EXPLANATIONS.weightFit.title} position="right">
+          {METRIC_EXPLANATIONS.weightFit.description}
+        </InfoTooltip>
+
+        <div className="ml-auto flex rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden text-sm">
+          <button
+            onClick={() => setWeightsSource('default')}
+            className={`px-3 py-1.5 ${weightsSource === 'default' ? 'bg-gray-800 text-white dark:bg-gray-200 dark:text-gray-900' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+          >
+            Default
+          </button>
+          <button
+            onClick={() => setWeightsSource('fitted')}
+            disabled={!weightFit}
+            className={`px-3 py-1.5 disabled:opacity-50 disabled:cursor-not-allowed ${weightsSource === 'fitted' ? 'bg-gray-800 text-white dark:bg-gray-200 dark:text-gray-900' : 'text-gray-600 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'}`}
+          >
+            Re-fit
+          </button>
+        </div>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-end gap-3 text-sm">
+        <label className="flex flex-col gap-1 text-gray-600 dark:text-gray-400">
+          Objective
+          <select
+            value={objective}
+            onChange={(e) => setObjective(e.target.value)}
+            disabled={isFittingWeights}
+            className="px-3 py-1.5 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          >
+            {Object.entries(FIT_OBJECTIVES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-gray-600 dark:text-gray-400">
+          Forward horizon
+          <select
+            value={horizon}
+            onChange={(e) => setHorizon(Number(e.target.value))}
+            disabled={isFittingWeights}
+            className="px-3 py-1.5 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          >
+            {FOREIGN_FLOW_EDA.periods.map(p => (
+              <option key={p.days} value={p.days}>{p.days} session{p.days > 1 ? 's' : ''}</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col gap-1 text-gray-600 dark:text-gray-400">
+          Holdout
+          <select
+            value={holdoutFraction}
+            onChange={(e) => setHoldoutFraction(Number(e.target.value))}
+            disabled={isFittingWeights}
+            className="px-3 py-1.5 border rounded-lg dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+          >
+            {HOLDOUT_OPTIONS.map(fraction => (
+              <option key={fraction} value={fraction}>Last {fraction * 100}% of dates</option>
+            ))}
+          </select>
+        </label>
+
+        {isFittingWeights ? (
+          <button
+            onClick={cancelFit}
+            className="px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-700 flex items-center gap-1.5"
+          >
+            <X className="w-4 h-4" />
+            Cancel Fit
+          </button>
+        ) : (
+          <button
+            onClick={handleFit}
+            disabled={!analyticsReady}
+            className="px-3 py-1.5 text-sm bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-1.5"
+          >
+            {analyticsReady ? <Play className="w-4 h-4" /> : <ButtonSpinner />}
+            {weightFit ? 'Re-fit weights' : 'Fit weights'}
+          </button>
+        )}
+      </div>
+
+      {progress && (
+        <div className="mt-3 h-1.5 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-blue-500 transition-all"
+            style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }}
+          />
+        </div>
+      )}
+
+      {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+      {weightFitStatus === 'stale' && (
+        <p className="mt-3 text-sm text-gray-500 dark:text-gray-400">
+          Fitted as of {weightFitAsOf}. Re-fit to include the sessions since then.
+        </p>
+      )}
+      {weightFitStatus === 'ahead' && (
+        <p className="mt-3 text-sm text-yellow-700 dark:text-yellow-400 flex items-center gap-1.5">
+          <AlertTriangle className="w-4 h-4" />
+          Fitted {weightFitAsOf ? `as of ${weightFitAsOf}` : 'on all dates'}, after the session date. Default weights are used until you re-fit or step past it.
+        </p>
+      )}
+
+      {weightFit && (
+        <div className="mt-4 space-y-4">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Fitted on {FIT_OBJECTIVES[weightFit.objective].toLowerCase()} of {weightFit.horizon}-session forward returns,
+            holding out the last {weightFit.holdoutFraction * 100}% of dates.
+          </p>
+          {Object.keys(WEIGHT_SET_LABELS).map(setName => (
+            <WeightSetReport
+              key={setName}
+              label={WEIGHT_SET_LABELS[setName]}
+              defaults={DEFAULT_SENTIMENT_WEIGHTS[setName]}
+              fitted={weightFit.weights[setName]}
+              report={weightFit.sets[setName]}
+              objective={weightFit.objective}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function formatScore(value, key) {
+  if (value === null || value === undefined) return '-';
+  return key === 'spread' ? `${value >= 0 ? '+' : ''}${value.toFixed(3)}%` : `${value >= 0 ? '+' : ''}${value.toFixed(4)}`;
+}
+
+function formatWindow(window) {
+  if (!window.from) return 'no data';
+  return `${window.from} to ${window.to} (${window.samples.toLocaleString()})`;
+}
+
+function WeightSetReport({ label, defaults, fitted, report, objective }) {
+  const scoreRows = [
+    { key: 'spread', label: 'Quintile spread' },
+    { key: 'correlation', label: 'Correlation' },
+  ];
+
+  return (
+    <div className="border dark:border-gray-700 rounded-lg p-4">
+      <div className="flex flex-wrap items-baseline justify-between gap-2">
+        <h4 className="font-medium text-gray-900 dark:text-white">{label}</h4>
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          Train {formatWindow(report.train)} · Holdout {formatWindow(report.holdout)}
+          {report.embargoed > 0 && ` · ${report.embargoed.toLocaleString()} embargoed`}
+        </span>
+      </div>
+      {report.skipped && (
+        <p className="mt-2 text-sm text-yellow-700 dark:text-yellow-400">
+          Not enough training samples to fit this set; the default weights are kept.
+        </p>
+      )}
+
+      <div className="mt-3 grid md:grid-cols-2 gap-4">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b dark:border-gray-700">
+              <th className="text-left py-1.5 px-2 font-medium text-gray-600 dark:text-gray-400">Type</th>
+              <th className="text-right py-1.5 px-2 font-medium text-gray-600 dark:text-gray-400">Default</th>
+              <th className="text-right py-1.5 px-2 font-medium text-gray-600 dark:text-gray-400">Re-fit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.keys(fitted).map(type => (
+              <tr key={type} className="border-b dark:border-gray-700 last:border-0">
+                <td className="py-1 px-2 text-gray-700 dark:text-gray-300">
+                  {type} <span className="text-gray-400">{CLIENT_TYPES[type]?.shortName}</span>
+                </td>
+                <td className="py-1 px-2 text-right font-mono text-gray-500 dark:text-gray-400">{defaults[type].toFixed(2)}</td>
+                <td className="py-1 px-2 text-right font-mono text-gray-900 dark:text-white">{fitted[type].toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b dark:border-gray-700">
+              <th className="text-left py-1.5 px-2 font-medium text-gray-600 dark:text-gray-400">Score</th>
+              <th className="text-right py-1.5 px-2 font-medium text-gray-600 dark:text-gray-400">In-sample</th>
+              <th className="text-right py-1.5 px-2 font-medium text-gray-600 dark:text-gray-400">Out-of-sample</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scoreRows.map(row => (
+              <ScoreRows key={row.key} row={row} report={report} isObjective={row.key === objective} />
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+function ScoreRows({ row, report, isObjective }) {
+  const outDefault = report.outOfSample.default[row.key];
+  const outFitted = report.outOfSample.fitted[row.key];
+  const improved = outDefault !== null && outFitted !== null ? outFitted > outDefault : null;
+
+  return (
+    <>
+      <tr>
+        <td colSpan={3} className="pt-2 px-2 text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400">
+          {row.label}{isObjective && ' (objective)'}
+        </td>
+      </tr>
+      <tr>
+        <td className="py-0.5 px-2 text-gray-600 dark:text-gray-400">Default</td>
+        <td className="py-0.5 px-2 text-right font-mono text-gray-500 dark:text-gray-400">{formatScore(report.inSample.default[row.key], row.key)}</td>
+        <td className="py-0.5 px-2 text-right font-mono text-gray-500 dark:text-gray-400">{formatScore(outDefault, row.key)}</td>
+      </tr>
+      <tr className="border-b dark:border-gray-700 last:border-0">
+        <td className="py-0.5 px-2 text-gray-600 dark:text-gray-400">Re-fit</td>
+        <td className="py-0.5 px-2 text-right font-mono text-gray-900 dark:text-white">{formatScore(report.inSample.fitted[row.key], row.key)}</td>
+        <td className={`py-0.5 px-2 text-right font-mono font-medium ${improved === null ? 'text-gray-500' : improved ? 'text-green-600' : 'text-red-600'}`}>
+          {formatScore(outFitted, row.key)}
+        </td>
+      </tr>
+    </>
+  );
+}
@@ -1,18 +1,39 @@
-import { createContext, useContext, useState, useCallback } from 'react';
+import { createContext, useContext, useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import { 
-  aggregateSmartMoneyData, 
   buildSecurityToIsinMap, 
   buildIsinToSecurityMap,
   CLIENT_TYPES,
   SMART_MONEY_TYPES,
-  getHistoricalData,
-  detectSellingPattern,
-  analyzePatternOutcomes,
-  calculateHistoricalPerformance,
+  DEFAULT_SENTIMENT_WEIGHTS,
 } from '../lib/smartMoney';
+import { buildIndexChangeMap, getIndexList, resolveDefaultIndexId } from '../lib/counterMarket';
+import { parseAmount, createHoldingsLedger } from '../lib/holdings';
+import { buildTradingCalendar, isTradingDay, shiftSessions } from '../lib/tradingCalendar';
+import { buildTimeSeriesIndex } from '../lib/timeSeriesIndex';
+import { isDatasetCacheSupported, hashFiles, saveDataset, listDatasets, loadDataset, deleteDataset, clearDatasets } from '../lib/datasetCache';
+import { createAnalyticsClient } from '../lib/analyticsClient';
+import { SHIPPED_EDA_CONSTANTS } from '../lib/calibration';
+import { createSessionAnalytics, buildSessionData } from '../lib/sessionAnalytics';
+import { toDateKey, normalizeDateColumn } from '../lib/dateParsing';
+import { DEFAULT_LOAD_FILTERS, getLoadFiltersKey } from '../lib/loadFilters';
 
 const DataContext = createContext(null);
 
+// Delay between sessions while replaying the session date forward
+const REPLAY_STEP_MS = 1500;
+
+/**
+ * How a calibration or weight fit made as of one session date relates to the current one
+ * @returns {string|null} - 'current', 'stale' (made on an earlier date, still point-in-time) or
+ *                          'ahead' (read sessions after the session date, so it is not applied); null without one
+ */
+function getFitStatus(result, asOf, sessionDate) {
+  if (!result) return null;
+  if (asOf === sessionDate) return 'current';
+  if (!sessionDate) return 'stale';
+  return asOf && asOf < sessionDate ? 'stale' : 'ahead';
+}
+
 export function DataProvider({ children }) {
   const [transactions, setTransactions] = useState([]);
   const [tradingData, setTradingData] = useState([]);
@@ -22,6 +43,9 @@ export function DataProvider({ children }) {
   const [selectedTrader, setSelectedTrader] = useState('all');
   const [traders, setTraders] = useState([]);
   
+  // Benchmark index state (shared across all tabs for the session)
+  const [selectedIndexId, setSelectedIndexId] = useState(null);
+  
   // Smart money data state
   const [smartMoneyRaw, setSmartMoneyRaw] = useState([]);
   const [securitiesData, setSecuritiesData] = useState([]);
@@ -34,10 +58,49 @@ export function DataProvider({ children }) {
   const [sessionTrader, setSessionTrader] = useState(null);
   const [sessionDate, setSessionDate] = useState(null);
   const [isSessionActive, setIsSessionActive] = useState(false);
+  const [isReplaying, setIsReplaying] = useState(false);
+
+  // Dataset cache state (IndexedDB)
+  const [datasetSource, setDatasetSource] = useState(null); // { id, name, persisted, loadFilters }
+  // Filters the loaded rows were sliced with at parse time (recorded with the dataset)
+  const [loadFilters, setLoadFilters] = useState(DEFAULT_LOAD_FILTERS);
+  const [cachedDatasets, setCachedDatasets] = useState([]);
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  // Analytics worker (aggregation and portfolio scans run off the main thread)
+  const analyticsRef = useRef(null);
+  const analyticsLoadRef = useRef(0);
+  const [analyticsDatasetVersion, setAnalyticsDatasetVersion] = useState(0);
+
+  // EDA constants: shipped notebook values or recalibrated from the loaded data
+  const [calibratedEda, setCalibratedEda] = useState(null);
+  const [calibrationAsOf, setCalibrationAsOf] = useState(null); // session date it was calibrated on
+  const [edaSource, setEdaSource] = useState('shipped'); // 'shipped', 'calibrated'
+  const [isCalibrating, setIsCalibrating] = useState(false);
+
+  // Weighted sentiment weights: notebook defaults or re-fit on the loaded data
+  const [weightFit, setWeightFit] = useState(null);
+  const [weightFitAsOf, setWeightFitAsOf] = useState(null); // session date it was fitted on
+  const [weightsSource, setWeightsSource] = useState('default'); // 'default', 'fitted'
+  const [isFittingWeights, setIsFittingWeights] = useState(false);
+
+  const getAnalytics = useCallback(() => {
+    if (!analyticsRef.current) {
+      analyticsRef.current = createAnalyticsClient();
+    }
+    return analyticsRef.current;
+  }, []);
+
+  useEffect(() => () => {
+    if (analyticsRef.current) {
+      analyticsRef.current.terminate();
+      analyticsRef.current = null;
+    }
+  }, []);
 
   const loadTransactions = useCallback((data) => {
-    // Normalize and clean transaction data
-    const cleaned = data
+    // Normalize and clean transaction data (dates as YYYY-MM-DD)
+    const cleaned = normalizeDateColumn(data, 'OrderDate').rows
       .filter(row => row.ISIN && row.Action && row.OrderDate)
       .map(row => ({
         ...row,
@@ -56,14 +119,15 @@ export function DataProvider({ children }) {
   }, []);
 
   const loadTradingData = useCallback((data) => {
-    // Normalize trading data
-    const cleaned = data
+    // Normalize trading data (dates as YYYY-MM-DD)
+    const cleaned = normalizeDateColumn(data, 'tradeDate').rows
       .filter(row => row.isin && row.tradeDate)
       .map(row => ({
         ...row,
         isin: String(row.isin).trim().toUpperCase(),
         tradeDate: row.tradeDate,
         change: parseFloat(row.change) || 0,
+        closingPrice: parseFloat(row.closingPrice) || null,
         symbol: row.symbol || '',
       }));
     setTradingData(cleaned);
@@ -73,7 +137,7 @@ export function DataProvider({ children }) {
   const loadIndicesData = useCallback((data) => {
     // Group by indexId first, then sort by date and calculate changes
     const byIndex = {};
-    data.forEach(row => {
+    normalizeDateColumn(data, 'tradeDate').rows.forEach(row => {
       if (!row.tradeDate || !row.closingIndexPrice) return;
       const indexId = String(row.indexId).trim();
       if (!byIndex[indexId]) byIndex[indexId] = [];
@@ -83,7 +147,7 @@ export function DataProvider({ children }) {
     // Calculate changes for each index
     const allWithChanges = [];
     Object.entries(byIndex).forEach(([indexId, rows]) => {
-      const sorted = rows.sort((a, b) => new Date(a.tradeDate) - new Date(b.tradeDate));
+      const sorted = rows.sort((a, b) => (a.tradeDate < b.tradeDate ? -1 : a.tradeDate > b.tradeDate ? 1 : 0));
       
       sorted.forEach((row, idx) => {
         const prevRow = idx > 0 ? sorted[idx - 1] : null;
@@ -102,6 +166,7 @@ export function DataProvider({ children }) {
     });
     
     setIndicesData(allWithChanges);
+    setSelectedIndexId(resolveDefaultIndexId(getIndexList(allWithChanges)));
     return allWithChanges.length;
   }, []);
 
@@ -119,27 +184,44 @@ export function DataProvider({ children }) {
     return cleaned.length;
   }, []);
 
-  // Load smart money EOD data
-  const loadSmartMoneyData = useCallback((data, existingSecToIsin = null) => {
-    const cleaned = data.filter(row => row.tradeDate && row.securityId && row.clientTypeId);
+  // Load smart money EOD data (aggregated in the analytics worker by aggregateSmartMoney)
+  const loadSmartMoneyData = useCallback((data) => {
+    const cleaned = normalizeDateColumn(data, 'tradeDate').rows
+      .filter(row => row.tradeDate && row.securityId && row.clientTypeId);
     setSmartMoneyRaw(cleaned);
+    return cleaned.length;
+  }, []);
+
+  // Parse an uploaded ZIP archive or CSV file in the analytics worker, applying the load filters while reading
+  const parseZipUpload = useCallback((file, onProgress = null) => (
+    getAnalytics().parseZip(file, loadFilters, onProgress).promise
+  ), [loadFilters, getAnalytics]);
+
+  const parseCsvUpload = useCallback((file, expectedType = null) => {
+    // Only the traded securities filter reads the rows loaded so far
+    const context = loadFilters.tradedIsinsOnly ? { transactions, securities: securitiesData } : null;
+    return getAnalytics().parseCsv(file, loadFilters, expectedType, context).promise;
+  }, [loadFilters, transactions, securitiesData, getAnalytics]);
+
+  // Aggregate smart money data in the worker (call after both datasets are loaded)
+  const aggregateSmartMoney = useCallback(async (onProgress = null, raw = smartMoneyRaw, securities = securitiesData) => {
+    if (raw.length === 0 || securities.length === 0) {
+      return 0;
+    }
     
-    // Use provided mapping or current state
-    const mapping = existingSecToIsin || securityToIsin;
+    const result = await getAnalytics().aggregate(raw, securities, onProgress).promise;
+    if (!result) return 0;
     
-    if (mapping.size > 0) {
-      const aggregated = aggregateSmartMoneyData(cleaned, mapping);
-      setSmartMoneyAggregated(aggregated);
-      setSmartMoneyLoaded(true);
-    }
+    setSmartMoneyAggregated(result.aggregated);
+    setSmartMoneyLoaded(true);
     
-    return cleaned.length;
-  }, [securityToIsin]);
+    return result.aggregated.size;
+  }, [smartMoneyRaw, securitiesData, getAnalytics]);
 
   // Load all data from pre-parsed ZIP data (for auto-loading)
-  const loadFromZipData = useCallback((zipResult) => {
+  const loadFromZipData = useCallback(async (zipResult, onProgress = null) => {
     const { data } = zipResult;
-    let secToIsinMap = new Map();
+    let securities = [];
     
     // Load transactions (required)
     if (data.transactions) {
@@ -156,203 +238,283 @@ export function DataProvider({ children }) {
       loadIndicesData(data.indices);
     }
     
-    // Load securities mapping (optional) - must load before smart money
+    // Load securities mapping (optional) - needed to aggregate smart money
     if (data.securities) {
-      const cleaned = data.securities.filter(row => row.securityId && row.isin);
-      setSecuritiesData(cleaned);
-      secToIsinMap = buildSecurityToIsinMap(cleaned);
-      const isinToSec = buildIsinToSecurityMap(cleaned);
-      setSecurityToIsin(secToIsinMap);
-      setIsinToSecurity(isinToSec);
+      loadSecuritiesData(data.securities);
+      securities = data.securities.filter(row => row.securityId && row.isin);
     }
     
-    // Load smart money data (optional)
-    if (data.smartmoney && secToIsinMap.size > 0) {
-      const cleaned = data.smartmoney.filter(row => row.tradeDate && row.securityId && row.clientTypeId);
-      setSmartMoneyRaw(cleaned);
-      const aggregated = aggregateSmartMoneyData(cleaned, secToIsinMap);
-      setSmartMoneyAggregated(aggregated);
-      setSmartMoneyLoaded(true);
+    // Load and aggregate smart money data (optional)
+    if (data.smartmoney && securities.length > 0) {
+      const raw = normalizeDateColumn(data.smartmoney, 'tradeDate').rows
+        .filter(row => row.tradeDate && row.securityId && row.clientTypeId);
+      setSmartMoneyRaw(raw);
+      await aggregateSmartMoney(onProgress, raw, securities);
     }
     
     return true;
-  }, [loadTransactions, loadTradingData, loadIndicesData]);
+  }, [loadTransactions, loadTradingData, loadIndicesData, loadSecuritiesData, aggregateSmartMoney]);
 
-  // Aggregate smart money data (call after both datasets are loaded)
-  const aggregateSmartMoney = useCallback(() => {
-    if (smartMoneyRaw.length === 0 || securityToIsin.size === 0) {
-      return;
-    }
-    
-    const aggregated = aggregateSmartMoneyData(smartMoneyRaw, securityToIsin);
-    setSmartMoneyAggregated(aggregated);
-    setSmartMoneyLoaded(true);
-    
-    return aggregated.size;
-  }, [smartMoneyRaw, securityToIsin]);
-
-  // Get smart money sentiment for a specific ISIN and date
-  const getSmartMoneySentiment = useCallback((isin, date) => {
-    const isinClean = String(isin).trim().toUpperCase();
-    const dateClean = date.split('T')[0].split(' ')[0];
-    const key = `${isinClean}_${dateClean}`;
+  // Trading sessions present in trading EOD (all lookback/lookforward windows count these)
+  const tradingCalendar = useMemo(() => buildTradingCalendar(tradingData), [tradingData]);
+
+  // Per-ISIN date-sorted price rows and smart money entries, built once per dataset
+  const timeSeriesIndex = useMemo(() => (
+    buildTimeSeriesIndex(tradingData, smartMoneyAggregated, tradingCalendar)
+  ), [tradingData, smartMoneyAggregated, tradingCalendar]);
+
+  // Net holdings per trader, advanced from the previous session date instead of rebuilt on each step
+  const holdingsLedger = useMemo(() => (
+    createHoldingsLedger(transactions, tradingData, { parseDate: toDateKey })
+  ), [transactions, tradingData]);
+
+  // Keep the worker's copy of the dataset in sync for portfolio scans
+  useEffect(() => {
+    if (!smartMoneyLoaded || tradingData.length === 0) return;
     
-    return smartMoneyAggregated.get(key) || null;
-  }, [smartMoneyAggregated]);
-
-  // Get smart money history for a security
-  const getSmartMoneyHistory = useCallback((isin, endDate, lookbackDays = 30) => {
-    return getHistoricalData(smartMoneyAggregated, isin.toUpperCase(), endDate, lookbackDays);
-  }, [smartMoneyAggregated]);
-
-  // Detect selling patterns for a security
-  const detectSmartMoneyPattern = useCallback((isin, endDate, lookbackDays = 10) => {
-    const history = getHistoricalData(smartMoneyAggregated, isin.toUpperCase(), endDate, lookbackDays);
-    return detectSellingPattern(history);
-  }, [smartMoneyAggregated]);
-
-  // Analyze historical outcomes for similar patterns
-  const getPatternOutcomes = useCallback((isin, sentimentThreshold = -0.5, lookforwardDays = 5) => {
-    if (!smartMoneyLoaded || tradingData.length === 0) return null;
-    return analyzePatternOutcomes(smartMoneyAggregated, tradingData, isin, sentimentThreshold, lookforwardDays);
-  }, [smartMoneyAggregated, tradingData, smartMoneyLoaded]);
-
-  // Calculate historical performance trading with/against smart money
-  const getHistoricalPerformance = useCallback((holdingDays = 5) => {
-    if (!smartMoneyLoaded || transactions.length === 0 || tradingData.length === 0) return null;
-    return calculateHistoricalPerformance(transactions, smartMoneyAggregated, tradingData, holdingDays);
-  }, [transactions, smartMoneyAggregated, tradingData, smartMoneyLoaded]);
-
-  // Get available dates from trading data
-  const getAvailableDates = useCallback(() => {
-    if (tradingData.length === 0) return [];
-    const dates = [...new Set(tradingData.map(row => 
-      row.tradeDate.split('T')[0].split(' ')[0]
-    ))].sort();
-    return dates;
-  }, [tradingData]);
-
-  // Helper to parse date string to YYYY-MM-DD format
-  const parseDateStr = (dateStr) => {
-    if (dateStr.includes('/')) {
-      const parts = dateStr.split('/');
-      if (parts.length === 3) {
-        return `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
+    const version = ++analyticsLoadRef.current;
+    getAnalytics().loadDataset(tradingData, smartMoneyAggregated, securitiesData).promise
+      .then(() => {
+        // Ignore loads superseded by a newer dataset
+        if (version === analyticsLoadRef.current) setAnalyticsDatasetVersion(version);
+      })
+      .catch(err => console.warn('Could not load dataset into analytics worker:', err));
+  }, [smartMoneyLoaded, tradingData, smartMoneyAggregated, securitiesData, getAnalytics]);
+
+  // A calibration only describes the dataset it was computed from; session steps only mark it stale
+  useEffect(() => {
+    setCalibratedEda(null);
+    setEdaSource('shipped');
+    setWeightFit(null);
+    setWeightsSource('default');
+  }, [tradingData, smartMoneyAggregated]);
+
+  const calibrationStatus = getFitStatus(calibratedEda, calibrationAsOf, sessionDate);
+  const weightFitStatus = getFitStatus(weightFit, weightFitAsOf, sessionDate);
+
+  // Recalibrate the EDA constants in the worker and switch to them
+  const calibrateEda = useCallback(async () => {
+    if (!smartMoneyLoaded || analyticsDatasetVersion === 0) return null;
+    setIsCalibrating(true);
+    try {
+      const calibrated = await getAnalytics().calibrate(sessionDate).promise;
+      if (calibrated) {
+        setCalibratedEda(calibrated);
+        setCalibrationAsOf(sessionDate);
+        setEdaSource('calibrated');
       }
+      return calibrated;
+    } finally {
+      setIsCalibrating(false);
     }
-    return dateStr.split('T')[0].split(' ')[0];
-  };
-
-  const processData = useCallback((traderFilter = 'all', maxDate = null) => {
+  }, [smartMoneyLoaded, analyticsDatasetVersion, sessionDate, getAnalytics]);
+
+  const edaConstants = useMemo(() => (
+    edaSource === 'calibrated' && calibratedEda && calibrationStatus !== 'ahead' ? calibratedEda : SHIPPED_EDA_CONSTANTS
+  ), [edaSource, calibratedEda, calibrationStatus]);
+
+  // Re-fit the weighted sentiment weights in the worker -> { promise, cancel }
+  // The fit is only reported; applying it is a separate choice (setWeightsSource)
+  const fitSentimentWeights = useCallback((options = {}, onProgress = null) => {
+    const job = getAnalytics().fitWeights(options, onProgress, sessionDate);
+    setIsFittingWeights(true);
+    const promise = job.promise
+      .then(report => {
+        if (report) {
+          setWeightFit(report);
+          setWeightFitAsOf(sessionDate);
+        }
+        return report;
+      })
+      .finally(() => setIsFittingWeights(false));
+    return { promise, cancel: job.cancel };
+  }, [getAnalytics, sessionDate]);
+
+  const sentimentWeights = useMemo(() => (
+    weightsSource === 'fitted' && weightFit && weightFitStatus !== 'ahead' ? weightFit.weights : DEFAULT_SENTIMENT_WEIGHTS
+  ), [weightsSource, weightFit, weightFitStatus]);
+
+  // Replay the traffic light over a date range in the worker -> { promise, cancel }
+  const runBacktest = useCallback((options = {}, onProgress = null) => (
+    getAnalytics().backtest({ ...options, weights: sentimentWeights }, onProgress, sessionDate)
+  ), [getAnalytics, sentimentWeights, sessionDate]);
+
+  // Simulate actual / no-RED / alert-rule books for the processed transactions -> { promise, cancel }
+  const simulateStrategies = useCallback((onProgress = null) => {
+    const trades = (processedData?.merged || []).map(tx => ({
+      isin: tx.ISIN,
+      date: tx.dateStr,
+      isBuy: tx.isBuy,
+      quantity: parseAmount(tx.Quantity),
+      price: parseAmount(tx.Price),
+    }));
+    return getAnalytics().simulate(trades, { weights: sentimentWeights }, onProgress, sessionDate);
+  }, [processedData, sessionDate, sentimentWeights, getAnalytics]);
+
+  // Scan positions for smart money alerts in the worker -> { promise, cancel }
+  const scanPortfolio = useCallback((isins, date, onProgress = null) => (
+    getAnalytics().scan(isins, date, onProgress, sentimentWeights, edaConstants)
+  ), [getAnalytics, sentimentWeights, edaConstants]);
+
+  // Distinct indices available as benchmarks
+  const availableIndices = useMemo(() => getIndexList(indicesData), [indicesData]);
+
+  const selectedIndex = useMemo(() => (
+    availableIndices.find(idx => idx.indexId === selectedIndexId) || null
+  ), [availableIndices, selectedIndexId]);
+
+  // Daily changes of the selected benchmark, keyed by date
+  const benchmarkChanges = useMemo(() => (
+    buildIndexChangeMap(indicesData, selectedIndexId)
+  ), [indicesData, selectedIndexId]);
+
+  // Store analytics bound to the session date: nothing dated after it is reachable
+  const sessionAnalytics = useMemo(() => createSessionAnalytics({
+    transactions,
+    seriesIndex: timeSeriesIndex,
+    benchmarkChanges,
+    parseDate: toDateKey,
+    smartMoneyLoaded,
+  }, sessionDate), [transactions, timeSeriesIndex, benchmarkChanges, smartMoneyLoaded, sessionDate]);
+
+  const {
+    getSmartMoneySentiment,
+    getSmartMoneyHistory,
+    detectSmartMoneyPattern,
+    getPatternOutcomes,
+    getHistoricalPerformance,
+    getHorizonSweep,
+    getMarketData,
+    getIndexChange,
+    getTradeAttribution,
+    getTraderComparison,
+    getRoundTrips,
+  } = sessionAnalytics;
+
+  // Get available dates from trading data (the trading calendar sessions)
+  const getAvailableDates = useCallback(() => tradingCalendar.dates, [tradingCalendar]);
+
+  const processData = useCallback((traderFilter = 'all', maxDate = null, indexId = selectedIndexId) => {
     if (transactions.length === 0 || tradingData.length === 0) {
       return null;
     }
 
-    // Filter transactions by trader if specified
-    let filteredTransactions = traderFilter === 'all' 
-      ? transactions 
-      : transactions.filter(tx => tx.InvestmentManager === traderFilter);
+    const result = buildSessionData({
+      transactions,
+      seriesIndex: timeSeriesIndex,
+      indexChangeMap: indexId === selectedIndexId ? benchmarkChanges : buildIndexChangeMap(indicesData, indexId),
+      holdingsLedger,
+    }, {
+      traderFilter,
+      maxDate,
+      indexId,
+      indexName: availableIndices.find(idx => idx.indexId === indexId)?.indexName || indexId,
+    });
 
-    // Filter by max date if specified (session date filter)
-    if (maxDate) {
-      filteredTransactions = filteredTransactions.filter(tx => {
-        const txDate = parseDateStr(tx.OrderDate);
-        return txDate <= maxDate;
-      });
+    setProcessedData(result);
+    setSelectedTrader(traderFilter);
+    setIsLoaded(true);
+    return result;
+  }, [transactions, tradingData, indicesData, timeSeriesIndex, selectedIndexId, benchmarkChanges, availableIndices, holdingsLedger]);
+
+  // Refresh the list of datasets cached in IndexedDB
+  const refreshCachedDatasets = useCallback(async () => {
+    if (!isDatasetCacheSupported()) return [];
+    try {
+      const list = await listDatasets();
+      setCachedDatasets(list);
+      return list;
+    } catch (err) {
+      console.warn('Could not read dataset cache:', err);
+      return [];
     }
+  }, []);
 
-    // Create a lookup map for trading data by ISIN + date
-    const tradingMap = new Map();
-    tradingData.forEach(row => {
-      const dateStr = row.tradeDate.split('T')[0].split(' ')[0];
-      const key = `${row.isin}_${dateStr}`;
-      tradingMap.set(key, row);
-    });
-
-    // Merge transactions with market data
-    const merged = filteredTransactions.map(tx => {
-      // Parse the order date
-      let dateStr = tx.OrderDate;
-      if (dateStr.includes('/')) {
-        // Handle DD/MM/YYYY format
-        const parts = dateStr.split('/');
-        if (parts.length === 3) {
-          dateStr = `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
-        }
-      } else {
-        dateStr = dateStr.split('T')[0].split(' ')[0];
-      }
+  // Offer the last dataset on startup
+  useEffect(() => {
+    refreshCachedDatasets();
+  }, [refreshCachedDatasets]);
+
+  // Key the current upload by a hash of its source file(s) and the load filters
+  const registerDatasetSource = useCallback(async (files, name, onProgress) => {
+    if (!isDatasetCacheSupported() || !files || files.length === 0) return null;
+    const filtersKey = getLoadFiltersKey(loadFilters);
+    const id = `${await hashFiles(files, { onProgress })}${filtersKey ? `|${filtersKey}` : ''}`;
+    setDatasetSource({ id, name, persisted: false, loadFilters });
+    return id;
+  }, [loadFilters]);
+
+  // Persist the normalized dataset once it has been processed
+  useEffect(() => {
+    if (!datasetSource || datasetSource.persisted || !isLoaded) return;
+    // Wait for smart money aggregation when both smart money files were uploaded
+    if (smartMoneyRaw.length > 0 && securityToIsin.size > 0 && !smartMoneyLoaded) return;
+    
+    const { id, name } = datasetSource;
+    saveDataset({
+      id,
+      name,
+      loadFilters: datasetSource.loadFilters,
+      data: {
+        transactions,
+        tradingData,
+        indicesData,
+        securitiesData,
+        smartMoneyAggregated,
+      },
+    })
+      .then(() => {
+        setDatasetSource(prev => (prev && prev.id === id ? { ...prev, persisted: true } : prev));
+        refreshCachedDatasets();
+      })
+      .catch(err => console.warn('Could not cache dataset:', err));
+  }, [datasetSource, isLoaded, transactions, tradingData, indicesData, securitiesData, smartMoneyRaw, securityToIsin, smartMoneyAggregated, smartMoneyLoaded, refreshCachedDatasets]);
+
+  // Restore a cached dataset into the store (skips parsing and aggregation)
+  const restoreDataset = useCallback(async (id) => {
+    setIsRestoring(true);
+    try {
+      const cached = await loadDataset(id);
+      if (!cached) return false;
       
-      const key = `${tx.ISIN}_${dateStr}`;
-      const marketData = tradingMap.get(key);
+      const { info, data } = cached;
+      setTransactions(data.transactions || []);
+      setTraders([...new Set((data.transactions || []).map(tx => tx.InvestmentManager))].sort());
+      setTradingData(data.tradingData || []);
+      setIndicesData(data.indicesData || []);
+      setSelectedIndexId(resolveDefaultIndexId(getIndexList(data.indicesData || [])));
       
-      const isBuy = tx.Action.toLowerCase().includes('buy') || 
-                    tx.Action.includes('קניה') || 
-                    tx.Action.includes('קנייה');
+      const securities = data.securitiesData || [];
+      setSecuritiesData(securities);
+      setSecurityToIsin(buildSecurityToIsinMap(securities));
+      setIsinToSecurity(buildIsinToSecurityMap(securities));
       
-      const securityChange = marketData?.change || 0;
+      const aggregated = data.smartMoneyAggregated || new Map();
+      setSmartMoneyRaw([]);
+      setSmartMoneyAggregated(aggregated);
+      setSmartMoneyLoaded(aggregated.size > 0);
       
-      return {
-        ...tx,
-        dateStr,
-        securityChange,
-        symbol: marketData?.symbol || '',
-        hasMarketData: !!marketData,
-        isBuy,
-      };
-    });
-
-    // Calculate statistics
-    const withMarketData = merged.filter(tx => tx.hasMarketData);
-    
-    const buyTrades = withMarketData.filter(tx => tx.isBuy);
-    const sellTrades = withMarketData.filter(tx => !tx.isBuy);
-
-    // Calculate per-trader stats
-    const traderStats = {};
-    const traderList = [...new Set(merged.map(tx => tx.InvestmentManager))];
-    for (const trader of traderList) {
-      const traderTxs = merged.filter(tx => tx.InvestmentManager === trader && tx.hasMarketData);
-      traderStats[trader] = {
-        total: traderTxs.length,
-        buyCount: traderTxs.filter(tx => tx.isBuy).length,
-        sellCount: traderTxs.filter(tx => !tx.isBuy).length,
-      };
+      setProcessedData(null);
+      setIsLoaded(false);
+      const filters = info.loadFilters || DEFAULT_LOAD_FILTERS;
+      setLoadFilters(filters);
+      setDatasetSource({ id: info.id, name: info.name, persisted: true, loadFilters: filters });
+      refreshCachedDatasets();
+      return true;
+    } finally {
+      setIsRestoring(false);
     }
+  }, [refreshCachedDatasets]);
 
-    // Get trader portfolios (unique ISINs per trader) - filtered by maxDate if set
-    const traderPortfolios = {};
-    const txsForPortfolios = maxDate 
-      ? transactions.filter(tx => parseDateStr(tx.OrderDate) <= maxDate)
-      : transactions;
-    txsForPortfolios.forEach(tx => {
-      const trader = tx.InvestmentManager;
-      if (!traderPortfolios[trader]) traderPortfolios[trader] = new Set();
-      traderPortfolios[trader].add(tx.ISIN);
-    });
-    // Convert Sets to Arrays
-    Object.keys(traderPortfolios).forEach(trader => {
-      traderPortfolios[trader] = Array.from(traderPortfolios[trader]);
-    });
+  const deleteCachedDataset = useCallback(async (id) => {
+    await deleteDataset(id);
+    return refreshCachedDatasets();
+  }, [refreshCachedDatasets]);
 
-    const result = {
-      merged,
-      stats: {
-        totalTransactions: filteredTransactions.length,
-        withMarketData: withMarketData.length,
-        buyTrades: buyTrades.length,
-        sellTrades: sellTrades.length,
-      },
-      traderStats,
-      traderPortfolios,
-      currentTrader: traderFilter,
-    };
-
-    setProcessedData(result);
-    setSelectedTrader(traderFilter);
-    setIsLoaded(true);
-    return result;
-  }, [transactions, tradingData]);
+  const clearCachedDatasets = useCallback(async () => {
+    await clearDatasets();
+    return refreshCachedDatasets();
+  }, [refreshCachedDatasets]);
 
   const reset = useCallback(() => {
     setTransactions([]);
@@ -362,6 +524,9 @@ export function DataProvider({ children }) {
     setIsLoaded(false);
     setSelectedTrader('all');
     setTraders([]);
+    setSelectedIndexId(null);
+    setDatasetSource(null);
+    setLoadFilters(DEFAULT_LOAD_FILTERS);
     // Reset smart money data
     setSmartMoneyRaw([]);
     setSecuritiesData([]);
@@ -369,10 +534,12 @@ export function DataProvider({ children }) {
     setIsinToSecurity(new Map());
     setSmartMoneyAggregated(new Map());
     setSmartMoneyLoaded(false);
+    setAnalyticsDatasetVersion(0);
     // Reset session
     setSessionTrader(null);
     setSessionDate(null);
     setIsSessionActive(false);
+    setIsReplaying(false);
   }, []);
 
   // Start session - filter to trader and date
@@ -388,14 +555,58 @@ export function DataProvider({ children }) {
     setSessionTrader(null);
     setSessionDate(null);
     setIsSessionActive(false);
+    setIsReplaying(false);
     setProcessedData(null);
     setSelectedTrader('all');
   }, []);
 
+  // Move the session to another date and recompute the analysis as of it
+  const goToSessionDate = useCallback((date) => {
+    if (!isSessionActive || !date || date === sessionDate) return;
+    setSessionDate(date);
+    processData(selectedTrader, date);
+  }, [isSessionActive, sessionDate, selectedTrader, processData]);
+
+  // Session N trading sessions away from the session date (null at the edge of the data)
+  const getSteppedSessionDate = useCallback((offset) => {
+    if (!sessionDate) return null;
+    // A non-trading session date sits just after the session it snaps back to
+    const shift = offset < 0 && !isTradingDay(tradingCalendar, sessionDate) ? offset + 1 : offset;
+    const date = shiftSessions(tradingCalendar, sessionDate, shift);
+    return date && date !== sessionDate ? date : null;
+  }, [sessionDate, tradingCalendar]);
+
+  // Step the session date by N trading sessions -> the new date, null if there is none
+  const stepSessionDate = useCallback((offset) => {
+    const date = getSteppedSessionDate(offset);
+    if (date) goToSessionDate(date);
+    return date;
+  }, [getSteppedSessionDate, goToSessionDate]);
+
+  const startReplay = useCallback(() => setIsReplaying(true), []);
+  const stopReplay = useCallback(() => setIsReplaying(false), []);
+
+  // Replay: advance one session at a time until paused or the data ends
+  useEffect(() => {
+    if (!isReplaying) return;
+    const timer = setTimeout(() => {
+      if (!stepSessionDate(1)) setIsReplaying(false);
+    }, REPLAY_STEP_MS);
+    return () => clearTimeout(timer);
+  }, [isReplaying, stepSessionDate]);
+
   const filterByTrader = useCallback((trader) => {
     processData(trader, sessionDate);
   }, [processData, sessionDate]);
 
+  // Change the session benchmark and recompute the active analysis against it
+  const selectBenchmarkIndex = useCallback((indexId) => {
+    setSelectedIndexId(indexId);
+    if (processedData) {
+      processData(selectedTrader, sessionDate, indexId);
+    }
+  }, [processData, processedData, selectedTrader, sessionDate]);
+
   return (
     <DataContext.Provider value={{
       transactions,
@@ -411,13 +622,28 @@ export function DataProvider({ children }) {
       processData,
       filterByTrader,
       reset,
+      // Benchmark index
+      availableIndices,
+      selectedIndexId,
+      selectedIndex,
+      selectBenchmarkIndex,
+      getIndexChange,
+      getMarketData,
       // Session state and functions
       sessionTrader,
       sessionDate,
       isSessionActive,
       getAvailableDates,
+      tradingCalendar,
+      timeSeriesIndex,
       startSession,
       endSession,
+      goToSessionDate,
+      getSteppedSessionDate,
+      stepSessionDate,
+      isReplaying,
+      startReplay,
+      stopReplay,
       // Smart money data and functions
       smartMoneyRaw,
       securitiesData,
@@ -427,6 +653,8 @@ export function DataProvider({ children }) {
       smartMoneyLoaded,
       loadSecuritiesData,
       loadSmartMoneyData,
+      parseZipUpload,
+      parseCsvUpload,
       loadFromZipData,
       aggregateSmartMoney,
       getSmartMoneySentiment,
@@ -434,6 +662,45 @@ export function DataProvider({ children }) {
       detectSmartMoneyPattern,
       getPatternOutcomes,
       getHistoricalPerformance,
+      getHorizonSweep,
+      getTradeAttribution,
+      getTraderComparison,
+      getRoundTrips,
+      // Analytics worker
+      scanPortfolio,
+      analyticsReady: smartMoneyLoaded && analyticsDatasetVersion > 0,
+      analyticsDatasetVersion,
+      // EDA constants
+      edaConstants,
+      edaSource,
+      setEdaSource,
+      calibratedEda,
+      calibrationAsOf,
+      calibrationStatus,
+      isCalibrating,
+      calibrateEda,
+      // Weighted sentiment weights
+      sentimentWeights,
+      weightsSource,
+      setWeightsSource,
+      weightFit,
+      weightFitAsOf,
+      weightFitStatus,
+      isFittingWeights,
+      fitSentimentWeights,
+      runBacktest,
+      simulateStrategies,
+      // Load filters and dataset cache
+      loadFilters,
+      setLoadFilters,
+      datasetSource,
+      cachedDatasets,
+      lastCachedDataset: cachedDatasets[0] || null,
+      isRestoring,
+      registerDatasetSource,
+      restoreDataset,
+      deleteCachedDataset,
+      clearCachedDatasets,
       CLIENT_TYPES,
       SMART_MONEY_TYPES,
     }}>
@@ -0,0 +1,88 @@
+/**
+ * Analytics Worker Client
+ * Promise-based wrapper around workers/analytics.worker.js
+ */
+
+/**
+ * Create a client bound to a new analytics worker
+ * Every call returns { promise, cancel }; a cancelled request resolves to null
+ * @returns {object} - { parseZip, parseCsv, aggregate, loadDataset, scan, calibrate, fitWeights, backtest, simulate, terminate }
+ */
+export function createAnalyticsClient() {
+  const worker = new Worker(new URL('../workers/analytics.worker.js', import.meta.url), { type: 'module' });
+  const pending = new Map(); // requestId -> { resolve, reject, onProgress }
+  let nextRequestId = 1;
+
+  worker.onmessage = (event) => {
+    const { type, requestId, payload, done, total, phase, file, message } = event.data;
+    const request = pending.get(requestId);
+    if (!request) return;
+
+    if (type === 'progress') {
+      if (request.onProgress) request.onProgress(done, total, phase, file);
+      return;
+    }
+
+    pending.delete(requestId);
+    if (type === 'result') request.resolve(payload);
+    else if (type === 'cancelled') request.resolve(null);
+    else request.reject(new Error(message || 'Analytics worker error'));
+  };
+
+  worker.onerror = (event) => {
+    const error = new Error(event.message || 'Analytics worker crashed');
+    for (const request of pending.values()) request.reject(error);
+    pending.clear();
+  };
+
+  const send = (type, body, onProgress = null) => {
+    const requestId = nextRequestId++;
+    const promise = new Promise((resolve, reject) => {
+      pending.set(requestId, { resolve, reject, onProgress });
+    });
+    worker.postMessage({ type, requestId, ...body });
+
+    return {
+      promise,
+      cancel: () => {
+        if (pending.has(requestId)) worker.postMessage({ type: 'cancel', requestId });
+      },
+    };
+  };
+
+  return {
+    // Extract and parse an uploaded ZIP archive -> extractAndParseZip() result
+    // (progress: bytes of uncompressed CSV data and the entry being parsed)
+    parseZip: (file, loadFilters, onProgress) => send('parseZip', { file, loadFilters }, onProgress),
+    // Parse an uploaded CSV file -> parseCSV() result plus the first parsed row
+    parseCsv: (file, loadFilters, expectedType = null, context = null) => (
+      send('parseCsv', { file, loadFilters, expectedType, context })
+    ),
+    // Aggregate raw smart money rows -> { aggregated: Map }
+    aggregate: (smartMoneyRaw, securitiesData, onProgress) => (
+      send('aggregate', { smartMoneyRaw, securitiesData }, onProgress)
+    ),
+    // Give the worker the dataset used by scans
+    loadDataset: (tradingData, smartMoneyAggregated, securitiesData) => (
+      send('loadDataset', { tradingData, smartMoneyAggregated, securitiesData })
+    ),
+    // Smart money scan of a list of ISINs -> scanPortfolio() result
+    // (weights: optional re-fit weight sets, edaConstants: shipped or calibrated constants)
+    scan: (isins, date, onProgress, weights = null, edaConstants = null) => (
+      send('scan', { isins, date, weights, edaConstants }, onProgress)
+    ),
+    // Recompute the EDA constants from the loaded dataset -> calibrateEdaConstants() result
+    // (asOf on this and the calls below: cutoff date, null for the whole dataset)
+    calibrate: (asOf = null) => send('calibrate', { asOf }),
+    // Re-fit the weighted sentiment weights -> fitSentimentWeights() report
+    fitWeights: (options, onProgress, asOf = null) => send('fitWeights', { options, asOf }, onProgress),
+    // Walk-forward traffic light replay -> runTrafficLightBacktest() result
+    backtest: (options, onProgress, asOf = null) => send('backtest', { options, asOf }, onProgress),
+    // Actual vs filtered vs rule-based books -> simulateStrategies() result
+    simulate: (trades, options, onProgress, asOf = null) => send('simulate', { trades, options, asOf }, onProgress),
+    terminate: () => {
+      worker.terminate();
+      pending.clear();
+    },
+  };
+}
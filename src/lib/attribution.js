@@ -0,0 +1,163 @@
+/**
+ * Trade Attribution Utilities
+ * Per-trade returns from the executed Price to the close N sessions later,
+ * split into absolute return and excess return over the benchmark index
+ */
+
+import { isBuyAction, parseAmount } from './holdings';
+import { getSessionsForward } from './tradingCalendar';
+import { getPriceRange, getSentimentEntry } from './timeSeriesIndex';
+import { toDateKey } from './dateParsing';
+
+// Smart money sentiment x trade direction above this counts as aligned (same cut as calculateHistoricalPerformance)
+export const ALIGNMENT_THRESHOLD = 0.1;
+
+/**
+ * Classify a trade against smart money sentiment at entry
+ * @param {boolean} isBuy - Trade direction
+ * @param {number|null} sentiment - Smart money sentiment on the trade date (-1 to +1)
+ * @returns {string|null} - 'WITH', 'AGAINST', 'NEUTRAL' or null without sentiment data
+ */
+export function getSmartMoneyAlignment(isBuy, sentiment) {
+  if (sentiment === null || sentiment === undefined) return null;
+  const alignment = (isBuy ? 1 : -1) * sentiment;
+  if (alignment > ALIGNMENT_THRESHOLD) return 'WITH';
+  if (alignment < -ALIGNMENT_THRESHOLD) return 'AGAINST';
+  return 'NEUTRAL';
+}
+
+/**
+ * Build the attribution row of every transaction
+ * Returns are signed by direction: a sell gains when the price falls afterwards.
+ * Status: OK, NO_PRICE (no usable transaction Price), NO_EXIT (no close in the window),
+ * OPEN (holding window ends after maxDate or after the data)
+ * @param {Array} transactions - Normalized transactions
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {Map} indexChangeMap - Benchmark by date from buildIndexChangeMap()
+ * @param {object} options - { parseDate, holdingDays, maxDate, calendar }
+ * @returns {Array} - Attribution rows in transaction order
+ */
+export function buildTradeAttribution(transactions, seriesIndex, indexChangeMap, {
+  parseDate,
+  holdingDays = 5,
+  maxDate = null,
+  calendar = seriesIndex.calendar,
+} = {}) {
+  return (transactions || []).map((tx, i) => {
+    const isin = String(tx.ISIN).trim().toUpperCase();
+    const date = parseDate(String(tx.OrderDate));
+    const isBuy = isBuyAction(tx.Action);
+    const direction = isBuy ? 1 : -1;
+    const sentiment = getSentimentEntry(seriesIndex, isin, date);
+    const smartMoneySentiment = sentiment ? sentiment.smartMoneySentiment : null;
+
+    const row = {
+      id: i,
+      trader: tx.InvestmentManager,
+      isin,
+      symbol: '',
+      date,
+      action: tx.Action,
+      isBuy,
+      quantity: parseAmount(tx.Quantity),
+      entryPrice: parseAmount(tx.Price),
+      exitDate: null,
+      exitPrice: null,
+      holdingDays,
+      absoluteReturn: null,
+      indexReturn: null,
+      excessReturn: null,
+      pnl: null,
+      smartMoneySentiment,
+      alignment: getSmartMoneyAlignment(isBuy, smartMoneySentiment),
+      status: 'OK',
+    };
+
+    if (!row.entryPrice || row.entryPrice <= 0) {
+      row.status = 'NO_PRICE';
+      return row;
+    }
+
+    const sessions = getSessionsForward(calendar, date, holdingDays);
+    const windowEnd = sessions[sessions.length - 1];
+    if (sessions.length < holdingDays || (maxDate && windowEnd > maxDate)) {
+      row.status = 'OPEN';
+      return row;
+    }
+
+    // Last close inside the window (the security may not trade every session)
+    const rows = getPriceRange(seriesIndex, isin, sessions[0], windowEnd).filter(r => r.closingPrice);
+    const exit = rows[rows.length - 1];
+    if (!exit) {
+      row.status = 'NO_EXIT';
+      return row;
+    }
+
+    row.symbol = exit.symbol || '';
+    row.exitDate = toDateKey(exit.tradeDate);
+    row.exitPrice = exit.closingPrice;
+
+    const securityReturn = (row.exitPrice - row.entryPrice) / row.entryPrice;
+    row.absoluteReturn = direction * securityReturn * 100;
+    if (row.quantity !== null) {
+      row.pnl = direction * (row.exitPrice - row.entryPrice) * Math.abs(row.quantity);
+    }
+
+    const indexEntry = indexChangeMap.get(date);
+    const indexExit = indexChangeMap.get(row.exitDate);
+    if (indexEntry?.closingPrice && indexExit?.closingPrice) {
+      const indexReturn = (indexExit.closingPrice - indexEntry.closingPrice) / indexEntry.closingPrice;
+      row.indexReturn = indexReturn * 100;
+      row.excessReturn = direction * (securityReturn - indexReturn) * 100;
+    }
+
+    return row;
+  });
+}
+
+/**
+ * Filter attribution rows
+ * @param {Array} rows - Rows from buildTradeAttribution()
+ * @param {object} filters - { trader ('all' for any), isin (substring), from, to (YYYY-MM-DD) }
+ * @returns {Array} - Matching rows
+ */
+export function filterTradeAttribution(rows, { trader = 'all', isin = '', from = null, to = null } = {}) {
+  const isinQuery = isin.trim().toUpperCase();
+  return rows.filter(row => (
+    (trader === 'all' || row.trader === trader) &&
+    (!isinQuery || row.isin.includes(isinQuery) || row.symbol.toUpperCase().includes(isinQuery)) &&
+    (!from || row.date >= from) &&
+    (!to || row.date <= to)
+  ));
+}
+
+function summarizeGroup(rows) {
+  const withExcess = rows.filter(r => r.excessReturn !== null);
+  const withPnl = rows.filter(r => r.pnl !== null);
+  return {
+    trades: rows.length,
+    avgReturn: rows.length > 0 ? rows.reduce((sum, r) => sum + r.absoluteReturn, 0) / rows.length : 0,
+    avgExcess: withExcess.length > 0 ? withExcess.reduce((sum, r) => sum + r.excessReturn, 0) / withExcess.length : null,
+    // Share of trades that beat the benchmark
+    hitRate: withExcess.length > 0 ? (withExcess.filter(r => r.excessReturn > 0).length / withExcess.length) * 100 : null,
+    totalPnl: withPnl.reduce((sum, r) => sum + r.pnl, 0),
+  };
+}
+
+/**
+ * Summarize completed trades, overall and by smart money alignment at entry
+ * @param {Array} rows - Rows from buildTradeAttribution() (any status)
+ * @returns {object} - { overall, byAlignment: { WITH, AGAINST, NEUTRAL }, excluded }
+ */
+export function summarizeTradeAttribution(rows) {
+  const completed = rows.filter(r => r.status === 'OK');
+  return {
+    overall: summarizeGroup(completed),
+    byAlignment: {
+      WITH: summarizeGroup(completed.filter(r => r.alignment === 'WITH')),
+      AGAINST: summarizeGroup(completed.filter(r => r.alignment === 'AGAINST')),
+      NEUTRAL: summarizeGroup(completed.filter(r => r.alignment === 'NEUTRAL')),
+    },
+    excluded: rows.length - completed.length,
+  };
+}
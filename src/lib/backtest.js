@@ -0,0 +1,151 @@
+/**
+ * Traffic Light Backtest
+ * Walk-forward replay of getTrafficLight: every session in a range, every ISIN with smart money
+ * data that day, both directions. The light only sees the end-of-day data of its own session;
+ * the forward return starts with the next session.
+ */
+
+import { calculateWeightedSentiment, calculateForeignFlowSignal, getTrafficLight } from './smartMoney';
+import { lowerBound } from './timeSeriesIndex';
+import { createForwardReturnLookup } from './calibration';
+
+export const BACKTEST_LIGHTS = ['GREEN', 'YELLOW', 'RED'];
+export const BACKTEST_ACTIONS = ['buy', 'sell'];
+
+// Sessions replayed between progress reports / cancellation checks
+const BACKTEST_CHUNK_SIZE = 20;
+
+function emptyStats() {
+  return { calls: 0, wins: 0, totalReturn: 0 };
+}
+
+function addCall(stats, signedReturn) {
+  stats.calls++;
+  stats.totalReturn += signedReturn;
+  if (signedReturn > 0) stats.wins++;
+}
+
+function finalizeStats(stats) {
+  return {
+    calls: stats.calls,
+    hitRate: stats.calls > 0 ? (stats.wins / stats.calls) * 100 : null,
+    avgReturn: stats.calls > 0 ? stats.totalReturn / stats.calls : null,
+  };
+}
+
+/**
+ * Replay the traffic light over a date range
+ * "Follow the light" takes only PROCEED (GREEN) calls; "ignore it" takes every call of the direction.
+ * Hit rates and averages use every session; the cumulative curve rebalances every `horizon`
+ * sessions so holding periods do not overlap.
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {object} options - { from, to (YYYY-MM-DD, default: whole calendar), horizon, weights (weight sets for calculateWeightedSentiment) }
+ * @param {object} callbacks - { onProgress(done, total), isCancelled() }
+ * @returns {Promise<object|null>} - { from, to, horizon, sessions, signals, byLight, summary, curve }, null if cancelled
+ */
+export async function runTrafficLightBacktest(seriesIndex, {
+  from = null,
+  to = null,
+  horizon = 5,
+  weights = undefined,
+} = {}, { onProgress = null, isCancelled = null } = {}) {
+  const { calendar } = seriesIndex;
+  const forwardReturn = createForwardReturnLookup(seriesIndex);
+
+  const start = from ? lowerBound(calendar.dates, from) : 0;
+  let end = to ? lowerBound(calendar.dates, to) : calendar.dates.length;
+  if (to && calendar.dates[end] === to) end++;
+  const sessions = calendar.dates.slice(start, end);
+
+  const byLight = Object.fromEntries(BACKTEST_LIGHTS.map(light => [
+    light,
+    Object.fromEntries([...BACKTEST_ACTIONS, 'all'].map(action => [action, emptyStats()])),
+  ]));
+  const strategies = Object.fromEntries(BACKTEST_ACTIONS.map(action => [
+    action,
+    { follow: emptyStats(), ignore: emptyStats() },
+  ]));
+
+  const curve = [];
+  const growth = { buyFollow: 1, buyIgnore: 1, sellFollow: 1, sellIgnore: 1 };
+  let signals = 0;
+
+  for (let chunk = 0; chunk < sessions.length; chunk += BACKTEST_CHUNK_SIZE) {
+    // Yield so cancel messages can be handled between chunks
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (isCancelled && isCancelled()) return null;
+
+    for (let i = chunk; i < Math.min(chunk + BACKTEST_CHUNK_SIZE, sessions.length); i++) {
+      const date = sessions[i];
+      const daily = { buyFollow: emptyStats(), buyIgnore: emptyStats(), sellFollow: emptyStats(), sellIgnore: emptyStats() };
+
+      for (const [isin, series] of seriesIndex.sentiment) {
+        // Only the entry of this exact session: nothing later is visible to the light
+        const k = lowerBound(series.dates, date);
+        if (series.dates[k] !== date) continue;
+        const entry = series.items[k];
+        if (entry.smartMoneySentiment === null || entry.smartMoneySentiment === undefined) continue;
+
+        const forward = forwardReturn(isin, date, horizon);
+        if (forward === null) continue;
+
+        const weighted = entry.typeSentiments
+          ? calculateWeightedSentiment(entry.typeSentiments, entry.byType, undefined, weights).weightedSentiment
+          : null;
+        const hasG = calculateForeignFlowSignal(entry) != null;
+        signals++;
+
+        for (const action of BACKTEST_ACTIONS) {
+          const isBuy = action === 'buy';
+          const light = getTrafficLight(isBuy, entry.smartMoneySentiment, weighted, hasG);
+          if (!byLight[light.color]) continue;
+
+          const signedReturn = isBuy ? forward : -forward;
+          addCall(byLight[light.color][action], signedReturn);
+          addCall(byLight[light.color].all, signedReturn);
+          addCall(strategies[action].ignore, signedReturn);
+          addCall(daily[`${action}Ignore`], signedReturn);
+          if (light.color === 'GREEN') {
+            addCall(strategies[action].follow, signedReturn);
+            addCall(daily[`${action}Follow`], signedReturn);
+          }
+        }
+      }
+
+      // Non-overlapping holding periods: equal-weight every call of the rebalance session
+      if (i % horizon === 0 && daily.buyIgnore.calls > 0) {
+        for (const key of Object.keys(growth)) {
+          const stats = daily[key];
+          if (stats.calls > 0) growth[key] *= 1 + (stats.totalReturn / stats.calls) / 100;
+        }
+        // Plotted on the exit session, when the return is known
+        curve.push({
+          date: calendar.dates[start + i + horizon],
+          ...Object.fromEntries(Object.entries(growth).map(([key, value]) => [key, (value - 1) * 100])),
+        });
+      }
+    }
+
+    if (onProgress) onProgress(Math.min(chunk + BACKTEST_CHUNK_SIZE, sessions.length), sessions.length);
+  }
+
+  return {
+    from: sessions[0] || null,
+    to: sessions[sessions.length - 1] || null,
+    horizon,
+    sessions: sessions.length,
+    signals,
+    byLight: Object.fromEntries(Object.entries(byLight).map(([light, actions]) => [
+      light,
+      Object.fromEntries(Object.entries(actions).map(([action, stats]) => [action, finalizeStats(stats)])),
+    ])),
+    summary: Object.fromEntries(Object.entries(strategies).map(([action, { follow, ignore }]) => [
+      action,
+      {
+        follow: { ...finalizeStats(follow), cumulative: curve.length > 0 ? curve[curve.length - 1][`${action}Follow`] : null },
+        ignore: { ...finalizeStats(ignore), cumulative: curve.length > 0 ? curve[curve.length - 1][`${action}Ignore`] : null },
+      },
+    ])),
+    curve,
+  };
+}
@@ -0,0 +1,331 @@
+/**
+ * EDA Calibration Utilities
+ * Recomputes the notebook constants in smartMoney.js (quintiles, per-type spreads,
+ * foreign flow statistics, day-of-week buy ratios) from the loaded dataset
+ */
+
+import {
+  SMART_MONEY_TYPES,
+  FOREIGN_FLOW_TYPE,
+  FOREIGN_FLOW_EDA,
+  SENTIMENT_QUINTILES,
+  TYPE_PREDICTIVE_QUALITY,
+  FOREIGN_DAY_OF_WEEK,
+} from './smartMoney';
+import { lowerBound } from './timeSeriesIndex';
+import { getWeekday } from './dateParsing';
+
+// Horizon used for quintiles, type spreads and the headline foreign flow stats (as in the notebook)
+const BASE_HORIZON = 5;
+// Fewer samples than this per group keeps the shipped value
+const MIN_SAMPLES = 25;
+
+/**
+ * The constants shipped with the app (from smart_money_eda.ipynb)
+ */
+export const SHIPPED_EDA_CONSTANTS = {
+  source: 'shipped',
+  foreignFlow: FOREIGN_FLOW_EDA,
+  sentimentQuintiles: SENTIMENT_QUINTILES,
+  typePredictiveQuality: TYPE_PREDICTIVE_QUALITY,
+  foreignDayOfWeek: FOREIGN_DAY_OF_WEEK,
+};
+
+// Number of price rows dated <= date
+function countThrough(dates, date) {
+  const i = lowerBound(dates, date);
+  return dates[i] === date ? i + 1 : i;
+}
+
+/**
+ * Forward return lookup backed by cumulative daily changes per ISIN (two binary searches per call)
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @returns {Function} - (isin, date, sessions) => sum of daily % changes over the N sessions
+ *                       after date, or null when the window runs past the data
+ */
+export function createForwardReturnLookup(seriesIndex) {
+  const { calendar } = seriesIndex;
+  const prefix = new Map();
+  for (const [isin, series] of seriesIndex.prices) {
+    const sums = [0];
+    for (const row of series.items) {
+      sums.push(sums[sums.length - 1] + (parseFloat(row.change) || 0));
+    }
+    prefix.set(isin, { dates: series.dates, sums });
+  }
+
+  return (isin, date, sessions) => {
+    const entry = prefix.get(isin);
+    const start = calendar.indexByDate.get(date);
+    if (start === undefined || !entry) return null;
+    const end = calendar.dates[start + sessions];
+    if (!end) return null;
+    return entry.sums[countThrough(entry.dates, end)] - entry.sums[countThrough(entry.dates, date)];
+  };
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function winRate(values) {
+  return values.length > 0 ? (values.filter(v => v > 0).length / values.length) * 100 : 0;
+}
+
+/**
+ * Pearson correlation of two equal-length arrays (0 when undefined)
+ */
+export function correlation(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return 0;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  return vx > 0 && vy > 0 ? cov / Math.sqrt(vx * vy) : 0;
+}
+
+/**
+ * Split [{ x, y }] into five equal-count buckets by x
+ */
+function quintileBuckets(pairs) {
+  const sorted = [...pairs].sort((a, b) => a.x - b.x);
+  return [0, 1, 2, 3, 4].map(q => sorted.slice(
+    Math.floor((q * sorted.length) / 5),
+    Math.floor(((q + 1) * sorted.length) / 5)
+  ));
+}
+
+/**
+ * Top-minus-bottom quintile forward return (%) of a signal
+ */
+export function quintileSpread(pairs) {
+  if (pairs.length < MIN_SAMPLES) return null;
+  const buckets = quintileBuckets(pairs);
+  return mean(buckets[4].map(p => p.y)) - mean(buckets[0].map(p => p.y));
+}
+
+function calibrateQuintiles(pairs) {
+  if (pairs.length < MIN_SAMPLES) return SENTIMENT_QUINTILES;
+  const buckets = quintileBuckets(pairs);
+  return SENTIMENT_QUINTILES.map((shipped, q) => {
+    const returns = buckets[q].map(p => p.y);
+    return {
+      ...shipped,
+      min: q === 0 ? -1.0 : buckets[q][0].x,
+      max: q === 4 ? 1.0 : buckets[q + 1][0].x,
+      avgReturn: mean(returns),
+      winRate: winRate(returns),
+      samples: returns.length,
+    };
+  });
+}
+
+/**
+ * Rate every type by its quintile spread relative to the best type:
+ * STRONG = at least half the best positive spread, MODERATE = positive, WEAK = zero or negative
+ */
+function calibrateTypeQuality(spreads) {
+  const best = Math.max(0, ...Object.values(spreads).filter(s => s !== null));
+  const quality = {};
+  for (const [type, shipped] of Object.entries(TYPE_PREDICTIVE_QUALITY)) {
+    const spread = spreads[type];
+    if (spread === null || spread === undefined) {
+      quality[type] = shipped;
+    } else if (best > 0 && spread >= best / 2) {
+      quality[type] = { quality: 'STRONG', label: 'Strong Signal', spread, color: 'green' };
+    } else if (spread > 0) {
+      quality[type] = { quality: 'MODERATE', label: 'Moderate Signal', spread, color: 'yellow' };
+    } else {
+      quality[type] = { quality: 'WEAK', label: 'Weak Signal', spread, color: 'gray' };
+    }
+  }
+  return quality;
+}
+
+function calibrateDayOfWeek(dayTotals) {
+  const days = {};
+  for (const [day, shipped] of Object.entries(FOREIGN_DAY_OF_WEEK)) {
+    const totals = dayTotals[day];
+    const volume = totals ? totals.buy + totals.sell : 0;
+    days[day] = volume > 0
+      ? { name: shipped.name, buyRatio: (totals.buy / volume) * 100, volume, note: null }
+      : shipped;
+  }
+
+  const calibrated = Object.keys(days).filter(day => days[day].volume !== undefined);
+  if (calibrated.length > 0) {
+    const lowest = calibrated.reduce((a, b) => (days[b].buyRatio < days[a].buyRatio ? b : a));
+    const busiest = calibrated.reduce((a, b) => (days[b].volume > days[a].volume ? b : a));
+    days[lowest] = { ...days[lowest], note: 'Lowest foreign buy ratio' };
+    days[busiest] = { ...days[busiest], note: days[busiest].note ? `${days[busiest].note}, highest foreign volume day` : 'Highest foreign volume day' };
+  }
+  return days;
+}
+
+/**
+ * Recompute the EDA constants from the loaded data
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {object} options - { horizons } forward periods in sessions (default: the notebook periods)
+ * @returns {object} - Same shape as SHIPPED_EDA_CONSTANTS plus { sampleSize, dateRange }
+ */
+export function calibrateEdaConstants(seriesIndex, { horizons = FOREIGN_FLOW_EDA.periods.map(p => p.days) } = {}) {
+  const forwardReturn = createForwardReturnLookup(seriesIndex);
+  const allTypes = [...SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE];
+
+  const smartMoneyPairs = [];
+  const typePairs = Object.fromEntries(allTypes.map(t => [t, []]));
+  const foreignByHorizon = Object.fromEntries(horizons.map(h => [h, []]));
+  const foreignVsType = Object.fromEntries(SMART_MONEY_TYPES.map(t => [t, { xs: [], ys: [] }]));
+  const dayTotals = {};
+  let disagreements = 0;
+  let directionalDays = 0;
+  let sampleSize = 0;
+  let firstDate = null;
+  let lastDate = null;
+
+  for (const [isin, series] of seriesIndex.sentiment) {
+    for (const entry of series.items) {
+      const types = entry.typeSentiments || {};
+      const foreign = types[FOREIGN_FLOW_TYPE];
+      const hasForeign = foreign !== undefined && foreign !== null;
+
+      // Day-of-week foreign buy ratio (volume based, no forward window needed)
+      const gVolume = entry.byType?.[FOREIGN_FLOW_TYPE];
+      if (gVolume) {
+        const day = getWeekday(entry.date);
+        if (!dayTotals[day]) dayTotals[day] = { buy: 0, sell: 0 };
+        dayTotals[day].buy += gVolume.buy;
+        dayTotals[day].sell += gVolume.sell;
+      }
+
+      if (hasForeign) {
+        SMART_MONEY_TYPES.forEach(type => {
+          if (types[type] === undefined || types[type] === null) return;
+          foreignVsType[type].xs.push(foreign);
+          foreignVsType[type].ys.push(types[type]);
+        });
+
+        const sm = entry.smartMoneySentiment;
+        if (sm !== null && Math.abs(sm) > 0.1 && Math.abs(foreign) > 0.1) {
+          directionalDays++;
+          if (Math.sign(sm) !== Math.sign(foreign)) disagreements++;
+        }
+      }
+
+      const baseReturn = forwardReturn(isin, entry.date, BASE_HORIZON);
+      if (baseReturn !== null) {
+        sampleSize++;
+        if (!firstDate || entry.date < firstDate) firstDate = entry.date;
+        if (!lastDate || entry.date > lastDate) lastDate = entry.date;
+
+        if (entry.smartMoneySentiment !== null) {
+          smartMoneyPairs.push({ x: entry.smartMoneySentiment, y: baseReturn });
+        }
+        allTypes.forEach(type => {
+          if (types[type] === undefined || types[type] === null) return;
+          typePairs[type].push({ x: types[type], y: baseReturn });
+        });
+      }
+
+      if (hasForeign) {
+        horizons.forEach(h => {
+          const y = h === BASE_HORIZON ? baseReturn : forwardReturn(isin, entry.date, h);
+          if (y !== null) foreignByHorizon[h].push({ x: foreign, y });
+        });
+      }
+    }
+  }
+
+  // Foreign flow (G)
+  const foreignPairs = typePairs[FOREIGN_FLOW_TYPE];
+  const foreignCalibrated = foreignPairs.length >= MIN_SAMPLES;
+  const foreignSpread = quintileSpread(foreignPairs);
+  const foreignCorrelation = correlation(foreignPairs.map(p => p.x), foreignPairs.map(p => p.y));
+  const foreignFlow = foreignCalibrated ? {
+    spread: foreignSpread,
+    bullWinRate: winRate(foreignPairs.filter(p => p.x > 0.1).map(p => p.y)),
+    bearWinRate: winRate(foreignPairs.filter(p => p.x < -0.1).map(p => p.y)),
+    correlation: foreignCorrelation,
+    verdict: foreignSpread > 0 && foreignCorrelation > 0 ? 'USEFUL' : 'NOT USEFUL',
+    periods: horizons.map(days => {
+      const pairs = foreignByHorizon[days];
+      return {
+        days,
+        spread: quintileSpread(pairs) ?? 0,
+        corr: correlation(pairs.map(p => p.x), pairs.map(p => p.y)),
+      };
+    }),
+    correlations: Object.fromEntries(
+      Object.keys(FOREIGN_FLOW_EDA.correlations).map(type => [
+        type,
+        correlation(foreignVsType[type].xs, foreignVsType[type].ys),
+      ])
+    ),
+    disagreementRate: directionalDays > 0 ? (disagreements / directionalDays) * 100 : FOREIGN_FLOW_EDA.disagreementRate,
+    samples: foreignPairs.length,
+  } : FOREIGN_FLOW_EDA;
+
+  const typeSpreads = Object.fromEntries(allTypes.map(type => [type, quintileSpread(typePairs[type])]));
+
+  return {
+    source: 'calibrated',
+    foreignFlow,
+    sentimentQuintiles: calibrateQuintiles(smartMoneyPairs),
+    typePredictiveQuality: calibrateTypeQuality(typeSpreads),
+    foreignDayOfWeek: calibrateDayOfWeek(dayTotals),
+    sampleSize,
+    dateRange: { from: firstDate, to: lastDate },
+  };
+}
+
+/**
+ * Side-by-side values of the shipped and calibrated constants
+ * @param {object} shipped - SHIPPED_EDA_CONSTANTS
+ * @param {object} calibrated - Result of calibrateEdaConstants()
+ * @returns {Array} - [{ group, label, shipped, calibrated, unit }]
+ */
+export function diffEdaConstants(shipped, calibrated) {
+  const rows = [];
+  const add = (group, label, a, b, unit = '') => rows.push({ group, label, shipped: a ?? null, calibrated: b ?? null, unit });
+
+  const sf = shipped.foreignFlow;
+  const cf = calibrated.foreignFlow;
+  add('Foreign Flow (G)', 'Quintile spread', sf.spread, cf.spread, '%');
+  add('Foreign Flow (G)', 'Bull win rate', sf.bullWinRate, cf.bullWinRate, '%');
+  add('Foreign Flow (G)', 'Bear win rate', sf.bearWinRate, cf.bearWinRate, '%');
+  add('Foreign Flow (G)', 'Correlation (5d)', sf.correlation, cf.correlation);
+  add('Foreign Flow (G)', 'Disagreement rate', sf.disagreementRate, cf.disagreementRate, '%');
+  sf.periods.forEach(p => {
+    const match = cf.periods.find(c => c.days === p.days);
+    add('Foreign Flow (G)', `${p.days}d spread`, p.spread, match?.spread, '%');
+  });
+  Object.keys(sf.correlations).forEach(type => {
+    add('Foreign Flow (G)', `Correlation with ${type}`, sf.correlations[type], cf.correlations[type]);
+  });
+
+  shipped.sentimentQuintiles.forEach((q, i) => {
+    const c = calibrated.sentimentQuintiles[i];
+    add('Sentiment Quintiles', `${q.quintile} range`, `${q.min.toFixed(2)} to ${q.max.toFixed(2)}`, `${c.min.toFixed(2)} to ${c.max.toFixed(2)}`);
+    add('Sentiment Quintiles', `${q.quintile} avg return`, q.avgReturn, c.avgReturn, '%');
+    add('Sentiment Quintiles', `${q.quintile} win rate`, q.winRate, c.winRate, '%');
+  });
+
+  Object.entries(shipped.typePredictiveQuality).forEach(([type, q]) => {
+    const c = calibrated.typePredictiveQuality[type];
+    add('Type Quality', `${type} rating`, q.quality, c.quality);
+    add('Type Quality', `${type} spread`, q.spread, c.spread, '%');
+  });
+
+  Object.entries(shipped.foreignDayOfWeek).forEach(([day, d]) => {
+    add('Day of Week', `${d.name} foreign buy ratio`, d.buyRatio, calibrated.foreignDayOfWeek[day]?.buyRatio, '%');
+  });
+
+  return rows;
+}
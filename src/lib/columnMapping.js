@@ -0,0 +1,207 @@
+/**
+ * Column Mapping Utilities
+ * Maps non-standard CSV headers (e.g. Hebrew back office exports) onto the fields each loader
+ * in useDataStore expects. Suggestions come from known aliases; confirmed mappings can be saved
+ * as named profiles (localStorage) and reused for later uploads.
+ */
+
+import { FILE_SCHEMAS } from './dataValidation';
+
+const PROFILES_STORAGE_KEY = 'columnMappingProfiles';
+
+/**
+ * Fields per file type with known header aliases (English variants and Hebrew)
+ * Required fields are the schema columns in dataValidation
+ */
+const FIELD_ALIASES = {
+  transactions: {
+    ISIN: ['isin', 'קוד isin', 'מספר isin'],
+    Action: ['action', 'side', 'פעולה', 'סוג פעולה', 'קניה/מכירה', 'קנייה/מכירה'],
+    OrderDate: ['order date', 'trade date', 'date', 'תאריך', 'תאריך הוראה', 'תאריך עסקה', 'תאריך ביצוע'],
+    InvestmentManager: ['investment manager', 'manager', 'trader', 'מנהל השקעות', 'מנהל תיק', 'מנהל', 'סוחר'],
+    Quantity: ['quantity', 'qty', 'amount', 'כמות', 'כמות ני"ע', 'יחידות'],
+    Price: ['price', 'execution price', 'מחיר', 'שער', 'שער ביצוע', 'מחיר ביצוע'],
+  },
+  trading: {
+    isin: ['isin', 'קוד isin', 'מספר isin'],
+    tradeDate: ['trade date', 'date', 'תאריך', 'תאריך מסחר'],
+    change: ['change', 'change %', 'pct change', 'שינוי', 'שינוי %', 'אחוז שינוי'],
+    closingPrice: ['closing price', 'close', 'שער סגירה', 'מחיר סגירה'],
+    symbol: ['symbol', 'ticker', 'סימול'],
+  },
+  indices: {
+    tradeDate: ['trade date', 'date', 'תאריך', 'תאריך מסחר'],
+    indexId: ['index id', 'index', 'מזהה מדד', 'מספר מדד', 'מדד'],
+    closingIndexPrice: ['closing index price', 'closing price', 'close', 'שער סגירה', 'ערך סגירה'],
+  },
+  securities: {
+    securityId: ['security id', 'security number', 'מספר נייר', 'מספר ני"ע', 'מס ני"ע'],
+    isin: ['isin', 'קוד isin', 'מספר isin'],
+    symbol: ['symbol', 'ticker', 'סימול'],
+    companyName: ['company name', 'company', 'name', 'שם חברה', 'שם'],
+  },
+  smartmoney: {
+    tradeDate: ['trade date', 'date', 'תאריך', 'תאריך מסחר'],
+    securityId: ['security id', 'security number', 'מספר נייר', 'מספר ני"ע', 'מס ני"ע'],
+    clientTypeId: ['client type id', 'client type', 'סוג לקוח', 'סוג משקיע'],
+    turnoverBuyNis: ['turnover buy nis', 'buy turnover', 'מחזור קנייה', 'מחזור קניה'],
+    turnoverSellNis: ['turnover sell nis', 'sell turnover', 'מחזור מכירה'],
+  },
+};
+
+// Lower case, no BOM, spaces, underscores, dashes or quotes
+function normalizeHeader(header) {
+  return String(header).replace(/^\uFEFF/, '').toLowerCase().replace(/[\s_\-"'׳״.]/g, '');
+}
+
+/**
+ * Fields a file type's loader reads
+ * @param {string} type - FILE_SCHEMAS key
+ * @returns {Array} - [{ field, required, aliases }]
+ */
+export function getMappingFields(type) {
+  const requiredColumns = FILE_SCHEMAS[type].columns;
+  return Object.entries(FIELD_ALIASES[type]).map(([field, aliases]) => ({
+    field,
+    required: requiredColumns.includes(field),
+    aliases,
+  }));
+}
+
+/**
+ * Suggest a header for every field (exact name or alias first, then partial alias matches)
+ * @param {string} type - FILE_SCHEMAS key
+ * @param {Array<string>} headers - Headers found in the file
+ * @returns {object} - { [field]: header or null }; each header is used at most once
+ */
+export function suggestMapping(type, headers) {
+  const fields = getMappingFields(type);
+  const normalized = headers.map(header => ({ header, key: normalizeHeader(header) }));
+  const used = new Set();
+  const mapping = Object.fromEntries(fields.map(({ field }) => [field, null]));
+
+  const pick = (field, matches) => {
+    const found = normalized.find(h => !used.has(h.header) && matches(h.key));
+    if (!found) return;
+    mapping[field] = found.header;
+    used.add(found.header);
+  };
+
+  for (const { field, aliases } of fields) {
+    const names = [field, ...aliases].map(normalizeHeader);
+    pick(field, key => names.includes(key));
+  }
+  for (const { field, aliases } of fields) {
+    if (mapping[field]) continue;
+    const names = aliases.map(normalizeHeader).filter(name => name.length >= 3);
+    pick(field, key => names.some(name => key.includes(name)));
+  }
+
+  return mapping;
+}
+
+/**
+ * Whether the headers lack a required field under its expected name, or carry an optional
+ * field only under an alias (e.g. כמות for Quantity, which the loader would otherwise drop)
+ */
+export function needsColumnMapping(type, headers) {
+  if (FILE_SCHEMAS[type].columns.some(column => !headers.includes(column))) return true;
+  const keys = new Set(headers.map(normalizeHeader));
+  return getMappingFields(type).some(({ field, aliases }) => (
+    !headers.includes(field) && aliases.some(alias => keys.has(normalizeHeader(alias)))
+  ));
+}
+
+/**
+ * Whether every required field has a column
+ */
+export function isMappingComplete(type, mapping) {
+  return FILE_SCHEMAS[type].columns.every(column => Boolean(mapping[column]));
+}
+
+/**
+ * Most likely file type from the headers (most required fields suggested)
+ * @param {Array<string>} headers - Headers found in the file
+ * @returns {string|null} - FILE_SCHEMAS key, null when no required field matches
+ */
+export function guessFileType(headers) {
+  let best = null;
+  let bestScore = 0;
+  for (const type of Object.keys(FIELD_ALIASES)) {
+    const mapping = suggestMapping(type, headers);
+    const columns = FILE_SCHEMAS[type].columns;
+    const score = columns.filter(column => mapping[column]).length / columns.length;
+    if (score > bestScore) {
+      best = type;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Copy rows with every mapped column also stored under its field name
+ * @param {Array} rows - Parsed CSV rows
+ * @param {object} mapping - { [field]: header }
+ * @returns {Array} - Rows the loaders can read
+ */
+export function applyColumnMapping(rows, mapping) {
+  const pairs = Object.entries(mapping).filter(([field, header]) => header && header !== field);
+  if (pairs.length === 0) return rows;
+  return rows.map(row => {
+    const mapped = { ...row };
+    for (const [field, header] of pairs) mapped[field] = row[header];
+    return mapped;
+  });
+}
+
+/**
+ * Saved profiles ([{ name, type, mapping, savedAt }])
+ */
+export function loadMappingProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    console.warn('Could not read column mapping profiles:', err);
+    return [];
+  }
+}
+
+function storeMappingProfiles(profiles) {
+  try {
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  } catch (err) {
+    console.warn('Could not save column mapping profiles:', err);
+  }
+  return profiles;
+}
+
+/**
+ * Save a profile (replaces a profile with the same name)
+ * @returns {Array} - Updated profile list
+ */
+export function saveMappingProfile(profiles, { name, type, mapping }) {
+  const profile = { name, type, mapping, savedAt: new Date().toISOString() };
+  return storeMappingProfiles([...profiles.filter(p => p.name !== name), profile]);
+}
+
+/**
+ * Delete a profile by name
+ * @returns {Array} - Updated profile list
+ */
+export function deleteMappingProfile(profiles, name) {
+  return storeMappingProfiles(profiles.filter(p => p.name !== name));
+}
+
+/**
+ * Most recent profile of a type whose mapped columns all exist in the headers
+ * @returns {object|null} - Profile
+ */
+export function findMatchingProfile(profiles, type, headers) {
+  return [...profiles]
+    .filter(p => p.type === type)
+    .sort((a, b) => (a.savedAt < b.savedAt ? 1 : -1))
+    .find(p => Object.values(p.mapping).every(header => !header || headers.includes(header))
+      && isMappingComplete(type, p.mapping)) || null;
+}
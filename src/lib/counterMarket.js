@@ -0,0 +1,219 @@
+/**
+ * Counter-Market Analysis Utilities
+ * Compares trade direction against the daily move of a benchmark index
+ */
+
+import { toDateKey } from './dateParsing';
+
+// Default benchmark (TA-125) as it appears in indices_eod.csv
+export const DEFAULT_INDEX_ID = '142';
+
+/**
+ * Divergence thresholds (absolute index move in %) used for alert levels
+ * HIGH > 2%, MEDIUM 1-2%, LOW < 1%, NONE when the trade is aligned
+ */
+export const DIVERGENCE_THRESHOLDS = {
+  high: 2,
+  medium: 1,
+};
+
+/**
+ * List the distinct indices present in indices EOD data
+ * @param {Array} indicesData - Index EOD rows
+ * @returns {Array} - Array of { indexId, indexName } sorted by name
+ */
+export function getIndexList(indicesData) {
+  const byId = new Map();
+  for (const row of indicesData || []) {
+    const indexId = String(row.indexId).trim();
+    if (!indexId || byId.has(indexId)) continue;
+    byId.set(indexId, { indexId, indexName: row.indexName ? String(row.indexName).trim() : indexId });
+  }
+  return [...byId.values()].sort((a, b) => a.indexName.localeCompare(b.indexName));
+}
+
+/**
+ * Pick the default benchmark (TA-125) from the available indices
+ * Matches on name first since index IDs differ between exports
+ * @param {Array} indexList - Array from getIndexList()
+ * @returns {string|null} - Index ID to use as default
+ */
+export function resolveDefaultIndexId(indexList) {
+  if (!indexList || indexList.length === 0) return null;
+
+  const ta125 = indexList
+    .filter(idx => /(^|[^0-9])125($|[^0-9])/.test(idx.indexName))
+    .sort((a, b) => a.indexName.length - b.indexName.length)[0];
+  if (ta125) return ta125.indexId;
+
+  const byDefaultId = indexList.find(idx => idx.indexId === DEFAULT_INDEX_ID);
+  return byDefaultId ? byDefaultId.indexId : indexList[0].indexId;
+}
+
+/**
+ * Build a date -> daily change map for a single index
+ * @param {Array} indicesData - Index EOD rows with computed `change`
+ * @param {string} indexId - Index to extract
+ * @returns {Map} - Map of "YYYY-MM-DD" to { change, closingPrice, indexName }
+ */
+export function buildIndexChangeMap(indicesData, indexId) {
+  const map = new Map();
+  if (!indicesData || indexId === null || indexId === undefined) return map;
+
+  const wanted = String(indexId).trim();
+  for (const row of indicesData) {
+    if (String(row.indexId).trim() !== wanted) continue;
+    const date = toDateKey(row.tradeDate);
+    if (!date) continue;
+    map.set(date, {
+      change: row.change,
+      closingPrice: row.closingPrice,
+      indexName: row.indexName,
+    });
+  }
+
+  return map;
+}
+
+/**
+ * Get divergence level for a trade given the index move on the trade date
+ * Counter-market = buying while the index is down, or selling while it is up
+ * @param {boolean} isBuy - Is the trade a buy
+ * @param {number|null} indexChange - Index daily change in %
+ * @returns {object} - { isCounterMarket, divergence, level }
+ */
+export function getDivergenceLevel(isBuy, indexChange) {
+  if (indexChange === null || indexChange === undefined || Number.isNaN(indexChange)) {
+    return { isCounterMarket: false, divergence: 0, level: null };
+  }
+
+  const isCounterMarket = (isBuy && indexChange < 0) || (!isBuy && indexChange > 0);
+  const divergence = Math.abs(indexChange);
+
+  if (!isCounterMarket) {
+    return { isCounterMarket: false, divergence, level: 'NONE' };
+  }
+
+  let level = 'LOW';
+  if (divergence > DIVERGENCE_THRESHOLDS.high) level = 'HIGH';
+  else if (divergence >= DIVERGENCE_THRESHOLDS.medium) level = 'MEDIUM';
+
+  return { isCounterMarket, divergence, level };
+}
+
+/**
+ * Join a merged transaction to the index move on the same date and classify it
+ * @param {object} tx - Merged transaction (from processData) with dateStr and isBuy
+ * @param {Map} indexChangeMap - Map from buildIndexChangeMap()
+ * @returns {object} - Transaction with indexChange, isCounterMarket, divergence, divergenceLevel
+ */
+export function classifyTrade(tx, indexChangeMap) {
+  const indexDay = indexChangeMap.get(tx.dateStr);
+  const indexChange = indexDay ? indexDay.change : null;
+  const { isCounterMarket, divergence, level } = getDivergenceLevel(tx.isBuy, indexChange);
+
+  return {
+    ...tx,
+    indexChange,
+    hasIndexData: !!indexDay,
+    isCounterMarket,
+    divergence,
+    divergenceLevel: level,
+  };
+}
+
+function emptyBucket() {
+  return { total: 0, counterMarket: 0, aligned: 0, contrarianRatio: 0 };
+}
+
+function addToBucket(bucket, trade) {
+  bucket.total++;
+  if (trade.isCounterMarket) bucket.counterMarket++;
+  else bucket.aligned++;
+}
+
+function finalizeBucket(bucket) {
+  bucket.contrarianRatio = bucket.total > 0 ? (bucket.counterMarket / bucket.total) * 100 : 0;
+  return bucket;
+}
+
+/**
+ * Classify every merged transaction against an index and compute contrarian ratios
+ * @param {Array} mergedTransactions - Transactions from processData (with dateStr, isBuy)
+ * @param {Map} indexChangeMap - Map from buildIndexChangeMap()
+ * @returns {object} - { trades, overall, byAction, byTrader, byPeriod, byLevel }
+ */
+export function analyzeCounterMarket(mergedTransactions, indexChangeMap) {
+  const trades = mergedTransactions.map(tx => classifyTrade(tx, indexChangeMap));
+  const classified = trades.filter(tx => tx.hasIndexData);
+
+  const overall = emptyBucket();
+  const byAction = { buy: emptyBucket(), sell: emptyBucket() };
+  const byTrader = {};
+  const byPeriod = {};
+  const byLevel = { HIGH: 0, MEDIUM: 0, LOW: 0, NONE: 0 };
+
+  for (const trade of classified) {
+    addToBucket(overall, trade);
+    addToBucket(trade.isBuy ? byAction.buy : byAction.sell, trade);
+
+    const trader = trade.InvestmentManager;
+    if (!byTrader[trader]) byTrader[trader] = emptyBucket();
+    addToBucket(byTrader[trader], trade);
+
+    // Period = calendar month (YYYY-MM)
+    const period = trade.dateStr.substring(0, 7);
+    if (!byPeriod[period]) byPeriod[period] = emptyBucket();
+    addToBucket(byPeriod[period], trade);
+
+    byLevel[trade.divergenceLevel]++;
+  }
+
+  finalizeBucket(overall);
+  finalizeBucket(byAction.buy);
+  finalizeBucket(byAction.sell);
+  Object.values(byTrader).forEach(finalizeBucket);
+  Object.values(byPeriod).forEach(finalizeBucket);
+
+  return {
+    trades,
+    overall,
+    byAction,
+    byTrader,
+    byPeriod: Object.entries(byPeriod)
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([period, bucket]) => ({ period, ...bucket })),
+    byLevel,
+    withoutIndexData: trades.length - classified.length,
+  };
+}
+
+// Default Alert Threshold (%) for price alerts in the Portfolio Monitor
+export const DEFAULT_PRICE_ALERT_THRESHOLD = 2;
+
+/**
+ * Get price alert level for a position given its daily move vs the benchmark
+ * RED = moved against the index by at least the threshold
+ * YELLOW = relative move of at least half the threshold
+ * GREEN = moving with the market
+ * @param {number|null} securityChange - Security daily change in %
+ * @param {number|null} indexChange - Index daily change in %
+ * @param {number} threshold - Alert Threshold in %
+ * @returns {object} - { level, relativeChange, isCounterMarket }
+ */
+export function getPriceAlertLevel(securityChange, indexChange, threshold = DEFAULT_PRICE_ALERT_THRESHOLD) {
+  const isMissing = v => v === null || v === undefined || Number.isNaN(v);
+  if (isMissing(securityChange) || isMissing(indexChange)) {
+    return { level: null, relativeChange: null, isCounterMarket: false };
+  }
+
+  const relativeChange = securityChange - indexChange;
+  const isCounterMarket = (securityChange > 0 && indexChange < 0) || (securityChange < 0 && indexChange > 0);
+  const gap = Math.abs(relativeChange);
+
+  let level = 'GREEN';
+  if (isCounterMarket && gap >= threshold) level = 'RED';
+  else if (gap >= threshold / 2) level = 'YELLOW';
+
+  return { level, relativeChange, isCounterMarket };
+}
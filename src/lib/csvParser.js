@@ -2,19 +2,21 @@ import Papa from 'papaparse';
 
 /**
  * Parse a CSV file and return the data
+ * With a row filter the file is read in chunks and only the rows that pass are kept
  * @param {File} file - The CSV file to parse
- * @returns {Promise<Array>} - Array of row objects
+ * @param {object} options - { rowFilter: (row) => boolean, rows failing it are dropped }
+ * @returns {Promise<object>} - { data: array of row objects, errors: PapaParse row errors (for the data quality report),
+ *                                filteredRows: rows dropped by the filter, rowNumbers: file row index of each kept
+ *                                row, null without a filter }
  */
-export function parseCSV(file) {
+export function parseCSV(file, { rowFilter = null } = {}) {
+  if (rowFilter) return parseCSVStream(file, { rowFilter });
   return new Promise((resolve, reject) => {
     Papa.parse(file, {
       header: true,
       skipEmptyLines: true,
       complete: (results) => {
-        if (results.errors.length > 0) {
-          console.warn('CSV parsing warnings:', results.errors);
-        }
-        resolve(results.data);
+        resolve({ data: results.data, errors: results.errors, filteredRows: 0, rowNumbers: null });
       },
       error: (error) => {
         reject(error);
@@ -24,64 +26,35 @@ export function parseCSV(file) {
 }
 
 /**
- * Parse CSV text directly (faster than creating File objects)
- * Uses worker thread for large files to avoid blocking UI
- * @param {string} csvText - The CSV text content
- * @param {boolean} useWorker - Whether to use web worker (for large files)
- * @returns {Promise<Array>} - Array of row objects
+ * Parse a file or chunked text stream row by row, keeping only the rows that pass a filter
+ * Papa Parse reads files in chunks and any object with `readable`, `read()` and `on()` as a
+ * Node-style stream, so only the current chunk and the kept rows are held in memory
+ * @param {File|object} stream - File, or stream emitting 'data' (string chunks), 'end' and 'error'
+ * @param {object} options - { rowFilter: (row) => boolean, rows failing it are dropped }
+ * @returns {Promise<object>} - { data: kept rows, errors: PapaParse row errors, totalRows, filteredRows,
+ *                                rowNumbers: file row index (0 = first data row) of each kept row, null without a filter }
  */
-export function parseCSVText(csvText, useWorker = false) {
+export function parseCSVStream(stream, { rowFilter = null } = {}) {
   return new Promise((resolve, reject) => {
-    Papa.parse(csvText, {
-      header: true,
-      skipEmptyLines: true,
-      worker: useWorker,
-      complete: (results) => {
-        if (results.errors.length > 0 && results.errors.length < 10) {
-          console.warn('CSV parsing warnings:', results.errors);
-        }
-        resolve(results.data);
-      },
-      error: (error) => {
-        reject(error);
-      },
-    });
-  });
-}
+    const data = [];
+    const errors = [];
+    const rowNumbers = rowFilter ? [] : null;
+    let totalRows = 0;
 
-/**
- * Parse large CSV with streaming (memory efficient)
- * @param {string} csvText - The CSV text content  
- * @param {function} onProgress - Progress callback (0-100)
- * @returns {Promise<Array>} - Array of row objects
- */
-export function parseCSVStreaming(csvText, onProgress = null) {
-  return new Promise((resolve, reject) => {
-    const rows = [];
-    const totalSize = csvText.length;
-    let processedSize = 0;
-    let lastProgress = 0;
-    
-    Papa.parse(csvText, {
+    Papa.parse(stream, {
       header: true,
       skipEmptyLines: true,
-      step: (result, parser) => {
-        if (result.data) {
-          rows.push(result.data);
-        }
-        // Update progress roughly
-        processedSize += 100; // Approximate bytes per row
-        if (onProgress) {
-          const progress = Math.min(99, Math.floor((processedSize / totalSize) * 100));
-          if (progress > lastProgress + 5) {
-            lastProgress = progress;
-            onProgress(progress);
-          }
+      step: (result) => {
+        // Row numbers are counted over the whole file, not per chunk
+        for (const error of result.errors) errors.push({ ...error, row: totalRows });
+        if (!rowFilter || rowFilter(result.data)) {
+          data.push(result.data);
+          rowNumbers?.push(totalRows);
         }
+        totalRows++;
       },
       complete: () => {
-        if (onProgress) onProgress(100);
-        resolve(rows);
+        resolve({ data, errors, totalRows, filteredRows: totalRows - data.length, rowNumbers });
       },
       error: (error) => {
         reject(error);
@@ -0,0 +1,233 @@
+/**
+ * Data Validation Utilities
+ * Declared schema for each upload file type. Every row is checked against the schema's rules:
+ * 'reject' rules drop the row, 'coerce' rules keep it with a default value (what the loaders
+ * in useDataStore do). Counts per rule plus cross-file coverage checks make up the data
+ * quality report shown before processing.
+ */
+
+import { CLIENT_TYPES } from './smartMoney';
+import { normalizeDateColumn, toDateKey } from './dateParsing';
+
+// Row numbers kept per rule as examples
+const MAX_SAMPLE_ROWS = 3;
+// Cross-file issues listed by value
+const MAX_LISTED_ITEMS = 20;
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function isNumeric(value) {
+  // Same leniency as the loaders' parseFloat
+  return !isBlank(value) && Number.isFinite(parseFloat(String(value).replace(/,/g, '')));
+}
+
+const required = (column) => ({
+  id: `missing_${column}`,
+  label: `Missing ${column}`,
+  action: 'reject',
+  test: row => isBlank(row[column]),
+});
+
+const validDate = (column) => ({
+  id: `invalid_${column}`,
+  label: `${column} is not a valid date`,
+  action: 'reject',
+  test: row => !isBlank(row[column]) && toDateKey(row[column]) === null,
+});
+
+const numeric = (column, fallback) => ({
+  id: `non_numeric_${column}`,
+  label: `Non-numeric ${column} (treated as ${fallback})`,
+  action: 'coerce',
+  test: row => !isNumeric(row[column]),
+});
+
+/**
+ * Schema per file type: required columns, date columns (normalized to YYYY-MM-DD with the
+ * day/month order detected per column) and row rules (checked in order)
+ */
+export const FILE_SCHEMAS = {
+  transactions: {
+    label: 'Transactions',
+    columns: ['ISIN', 'Action', 'OrderDate'],
+    dateColumns: ['OrderDate'],
+    rules: [
+      required('ISIN'),
+      required('Action'),
+      required('OrderDate'),
+      validDate('OrderDate'),
+      {
+        id: 'missing_InvestmentManager',
+        label: 'Missing InvestmentManager (treated as Unknown)',
+        action: 'coerce',
+        test: row => isBlank(row.InvestmentManager),
+      },
+      numeric('Quantity', 'missing, position not valued'),
+      numeric('Price', 'missing, trade not priced'),
+    ],
+  },
+  trading: {
+    label: 'Trading EOD',
+    columns: ['isin', 'tradeDate', 'change'],
+    dateColumns: ['tradeDate'],
+    rules: [
+      required('isin'),
+      required('tradeDate'),
+      validDate('tradeDate'),
+      numeric('change', '0'),
+      numeric('closingPrice', 'missing'),
+    ],
+  },
+  indices: {
+    label: 'Indices EOD',
+    columns: ['tradeDate', 'indexId', 'closingIndexPrice'],
+    dateColumns: ['tradeDate'],
+    rules: [
+      required('tradeDate'),
+      validDate('tradeDate'),
+      required('closingIndexPrice'),
+      {
+        id: 'missing_indexId',
+        label: 'Missing indexId (grouped under "undefined")',
+        action: 'coerce',
+        test: row => isBlank(row.indexId),
+      },
+      numeric('closingIndexPrice', '0'),
+    ],
+  },
+  securities: {
+    label: 'Securities Mapping',
+    columns: ['securityId', 'isin'],
+    dateColumns: [],
+    rules: [
+      required('securityId'),
+      required('isin'),
+    ],
+  },
+  smartmoney: {
+    label: 'Smart Money EOD',
+    columns: ['tradeDate', 'securityId', 'clientTypeId', 'turnoverBuyNis', 'turnoverSellNis'],
+    dateColumns: ['tradeDate'],
+    rules: [
+      required('tradeDate'),
+      validDate('tradeDate'),
+      required('securityId'),
+      required('clientTypeId'),
+      {
+        id: 'unknown_clientTypeId',
+        label: 'Unknown clientTypeId (counted in totals only)',
+        action: 'coerce',
+        test: row => !isBlank(row.clientTypeId) && !CLIENT_TYPES[row.clientTypeId],
+      },
+      numeric('turnoverBuyNis', '0'),
+      numeric('turnoverSellNis', '0'),
+    ],
+  },
+};
+
+/**
+ * Check parsed rows against a file type's schema
+ * @param {string} type - FILE_SCHEMAS key
+ * @param {Array} rows - Parsed CSV rows
+ * @param {object} options - { parseErrors: PapaParse errors for the file, rowNumbers: file row index of each parsed
+ *                            row when rows were dropped while parsing (sample line numbers) }
+ * @returns {object} - { rows: accepted rows (dates normalized), report: { type, label, totalRows, accepted, rejected,
+ *                       coerced, missingColumns, parseErrors, dates: [{ column, label, confident, conflicting,
+ *                       ambiguousRows }], rules: [{ id, label, action, count, sampleRows }] } }
+ */
+export function validateRows(type, parsedRows, { parseErrors = [], rowNumbers = null } = {}) {
+  const schema = FILE_SCHEMAS[type];
+  const columns = parsedRows.length > 0 ? Object.keys(parsedRows[0]) : [];
+
+  let rows = parsedRows;
+  const dates = [];
+  for (const column of schema.dateColumns) {
+    if (!columns.includes(column)) continue;
+    const normalized = normalizeDateColumn(rows, column, { rowNumbers });
+    rows = normalized.rows;
+    dates.push({ column, ...normalized.format, ambiguousRows: normalized.ambiguousRows });
+  }
+
+  const ruleStats = schema.rules.map(rule => ({ id: rule.id, label: rule.label, action: rule.action, count: 0, sampleRows: [] }));
+  const accepted = [];
+  let coerced = 0;
+
+  const applyRules = (row, line, action) => {
+    let fired = false;
+    schema.rules.forEach((rule, r) => {
+      if (rule.action !== action || !rule.test(row)) return;
+      const stats = ruleStats[r];
+      stats.count++;
+      if (stats.sampleRows.length < MAX_SAMPLE_ROWS) stats.sampleRows.push(line);
+      fired = true;
+    });
+    return fired;
+  };
+
+  rows.forEach((row, i) => {
+    // Line number in the file (header is line 1)
+    const line = (rowNumbers ? rowNumbers[i] : i) + 2;
+    // Coercions are only counted for rows that are kept
+    if (applyRules(row, line, 'reject')) return;
+    accepted.push(row);
+    if (applyRules(row, line, 'coerce')) coerced++;
+  });
+
+  return {
+    rows: accepted,
+    report: {
+      type,
+      label: schema.label,
+      totalRows: rows.length,
+      accepted: accepted.length,
+      rejected: rows.length - accepted.length,
+      coerced,
+      missingColumns: rows.length > 0 ? schema.columns.filter(c => !columns.includes(c)) : [],
+      parseErrors: {
+        count: parseErrors.length,
+        messages: parseErrors.slice(0, MAX_SAMPLE_ROWS).map(e => (e.row !== undefined ? `Row ${e.row + 2}: ${e.message}` : e.message)),
+      },
+      dates,
+      rules: ruleStats.filter(stats => stats.count > 0),
+    },
+  };
+}
+
+/**
+ * Cross-file coverage: traded ISINs without prices and smart money securities without an ISIN
+ * @param {object} data - { transactions, tradingData, smartMoneyRaw, securityToIsin } (loaded rows)
+ * @returns {object} - { unpricedIsins: { count, transactions, items: [{ isin, transactions }] },
+ *                       unmappedSecurityIds: { count, rows, items: [{ securityId, rows }] } }
+ */
+export function checkCrossFileCoverage({ transactions = [], tradingData = [], smartMoneyRaw = [], securityToIsin = new Map() }) {
+  const pricedIsins = new Set(tradingData.map(row => String(row.isin).trim().toUpperCase()));
+  const unpriced = new Map();
+  for (const tx of transactions) {
+    const isin = String(tx.ISIN).trim().toUpperCase();
+    if (!pricedIsins.has(isin)) unpriced.set(isin, (unpriced.get(isin) || 0) + 1);
+  }
+
+  const unmapped = new Map();
+  if (securityToIsin.size > 0) {
+    for (const row of smartMoneyRaw) {
+      const securityId = String(row.securityId);
+      if (!securityToIsin.has(securityId)) unmapped.set(securityId, (unmapped.get(securityId) || 0) + 1);
+    }
+  }
+
+  const summarize = (counts, key, countKey) => ({
+    count: counts.size,
+    [countKey]: [...counts.values()].reduce((sum, n) => sum + n, 0),
+    items: [...counts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_LISTED_ITEMS)
+      .map(([value, n]) => ({ [key]: value, [countKey]: n })),
+  });
+
+  return {
+    unpricedIsins: summarize(unpriced, 'isin', 'transactions'),
+    unmappedSecurityIds: summarize(unmapped, 'securityId', 'rows'),
+  };
+}
@@ -0,0 +1,174 @@
+/**
+ * Dataset Cache Utilities
+ * Persists parsed datasets in IndexedDB so a page reload doesn't require re-uploading
+ */
+
+import { createSha256 } from './sha256';
+
+const DB_NAME = 'investor-helper';
+const DB_VERSION = 1;
+// Metadata is kept apart from the (large) payload so listing stays cheap
+const INFO_STORE = 'datasetInfo';
+const DATA_STORE = 'datasetData';
+
+// Bytes read per slice when hashing an upload
+const HASH_SLICE_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Check if IndexedDB is available in this browser
+ * @returns {boolean}
+ */
+export function isDatasetCacheSupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(INFO_STORE)) {
+        db.createObjectStore(INFO_STORE, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(DATA_STORE)) {
+        db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve when it commits
+ */
+async function withStores(storeNames, mode, callback) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    const stores = storeNames.map(name => tx.objectStore(name));
+    const request = callback(...stores);
+    if (request) {
+      request.onsuccess = () => { result = request.result; };
+    }
+  });
+}
+
+/**
+ * Hash the uploaded file(s) into a dataset key
+ * SHA-256 over each file's name, size and full content, read a slice at a time
+ * @param {Array<File>} files - Archive or individual CSV files
+ * @param {object} options - { onProgress(done, total) in bytes }
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function hashFiles(files, { onProgress } = {}) {
+  const hasher = createSha256();
+  const sorted = [...files].sort((a, b) => a.name.localeCompare(b.name));
+  const total = sorted.reduce((sum, file) => sum + file.size, 0);
+  let done = 0;
+
+  for (const file of sorted) {
+    hasher.update(new TextEncoder().encode(`${file.name}|${file.size}|`));
+    for (let start = 0; start < file.size; start += HASH_SLICE_BYTES) {
+      const slice = new Uint8Array(await file.slice(start, start + HASH_SLICE_BYTES).arrayBuffer());
+      hasher.update(slice);
+      done += slice.length;
+      onProgress?.(done, total);
+    }
+  }
+
+  return hasher.digest();
+}
+
+/**
+ * Save a parsed dataset
+ * @param {object} dataset - { id, name, loadFilters, data: { transactions, tradingData, indicesData, securitiesData, smartMoneyAggregated } }
+ * @returns {Promise<object>} - Saved metadata record
+ */
+export async function saveDataset({ id, name, loadFilters = null, data }) {
+  const now = new Date().toISOString();
+  const info = {
+    id,
+    name,
+    // Filters applied at parse time (the dataset is a slice of the files)
+    loadFilters,
+    savedAt: now,
+    lastUsedAt: now,
+    counts: {
+      transactions: data.transactions?.length || 0,
+      trading: data.tradingData?.length || 0,
+      indices: data.indicesData?.length || 0,
+      securities: data.securitiesData?.length || 0,
+      smartMoney: data.smartMoneyAggregated?.size || 0,
+    },
+  };
+
+  await withStores([INFO_STORE, DATA_STORE], 'readwrite', (infoStore, dataStore) => {
+    infoStore.put(info);
+    // Maps survive structured cloning, so the aggregated smart money map is stored as-is
+    dataStore.put({ id, ...data });
+  });
+
+  return info;
+}
+
+/**
+ * List cached datasets (most recently used first)
+ * @returns {Promise<Array>} - Metadata records
+ */
+export async function listDatasets() {
+  const records = await withStores([INFO_STORE], 'readonly', store => store.getAll());
+  return (records || []).sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+}
+
+/**
+ * Load a cached dataset and mark it as last used
+ * @param {string} id - Dataset key
+ * @returns {Promise<object|null>} - { info, data } or null if not cached
+ */
+export async function loadDataset(id) {
+  const [info, data] = await Promise.all([
+    withStores([INFO_STORE], 'readonly', store => store.get(id)),
+    withStores([DATA_STORE], 'readonly', store => store.get(id)),
+  ]);
+  if (!info || !data) return null;
+
+  const touched = { ...info, lastUsedAt: new Date().toISOString() };
+  await withStores([INFO_STORE], 'readwrite', store => store.put(touched));
+
+  return { info: touched, data };
+}
+
+/**
+ * Delete one cached dataset
+ * @param {string} id - Dataset key
+ */
+export async function deleteDataset(id) {
+  await withStores([INFO_STORE, DATA_STORE], 'readwrite', (infoStore, dataStore) => {
+    infoStore.delete(id);
+    dataStore.delete(id);
+  });
+}
+
+/**
+ * Delete every cached dataset
+ */
+export async function clearDatasets() {
+  await withStores([INFO_STORE, DATA_STORE], 'readwrite', (infoStore, dataStore) => {
+    infoStore.clear();
+    dataStore.clear();
+  });
+}
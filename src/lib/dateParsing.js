@@ -0,0 +1,201 @@
+/**
+ * Date Parsing Utilities
+ * One place that turns raw date cells into YYYY-MM-DD keys. Handles ISO dates, ISO timestamps
+ * (with a time zone they are converted to the exchange's local date), Excel serial numbers,
+ * YYYYMMDD and day/month/year strings. Whether slashed dates are DD/MM or MM/DD is detected
+ * per column from a sample; rows that could be read either way are flagged as ambiguous.
+ */
+
+// Tel Aviv Stock Exchange: timestamps with an offset are dated in exchange time
+export const EXCHANGE_TIME_ZONE = 'Asia/Jerusalem';
+
+// Values read per column to detect the day/month order
+const DETECTION_SAMPLE_SIZE = 1000;
+// Row numbers kept as examples of ambiguous dates
+const MAX_SAMPLE_ROWS = 3;
+
+// Excel day 0 (1899-12-30, accounts for the 1900 leap year bug)
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Serials from 1954 to 2119: plain numbers outside this range are not dates
+const EXCEL_SERIAL_RANGE = [20000, 80000];
+
+export const DATE_FORMAT_LABELS = {
+  DMY: 'DD/MM/YYYY',
+  MDY: 'MM/DD/YYYY',
+};
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const ISO_TIMESTAMP = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const PARTS_DATE = /^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})(?:[ T].*)?$/;
+const COMPACT_DATE = /^(\d{4})(\d{2})(\d{2})$/;
+const NUMERIC = /^\d+(\.\d+)?$/;
+
+let exchangeDateFormat = null;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+// YYYY-MM-DD when the parts form a real calendar date
+function buildDate(year, month, day) {
+  const y = year < 100 ? 2000 + year : year;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(Date.UTC(y, month - 1, day));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return `${y}-${pad(month)}-${pad(day)}`;
+}
+
+// The date itself when a YYYY-MM-DD string is a real calendar date (2024-02-30 is not)
+function checkIsoDate(str) {
+  return buildDate(Number(str.slice(0, 4)), Number(str.slice(5, 7)), Number(str.slice(8, 10)));
+}
+
+// Calendar date of an instant in exchange time
+function toExchangeDate(ms) {
+  if (!exchangeDateFormat) {
+    exchangeDateFormat = new Intl.DateTimeFormat('en-CA', {
+      timeZone: EXCHANGE_TIME_ZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+    });
+  }
+  return exchangeDateFormat.format(new Date(ms));
+}
+
+/**
+ * Parse one date cell
+ * @param {*} value - Raw cell value
+ * @param {object} options - { order: 'DMY' or 'MDY' for day/month strings }
+ * @returns {object} - { date: YYYY-MM-DD or null, ambiguous: day/month string that reads validly both ways }
+ */
+export function parseDateValue(value, { order = 'DMY' } = {}) {
+  if (value === null || value === undefined) return { date: null, ambiguous: false };
+  if (value instanceof Date) {
+    return { date: Number.isNaN(value.getTime()) ? null : toExchangeDate(value.getTime()), ambiguous: false };
+  }
+  const str = String(value).trim();
+  if (str === '') return { date: null, ambiguous: false };
+  if (ISO_DATE.test(str)) return { date: checkIsoDate(str), ambiguous: false };
+
+  const timestamp = str.match(ISO_TIMESTAMP);
+  if (timestamp) {
+    const [, datePart, , zone] = timestamp;
+    if (!zone) return parseDateValue(datePart);
+    const ms = Date.parse(str.replace(' ', 'T'));
+    return { date: Number.isNaN(ms) ? null : toExchangeDate(ms), ambiguous: false };
+  }
+
+  const compact = str.match(COMPACT_DATE);
+  if (compact) {
+    return { date: buildDate(Number(compact[1]), Number(compact[2]), Number(compact[3])), ambiguous: false };
+  }
+
+  if (NUMERIC.test(str)) {
+    const serial = Math.floor(Number(str));
+    if (serial < EXCEL_SERIAL_RANGE[0] || serial > EXCEL_SERIAL_RANGE[1]) return { date: null, ambiguous: false };
+    return { date: new Date(EXCEL_EPOCH_MS + serial * DAY_MS).toISOString().slice(0, 10), ambiguous: false };
+  }
+
+  const parts = str.match(PARTS_DATE);
+  if (!parts) return { date: null, ambiguous: false };
+  const [a, b, c] = [Number(parts[1]), Number(parts[2]), Number(parts[3])];
+  // YYYY/MM/DD
+  if (parts[1].length === 4) return { date: buildDate(a, b, c), ambiguous: false };
+
+  const dmy = buildDate(c, b, a);
+  const mdy = buildDate(c, a, b);
+  const preferred = order === 'MDY' ? mdy : dmy;
+  return {
+    // A row that only reads one way is taken that way
+    date: preferred || dmy || mdy,
+    ambiguous: Boolean(dmy && mdy && dmy !== mdy),
+  };
+}
+
+/**
+ * Date key for lookups (YYYY-MM-DD); loaded data is already normalized so ISO dates skip the format checks
+ * @param {*} value - Date cell or date string
+ * @returns {string|null} - YYYY-MM-DD, null when not a date
+ */
+export function toDateKey(value) {
+  if (typeof value === 'string' && value.length === 10 && ISO_DATE.test(value)) return checkIsoDate(value);
+  return parseDateValue(value).date;
+}
+
+/**
+ * Day of the week of a date key, the same in every timezone
+ * @param {*} value - Date cell or date string
+ * @returns {number|null} - 0 = Sunday ... 6 = Saturday, null when not a date
+ */
+export function getWeekday(value) {
+  const key = toDateKey(value);
+  return key ? new Date(`${key}T00:00:00Z`).getUTCDay() : null;
+}
+
+/**
+ * Detect the day/month order of a column from a sample of its values
+ * @param {Array} values - Column values
+ * @returns {object} - { order: 'DMY' or 'MDY', confident: whether a day above 12 settled it, conflicting }
+ */
+export function detectDateOrder(values) {
+  const step = Math.max(1, Math.floor(values.length / DETECTION_SAMPLE_SIZE));
+  let dmyEvidence = 0;
+  let mdyEvidence = 0;
+  for (let i = 0; i < values.length; i += step) {
+    const parts = String(values[i] ?? '').trim().match(PARTS_DATE);
+    if (!parts || parts[1].length === 4) continue;
+    const first = Number(parts[1]);
+    const second = Number(parts[2]);
+    if (first > 12 && second <= 12) dmyEvidence++;
+    else if (second > 12 && first <= 12) mdyEvidence++;
+  }
+
+  // DD/MM is the local default when the sample can't tell
+  const order = mdyEvidence > dmyEvidence ? 'MDY' : 'DMY';
+  return {
+    order,
+    confident: dmyEvidence + mdyEvidence > 0,
+    conflicting: dmyEvidence > 0 && mdyEvidence > 0,
+  };
+}
+
+/**
+ * Normalize a date column to YYYY-MM-DD using the order detected for the column
+ * @param {Array} rows - Parsed rows
+ * @param {string} column - Date column
+ * @param {object} options - { rowNumbers: file row index of each row when rows were dropped while parsing }
+ * @returns {object} - { rows (copies with the column normalized; unparseable values kept as is),
+ *                       format: { order, label, confident, conflicting }, invalidRows,
+ *                       ambiguousRows: { count, sampleRows } }
+ */
+export function normalizeDateColumn(rows, column, { rowNumbers = null } = {}) {
+  const detection = detectDateOrder(rows.map(row => row[column]));
+  let invalidRows = 0;
+  const ambiguousRows = { count: 0, sampleRows: [] };
+
+  const normalized = rows.map((row, i) => {
+    const value = row[column];
+    if (typeof value === 'string' && ISO_DATE.test(value) && checkIsoDate(value)) return row;
+    const { date, ambiguous } = parseDateValue(value, { order: detection.order });
+    // Only a guess when the column itself gave no day above 12
+    if (ambiguous && !detection.confident) {
+      ambiguousRows.count++;
+      // Line number in the file (header is line 1)
+      if (ambiguousRows.sampleRows.length < MAX_SAMPLE_ROWS) ambiguousRows.sampleRows.push((rowNumbers ? rowNumbers[i] : i) + 2);
+    }
+    if (!date) {
+      invalidRows++;
+      return row;
+    }
+    return date === value ? row : { ...row, [column]: date };
+  });
+
+  return {
+    rows: normalized,
+    format: { ...detection, label: DATE_FORMAT_LABELS[detection.order] },
+    invalidRows,
+    ambiguousRows,
+  };
+}
@@ -0,0 +1,298 @@
+/**
+ * Holdings Ledger Utilities
+ * Walks transactions in date order to build net positions per trader
+ */
+
+import { toDateKey } from './dateParsing';
+
+/**
+ * Check if a transaction action is a buy (English or Hebrew)
+ * @param {string} action - Raw Action value
+ * @returns {boolean} - True for buy actions
+ */
+export function isBuyAction(action) {
+  const value = String(action || '');
+  return value.toLowerCase().includes('buy') ||
+         value.includes('קניה') ||
+         value.includes('קנייה');
+}
+
+/**
+ * Parse a numeric transaction field (handles thousands separators)
+ * @param {*} value - Raw Quantity/Price value
+ * @returns {number|null} - Parsed number or null when missing
+ */
+export function parseAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const num = parseFloat(String(value).replace(/,/g, '').trim());
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Latest closing price per ISIN on or before a date
+ * @param {Array} tradingData - Trading EOD rows (with closingPrice)
+ * @param {string|null} maxDate - Cutoff date (YYYY-MM-DD), null for all data
+ * @returns {Map} - Map of ISIN to { closingPrice, date }
+ */
+export function buildLatestPriceMap(tradingData, maxDate = null) {
+  const latest = new Map();
+  for (const row of tradingData || []) {
+    if (row.closingPrice === null || row.closingPrice === undefined) continue;
+    const date = toDateKey(row.tradeDate);
+    if (!date || (maxDate && date > maxDate)) continue;
+    const prev = latest.get(row.isin);
+    if (!prev || date > prev.date) {
+      latest.set(row.isin, { closingPrice: row.closingPrice, date });
+    }
+  }
+  return latest;
+}
+
+/**
+ * Empty position for the average-cost ledger
+ * @param {string} trader - Trader name
+ * @param {string} isin - Security ISIN
+ * @returns {object} - Position with zero quantity
+ */
+export function emptyPosition(trader, isin) {
+  return {
+    trader,
+    isin,
+    quantity: 0,
+    costBasis: 0,
+    avgCost: 0,
+    realizedPnl: 0,
+    boughtQuantity: 0,
+    soldQuantity: 0,
+    // Sold quantity with no matching buy in the data (position opened before the export window)
+    unmatchedSellQuantity: 0,
+    missingQuantity: false,
+    // A buy without Quantity that no later sell has closed: the position may be open at zero known quantity
+    unknownQuantityOpen: false,
+    tradeCount: 0,
+    firstDate: null,
+    lastDate: null,
+    lastTradePrice: null,
+  };
+}
+
+/**
+ * Apply one transaction to a position (average-cost method)
+ * @param {object} position - Position from emptyPosition()
+ * @param {object} tx - { isBuy, quantity, price, date }
+ */
+export function applyTrade(position, tx) {
+  position.tradeCount++;
+  if (!position.firstDate) position.firstDate = tx.date;
+  position.lastDate = tx.date;
+
+  if (tx.quantity === null) {
+    position.missingQuantity = true;
+    if (tx.isBuy) position.unknownQuantityOpen = true;
+    else if (position.quantity === 0) position.unknownQuantityOpen = false;
+    return;
+  }
+
+  const quantity = Math.abs(tx.quantity);
+  const price = tx.price;
+  if (price !== null) position.lastTradePrice = price;
+
+  if (tx.isBuy) {
+    position.quantity += quantity;
+    position.boughtQuantity += quantity;
+    position.costBasis += quantity * (price ?? position.avgCost);
+  } else {
+    const matched = Math.min(quantity, position.quantity);
+    if (matched > 0 && price !== null) {
+      position.realizedPnl += matched * (price - position.avgCost);
+    }
+    position.costBasis -= matched * position.avgCost;
+    position.quantity -= matched;
+    if (Math.abs(position.quantity) < 1e-9) position.quantity = 0;
+    position.soldQuantity += quantity;
+    position.unmatchedSellQuantity += quantity - matched;
+    // A sell that leaves nothing known open closes whatever the unquantified buy added
+    if (position.quantity === 0) position.unknownQuantityOpen = false;
+  }
+
+  position.avgCost = position.quantity > 0 ? position.costBasis / position.quantity : 0;
+  if (position.quantity === 0) position.costBasis = 0;
+}
+
+// Transaction rows as ledger trades (dated on the parsed OrderDate)
+function toTrades(transactions, parseDate) {
+  return (transactions || []).map(tx => ({
+    trader: tx.InvestmentManager,
+    isin: tx.ISIN,
+    date: parseDate(tx.OrderDate),
+    isBuy: isBuyAction(tx.Action),
+    quantity: parseAmount(tx.Quantity),
+    price: parseAmount(tx.Price),
+  }));
+}
+
+// Stable sort keeps file order for rows on the same day
+function sortByDate(items, field = 'date') {
+  return items.sort((a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0));
+}
+
+function applyToBook(byTrader, trade) {
+  if (!byTrader[trade.trader]) byTrader[trade.trader] = new Map();
+  const positions = byTrader[trade.trader];
+  if (!positions.has(trade.isin)) positions.set(trade.isin, emptyPosition(trade.trader, trade.isin));
+  applyTrade(positions.get(trade.isin), trade);
+}
+
+// Positions are copied when valued, so the book can keep moving afterwards
+function valueBook(byTrader, latestPrices) {
+  const result = {};
+  for (const [trader, positionMap] of Object.entries(byTrader)) {
+    const positions = [...positionMap.values()].map(position => valuePosition(position, latestPrices));
+    const openPositions = positions
+      .filter(p => p.isOpen)
+      .sort((a, b) => (b.marketValue ?? 0) - (a.marketValue ?? 0));
+
+    result[trader] = {
+      positions,
+      openPositions,
+      totals: summarizePositions(positions),
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Build per-trader holdings from transactions using Quantity and Price
+ * @param {Array} transactions - Raw transactions (ISIN, Action, OrderDate, InvestmentManager, Quantity, Price)
+ * @param {object} options - { parseDate, maxDate, latestPrices }
+ * @returns {object} - { [trader]: { positions, openPositions, totals } }
+ */
+export function buildTraderHoldings(transactions, { parseDate, maxDate = null, latestPrices = new Map() } = {}) {
+  const trades = sortByDate(toTrades(transactions, parseDate).filter(trade => !maxDate || !(trade.date > maxDate)));
+  const byTrader = {};
+  for (const trade of trades) applyToBook(byTrader, trade);
+  return valueBook(byTrader, latestPrices);
+}
+
+/**
+ * Holdings ledger for a session date that moves one step at a time
+ * Trades and closing prices are sorted once; moving the date forward applies only the rows
+ * in between, moving it back replays from the start
+ * @param {Array} transactions - Raw transactions (ISIN, Action, OrderDate, InvestmentManager, Quantity, Price)
+ * @param {Array} tradingData - Trading EOD rows (with closingPrice)
+ * @param {object} options - { parseDate }
+ * @returns {object} - { holdingsAsOf(maxDate) -> same result as buildTraderHoldings() with buildLatestPriceMap() prices }
+ */
+export function createHoldingsLedger(transactions, tradingData, { parseDate }) {
+  // Undated trades pass every cutoff, as in buildTraderHoldings()
+  const trades = sortByDate(toTrades(transactions, parseDate).map(trade => ({ ...trade, key: trade.date || '' })), 'key');
+  const closes = [];
+  for (const row of tradingData || []) {
+    if (row.closingPrice === null || row.closingPrice === undefined) continue;
+    const date = toDateKey(row.tradeDate);
+    if (date) closes.push({ isin: row.isin, date, closingPrice: row.closingPrice });
+  }
+  sortByDate(closes);
+
+  let asOf = null;
+  let tradeCursor = 0;
+  let closeCursor = 0;
+  let byTrader = {};
+  let latestPrices = new Map();
+
+  const holdingsAsOf = (maxDate = null) => {
+    // Date keys sort as strings; no cutoff is past every date
+    const cutoff = maxDate || '\uffff';
+    if (asOf === null || cutoff < asOf) {
+      tradeCursor = 0;
+      closeCursor = 0;
+      byTrader = {};
+      latestPrices = new Map();
+    }
+    asOf = cutoff;
+
+    while (tradeCursor < trades.length && trades[tradeCursor].key <= cutoff) {
+      applyToBook(byTrader, trades[tradeCursor++]);
+    }
+    while (closeCursor < closes.length && closes[closeCursor].date <= cutoff) {
+      const { isin, date, closingPrice } = closes[closeCursor++];
+      // First row wins on a repeated date, as in buildLatestPriceMap()
+      if (latestPrices.get(isin)?.date !== date) latestPrices.set(isin, { closingPrice, date });
+    }
+
+    return valueBook(byTrader, latestPrices);
+  };
+
+  return { holdingsAsOf };
+}
+
+/**
+ * Mark a position to market using the latest close (falls back to last trade price)
+ */
+function valuePosition(position, latestPrices) {
+  const market = latestPrices.get(position.isin);
+  const lastPrice = market ? market.closingPrice : position.lastTradePrice;
+  const isOpen = position.quantity > 0 || position.unknownQuantityOpen;
+  const marketValue = position.quantity > 0 && lastPrice !== null ? position.quantity * lastPrice : null;
+
+  return {
+    ...position,
+    isOpen,
+    lastPrice,
+    priceDate: market ? market.date : position.lastDate,
+    marketValue,
+    unrealizedPnl: marketValue !== null ? marketValue - position.costBasis : null,
+  };
+}
+
+function summarizePositions(positions) {
+  const totals = {
+    openPositions: 0,
+    closedPositions: 0,
+    marketValue: 0,
+    costBasis: 0,
+    realizedPnl: 0,
+    unrealizedPnl: 0,
+  };
+
+  for (const p of positions) {
+    if (p.isOpen) totals.openPositions++;
+    else totals.closedPositions++;
+    totals.realizedPnl += p.realizedPnl;
+    totals.costBasis += p.costBasis;
+    if (p.marketValue !== null) totals.marketValue += p.marketValue;
+    if (p.unrealizedPnl !== null) totals.unrealizedPnl += p.unrealizedPnl;
+  }
+
+  return totals;
+}
+
+/**
+ * Open-position ISINs per trader (largest market value first)
+ * @param {object} traderHoldings - Result of buildTraderHoldings()
+ * @returns {object} - { [trader]: string[] }
+ */
+export function getOpenPositionIsins(traderHoldings) {
+  const portfolios = {};
+  for (const [trader, holdings] of Object.entries(traderHoldings)) {
+    portfolios[trader] = holdings.openPositions.map(p => p.isin);
+  }
+  return portfolios;
+}
+
+/**
+ * Current market value of each open position (Quantity x latest closing price)
+ * @param {object} holdings - One trader's entry from buildTraderHoldings()
+ * @returns {Map} - Map of ISIN (upper case) to market value; positions without a value are left out
+ */
+export function getPositionValues(holdings) {
+  const values = new Map();
+  for (const position of holdings?.openPositions || []) {
+    if (position.marketValue === null || position.marketValue <= 0) continue;
+    const isin = String(position.isin).trim().toUpperCase();
+    values.set(isin, (values.get(isin) || 0) + position.marketValue);
+  }
+  return values;
+}
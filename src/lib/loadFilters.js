@@ -0,0 +1,135 @@
+/**
+ * Load Filter Utilities
+ * Row filters applied while the CSV files are parsed, so only one manager or one period of
+ * a large dataset is kept in memory: a date range, a list of investment managers, and an
+ * option to keep only trading / smart money rows for securities those managers traded.
+ */
+
+import { parseDateValue } from './dateParsing';
+
+export const DEFAULT_LOAD_FILTERS = {
+  dateFrom: '',
+  dateTo: '',
+  managers: [],
+  tradedIsinsOnly: false,
+};
+
+// Date column filtered per file type (securities mapping has none)
+const DATE_COLUMNS = {
+  transactions: 'OrderDate',
+  trading: 'tradeDate',
+  indices: 'tradeDate',
+  smartmoney: 'tradeDate',
+};
+
+function normalizeKey(value) {
+  return String(value ?? '').trim().toUpperCase();
+}
+
+/**
+ * Split a comma or newline separated list of manager names
+ * @param {string} text - Raw input
+ * @returns {Array<string>} - Trimmed, non-empty, de-duplicated names
+ */
+export function parseManagerList(text) {
+  return [...new Set(String(text).split(/[,\n]/).map(name => name.trim()).filter(Boolean))];
+}
+
+/**
+ * Whether any filter is set
+ */
+export function hasLoadFilters(filters) {
+  return Boolean(filters && (filters.dateFrom || filters.dateTo || filters.managers.length > 0 || filters.tradedIsinsOnly));
+}
+
+/**
+ * Human readable list of the active filters
+ * @returns {Array<string>} - One entry per filter (empty when unfiltered)
+ */
+export function describeLoadFilters(filters) {
+  if (!hasLoadFilters(filters)) return [];
+  const parts = [];
+  if (filters.dateFrom || filters.dateTo) {
+    parts.push(`${filters.dateFrom || 'start'} to ${filters.dateTo || 'end'}`);
+  }
+  if (filters.managers.length > 0) parts.push(`Managers: ${filters.managers.join(', ')}`);
+  if (filters.tradedIsinsOnly) parts.push('Traded securities only');
+  return parts;
+}
+
+/**
+ * Stable key for the filters (part of the dataset cache key), '' when unfiltered
+ */
+export function getLoadFiltersKey(filters) {
+  if (!hasLoadFilters(filters)) return '';
+  const managers = filters.managers.map(normalizeKey).sort();
+  return JSON.stringify([filters.dateFrom, filters.dateTo, managers, filters.tradedIsinsOnly]);
+}
+
+// Unparseable dates are kept so the data quality report still counts them;
+// a day/month string that reads both ways is kept if either reading is in range
+function isInDateRange(value, { dateFrom, dateTo }) {
+  const inRange = date => (!dateFrom || date >= dateFrom) && (!dateTo || date <= dateTo);
+  const { date, ambiguous } = parseDateValue(value);
+  if (!date) return true;
+  return inRange(date) || (ambiguous && inRange(parseDateValue(value, { order: 'MDY' }).date));
+}
+
+/**
+ * ISINs traded in the (already filtered) transactions and their smart money security IDs
+ * @returns {object|null} - { isins: Set, securityIds: Set or null without a securities mapping }, null without transactions
+ */
+function getTradedSecurities(transactions, securities) {
+  const isins = new Set();
+  for (const tx of transactions || []) {
+    if (tx.ISIN !== undefined && tx.ISIN !== '') isins.add(normalizeKey(tx.ISIN));
+  }
+  if (isins.size === 0) return null;
+
+  let securityIds = null;
+  if (securities && securities.length > 0) {
+    securityIds = new Set();
+    for (const row of securities) {
+      if (isins.has(normalizeKey(row.isin))) securityIds.add(String(row.securityId).trim());
+    }
+  }
+  return { isins, securityIds };
+}
+
+/**
+ * Row predicate for a file type
+ * Rows without the filtered column (headers not mapped yet) are kept; the filters are applied
+ * again after column mapping. The traded securities restriction needs the transactions (and the
+ * securities mapping for smart money) loaded first.
+ * @param {string} type - File type (transactions, trading, indices, securities, smartmoney)
+ * @param {object} filters - Load filters
+ * @param {object} context - { transactions, securities } rows loaded so far
+ * @returns {function|null} - (row) => keep, null when nothing filters this type
+ */
+export function createRowFilter(type, filters, { transactions = null, securities = null } = {}) {
+  if (!hasLoadFilters(filters)) return null;
+  const checks = [];
+
+  const dateColumn = DATE_COLUMNS[type];
+  if (dateColumn && (filters.dateFrom || filters.dateTo)) {
+    checks.push(row => !(dateColumn in row) || isInDateRange(row[dateColumn], filters));
+  }
+
+  if (type === 'transactions' && filters.managers.length > 0) {
+    const managers = new Set(filters.managers.map(normalizeKey));
+    checks.push(row => !('InvestmentManager' in row) || managers.has(normalizeKey(row.InvestmentManager)));
+  }
+
+  if (filters.tradedIsinsOnly && (type === 'trading' || type === 'smartmoney')) {
+    const traded = getTradedSecurities(transactions, securities);
+    if (traded && type === 'trading') {
+      checks.push(row => !('isin' in row) || traded.isins.has(normalizeKey(row.isin)));
+    }
+    if (traded && traded.securityIds && type === 'smartmoney') {
+      checks.push(row => !('securityId' in row) || traded.securityIds.has(String(row.securityId).trim()));
+    }
+  }
+
+  if (checks.length === 0) return null;
+  return row => checks.every(check => check(row));
+}
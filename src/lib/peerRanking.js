@@ -0,0 +1,133 @@
+/**
+ * Peer Ranking Utilities
+ * Places a trader's style metrics on a percentile among all traders in the file
+ * (rows from buildTraderComparison(), so the same session date cutoff applies)
+ * and derives a short style label from each percentile
+ */
+
+import { CLIENT_TYPES, SMART_MONEY_TYPES } from './smartMoney';
+
+// Percentile bands for the style labels
+export const PEER_BANDS = { high: 67, low: 33 };
+
+/**
+ * Style metrics: row value plus the label for a high / middle / low percentile
+ */
+export const PEER_METRICS = [
+  {
+    key: 'contrarian',
+    label: 'Contrarian Ratio',
+    format: 'percent',
+    value: row => row.contrarian.ratio,
+    styles: { high: 'Market contrarian', mid: 'Mixed timing', low: 'Momentum follower' },
+  },
+  ...SMART_MONEY_TYPES.map(type => ({
+    key: `alignment_${type}`,
+    label: `Alignment with ${CLIENT_TYPES[type].name}`,
+    format: 'percent',
+    type,
+    value: row => row.typeAlignment?.[type]?.rate ?? null,
+    styles: {
+      high: `Follows ${CLIENT_TYPES[type].shortName}`,
+      mid: `Independent of ${CLIENT_TYPES[type].shortName}`,
+      low: `${CLIENT_TYPES[type].shortName} contrarian`,
+    },
+  })),
+  {
+    key: 'withWinRate',
+    label: 'Win Rate With Smart Money',
+    format: 'percent',
+    value: row => row.performance?.with.winRate ?? null,
+    styles: { high: 'Rides institutional flow well', mid: 'Average when following', low: 'Late to institutional moves' },
+  },
+  {
+    key: 'againstWinRate',
+    label: 'Win Rate Against Smart Money',
+    format: 'percent',
+    value: row => row.performance?.against.winRate ?? null,
+    styles: { high: 'Successful contrarian', mid: 'Average when fading', low: 'Loses fading institutions' },
+  },
+  {
+    key: 'holdingSessions',
+    label: 'Average Holding Period',
+    format: 'sessions',
+    value: row => row.holdingPeriod?.sessions ?? null,
+    styles: { high: 'Long-term holder', mid: 'Medium-term holder', low: 'Short-term trader' },
+  },
+];
+
+/**
+ * Percentile of a value among peer values (share below, ties count half)
+ * @param {Array<number>} values - Peer values, including the trader's own
+ * @param {number} value - Trader's value
+ * @returns {number} - 0-100
+ */
+export function percentileRank(values, value) {
+  if (values.length <= 1) return 50;
+  let below = 0;
+  let equal = 0;
+  for (const v of values) {
+    if (v < value) below++;
+    else if (v === value) equal++;
+  }
+  // Exclude the trader's own value from the ties
+  return ((below + (equal - 1) / 2) / (values.length - 1)) * 100;
+}
+
+function band(percentile) {
+  if (percentile >= PEER_BANDS.high) return 'high';
+  if (percentile <= PEER_BANDS.low) return 'low';
+  return 'mid';
+}
+
+/**
+ * Percentile and style label of every metric for one trader
+ * @param {object} comparison - Result of buildTraderComparison()
+ * @param {string} trader - Investment Manager
+ * @returns {object|null} - { trader, peers, metrics: [{ key, label, format, value, teamValue, percentile, peers, band, style }],
+ *                           institutionalStyle }, null if the trader has no transactions
+ */
+export function buildPeerRanking(comparison, trader) {
+  const row = comparison.traders.find(r => r.trader === trader);
+  if (!row) return null;
+
+  const metrics = PEER_METRICS.map(metric => {
+    const value = metric.value(row);
+    const values = comparison.traders.map(metric.value).filter(v => v !== null && v !== undefined);
+    if (value === null || value === undefined) {
+      return { key: metric.key, label: metric.label, format: metric.format, type: metric.type, value: null, teamValue: metric.value(comparison.team), percentile: null, peers: values.length, band: null, style: null };
+    }
+    const percentile = percentileRank(values, value);
+    const metricBand = values.length > 1 ? band(percentile) : null;
+    return {
+      key: metric.key,
+      label: metric.label,
+      format: metric.format,
+      type: metric.type,
+      value,
+      teamValue: metric.value(comparison.team),
+      percentile: values.length > 1 ? percentile : null,
+      peers: values.length,
+      band: metricBand,
+      style: metricBand ? metric.styles[metricBand] : null,
+    };
+  });
+
+  // Average alignment percentile across the institutional types
+  const typePercentiles = metrics.filter(m => m.type && m.percentile !== null).map(m => m.percentile);
+  let institutionalStyle = null;
+  if (typePercentiles.length > 0) {
+    const avg = typePercentiles.reduce((a, b) => a + b, 0) / typePercentiles.length;
+    institutionalStyle = {
+      percentile: avg,
+      style: { high: 'Institutional follower', mid: 'Institution-neutral', low: 'Institutional contrarian' }[band(avg)],
+    };
+  }
+
+  return {
+    trader,
+    peers: comparison.traders.length,
+    metrics,
+    institutionalStyle,
+  };
+}
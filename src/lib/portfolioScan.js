@@ -0,0 +1,230 @@
+/**
+ * Portfolio Scan Utilities
+ * Smart money scan of a list of positions, shared by the Dashboard and the Portfolio Monitor.
+ * Runs in chunks so it can report progress and be cancelled (see workers/analytics.worker.js)
+ */
+
+import {
+  SMART_MONEY_TYPES,
+  FOREIGN_FLOW_TYPE,
+  getHistoricalData,
+  detectSellingPattern,
+  analyzePatternOutcomes,
+  calculatePatternStrength,
+  calculateConsensusScore,
+  calculateForeignFlowSignal,
+  calculateWeightedSentiment,
+  getEnhancedAlertLevel,
+} from './smartMoney';
+import { getSentimentEntry } from './timeSeriesIndex';
+
+// Positions scanned between progress reports / cancellation checks
+const SCAN_CHUNK_SIZE = 10;
+
+/**
+ * Analyze one position on a date
+ * @param {string} isin - Security ISIN
+ * @param {string} scanDate - Date (YYYY-MM-DD)
+ * @param {object} context - { seriesIndex, isinToSecurity, sentimentWeights (optional re-fit weight sets),
+ *                           edaConstants (optional shipped or calibrated constants, see calibration.js) }
+ * @returns {object} - Scan item (alertLevel is null when there is no sentiment data)
+ */
+export function analyzePosition(isin, scanDate, { seriesIndex, isinToSecurity, sentimentWeights, edaConstants }) {
+  const isinClean = isin.toUpperCase().trim();
+  const sentiment = getSentimentEntry(seriesIndex, isinClean, scanDate);
+  const secInfo = isinToSecurity?.get(isinClean);
+  const pattern = detectSellingPattern(getHistoricalData(seriesIndex, isinClean, scanDate, 10));
+
+  // Historical outcomes only matter when sentiment is already bearish
+  const patternOutcomes = sentiment?.smartMoneySentiment < -0.3
+    ? analyzePatternOutcomes(seriesIndex, isinClean, sentiment.smartMoneySentiment, 5)
+    : null;
+
+  const item = {
+    isin: isinClean,
+    symbol: secInfo?.symbol || isinClean.substring(0, 8),
+    companyName: secInfo?.companyName,
+    sentiment: sentiment?.smartMoneySentiment,
+    typeSentiments: sentiment?.typeSentiments,
+    buyVolume: sentiment?.smartMoneyBuy,
+    sellVolume: sentiment?.smartMoneySell,
+    pattern,
+    patternOutcomes,
+    patternStrength: calculatePatternStrength(pattern, sentiment?.smartMoneySentiment),
+    consensus: sentiment?.typeSentiments ? calculateConsensusScore(sentiment.typeSentiments) : null,
+    foreignFlow: sentiment ? calculateForeignFlowSignal(sentiment, edaConstants?.foreignFlow) : null,
+    weighted: sentiment?.typeSentiments
+      ? calculateWeightedSentiment(sentiment.typeSentiments, sentiment.byType, edaConstants?.typePredictiveQuality, sentimentWeights)
+      : null,
+    date: scanDate,
+    alertLevel: null,
+  };
+
+  if (!sentiment || sentiment.smartMoneySentiment === null) return item;
+
+  // EDA-based enhanced alert level
+  const enhancedAlert = getEnhancedAlertLevel(sentiment.smartMoneySentiment, pattern);
+  item.alertLevel = enhancedAlert.level;
+  item.alertColor = enhancedAlert.color;
+  item.alertReason = enhancedAlert.reason;
+  item.alertAction = enhancedAlert.action;
+  item.alertConfidence = enhancedAlert.confidence;
+
+  return item;
+}
+
+/**
+ * Scan a list of positions for smart money alerts
+ * @param {Array<string>} isinList - ISINs to scan
+ * @param {string} scanDate - Date (YYYY-MM-DD)
+ * @param {object} context - { seriesIndex, isinToSecurity, sentimentWeights, edaConstants }
+ * @param {object} options - { onProgress(done, total), isCancelled() }
+ * @returns {Promise<object|null>} - { redAlerts, yellowAlerts, tealAlerts, greenPositions, noData, totalScanned }, null if cancelled
+ */
+export async function scanPortfolio(isinList, scanDate, context, { onProgress = null, isCancelled = null } = {}) {
+  const redAlerts = [];
+  const yellowAlerts = [];
+  const tealAlerts = [];
+  const greenPositions = [];
+  const noData = [];
+
+  for (let start = 0; start < isinList.length; start += SCAN_CHUNK_SIZE) {
+    // Yield so cancel messages can be handled between chunks
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (isCancelled && isCancelled()) return null;
+
+    for (const isin of isinList.slice(start, start + SCAN_CHUNK_SIZE)) {
+      const item = analyzePosition(isin, scanDate, context);
+
+      if (item.alertLevel === 'HIGH') redAlerts.push(item);
+      else if (item.alertLevel === 'MEDIUM') yellowAlerts.push(item);
+      else if (item.alertLevel === 'BULLISH') tealAlerts.push(item);
+      else if (item.alertLevel) greenPositions.push(item);
+      else noData.push(item);
+    }
+
+    if (onProgress) onProgress(Math.min(start + SCAN_CHUNK_SIZE, isinList.length), isinList.length);
+  }
+
+  // Worst first for red/yellow (pattern strength), most bullish first for teal
+  redAlerts.sort((a, b) => (b.patternStrength?.score || 0) - (a.patternStrength?.score || 0));
+  yellowAlerts.sort((a, b) => (b.patternStrength?.score || 0) - (a.patternStrength?.score || 0));
+  tealAlerts.sort((a, b) => (b.sentiment || 0) - (a.sentiment || 0));
+
+  return {
+    redAlerts,
+    yellowAlerts,
+    tealAlerts,
+    greenPositions,
+    noData,
+    totalScanned: isinList.length,
+  };
+}
+
+/**
+ * Sentiment averages and foreign flow tallies with one weight per position
+ * (1 for equal weight, market value for exposure weight; foreign flow tallies are weight sums)
+ */
+function aggregateSentiment(items, weightOf) {
+  const types = [...SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE];
+  let sentimentTotal = 0;
+  let sentimentWeight = 0;
+  let weightedTotal = 0;
+  let weightedWeight = 0;
+  const foreignFlow = { bullish: 0, bearish: 0, neutral: 0, contrarianSignals: 0, total: 0 };
+  const clientTypeTotals = {};
+  types.forEach(t => clientTypeTotals[t] = { total: 0, weight: 0 });
+
+  for (const item of items) {
+    const weight = weightOf(item);
+    if (!(weight > 0)) continue;
+
+    sentimentTotal += item.sentiment * weight;
+    sentimentWeight += weight;
+
+    if (item.foreignFlow) {
+      foreignFlow.total += weight;
+      if (item.foreignFlow.direction === 'BULLISH') foreignFlow.bullish += weight;
+      else if (item.foreignFlow.direction === 'BEARISH') foreignFlow.bearish += weight;
+      else foreignFlow.neutral += weight;
+      if (item.foreignFlow.isContrarian) foreignFlow.contrarianSignals += weight;
+    }
+
+    if (item.weighted?.weightedSentiment !== null && item.weighted?.weightedSentiment !== undefined) {
+      weightedTotal += item.weighted.weightedSentiment * weight;
+      weightedWeight += weight;
+    }
+
+    if (item.typeSentiments) {
+      types.forEach(type => {
+        const typeSentiment = item.typeSentiments[type];
+        if (typeSentiment !== undefined && typeSentiment !== null) {
+          clientTypeTotals[type].total += typeSentiment * weight;
+          clientTypeTotals[type].weight += weight;
+        }
+      });
+    }
+  }
+
+  const clientTypeAvg = {};
+  types.forEach(type => {
+    if (clientTypeTotals[type].weight > 0) {
+      clientTypeAvg[type] = clientTypeTotals[type].total / clientTypeTotals[type].weight;
+    }
+  });
+
+  return {
+    weight: sentimentWeight,
+    avgSentiment: sentimentWeight > 0 ? sentimentTotal / sentimentWeight : 0,
+    avgWeightedSentiment: weightedWeight > 0 ? weightedTotal / weightedWeight : 0,
+    clientTypeAvg,
+    foreignFlow,
+  };
+}
+
+/**
+ * Portfolio-wide statistics from a scan (Dashboard summary)
+ * @param {object} scan - Result of scanPortfolio()
+ * @param {object} options - { marketValues: Map of ISIN to current market value (enables exposure weighting) }
+ * @returns {object} - Equal-weight averages, client type breakdown, foreign flow and G coverage, plus
+ *                     exposure: { avgSentiment, avgWeightedSentiment, clientTypeAvg, foreignFlow (market value sums),
+ *                     coveredValue, totalValue, coverage } or null without market values
+ */
+export function summarizePortfolioScan(scan, { marketValues = null } = {}) {
+  const withData = [...scan.redAlerts, ...scan.yellowAlerts, ...scan.tealAlerts, ...scan.greenPositions];
+  const { avgSentiment, avgWeightedSentiment, clientTypeAvg, foreignFlow } = aggregateSentiment(withData, () => 1);
+
+  let exposure = null;
+  if (marketValues) {
+    const valueOf = (item) => marketValues.get(item.isin) || 0;
+    const totalValue = [...withData, ...scan.noData].reduce((sum, item) => sum + valueOf(item), 0);
+    const { weight: coveredValue, ...weighted } = aggregateSentiment(withData, valueOf);
+    if (coveredValue > 0) {
+      exposure = {
+        ...weighted,
+        coveredValue,
+        totalValue,
+        // Share of portfolio value with sentiment data
+        coverage: (coveredValue / totalValue) * 100,
+      };
+    }
+  }
+
+  const sentimentCount = withData.length;
+  return {
+    totalSecurities: scan.totalScanned,
+    withData: sentimentCount,
+    avgSentiment,
+    avgWeightedSentiment,
+    clientTypeAvg,
+    patternAlerts: scan.redAlerts.filter(a => a.pattern?.flagged).length +
+                   scan.yellowAlerts.filter(a => a.pattern?.flagged).length,
+    foreignFlow,
+    gCoverage: {
+      count: foreignFlow.total,
+      total: sentimentCount,
+      percent: sentimentCount > 0 ? (foreignFlow.total / sentimentCount * 100) : 0,
+    },
+    exposure,
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Round Trip Utilities
+ * FIFO lot matching of the transaction file: every sell closes the oldest open buys of the
+ * same trader and ISIN, giving round trips with a holding period, realized return and the
+ * smart money sentiment at entry and exit
+ */
+
+import { isBuyAction, parseAmount } from './holdings';
+import { getSentimentEntry, lowerBound } from './timeSeriesIndex';
+import { shiftSessions } from './tradingCalendar';
+import { createForwardReturnLookup } from './calibration';
+import { ALIGNMENT_THRESHOLD } from './attribution';
+
+// Sessions after the exit used to judge its timing
+export const POST_EXIT_SESSIONS = 5;
+
+/**
+ * Smart money flow on the exit date
+ * @param {number|null} sentiment - Smart money sentiment on the exit date
+ * @returns {string|null} - 'SELLING', 'BUYING', 'NEUTRAL' or null without sentiment data
+ */
+export function getExitFlow(sentiment) {
+  if (sentiment === null || sentiment === undefined) return null;
+  if (sentiment < -ALIGNMENT_THRESHOLD) return 'SELLING';
+  if (sentiment > ALIGNMENT_THRESHOLD) return 'BUYING';
+  return 'NEUTRAL';
+}
+
+/**
+ * Pair buys with later sells per trader and ISIN (first in, first out)
+ * Transactions without a Quantity cannot be matched and are skipped; sells with no open
+ * buys left (short or pre-file positions) are reported as unmatched quantity.
+ * @param {Array} transactions - Normalized transactions
+ * @param {object} options - { parseDate, maxDate }
+ * @returns {object} - { trips: [{ trader, isin, entryDate, exitDate, quantity, entryPrice, exitPrice }],
+ *                       openLots, unmatchedSellQuantity }
+ */
+export function matchRoundTrips(transactions, { parseDate, maxDate = null } = {}) {
+  const trades = [];
+  (transactions || []).forEach((tx, order) => {
+    const date = parseDate(String(tx.OrderDate));
+    const quantity = Math.abs(parseAmount(tx.Quantity) || 0);
+    if (!date || quantity === 0 || (maxDate && date > maxDate)) return;
+    trades.push({
+      order,
+      trader: tx.InvestmentManager,
+      isin: String(tx.ISIN).trim().toUpperCase(),
+      date,
+      isBuy: isBuyAction(tx.Action),
+      quantity,
+      price: parseAmount(tx.Price),
+    });
+  });
+  // Same-day trades keep their file order
+  trades.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.order - b.order));
+
+  const lots = new Map(); // trader|isin -> [{ date, quantity, price }]
+  const trips = [];
+  let unmatchedSellQuantity = 0;
+
+  for (const trade of trades) {
+    const key = `${trade.trader}|${trade.isin}`;
+    if (!lots.has(key)) lots.set(key, []);
+    const queue = lots.get(key);
+
+    if (trade.isBuy) {
+      queue.push({ date: trade.date, quantity: trade.quantity, price: trade.price });
+      continue;
+    }
+
+    let remaining = trade.quantity;
+    while (remaining > 0 && queue.length > 0) {
+      const lot = queue[0];
+      const quantity = Math.min(lot.quantity, remaining);
+      trips.push({
+        trader: trade.trader,
+        isin: trade.isin,
+        entryDate: lot.date,
+        exitDate: trade.date,
+        quantity,
+        entryPrice: lot.price,
+        exitPrice: trade.price,
+      });
+      lot.quantity -= quantity;
+      remaining -= quantity;
+      if (lot.quantity === 0) queue.shift();
+    }
+    unmatchedSellQuantity += remaining;
+  }
+
+  const openLots = [...lots.values()].reduce((sum, queue) => sum + queue.length, 0);
+  return { trips, openLots, unmatchedSellQuantity };
+}
+
+/**
+ * Trading sessions from one date to a later one (holding periods)
+ * @param {object} calendar - Trading calendar
+ * @returns {number} - Sessions after fromDate up to and including toDate
+ */
+export function sessionsBetween(calendar, fromDate, toDate) {
+  const count = (date) => {
+    const i = lowerBound(calendar.dates, date);
+    return calendar.dates[i] === date ? i + 1 : i;
+  };
+  return count(toDate) - count(fromDate);
+}
+
+/**
+ * Round trips with returns, sentiment at entry/exit and the price move after the exit
+ * @param {Array} transactions - Normalized transactions
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {object} options - { parseDate, maxDate }
+ * @returns {object} - { trips: [{ ...matched trip, holdingSessions, pnl, returnPct, entrySentiment, exitSentiment,
+ *                       exitFlow, postExitReturn }], openLots, unmatchedSellQuantity }
+ */
+export function buildRoundTrips(transactions, seriesIndex, { parseDate, maxDate = null } = {}) {
+  const { trips, openLots, unmatchedSellQuantity } = matchRoundTrips(transactions, { parseDate, maxDate });
+  const { calendar } = seriesIndex;
+  const forwardReturn = createForwardReturnLookup(seriesIndex);
+
+  const sentimentOn = (isin, date) => {
+    const entry = getSentimentEntry(seriesIndex, isin, date);
+    return entry ? entry.smartMoneySentiment : null;
+  };
+
+  return {
+    trips: trips.map((trip, id) => {
+      const priced = trip.entryPrice !== null && trip.exitPrice !== null && trip.entryPrice > 0;
+      const exitSentiment = sentimentOn(trip.isin, trip.exitDate);
+      // The move after the exit session: a well-timed exit is followed by a fall
+      const exitSession = shiftSessions(calendar, trip.exitDate, 0);
+      return {
+        id,
+        ...trip,
+        holdingSessions: sessionsBetween(calendar, trip.entryDate, trip.exitDate),
+        pnl: priced ? trip.quantity * (trip.exitPrice - trip.entryPrice) : null,
+        returnPct: priced ? ((trip.exitPrice - trip.entryPrice) / trip.entryPrice) * 100 : null,
+        entrySentiment: sentimentOn(trip.isin, trip.entryDate),
+        exitSentiment,
+        exitFlow: getExitFlow(exitSentiment),
+        postExitReturn: exitSession ? forwardReturn(trip.isin, exitSession, POST_EXIT_SESSIONS) : null,
+      };
+    }),
+    openLots,
+    unmatchedSellQuantity,
+  };
+}
+
+function summarizeTrips(trips) {
+  const priced = trips.filter(t => t.returnPct !== null);
+  const timed = trips.filter(t => t.postExitReturn !== null);
+  const quantity = trips.reduce((sum, t) => sum + t.quantity, 0);
+  return {
+    trips: trips.length,
+    winRate: priced.length > 0 ? (priced.filter(t => t.returnPct > 0).length / priced.length) * 100 : null,
+    avgReturn: priced.length > 0 ? priced.reduce((sum, t) => sum + t.returnPct, 0) / priced.length : null,
+    totalPnl: priced.reduce((sum, t) => sum + t.pnl, 0),
+    // Quantity-weighted, so a partly closed lot counts for its matched size
+    avgHoldingSessions: quantity > 0 ? trips.reduce((sum, t) => sum + t.holdingSessions * t.quantity, 0) / quantity : null,
+    avgPostExitReturn: timed.length > 0 ? timed.reduce((sum, t) => sum + t.postExitReturn, 0) / timed.length : null,
+    // Share of exits followed by a price fall
+    goodExitRate: timed.length > 0 ? (timed.filter(t => t.postExitReturn < 0).length / timed.length) * 100 : null,
+  };
+}
+
+/**
+ * Compare exits made while smart money was selling with the rest
+ * @param {Array} trips - Trips from buildRoundTrips()
+ * @returns {object} - { overall, intoSelling, rest, byFlow: { SELLING, NEUTRAL, BUYING }, noSentiment }
+ */
+export function summarizeRoundTrips(trips) {
+  const withFlow = trips.filter(t => t.exitFlow !== null);
+  const byFlow = Object.fromEntries(['SELLING', 'NEUTRAL', 'BUYING'].map(flow => (
+    [flow, summarizeTrips(withFlow.filter(t => t.exitFlow === flow))]
+  )));
+  return {
+    overall: summarizeTrips(trips),
+    intoSelling: byFlow.SELLING,
+    rest: summarizeTrips(withFlow.filter(t => t.exitFlow !== 'SELLING')),
+    byFlow,
+    noSentiment: trips.length - withFlow.length,
+  };
+}
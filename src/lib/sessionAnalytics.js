@@ -0,0 +1,227 @@
+/**
+ * Session Analytics
+ * The data store's per-security and per-trade analytics, bound to a point-in-time view of the
+ * dataset: with a session date set, no trading row, smart money entry, benchmark day or
+ * transaction dated after it is reachable (scripts/pointInTimeAudit.js checks this: npm run check:point-in-time)
+ */
+
+import {
+  getHistoricalData,
+  detectSellingPattern,
+  analyzePatternOutcomes,
+  calculateHistoricalPerformance,
+  calculateHorizonSweep,
+} from './smartMoney';
+import { truncateTimeSeriesIndex, getPriceRow, getSentimentEntry } from './timeSeriesIndex';
+import { buildTradeAttribution } from './attribution';
+import { toDateKey } from './dateParsing';
+import { buildTraderComparison } from './traderComparison';
+import { buildRoundTrips } from './roundTrips';
+import { analyzeCounterMarket } from './counterMarket';
+import { isBuyAction, getOpenPositionIsins } from './holdings';
+
+/**
+ * Benchmark days on or before a date
+ * @param {Map} indexChangeMap - Benchmark by date from buildIndexChangeMap()
+ * @param {string|null} maxDate - Cutoff (YYYY-MM-DD), null for all days
+ * @returns {Map} - Filtered map
+ */
+export function truncateIndexChangeMap(indexChangeMap, maxDate) {
+  if (!maxDate) return indexChangeMap;
+  return new Map([...indexChangeMap].filter(([date]) => date <= maxDate));
+}
+
+/**
+ * Bind the store analytics to a session date
+ * @param {object} dataset - { transactions, seriesIndex, benchmarkChanges, parseDate, smartMoneyLoaded }
+ * @param {string|null} asOf - Session date (YYYY-MM-DD); null uses the whole dataset
+ * @returns {object} - Analytics functions plus the point-in-time { seriesIndex, benchmarkChanges, transactions }
+ */
+export function createSessionAnalytics({
+  transactions,
+  seriesIndex,
+  benchmarkChanges,
+  parseDate,
+  smartMoneyLoaded,
+}, asOf = null) {
+  const index = truncateTimeSeriesIndex(seriesIndex, asOf);
+  const benchmark = truncateIndexChangeMap(benchmarkChanges, asOf);
+  const visibleTransactions = asOf
+    ? transactions.filter(tx => parseDate(String(tx.OrderDate)) <= asOf)
+    : transactions;
+  const hasPrices = index.prices.size > 0;
+
+  return {
+    asOf,
+    seriesIndex: index,
+    benchmarkChanges: benchmark,
+    transactions: visibleTransactions,
+
+    // Aggregated smart money entry for a security on a date
+    getSmartMoneySentiment: (isin, date) => (
+      getSentimentEntry(index, String(isin).trim().toUpperCase(), toDateKey(date))
+    ),
+
+    // Smart money entries over the last N sessions up to endDate
+    getSmartMoneyHistory: (isin, endDate, lookbackDays = 30) => (
+      getHistoricalData(index, isin.toUpperCase(), endDate, lookbackDays)
+    ),
+
+    // Selling pattern over the last N sessions up to endDate
+    detectSmartMoneyPattern: (isin, endDate, lookbackDays = 10) => (
+      detectSellingPattern(getHistoricalData(index, isin.toUpperCase(), endDate, lookbackDays))
+    ),
+
+    // Outcomes of past days at or below a sentiment threshold (forward windows end by asOf)
+    getPatternOutcomes: (isin, sentimentThreshold = -0.5, lookforwardDays = 5) => {
+      if (!smartMoneyLoaded || !hasPrices) return null;
+      return analyzePatternOutcomes(index, isin, sentimentThreshold, lookforwardDays);
+    },
+
+    // Win rates trading with/against smart money
+    getHistoricalPerformance: (holdingDays = 5) => {
+      if (!smartMoneyLoaded || visibleTransactions.length === 0 || !hasPrices) return null;
+      return calculateHistoricalPerformance(visibleTransactions, index, holdingDays);
+    },
+
+    // Win rates with/against smart money across holding horizons
+    getHorizonSweep: (horizons) => {
+      if (!smartMoneyLoaded || visibleTransactions.length === 0 || !hasPrices) return null;
+      return calculateHorizonSweep(visibleTransactions, index, horizons);
+    },
+
+    // Trading EOD row for a security on a date
+    getMarketData: (isin, date) => {
+      if (!isin || !date) return null;
+      return getPriceRow(index, String(isin).trim().toUpperCase(), date);
+    },
+
+    // Benchmark daily change (%) on a date
+    getIndexChange: (date) => {
+      if (!date) return null;
+      const day = benchmark.get(toDateKey(date));
+      return day ? day.change : null;
+    },
+
+    // Per-trade P&L attribution against the benchmark
+    getTradeAttribution: (holdingDays = 5) => {
+      if (visibleTransactions.length === 0 || !hasPrices) return [];
+      return buildTradeAttribution(visibleTransactions, index, benchmark, {
+        parseDate,
+        holdingDays,
+        maxDate: asOf,
+      });
+    },
+
+    // FIFO round trips with sentiment at entry and exit (post-exit moves end by asOf)
+    getRoundTrips: () => {
+      if (visibleTransactions.length === 0 || !hasPrices) return null;
+      return buildRoundTrips(visibleTransactions, index, { parseDate, maxDate: asOf });
+    },
+
+    // Every Investment Manager side by side, plus the team aggregate
+    getTraderComparison: (holdingDays = 5) => (
+      buildTraderComparison(visibleTransactions, index, benchmark, {
+        parseDate,
+        holdingDays,
+        smartMoneyLoaded: smartMoneyLoaded && hasPrices,
+      })
+    ),
+  };
+}
+
+/**
+ * Session view behind the store's processData: transactions up to maxDate merged with their
+ * market data, counter-market classification, per-trader stats and net holdings
+ * @param {object} dataset - { transactions, seriesIndex (full index), indexChangeMap (benchmark, all days), holdingsLedger }
+ * @param {object} options - { traderFilter ('all' or a trader), maxDate (session date, null for all data), indexId, indexName }
+ * @returns {object} - { merged, stats, traderStats, traderPortfolios, traderHoldings, counterMarket, currentTrader }
+ */
+export function buildSessionData({ transactions, seriesIndex, indexChangeMap, holdingsLedger }, {
+  traderFilter = 'all',
+  maxDate = null,
+  indexId = null,
+  indexName = null,
+} = {}) {
+  // Filter transactions by trader if specified
+  let filteredTransactions = traderFilter === 'all' 
+    ? transactions 
+    : transactions.filter(tx => tx.InvestmentManager === traderFilter);
+
+  // Filter by max date if specified (session date filter)
+  if (maxDate) {
+    filteredTransactions = filteredTransactions.filter(tx => {
+      const txDate = toDateKey(tx.OrderDate);
+      return txDate <= maxDate;
+    });
+  }
+
+  // Merge transactions with market data (each trade's own date, on or before maxDate, so nothing later is read)
+  const merged = filteredTransactions.map(tx => {
+    const dateStr = toDateKey(tx.OrderDate);
+    const marketData = getPriceRow(seriesIndex, tx.ISIN, dateStr);
+    
+    const isBuy = isBuyAction(tx.Action);
+    
+    const securityChange = marketData?.change || 0;
+    
+    return {
+      ...tx,
+      dateStr,
+      securityChange,
+      symbol: marketData?.symbol || '',
+      hasMarketData: !!marketData,
+      isBuy,
+    };
+  });
+
+  // Classify every trade against the benchmark index move on the same date
+  const counterMarket = analyzeCounterMarket(merged, truncateIndexChangeMap(indexChangeMap, maxDate));
+
+  // Calculate statistics
+  const withMarketData = merged.filter(tx => tx.hasMarketData);
+  
+  const buyTrades = withMarketData.filter(tx => tx.isBuy);
+  const sellTrades = withMarketData.filter(tx => !tx.isBuy);
+
+  // Calculate per-trader stats
+  const traderStats = {};
+  const traderList = [...new Set(merged.map(tx => tx.InvestmentManager))];
+  for (const trader of traderList) {
+    const traderTxs = merged.filter(tx => tx.InvestmentManager === trader && tx.hasMarketData);
+    traderStats[trader] = {
+      total: traderTxs.length,
+      buyCount: traderTxs.filter(tx => tx.isBuy).length,
+      sellCount: traderTxs.filter(tx => !tx.isBuy).length,
+    };
+  }
+
+  // Net holdings per trader as of maxDate (Quantity/Price ledger, marked to latest close)
+  const traderHoldings = holdingsLedger.holdingsAsOf(maxDate);
+  // Trader portfolios = ISINs of open positions only
+  const traderPortfolios = getOpenPositionIsins(traderHoldings);
+
+  return {
+    merged: counterMarket.trades,
+    stats: {
+      totalTransactions: filteredTransactions.length,
+      withMarketData: withMarketData.length,
+      buyTrades: buyTrades.length,
+      sellTrades: sellTrades.length,
+    },
+    traderStats,
+    traderPortfolios,
+    traderHoldings,
+    counterMarket: {
+      indexId,
+      indexName,
+      overall: counterMarket.overall,
+      byAction: counterMarket.byAction,
+      byTrader: counterMarket.byTrader,
+      byPeriod: counterMarket.byPeriod,
+      byLevel: counterMarket.byLevel,
+      withoutIndexData: counterMarket.withoutIndexData,
+    },
+    currentTrader: traderFilter,
+  };
+}
@@ -3,6 +3,11 @@
  * Calculates sentiment and patterns from institutional trading data
  */
 
+import { getSessionsBack, getSessionsForward } from './tradingCalendar';
+import { getSentimentEntry, getSentimentRange, getSentimentSeries, getPriceRange } from './timeSeriesIndex';
+import { toDateKey, getWeekday } from './dateParsing';
+import { isBuyAction } from './holdings';
+
 // Client type definitions
 export const CLIENT_TYPES = {
   F: { id: 'F', name: 'Pension/Insurance', shortName: 'Pension', description: 'קרן פנסיה/קופת גמל/חברת ביטוח', isSmartMoney: true },
@@ -118,19 +123,18 @@ export function getTrafficLight(isBuy, institutionalSentiment, weightedSentiment
 }
 
 /**
- * Aggregate smart money data by security and date
- * @param {Array} smartMoneyData - Raw smart money EOD data
+ * Add raw smart money rows to an aggregation map (can be called in chunks)
+ * @param {Map} aggregated - Map being built (mutated)
+ * @param {Array} rows - Raw smart money EOD rows
  * @param {Map} securityToIsin - Map of securityId to ISIN
- * @returns {Map} - Map of "ISIN_DATE" to aggregated sentiment data
  */
-export function aggregateSmartMoneyData(smartMoneyData, securityToIsin) {
-  const aggregated = new Map();
-  
-  for (const row of smartMoneyData) {
+export function addSmartMoneyRows(aggregated, rows, securityToIsin) {
+  for (const row of rows) {
     const isin = securityToIsin.get(String(row.securityId));
     if (!isin) continue;
     
-    const dateStr = row.tradeDate.split('T')[0].split(' ')[0];
+    const dateStr = toDateKey(row.tradeDate);
+    if (!dateStr) continue;
     const key = `${isin}_${dateStr}`;
     
     if (!aggregated.has(key)) {
@@ -167,9 +171,15 @@ export function aggregateSmartMoneyData(smartMoneyData, securityToIsin) {
       entry.smartMoneySell += sellNis;
     }
   }
-  
-  // Calculate sentiments
-  for (const [key, entry] of aggregated) {
+}
+
+/**
+ * Calculate sentiments once all rows have been added
+ * @param {Map} aggregated - Map from addSmartMoneyRows() (mutated)
+ * @returns {Map} - The same map
+ */
+export function finalizeSmartMoneyAggregation(aggregated) {
+  for (const entry of aggregated.values()) {
     entry.totalSentiment = calculateSentiment(entry.totalBuy, entry.totalSell);
     entry.smartMoneySentiment = calculateSentiment(entry.smartMoneyBuy, entry.smartMoneySell);
     
@@ -183,6 +193,18 @@ export function aggregateSmartMoneyData(smartMoneyData, securityToIsin) {
   return aggregated;
 }
 
+/**
+ * Aggregate smart money data by security and date
+ * @param {Array} smartMoneyData - Raw smart money EOD data
+ * @param {Map} securityToIsin - Map of securityId to ISIN
+ * @returns {Map} - Map of "ISIN_DATE" to aggregated sentiment data
+ */
+export function aggregateSmartMoneyData(smartMoneyData, securityToIsin) {
+  const aggregated = new Map();
+  addSmartMoneyRows(aggregated, smartMoneyData, securityToIsin);
+  return finalizeSmartMoneyAggregation(aggregated);
+}
+
 /**
  * Detect selling patterns over multiple days
  * @param {Array} dailyData - Array of daily sentiment data sorted by date
@@ -221,29 +243,31 @@ export function detectSellingPattern(dailyData, consecutiveDays = 3, volumeSpike
 }
 
 /**
- * Get historical data for a security over a date range
- * @param {Map} aggregatedData - Aggregated smart money data
+ * Sum the daily price change of a security over the N sessions after a date
+ * @returns {object} - { cumulativeChange, daysWithData }
+ */
+function forwardChange(seriesIndex, isin, startDate, sessionCount, calendar) {
+  const sessions = getSessionsForward(calendar, startDate, sessionCount);
+  if (sessions.length === 0) return { cumulativeChange: 0, daysWithData: 0 };
+  
+  const rows = getPriceRange(seriesIndex, isin, sessions[0], sessions[sessions.length - 1]);
+  const cumulativeChange = rows.reduce((sum, row) => sum + (parseFloat(row.change) || 0), 0);
+  return { cumulativeChange, daysWithData: rows.length };
+}
+
+/**
+ * Get historical data for a security over a window of trading sessions
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
  * @param {string} isin - Security ISIN
- * @param {string} endDate - End date (YYYY-MM-DD)
- * @param {number} lookbackDays - Number of days to look back
+ * @param {string} endDate - End date (YYYY-MM-DD), inclusive
+ * @param {number} lookbackDays - Number of trading sessions to look back
+ * @param {object} calendar - Trading calendar (defaults to the index calendar)
  * @returns {Array} - Array of daily data sorted by date
  */
-export function getHistoricalData(aggregatedData, isin, endDate, lookbackDays = 30) {
-  const results = [];
-  const endDateObj = new Date(endDate);
-  
-  for (let i = 0; i < lookbackDays; i++) {
-    const checkDate = new Date(endDateObj);
-    checkDate.setDate(checkDate.getDate() - i);
-    const dateStr = checkDate.toISOString().split('T')[0];
-    const key = `${isin}_${dateStr}`;
-    
-    if (aggregatedData.has(key)) {
-      results.unshift(aggregatedData.get(key));
-    }
-  }
-  
-  return results;
+export function getHistoricalData(seriesIndex, isin, endDate, lookbackDays = 30, calendar = seriesIndex.calendar) {
+  const sessions = getSessionsBack(calendar, endDate, lookbackDays);
+  if (sessions.length === 0) return [];
+  return getSentimentRange(seriesIndex, isin, sessions[0], sessions[sessions.length - 1]);
 }
 
 /**
@@ -278,57 +302,27 @@ export function calculateWinRateAgainstType(trades, clientType, againstSentiment
 
 /**
  * Analyze historical outcomes after similar sentiment patterns
- * @param {Map} aggregatedData - Aggregated smart money data
- * @param {Array} tradingData - Trading EOD data for price changes
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
  * @param {string} isin - Security ISIN
  * @param {number} sentimentThreshold - Sentiment threshold to match
- * @param {number} lookforwardDays - Days to look forward for outcome
+ * @param {number} lookforwardDays - Trading sessions to look forward for outcome
+ * @param {object} calendar - Trading calendar (defaults to the index calendar)
  * @returns {object} - Historical pattern analysis
  */
-export function analyzePatternOutcomes(aggregatedData, tradingData, isin, sentimentThreshold = -0.5, lookforwardDays = 5) {
+export function analyzePatternOutcomes(seriesIndex, isin, sentimentThreshold = -0.5, lookforwardDays = 5, calendar = seriesIndex.calendar) {
   const isinClean = isin.toUpperCase();
   const outcomes = [];
   
-  // Build a map of trading data by ISIN and date
-  const tradingMap = new Map();
-  tradingData.forEach(row => {
-    const rowIsin = String(row.isin).trim().toUpperCase();
-    const dateStr = row.tradeDate.split('T')[0].split(' ')[0];
-    tradingMap.set(`${rowIsin}_${dateStr}`, row);
-  });
-  
-  // Find all dates where sentiment was below threshold for this ISIN
-  const matchingDates = [];
-  for (const [key, entry] of aggregatedData) {
-    if (entry.isin === isinClean && entry.smartMoneySentiment <= sentimentThreshold) {
-      matchingDates.push(entry);
-    }
-  }
-  
-  // Sort by date
-  matchingDates.sort((a, b) => new Date(a.date) - new Date(b.date));
+  // All dates where sentiment was below threshold for this ISIN (series is date-sorted)
+  const matchingDates = getSentimentSeries(seriesIndex, isinClean)
+    .filter(entry => entry.smartMoneySentiment <= sentimentThreshold);
   
-  // Calculate outcomes for each pattern occurrence
+  // Calculate outcomes for each pattern occurrence over the next N trading sessions
   for (const entry of matchingDates) {
-    const startDate = new Date(entry.date);
-    let cumulativeChange = 0;
-    let daysWithData = 0;
-    
-    // Look forward N days
-    for (let i = 1; i <= lookforwardDays; i++) {
-      const checkDate = new Date(startDate);
-      checkDate.setDate(checkDate.getDate() + i);
-      const dateStr = checkDate.toISOString().split('T')[0];
-      const key = `${isinClean}_${dateStr}`;
-      
-      const dayData = tradingMap.get(key);
-      if (dayData) {
-        cumulativeChange += parseFloat(dayData.change) || 0;
-        daysWithData++;
-      }
-    }
+    const { cumulativeChange, daysWithData } = forwardChange(seriesIndex, isinClean, entry.date, lookforwardDays, calendar);
     
-    if (daysWithData > 0) {
+    // Windows cut short by the session date (or missing prices) would mix shorter returns into the averages
+    if (daysWithData === lookforwardDays) {
       outcomes.push({
         date: entry.date,
         sentiment: entry.smartMoneySentiment,
@@ -362,12 +356,12 @@ export function analyzePatternOutcomes(aggregatedData, tradingData, isin, sentim
 /**
  * Calculate historical performance when trading with/against smart money
  * @param {Array} transactions - User transactions
- * @param {Map} aggregatedData - Aggregated smart money data
- * @param {Array} tradingData - Trading EOD data
- * @param {number} holdingDays - Days to calculate outcome
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {number} holdingDays - Trading sessions to calculate outcome
+ * @param {object} calendar - Trading calendar (defaults to the index calendar)
  * @returns {object} - Performance analysis
  */
-export function calculateHistoricalPerformance(transactions, aggregatedData, tradingData, holdingDays = 5) {
+export function calculateHistoricalPerformance(transactions, seriesIndex, holdingDays = 5, calendar = seriesIndex.calendar) {
   const results = {
     withSmartMoney: { trades: 0, wins: 0, totalReturn: 0 },
     againstSmartMoney: { trades: 0, wins: 0, totalReturn: 0 },
@@ -383,51 +377,22 @@ export function calculateHistoricalPerformance(transactions, aggregatedData, tra
     };
   });
   
-  // Build trading map
-  const tradingMap = new Map();
-  tradingData.forEach(row => {
-    const rowIsin = String(row.isin).trim().toUpperCase();
-    const dateStr = row.tradeDate.split('T')[0].split(' ')[0];
-    tradingMap.set(`${rowIsin}_${dateStr}`, row);
-  });
-  
   for (const tx of transactions) {
     const isin = String(tx.ISIN).trim().toUpperCase();
-    let dateStr = tx.OrderDate;
+    const dateStr = toDateKey(tx.OrderDate);
+    if (!dateStr) continue;
     
-    // Parse date
-    if (dateStr.includes('/')) {
-      const parts = dateStr.split('/');
-      if (parts.length === 3) {
-        dateStr = `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
-      }
-    } else {
-      dateStr = dateStr.split('T')[0].split(' ')[0];
-    }
-    
-    const sentimentKey = `${isin}_${dateStr}`;
-    const sentiment = aggregatedData.get(sentimentKey);
+    const sentiment = getSentimentEntry(seriesIndex, isin, dateStr);
     
     if (!sentiment) continue;
     
-    const isBuy = tx.Action.toLowerCase().includes('buy') || 
-                  tx.Action.includes('קניה') || 
-                  tx.Action.includes('קנייה');
-    const userDirection = isBuy ? 1 : -1;
+    // Trades whose holding window runs past the visible sessions have no outcome yet
+    if (getSessionsForward(calendar, dateStr, holdingDays).length < holdingDays) continue;
     
-    // Calculate outcome
-    let cumulativeChange = 0;
-    const startDate = new Date(dateStr);
+    const userDirection = isBuyAction(tx.Action) ? 1 : -1;
     
-    for (let i = 1; i <= holdingDays; i++) {
-      const checkDate = new Date(startDate);
-      checkDate.setDate(checkDate.getDate() + i);
-      const checkDateStr = checkDate.toISOString().split('T')[0];
-      const dayData = tradingMap.get(`${isin}_${checkDateStr}`);
-      if (dayData) {
-        cumulativeChange += parseFloat(dayData.change) || 0;
-      }
-    }
+    // Calculate outcome over the next N trading sessions
+    const { cumulativeChange } = forwardChange(seriesIndex, isin, dateStr, holdingDays, calendar);
     
     const outcome = userDirection * cumulativeChange; // Positive if trade direction matches price movement
     const isWin = outcome > 0;
@@ -484,6 +449,80 @@ export function calculateHistoricalPerformance(transactions, aggregatedData, tra
   return results;
 }
 
+/**
+ * Win rates with/against smart money over several holding horizons in one pass
+ * Each trade's forward sessions and price rows are looked up once for the longest horizon;
+ * a trade only counts for horizons whose sessions all exist in the data
+ * @param {Array} transactions - User transactions
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {Array<number>} horizons - Holding periods in trading sessions (default: FOREIGN_FLOW_EDA periods)
+ * @param {object} calendar - Trading calendar (defaults to the index calendar)
+ * @returns {object} - { horizons, matrix: [{ days, with, against, neutral }] } with
+ *                      { trades, wins, winRate, avgReturn, confidence } per alignment
+ */
+export function calculateHorizonSweep(
+  transactions,
+  seriesIndex,
+  horizons = FOREIGN_FLOW_EDA.periods.map(p => p.days),
+  calendar = seriesIndex.calendar
+) {
+  const sortedHorizons = [...horizons].sort((a, b) => a - b);
+  const maxHorizon = sortedHorizons[sortedHorizons.length - 1] || 0;
+  const emptyCell = () => ({ trades: 0, wins: 0, totalReturn: 0 });
+  const matrix = sortedHorizons.map(days => ({
+    days,
+    with: emptyCell(),
+    against: emptyCell(),
+    neutral: emptyCell(),
+  }));
+  
+  for (const tx of transactions) {
+    const isin = String(tx.ISIN).trim().toUpperCase();
+    const dateStr = toDateKey(tx.OrderDate);
+    if (!dateStr) continue;
+    
+    const sentiment = getSentimentEntry(seriesIndex, isin, dateStr);
+    if (!sentiment || sentiment.smartMoneySentiment === null) continue;
+    
+    const sessions = getSessionsForward(calendar, dateStr, maxHorizon);
+    if (sessions.length === 0) continue;
+    
+    const userDirection = isBuyAction(tx.Action) ? 1 : -1;
+    const alignment = userDirection * sentiment.smartMoneySentiment;
+    const bucket = alignment > 0.1 ? 'with' : alignment < -0.1 ? 'against' : 'neutral';
+    
+    // Cumulative change up to each horizon from a single walk over the price rows
+    const rows = getPriceRange(seriesIndex, isin, sessions[0], sessions[sessions.length - 1]);
+    let rowIdx = 0;
+    let cumulativeChange = 0;
+    
+    matrix.forEach(cell => {
+      if (sessions.length < cell.days) return;
+      const horizonEnd = sessions[cell.days - 1];
+      while (rowIdx < rows.length && toDateKey(rows[rowIdx].tradeDate) <= horizonEnd) {
+        cumulativeChange += parseFloat(rows[rowIdx].change) || 0;
+        rowIdx++;
+      }
+      
+      const outcome = userDirection * cumulativeChange;
+      cell[bucket].trades++;
+      cell[bucket].totalReturn += outcome;
+      if (outcome > 0) cell[bucket].wins++;
+    });
+  }
+  
+  matrix.forEach(cell => {
+    ['with', 'against', 'neutral'].forEach(bucket => {
+      const data = cell[bucket];
+      data.winRate = data.trades > 0 ? (data.wins / data.trades) * 100 : 0;
+      data.avgReturn = data.trades > 0 ? data.totalReturn / data.trades : 0;
+      data.confidence = getConfidenceLevel(data.trades);
+    });
+  });
+  
+  return { horizons: sortedHorizons, matrix };
+}
+
 /**
  * Build security ID to ISIN mapping from trade_securities data
  * @param {Array} securitiesData - Trade securities CSV data
@@ -602,9 +641,10 @@ export const FOREIGN_DAY_OF_WEEK = {
  * Calculate Foreign Flow signal for type G (Foreign Other)
  * EDA Finding: G has +5.760% predictive spread, 52.3% bull win rate
  * @param {object} sentimentEntry - Aggregated sentiment entry (from aggregateSmartMoneyData)
+ * @param {object} eda - Foreign flow constants (shipped or calibrated)
  * @returns {object|null} - Foreign flow signal analysis
  */
-export function calculateForeignFlowSignal(sentimentEntry) {
+export function calculateForeignFlowSignal(sentimentEntry, eda = FOREIGN_FLOW_EDA) {
   if (!sentimentEntry || !sentimentEntry.byType) return null;
   
   const gData = sentimentEntry.byType[FOREIGN_FLOW_TYPE];
@@ -634,7 +674,7 @@ export function calculateForeignFlowSignal(sentimentEntry) {
     
     if (smartMoneyDirection !== 0 && foreignDirection !== 0 && smartMoneyDirection !== foreignDirection) {
       isContrarian = true;
-      contrarianDetail = `Foreign investors are ${direction.toLowerCase()} while smart money is ${smartMoneySentiment > 0 ? 'bullish' : 'bearish'} (disagree ${FOREIGN_FLOW_EDA.disagreementRate}% of days historically)`;
+      contrarianDetail = `Foreign investors are ${direction.toLowerCase()} while smart money is ${smartMoneySentiment > 0 ? 'bullish' : 'bearish'} (disagree ${eda.disagreementRate.toFixed(1)}% of days historically)`;
     }
   }
   
@@ -646,29 +686,39 @@ export function calculateForeignFlowSignal(sentimentEntry) {
     sellVolume: gData.sell,
     isContrarian,
     contrarianDetail,
-    eda: FOREIGN_FLOW_EDA,
+    eda,
   };
 }
 
 /**
  * Map a sentiment value to its EDA-derived quintile and expected return
  * @param {number} sentiment - Sentiment score (-1 to 1)
+ * @param {Array} quintiles - Quintile table (shipped or calibrated)
  * @returns {object} - Quintile info with expected return and win rate
  */
-export function getSentimentQuintile(sentiment) {
+export function getSentimentQuintile(sentiment, quintiles = SENTIMENT_QUINTILES) {
   if (sentiment === null || sentiment === undefined) {
     return { quintile: 'N/A', label: 'No Data', avgReturn: 0, winRate: 0 };
   }
   
-  for (const q of SENTIMENT_QUINTILES) {
+  for (const q of quintiles) {
     if (sentiment >= q.min && sentiment < q.max) {
       return { ...q };
     }
   }
   // Edge case: sentiment === 1.0
-  return { ...SENTIMENT_QUINTILES[SENTIMENT_QUINTILES.length - 1] };
+  return { ...quintiles[quintiles.length - 1] };
 }
 
+/**
+ * Weighted sentiment weight sets, optimized via differential_evolution + Nelder-Mead
+ * Source: smart_money_eda.ipynb Section 11 (can be re-fit in the app, see weightFit.js)
+ */
+export const DEFAULT_SENTIMENT_WEIGHTS = {
+  withG: { F: 0.45, M: 0.10, N: 0.00, P: 0.20, O: 1.50, G: 3.00 },  // G available: G dominant, O secondary
+  withoutG: { F: 3.00, M: 0.04, N: 0.00, P: 0.04, O: 1.69 },         // G missing: F dominant, O secondary
+};
+
 /**
  * Calculate weighted sentiment giving more weight to types with stronger predictive power
  * Weights optimized via differential_evolution + Nelder-Mead (Section 11 of smart_money_eda.ipynb):
@@ -676,18 +726,17 @@ export function getSentimentQuintile(sentiment) {
  *   - Without G: F=3.00, M=0.04, N=0.00, P=0.04, O=1.69 (spread +0.026%, r=+0.0045)
  * @param {object} typeSentiments - Object mapping client type to sentiment
  * @param {object} byType - Object mapping client type to {buy, sell}
+ * @param {object} typeQuality - Predictive quality per type (shipped or calibrated)
+ * @param {object} weightSets - { withG, withoutG } weights per type (default or re-fit)
  * @returns {object} - Weighted sentiment analysis
  */
-export function calculateWeightedSentiment(typeSentiments, byType) {
+export function calculateWeightedSentiment(typeSentiments, byType, typeQuality = TYPE_PREDICTIVE_QUALITY, weightSets = DEFAULT_SENTIMENT_WEIGHTS) {
   if (!typeSentiments) return { weightedSentiment: null, strongestType: null };
   
   // Check if G data is available to select optimal weight set
   const hasG = typeSentiments[FOREIGN_FLOW_TYPE] !== undefined && typeSentiments[FOREIGN_FLOW_TYPE] !== null;
   
-  // Optimized weights via differential_evolution + Nelder-Mead (Section 11)
-  const weights = hasG
-    ? { F: 0.45, M: 0.10, N: 0.00, P: 0.20, O: 1.50, G: 3.00 }  // G available: G dominant, O secondary
-    : { F: 3.00, M: 0.04, N: 0.00, P: 0.04, O: 1.69 };           // G missing: F dominant, O secondary
+  const weights = hasG ? weightSets.withG : weightSets.withoutG;
   
   let weightedSum = 0;
   let totalWeight = 0;
@@ -716,20 +765,20 @@ export function calculateWeightedSentiment(typeSentiments, byType) {
     weightedSentiment: totalWeight > 0 ? weightedSum / totalWeight : null,
     strongestType,
     strongestTypeName: strongestType ? (CLIENT_TYPES[strongestType]?.shortName || strongestType) : null,
-    strongestQuality: strongestType ? (TYPE_PREDICTIVE_QUALITY[strongestType] || null) : null,
+    strongestQuality: strongestType ? (typeQuality[strongestType] || null) : null,
   };
 }
 
 /**
  * Get day-of-week foreign investor context
  * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {object} dayTable - Day-of-week table (shipped or calibrated)
  * @returns {object|null} - Day-of-week context or null
  */
-export function getForeignDayContext(dateStr) {
+export function getForeignDayContext(dateStr, dayTable = FOREIGN_DAY_OF_WEEK) {
   if (!dateStr) return null;
-  const date = new Date(dateStr);
-  const dayOfWeek = date.getDay(); // 0=Sunday, 1=Monday, ...
-  return FOREIGN_DAY_OF_WEEK[dayOfWeek] || null;
+  const dayOfWeek = getWeekday(dateStr); // 0=Sunday, 1=Monday, ...
+  return dayTable[dayOfWeek] || null;
 }
 
 /**
@@ -0,0 +1,230 @@
+/**
+ * Strategy Simulator
+ * Replays alternative books over the trader's history and marks them to market every session:
+ * the actual trades, the actual trades minus RED-light trades, and a rule-based book that buys
+ * on BULLISH enhanced alerts and sells on HIGH alerts. Long-only average-cost ledger, as in holdings.js.
+ */
+
+import {
+  calculateWeightedSentiment,
+  calculateForeignFlowSignal,
+  getTrafficLight,
+  getHistoricalData,
+  detectSellingPattern,
+  getEnhancedAlertLevel,
+} from './smartMoney';
+import { emptyPosition, applyTrade } from './holdings';
+import { getPriceRow, getSentimentEntry, lowerBound } from './timeSeriesIndex';
+import { isTradingDay, shiftSessions } from './tradingCalendar';
+
+export const SIMULATED_BOOKS = {
+  actual: { label: 'Actual trades', color: '#6b7280' },
+  noRed: { label: 'Without RED-light trades', color: '#22c55e' },
+  rules: { label: 'Alert rules (buy BULLISH, sell HIGH)', color: '#6366f1' },
+};
+
+// Rule book position size when the trader has no priced buys to copy
+const DEFAULT_RULE_NOTIONAL = 100000;
+// Sessions simulated between progress reports / cancellation checks
+const SIMULATION_CHUNK_SIZE = 20;
+
+/**
+ * Last session strictly before a date: the latest end-of-day data a trader could see when trading
+ */
+function priorSession(calendar, date) {
+  return isTradingDay(calendar, date) ? shiftSessions(calendar, date, -1) : shiftSessions(calendar, date, 0);
+}
+
+/**
+ * Traffic light a trade would have shown before it was placed
+ * @returns {string} - 'GREEN', 'YELLOW', 'RED' or 'GRAY'
+ */
+function getTradeLight(seriesIndex, trade, weights) {
+  const date = priorSession(seriesIndex.calendar, trade.date);
+  const entry = date ? getSentimentEntry(seriesIndex, trade.isin, date) : null;
+  if (!entry || entry.smartMoneySentiment === null) return 'GRAY';
+
+  const weighted = entry.typeSentiments
+    ? calculateWeightedSentiment(entry.typeSentiments, entry.byType, undefined, weights).weightedSentiment
+    : null;
+  return getTrafficLight(trade.isBuy, entry.smartMoneySentiment, weighted, calculateForeignFlowSignal(entry) != null).color;
+}
+
+function createBook() {
+  return {
+    positions: new Map(),
+    trades: 0,
+    tradedValue: 0,
+    closedTrades: 0,
+    winningTrades: 0,
+    curve: [],
+    peak: 0,
+    maxDrawdown: 0,
+    exposureSum: 0,
+  };
+}
+
+function bookTrade(book, trade) {
+  if (!book.positions.has(trade.isin)) book.positions.set(trade.isin, emptyPosition('', trade.isin));
+  const position = book.positions.get(trade.isin);
+  const before = { realized: position.realizedPnl, sold: position.soldQuantity, unmatched: position.unmatchedSellQuantity };
+
+  applyTrade(position, trade);
+  book.trades++;
+  if (trade.quantity !== null && trade.price !== null) book.tradedValue += Math.abs(trade.quantity * trade.price);
+
+  // A sell matched against holdings closes (part of) a position: count it for the hit rate
+  const matched = (position.soldQuantity - before.sold) - (position.unmatchedSellQuantity - before.unmatched);
+  if (!trade.isBuy && matched > 0 && trade.price !== null) {
+    book.closedTrades++;
+    if (position.realizedPnl - before.realized > 0) book.winningTrades++;
+  }
+}
+
+function markBook(book, date, closes) {
+  let realized = 0;
+  let unrealized = 0;
+  let exposure = 0;
+  for (const position of book.positions.values()) {
+    realized += position.realizedPnl;
+    if (position.quantity <= 0) continue;
+    const close = closes.get(position.isin) ?? position.avgCost;
+    const value = position.quantity * close;
+    exposure += value;
+    unrealized += value - position.costBasis;
+  }
+
+  const equity = realized + unrealized;
+  book.peak = Math.max(book.peak, equity);
+  const drawdown = equity - book.peak;
+  book.maxDrawdown = Math.min(book.maxDrawdown, drawdown);
+  book.exposureSum += exposure;
+  book.curve.push({ date, equity, drawdown, realized, unrealized, exposure });
+}
+
+function summarizeBook(book) {
+  const last = book.curve[book.curve.length - 1];
+  const avgExposure = book.curve.length > 0 ? book.exposureSum / book.curve.length : 0;
+  return {
+    trades: book.trades,
+    totalPnl: last ? last.equity : 0,
+    realizedPnl: last ? last.realized : 0,
+    unrealizedPnl: last ? last.unrealized : 0,
+    maxDrawdown: book.maxDrawdown,
+    tradedValue: book.tradedValue,
+    // Traded value over average gross exposure
+    turnover: avgExposure > 0 ? book.tradedValue / avgExposure : null,
+    closedTrades: book.closedTrades,
+    hitRate: book.closedTrades > 0 ? (book.winningTrades / book.closedTrades) * 100 : null,
+  };
+}
+
+/**
+ * Simulate the three books over the trader's history
+ * Actual and filtered trades execute at their transaction Price on their date. The rule book acts on
+ * the end-of-day alert of session D at the close of session D+1, trading the ISINs the trader traded
+ * with a fixed notional (the trader's average buy size).
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {Array} trades - [{ isin, date (YYYY-MM-DD), isBuy, quantity, price }] (processData merged transactions)
+ * @param {object} options - { maxDate, weights (weight sets for the traffic light) }
+ * @param {object} callbacks - { onProgress(done, total), isCancelled() }
+ * @returns {Promise<object|null>} - { from, to, books: { actual, noRed, rules }, curve, removedTrades, ruleNotional }, null if cancelled
+ */
+export async function simulateStrategies(seriesIndex, trades, {
+  maxDate = null,
+  weights = undefined,
+} = {}, { onProgress = null, isCancelled = null } = {}) {
+  const { calendar } = seriesIndex;
+  const sorted = (trades || [])
+    .filter(t => t.date && (!maxDate || t.date <= maxDate))
+    .map(t => ({ ...t, isin: String(t.isin).trim().toUpperCase() }))
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+  const empty = { from: null, to: null, books: {}, curve: [], removedTrades: 0, ruleNotional: 0 };
+  if (sorted.length === 0) return empty;
+
+  const startIndex = lowerBound(calendar.dates, sorted[0].date);
+  let endIndex = maxDate ? lowerBound(calendar.dates, maxDate) : calendar.dates.length;
+  if (maxDate && calendar.dates[endIndex] === maxDate) endIndex++;
+  const sessions = calendar.dates.slice(startIndex, endIndex);
+  if (sessions.length === 0) return empty;
+
+  const filtered = sorted.filter(t => getTradeLight(seriesIndex, t, weights) !== 'RED');
+  const pricedBuys = sorted.filter(t => t.isBuy && t.quantity !== null && t.price !== null);
+  const ruleNotional = pricedBuys.length > 0
+    ? pricedBuys.reduce((sum, t) => sum + Math.abs(t.quantity * t.price), 0) / pricedBuys.length
+    : DEFAULT_RULE_NOTIONAL;
+  const universe = [...new Set(sorted.map(t => t.isin))];
+
+  const books = { actual: createBook(), noRed: createBook(), rules: createBook() };
+  const queues = { actual: sorted, noRed: filtered };
+  const cursors = { actual: 0, noRed: 0 };
+  const closes = new Map();
+  let pendingSignals = new Map(); // isin -> 'BUY' | 'SELL', decided on the previous session
+
+  for (let chunk = 0; chunk < sessions.length; chunk += SIMULATION_CHUNK_SIZE) {
+    // Yield so cancel messages can be handled between chunks
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (isCancelled && isCancelled()) return null;
+
+    for (let i = chunk; i < Math.min(chunk + SIMULATION_CHUNK_SIZE, sessions.length); i++) {
+      const date = sessions[i];
+      for (const isin of universe) {
+        const row = getPriceRow(seriesIndex, isin, date);
+        if (row?.closingPrice) closes.set(isin, row.closingPrice);
+      }
+
+      // Actual and filtered books: trades dated up to this session (non-session dates roll forward)
+      for (const key of Object.keys(queues)) {
+        const queue = queues[key];
+        while (cursors[key] < queue.length && queue[cursors[key]].date <= date) {
+          bookTrade(books[key], queue[cursors[key]]);
+          cursors[key]++;
+        }
+      }
+
+      // Rule book: execute yesterday's signals at today's close
+      for (const [isin, signal] of pendingSignals) {
+        const close = closes.get(isin);
+        const position = books.rules.positions.get(isin);
+        const held = position ? position.quantity : 0;
+        if (!close) continue;
+        if (signal === 'BUY' && held === 0) {
+          bookTrade(books.rules, { isin, date, isBuy: true, quantity: ruleNotional / close, price: close });
+        } else if (signal === 'SELL' && held > 0) {
+          bookTrade(books.rules, { isin, date, isBuy: false, quantity: held, price: close });
+        }
+      }
+
+      // Signals from this session's end-of-day data, acted on next session
+      pendingSignals = new Map();
+      for (const isin of universe) {
+        const entry = getSentimentEntry(seriesIndex, isin, date);
+        if (!entry || entry.smartMoneySentiment === null) continue;
+        const pattern = detectSellingPattern(getHistoricalData(seriesIndex, isin, date, 10));
+        const alert = getEnhancedAlertLevel(entry.smartMoneySentiment, pattern);
+        if (alert.level === 'BULLISH') pendingSignals.set(isin, 'BUY');
+        else if (alert.level === 'HIGH') pendingSignals.set(isin, 'SELL');
+      }
+
+      for (const book of Object.values(books)) markBook(book, date, closes);
+    }
+
+    if (onProgress) onProgress(Math.min(chunk + SIMULATION_CHUNK_SIZE, sessions.length), sessions.length);
+  }
+
+  return {
+    from: sessions[0],
+    to: sessions[sessions.length - 1],
+    books: Object.fromEntries(Object.entries(books).map(([key, book]) => [key, summarizeBook(book)])),
+    curve: sessions.map((date, i) => ({
+      date,
+      ...Object.fromEntries(Object.entries(books).flatMap(([key, book]) => [
+        [key, book.curve[i].equity],
+        [`${key}Drawdown`, book.curve[i].drawdown],
+      ])),
+    })),
+    removedTrades: sorted.length - filtered.length,
+    ruleNotional,
+  };
+}
@@ -0,0 +1,168 @@
+/**
+ * Time Series Index
+ * Per-ISIN, date-sorted price rows and smart money entries built once at load,
+ * with binary-search date access for the analytics in smartMoney.js
+ */
+
+import { buildTradingCalendar, truncateTradingCalendar } from './tradingCalendar';
+import { toDateKey } from './dateParsing';
+
+function sortSeries(byIsin) {
+  for (const series of byIsin.values()) {
+    const order = series.dates.map((date, i) => i).sort((a, b) => (
+      series.dates[a] < series.dates[b] ? -1 : series.dates[a] > series.dates[b] ? 1 : 0
+    ));
+    series.dates = order.map(i => series.dates[i]);
+    series.items = order.map(i => series.items[i]);
+  }
+  return byIsin;
+}
+
+function addToSeries(byIsin, isin, date, item) {
+  let series = byIsin.get(isin);
+  if (!series) {
+    series = { dates: [], items: [] };
+    byIsin.set(isin, series);
+  }
+  series.dates.push(date);
+  series.items.push(item);
+}
+
+/**
+ * Build the index
+ * @param {Array} tradingData - Trading EOD rows
+ * @param {Map} smartMoneyAggregated - Map of "ISIN_DATE" to aggregated sentiment
+ * @param {object} calendar - Trading calendar (built from tradingData if omitted)
+ * @returns {object} - { prices, sentiment, calendar }
+ */
+export function buildTimeSeriesIndex(tradingData, smartMoneyAggregated, calendar = null) {
+  const prices = new Map();
+  for (const row of tradingData || []) {
+    const date = toDateKey(row.tradeDate);
+    if (date) addToSeries(prices, String(row.isin).trim().toUpperCase(), date, row);
+  }
+
+  const sentiment = new Map();
+  for (const entry of (smartMoneyAggregated || new Map()).values()) {
+    addToSeries(sentiment, entry.isin, entry.date, entry);
+  }
+
+  return {
+    prices: sortSeries(prices),
+    sentiment: sortSeries(sentiment),
+    calendar: calendar || buildTradingCalendar(tradingData),
+  };
+}
+
+/**
+ * First position in a sorted date array with date >= target
+ */
+export function lowerBound(dates, target) {
+  let lo = 0;
+  let hi = dates.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (dates[mid] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+/**
+ * First position in a sorted date array with date > target
+ */
+function upperBound(dates, target) {
+  let lo = 0;
+  let hi = dates.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (dates[mid] <= target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function itemOn(series, date) {
+  if (!series) return null;
+  const key = toDateKey(date);
+  const i = lowerBound(series.dates, key);
+  return series.dates[i] === key ? series.items[i] : null;
+}
+
+function itemsBetween(series, fromDate, toDate) {
+  if (!series) return [];
+  const start = lowerBound(series.dates, toDateKey(fromDate));
+  const end = upperBound(series.dates, toDateKey(toDate));
+  return series.items.slice(start, end);
+}
+
+/**
+ * Point-in-time view of an index: only rows and sessions dated on or before maxDate
+ * Series are sliced (rows are shared), so nothing later is reachable through the view
+ * @param {object} index - Index from buildTimeSeriesIndex()
+ * @param {string|null} maxDate - Cutoff (YYYY-MM-DD), null for the full index
+ * @returns {object} - { prices, sentiment, calendar, asOf }
+ */
+export function truncateTimeSeriesIndex(index, maxDate) {
+  if (!maxDate) return index;
+  const key = toDateKey(maxDate);
+
+  const truncate = (byIsin) => {
+    const result = new Map();
+    for (const [isin, series] of byIsin) {
+      const end = upperBound(series.dates, key);
+      if (end === 0) continue;
+      result.set(isin, end === series.dates.length
+        ? series
+        : { dates: series.dates.slice(0, end), items: series.items.slice(0, end) });
+    }
+    return result;
+  };
+
+  return {
+    prices: truncate(index.prices),
+    sentiment: truncate(index.sentiment),
+    calendar: truncateTradingCalendar(index.calendar, key),
+    asOf: key,
+  };
+}
+
+/**
+ * Trading EOD row for a security on a date
+ * @returns {object|null}
+ */
+export function getPriceRow(index, isin, date) {
+  return itemOn(index.prices.get(isin), date);
+}
+
+/**
+ * Aggregated smart money entry for a security on a date
+ * @returns {object|null}
+ */
+export function getSentimentEntry(index, isin, date) {
+  return itemOn(index.sentiment.get(isin), date);
+}
+
+/**
+ * Trading EOD rows for a security between two dates (inclusive), oldest first
+ * @returns {Array}
+ */
+export function getPriceRange(index, isin, fromDate, toDate) {
+  return itemsBetween(index.prices.get(isin), fromDate, toDate);
+}
+
+/**
+ * Smart money entries for a security between two dates (inclusive), oldest first
+ * @returns {Array}
+ */
+export function getSentimentRange(index, isin, fromDate, toDate) {
+  return itemsBetween(index.sentiment.get(isin), fromDate, toDate);
+}
+
+/**
+ * All smart money entries for a security, oldest first
+ * @returns {Array}
+ */
+export function getSentimentSeries(index, isin) {
+  return index.sentiment.get(isin)?.items || [];
+}
@@ -0,0 +1,184 @@
+/**
+ * Trader Comparison Utilities
+ * Side-by-side behaviour and outcome metrics for every Investment Manager in the transaction file:
+ * trade count, buy/sell mix, contrarian ratio against the benchmark, smart money alignment,
+ * and win rates trading with / against smart money, plus the same metrics for the whole team
+ */
+
+import { calculateHistoricalPerformance, SMART_MONEY_TYPES } from './smartMoney';
+import { getDivergenceLevel } from './counterMarket';
+import { isBuyAction } from './holdings';
+import { matchRoundTrips, sessionsBetween } from './roundTrips';
+
+// Columns the comparison can be ranked by -> row value
+export const TRADER_RANKINGS = {
+  trades: { label: 'Trades', value: row => row.trades },
+  buyShare: { label: 'Buy Share', value: row => row.buyShare },
+  contrarianRatio: { label: 'Contrarian', value: row => row.contrarian.ratio },
+  alignmentRate: { label: 'SM Alignment', value: row => row.alignment?.rate ?? null },
+  withWinRate: { label: 'Win Rate With SM', value: row => row.performance?.with.winRate ?? null },
+  againstWinRate: { label: 'Win Rate Against SM', value: row => row.performance?.against.winRate ?? null },
+  edge: { label: 'With - Against', value: row => row.edge },
+};
+
+function summarizeBucket(bucket) {
+  return {
+    trades: bucket.trades,
+    wins: bucket.wins,
+    winRate: bucket.trades > 0 ? (bucket.wins / bucket.trades) * 100 : null,
+    avgReturn: bucket.trades > 0 ? bucket.totalReturn / bucket.trades : null,
+  };
+}
+
+/**
+ * Average holding period of the round trips (quantity-weighted trading sessions)
+ * @returns {object} - { sessions (null without closed quantity), closedQuantity }
+ */
+function averageHoldingPeriod(transactions, calendar, parseDate) {
+  const { trips } = matchRoundTrips(transactions, { parseDate });
+  const closedQuantity = trips.reduce((sum, trip) => sum + trip.quantity, 0);
+  const weightedSessions = trips.reduce((sum, trip) => (
+    sum + sessionsBetween(calendar, trip.entryDate, trip.exitDate) * trip.quantity
+  ), 0);
+  return { sessions: closedQuantity > 0 ? weightedSessions / closedQuantity : null, closedQuantity };
+}
+
+/**
+ * Metrics for one group of transactions
+ */
+function buildTraderRow(trader, transactions, seriesIndex, indexChangeMap, { parseDate, holdingDays, smartMoneyLoaded }) {
+  let buys = 0;
+  const contrarian = { classified: 0, counterMarket: 0, buy: { classified: 0, counterMarket: 0 }, sell: { classified: 0, counterMarket: 0 } };
+  let firstDate = null;
+  let lastDate = null;
+
+  for (const tx of transactions) {
+    const isBuy = isBuyAction(tx.Action);
+    const date = parseDate(String(tx.OrderDate));
+    if (isBuy) buys++;
+    if (!firstDate || date < firstDate) firstDate = date;
+    if (!lastDate || date > lastDate) lastDate = date;
+
+    const indexDay = indexChangeMap.get(date);
+    if (!indexDay) continue;
+    const { isCounterMarket } = getDivergenceLevel(isBuy, indexDay.change);
+    const side = isBuy ? contrarian.buy : contrarian.sell;
+    contrarian.classified++;
+    side.classified++;
+    if (isCounterMarket) {
+      contrarian.counterMarket++;
+      side.counterMarket++;
+    }
+  }
+
+  const ratio = (bucket) => (bucket.classified > 0 ? (bucket.counterMarket / bucket.classified) * 100 : null);
+
+  let alignment = null;
+  let performance = null;
+  let typeAlignment = null;
+  if (smartMoneyLoaded) {
+    const perf = calculateHistoricalPerformance(transactions, seriesIndex, holdingDays);
+    performance = {
+      with: summarizeBucket(perf.withSmartMoney),
+      against: summarizeBucket(perf.againstSmartMoney),
+      neutral: summarizeBucket(perf.neutral),
+    };
+    const withSentiment = perf.withSmartMoney.trades + perf.againstSmartMoney.trades + perf.neutral.trades;
+    alignment = {
+      withSentiment,
+      with: perf.withSmartMoney.trades,
+      against: perf.againstSmartMoney.trades,
+      neutral: perf.neutral.trades,
+      // Share of trades (with sentiment data) in the direction smart money was trading
+      rate: withSentiment > 0 ? (perf.withSmartMoney.trades / withSentiment) * 100 : null,
+    };
+    // Per client type: share of trades with a clear type sentiment that went the same way
+    typeAlignment = Object.fromEntries(SMART_MONEY_TYPES.map(type => {
+      const { with: withType, against } = perf.byType[type];
+      const decided = withType.trades + against.trades;
+      return [type, {
+        with: withType.trades,
+        against: against.trades,
+        rate: decided > 0 ? (withType.trades / decided) * 100 : null,
+      }];
+    }));
+  }
+
+  const withRate = performance?.with.winRate ?? null;
+  const againstRate = performance?.against.winRate ?? null;
+
+  return {
+    trader,
+    trades: transactions.length,
+    buys,
+    sells: transactions.length - buys,
+    buyShare: transactions.length > 0 ? (buys / transactions.length) * 100 : null,
+    firstDate,
+    lastDate,
+    contrarian: {
+      classified: contrarian.classified,
+      counterMarket: contrarian.counterMarket,
+      ratio: ratio(contrarian),
+      buyRatio: ratio(contrarian.buy),
+      sellRatio: ratio(contrarian.sell),
+    },
+    alignment,
+    typeAlignment,
+    performance,
+    holdingPeriod: averageHoldingPeriod(transactions, seriesIndex.calendar, parseDate),
+    // Win rate with smart money minus win rate against it (percentage points)
+    edge: withRate !== null && againstRate !== null ? withRate - againstRate : null,
+  };
+}
+
+/**
+ * Compare every Investment Manager
+ * @param {Array} transactions - Normalized transactions (all traders)
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {Map} indexChangeMap - Benchmark by date from buildIndexChangeMap()
+ * @param {object} options - { parseDate, holdingDays, smartMoneyLoaded }
+ * @returns {object} - { traders: [row] (most trades first), team: row } where row is
+ *                      { trader, trades, buys, sells, buyShare, contrarian, alignment, typeAlignment,
+ *                        performance, holdingPeriod, edge }
+ */
+export function buildTraderComparison(transactions, seriesIndex, indexChangeMap, {
+  parseDate,
+  holdingDays = 5,
+  smartMoneyLoaded = true,
+} = {}) {
+  const options = { parseDate, holdingDays, smartMoneyLoaded };
+  const byTrader = new Map();
+  for (const tx of transactions || []) {
+    const trader = tx.InvestmentManager;
+    if (!byTrader.has(trader)) byTrader.set(trader, []);
+    byTrader.get(trader).push(tx);
+  }
+
+  const traders = [...byTrader]
+    .map(([trader, txs]) => buildTraderRow(trader, txs, seriesIndex, indexChangeMap, options))
+    .sort((a, b) => b.trades - a.trades);
+
+  return {
+    traders,
+    team: buildTraderRow('Team', transactions || [], seriesIndex, indexChangeMap, options),
+  };
+}
+
+/**
+ * Rank rows by a TRADER_RANKINGS key (rows without a value last)
+ * @param {Array} rows - Rows from buildTraderComparison()
+ * @param {string} key - TRADER_RANKINGS key
+ * @param {string} dir - 'asc' or 'desc'
+ * @returns {Array} - Sorted copy
+ */
+export function rankTraders(rows, key, dir = 'desc') {
+  const { value } = TRADER_RANKINGS[key];
+  const sign = dir === 'asc' ? 1 : -1;
+  return [...rows].sort((a, b) => {
+    const av = value(a);
+    const bv = value(b);
+    if (av === null || av === undefined) return 1;
+    if (bv === null || bv === undefined) return -1;
+    return (av - bv) * sign;
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * Trading Calendar Utilities
+ * Trading sessions derived from the dates present in trading_eod.csv,
+ * so lookback/lookforward windows count real TASE sessions (no weekends or holidays)
+ */
+
+import { toDateKey } from './dateParsing';
+
+/**
+ * Create a calendar from a list of session dates
+ * @param {Iterable<string>} dates - Session dates (any order, duplicates allowed)
+ * @returns {object} - { dates: sorted YYYY-MM-DD array, indexByDate: Map }
+ */
+export function createTradingCalendar(dates) {
+  const unique = [...new Set([...dates].map(toDateKey))].filter(Boolean).sort();
+  const indexByDate = new Map(unique.map((date, i) => [date, i]));
+  return { dates: unique, indexByDate };
+}
+
+/**
+ * Calendar of the sessions on or before a date (point-in-time view)
+ * @param {object} calendar - Trading calendar
+ * @param {string} maxDate - Last visible date (YYYY-MM-DD)
+ * @returns {object} - Calendar from createTradingCalendar()
+ */
+export function truncateTradingCalendar(calendar, maxDate) {
+  const key = toDateKey(maxDate);
+  return createTradingCalendar(calendar.dates.filter(date => date <= key));
+}
+
+/**
+ * Build the trading calendar from trading EOD rows
+ * @param {Array} tradingData - Trading EOD rows with tradeDate
+ * @returns {object} - Calendar from createTradingCalendar()
+ */
+export function buildTradingCalendar(tradingData) {
+  return createTradingCalendar((tradingData || []).map(row => row.tradeDate));
+}
+
+/**
+ * Index of the last session on or before a date (-1 if none)
+ */
+function indexOnOrBefore(calendar, date) {
+  const key = toDateKey(date);
+  const exact = calendar.indexByDate.get(key);
+  if (exact !== undefined) return exact;
+
+  // Binary search for the last date < key
+  let lo = 0;
+  let hi = calendar.dates.length - 1;
+  let found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (calendar.dates[mid] < key) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Check if a date is a trading session
+ * @param {object} calendar - Trading calendar
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export function isTradingDay(calendar, date) {
+  return calendar.indexByDate.has(toDateKey(date));
+}
+
+/**
+ * Last N sessions ending on endDate (or the last session before it), oldest first
+ * @param {object} calendar - Trading calendar
+ * @param {string} endDate - Window end (inclusive)
+ * @param {number} count - Number of sessions
+ * @returns {Array<string>} - Session dates
+ */
+export function getSessionsBack(calendar, endDate, count) {
+  const end = indexOnOrBefore(calendar, endDate);
+  if (end < 0 || count <= 0) return [];
+  return calendar.dates.slice(Math.max(0, end - count + 1), end + 1);
+}
+
+/**
+ * Next N sessions strictly after startDate, oldest first
+ * @param {object} calendar - Trading calendar
+ * @param {string} startDate - Window start (exclusive)
+ * @param {number} count - Number of sessions
+ * @returns {Array<string>} - Session dates (fewer if the data ends)
+ */
+export function getSessionsForward(calendar, startDate, count) {
+  if (count <= 0) return [];
+  const start = indexOnOrBefore(calendar, startDate);
+  return calendar.dates.slice(start + 1, start + 1 + count);
+}
+
+/**
+ * Shift a date by N sessions (negative = back)
+ * @param {object} calendar - Trading calendar
+ * @param {string} date - Anchor date (snaps to the session on or before it)
+ * @param {number} offset - Sessions to move
+ * @returns {string|null} - Session date, or null when outside the data
+ */
+export function shiftSessions(calendar, date, offset) {
+  const anchor = indexOnOrBefore(calendar, date);
+  if (anchor < 0) return null;
+  return calendar.dates[anchor + offset] || null;
+}
@@ -0,0 +1,279 @@
+/**
+ * Weighted Sentiment Re-fit
+ * Fits the per-client-type weights of calculateWeightedSentiment on a training window of the
+ * loaded data (differential evolution) and scores them on a later holdout window
+ */
+
+import { SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE, DEFAULT_SENTIMENT_WEIGHTS } from './smartMoney';
+import { createForwardReturnLookup, correlation, quintileSpread } from './calibration';
+
+export const FIT_OBJECTIVES = {
+  spread: 'Quintile spread',
+  correlation: 'Correlation',
+};
+
+// The two weight sets and the types each one weighs
+const WEIGHT_SETS = {
+  withG: [...SMART_MONEY_TYPES, FOREIGN_FLOW_TYPE],
+  withoutG: SMART_MONEY_TYPES,
+};
+
+// calculateWeightedSentiment treats a weight of 0 as 1.0, so keep fitted weights above 0
+const WEIGHT_MIN = 0.01;
+const WEIGHT_MAX = 3;
+// Training rows are strided down to this many to keep each generation fast
+const MAX_TRAIN_SAMPLES = 20000;
+const MIN_TRAIN_SAMPLES = 100;
+const POPULATION_SIZE = 20;
+const GENERATIONS = 40;
+const MUTATION = 0.7;
+const CROSSOVER = 0.9;
+
+// Small seeded PRNG so a fit is reproducible on the same data
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * One sample per security-day with a complete forward window, split by G availability
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {number} horizon - Forward return horizon in sessions
+ * @returns {object} - { withG: [...], withoutG: [...] } of { date, values (NaN = missing), forward,
+ *                     labelEnd (last session whose price the forward return reads) }
+ */
+export function buildWeightFitSamples(seriesIndex, horizon = 5) {
+  const { calendar } = seriesIndex;
+  const forwardReturn = createForwardReturnLookup(seriesIndex);
+  const samples = { withG: [], withoutG: [] };
+
+  for (const [isin, series] of seriesIndex.sentiment) {
+    for (const entry of series.items) {
+      const types = entry.typeSentiments;
+      if (!types) continue;
+
+      const forward = forwardReturn(isin, entry.date, horizon);
+      if (forward === null) continue;
+
+      const hasG = types[FOREIGN_FLOW_TYPE] !== undefined && types[FOREIGN_FLOW_TYPE] !== null;
+      const setName = hasG ? 'withG' : 'withoutG';
+      const values = WEIGHT_SETS[setName].map(type => (
+        types[type] === undefined || types[type] === null ? NaN : types[type]
+      ));
+      if (values.every(Number.isNaN)) continue;
+
+      const labelEnd = calendar.dates[calendar.indexByDate.get(entry.date) + horizon];
+      samples[setName].push({ date: entry.date, values, forward, labelEnd });
+    }
+  }
+
+  return samples;
+}
+
+// Same formula as calculateWeightedSentiment, on a values array
+function weightedValue(values, weights) {
+  let sum = 0;
+  let total = 0;
+  for (let i = 0; i < values.length; i++) {
+    if (Number.isNaN(values[i])) continue;
+    sum += values[i] * weights[i];
+    total += weights[i];
+  }
+  return total > 0 ? sum / total : null;
+}
+
+/**
+ * Spread and correlation of weighted sentiment vs forward return
+ * @param {Array} samples - Samples of one weight set
+ * @param {Array<number>} weights - Weights in WEIGHT_SETS order
+ * @returns {object} - { spread, correlation, samples }
+ */
+function evaluateWeights(samples, weights) {
+  const pairs = [];
+  for (const sample of samples) {
+    const x = weightedValue(sample.values, weights);
+    if (x !== null) pairs.push({ x, y: sample.forward });
+  }
+  return {
+    spread: quintileSpread(pairs),
+    correlation: correlation(pairs.map(p => p.x), pairs.map(p => p.y)),
+    samples: pairs.length,
+  };
+}
+
+function toWeightArray(setName, weightMap) {
+  // Mirror calculateWeightedSentiment: missing or zero weight counts as 1.0
+  return WEIGHT_SETS[setName].map(type => weightMap[type] || 1.0);
+}
+
+// Types never seen in training keep their default weight (they have no effect there)
+function toWeightMap(setName, weights, observed) {
+  return Object.fromEntries(WEIGHT_SETS[setName].map((type, i) => (
+    [type, observed[i] ? weights[i] : DEFAULT_SENTIMENT_WEIGHTS[setName][type]]
+  )));
+}
+
+function observedTypes(samples, dims) {
+  const observed = new Array(dims).fill(false);
+  for (const sample of samples) {
+    sample.values.forEach((value, i) => {
+      if (!Number.isNaN(value)) observed[i] = true;
+    });
+  }
+  return observed;
+}
+
+function stride(samples, max) {
+  if (samples.length <= max) return samples;
+  const step = samples.length / max;
+  return Array.from({ length: max }, (_, i) => samples[Math.floor(i * step)]);
+}
+
+/**
+ * Differential evolution (rand/1/bin) over [WEIGHT_MIN, WEIGHT_MAX]^n, maximizing the objective
+ */
+async function differentialEvolution(samples, dims, objective, random, { onGeneration, isCancelled }) {
+  const score = (weights) => {
+    const result = evaluateWeights(samples, weights);
+    const value = objective === 'correlation' ? result.correlation : result.spread;
+    return value === null ? -Infinity : value;
+  };
+  const clamp = (v) => Math.min(WEIGHT_MAX, Math.max(WEIGHT_MIN, v));
+
+  let population = Array.from({ length: POPULATION_SIZE }, () => (
+    Array.from({ length: dims }, () => WEIGHT_MIN + random() * (WEIGHT_MAX - WEIGHT_MIN))
+  ));
+  let scores = population.map(score);
+
+  for (let generation = 0; generation < GENERATIONS; generation++) {
+    // Yield so cancel messages can be handled between generations
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (isCancelled && isCancelled()) return null;
+
+    const next = [];
+    const nextScores = [];
+    for (let i = 0; i < POPULATION_SIZE; i++) {
+      let a;
+      let b;
+      let c;
+      do { a = Math.floor(random() * POPULATION_SIZE); } while (a === i);
+      do { b = Math.floor(random() * POPULATION_SIZE); } while (b === i || b === a);
+      do { c = Math.floor(random() * POPULATION_SIZE); } while (c === i || c === a || c === b);
+
+      const forced = Math.floor(random() * dims);
+      const trial = population[i].map((value, d) => (
+        d === forced || random() < CROSSOVER
+          ? clamp(population[a][d] + MUTATION * (population[b][d] - population[c][d]))
+          : value
+      ));
+
+      const trialScore = score(trial);
+      if (trialScore >= scores[i]) {
+        next.push(trial);
+        nextScores.push(trialScore);
+      } else {
+        next.push(population[i]);
+        nextScores.push(scores[i]);
+      }
+    }
+    population = next;
+    scores = nextScores;
+    if (onGeneration) onGeneration(generation + 1);
+  }
+
+  const best = scores.indexOf(Math.max(...scores));
+  return population[best];
+}
+
+function dateRange(samples) {
+  if (samples.length === 0) return { from: null, to: null };
+  let from = samples[0].date;
+  let to = samples[0].date;
+  for (const sample of samples) {
+    if (sample.date < from) from = sample.date;
+    if (sample.date > to) to = sample.date;
+  }
+  return { from, to };
+}
+
+/**
+ * Fit both weight sets on the training window and score them on the holdout window
+ * The holdout is the most recent holdoutFraction of dates. Training samples whose forward window
+ * ends on or after the first holdout date are left out (embargo), so no training label reads a
+ * holdout price and the holdout is strictly out of sample
+ * @param {object} seriesIndex - Time series index from buildTimeSeriesIndex()
+ * @param {object} options - { objective: 'spread'|'correlation', horizon, holdoutFraction, seed }
+ * @param {object} callbacks - { onProgress(done, total), isCancelled() }
+ * @returns {Promise<object|null>} - Fit report with { weights: { withG, withoutG } }, null if cancelled
+ */
+export async function fitSentimentWeights(seriesIndex, {
+  objective = 'spread',
+  horizon = 5,
+  holdoutFraction = 0.3,
+  seed = 42,
+} = {}, { onProgress = null, isCancelled = null } = {}) {
+  const samples = buildWeightFitSamples(seriesIndex, horizon);
+  const random = mulberry32(seed);
+
+  // Chronological split shared by both weight sets
+  const dates = [...new Set([...samples.withG, ...samples.withoutG].map(s => s.date))].sort();
+  const cutoff = dates[Math.floor(dates.length * (1 - holdoutFraction))] || null;
+  const isTrain = (sample) => cutoff === null || sample.labelEnd < cutoff;
+  const isHoldout = (sample) => cutoff !== null && sample.date >= cutoff;
+
+  const setNames = Object.keys(WEIGHT_SETS);
+  const totalSteps = setNames.length * GENERATIONS;
+  const report = {
+    objective,
+    horizon,
+    holdoutFraction,
+    holdoutFrom: cutoff,
+    weights: {},
+    sets: {},
+  };
+
+  for (const [setIndex, setName] of setNames.entries()) {
+    const train = samples[setName].filter(isTrain);
+    const holdout = samples[setName].filter(isHoldout);
+    const defaultWeights = toWeightArray(setName, DEFAULT_SENTIMENT_WEIGHTS[setName]);
+
+    let fitted = null;
+    if (train.length >= MIN_TRAIN_SAMPLES) {
+      fitted = await differentialEvolution(stride(train, MAX_TRAIN_SAMPLES), defaultWeights.length, objective, random, {
+        onGeneration: (generation) => {
+          if (onProgress) onProgress(setIndex * GENERATIONS + generation, totalSteps);
+        },
+        isCancelled,
+      });
+      if (fitted === null) return null;
+    } else if (onProgress) {
+      onProgress((setIndex + 1) * GENERATIONS, totalSteps);
+    }
+
+    const observed = fitted ? observedTypes(train, defaultWeights.length) : defaultWeights.map(() => false);
+    const applied = defaultWeights.map((weight, i) => (observed[i] ? fitted[i] : weight));
+    report.weights[setName] = toWeightMap(setName, applied, observed);
+    report.sets[setName] = {
+      skipped: fitted === null,
+      train: { ...dateRange(train), samples: train.length },
+      holdout: { ...dateRange(holdout), samples: holdout.length },
+      embargoed: samples[setName].length - train.length - holdout.length,
+      inSample: {
+        default: evaluateWeights(train, defaultWeights),
+        fitted: evaluateWeights(train, applied),
+      },
+      outOfSample: {
+        default: evaluateWeights(holdout, defaultWeights),
+        fitted: evaluateWeights(holdout, applied),
+      },
+    };
+  }
+
+  return report;
+}
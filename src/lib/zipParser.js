@@ -1,5 +1,5 @@
-import JSZip from 'jszip';
-import { parseCSVText } from './csvParser';
+import { parseCSVStream } from './csvParser';
+import { listZipEntries, openZipEntryStream } from './zipReader';
 
 /**
  * Mapping of filename patterns to data types
@@ -29,26 +29,88 @@ function matchFileType(filename) {
   return FILE_TYPE_PATTERNS.find(p => lowerName.includes(p.pattern.toLowerCase()));
 }
 
+/**
+ * Decode an entry's byte stream as a Node-style text stream for parseCSVStream
+ * Call start() once the parser is listening
+ * @param {ReadableStream} byteStream - Uncompressed entry bytes (openZipEntryStream)
+ * @param {function} onBytes - Called with the size of each uncompressed chunk
+ * @returns {object} - Stream with on/removeListener/pause/resume/start
+ */
+function createEntryStream(byteStream, onBytes) {
+  const listeners = { data: [], end: [], error: [] };
+  const emit = (event, value) => listeners[event].slice().forEach(listener => listener(value));
+  // Multi-byte characters split across chunks are held back until the next chunk
+  const decoder = new TextDecoder('utf-8');
+  // Set while the parser is paused; the next chunk is only read once it resolves
+  let paused = null;
+  let release = null;
+
+  // Each chunk is parsed synchronously in the 'data' listeners before the next one is read
+  const pump = async () => {
+    const reader = byteStream.getReader();
+    try {
+      for (;;) {
+        if (paused) await paused;
+        const { done, value } = await reader.read();
+        if (done) break;
+        onBytes(value.length);
+        const text = decoder.decode(value, { stream: true });
+        if (text) emit('data', text);
+      }
+      const rest = decoder.decode();
+      if (rest) emit('data', rest);
+      emit('end');
+    } catch (error) {
+      emit('error', error);
+    }
+  };
+
+  return {
+    readable: true,
+    read: () => null,
+    on(event, listener) {
+      listeners[event].push(listener);
+      return this;
+    },
+    removeListener(event, listener) {
+      listeners[event] = listeners[event].filter(l => l !== listener);
+      return this;
+    },
+    pause: () => {
+      if (!paused) paused = new Promise(resolve => { release = resolve; });
+    },
+    resume: () => {
+      if (!paused) return;
+      paused = null;
+      release();
+    },
+    start: () => {
+      pump();
+    },
+  };
+}
+
 /**
  * Extract and parse all CSV files from a ZIP archive
- * Optimized with parallel processing and progress reporting
+ * The archive is read in slices and each entry is decompressed and parsed in chunks, one file at
+ * a time, so neither the archive nor a whole file is held in memory; only the rows that pass the
+ * file's row filter are kept
  * @param {File|Blob} zipFile - The ZIP file to extract
- * @param {function} onProgress - Progress callback ({ phase, file, percent })
+ * @param {function} onProgress - Progress callback ({ phase, file, percent, bytesRead, totalBytes },
+ *                                bytes of uncompressed CSV data)
+ * @param {object} options - { getRowFilter: (type, results) => row predicate or null, called before
+ *                             each file with the rows parsed so far (files are parsed in priority order) }
  * @returns {Promise<object>} - Object with parsed data for each type
  */
-export async function extractAndParseZip(zipFile, onProgress = null) {
-  const report = (phase, file = '', percent = 0) => {
-    if (onProgress) onProgress({ phase, file, percent });
+export async function extractAndParseZip(zipFile, onProgress = null, { getRowFilter = null } = {}) {
+  const report = (phase, file = '', percent = 0, bytes = {}) => {
+    if (onProgress) onProgress({ phase, file, percent, ...bytes });
   };
 
   report('extracting', '', 0);
-  
-  // Load ZIP with progress
-  const zip = await JSZip.loadAsync(zipFile, {
-    // This doesn't provide granular progress but at least we know it's working
-  });
-  
-  report('extracting', '', 50);
+
+  // Reads the central directory; entries are only decompressed when parsed
+  const entries = await listZipEntries(zipFile);
 
   const results = {
     transactions: null,
@@ -68,17 +130,18 @@ export async function extractAndParseZip(zipFile, onProgress = null) {
   
   // Get all CSV files from the ZIP and match to types
   const csvFiles = [];
-  zip.forEach((relativePath, zipEntry) => {
-    if (!zipEntry.dir && relativePath.toLowerCase().endsWith('.csv')) {
-      const filename = getFileName(relativePath);
+  entries.forEach((zipEntry) => {
+    if (!zipEntry.dir && zipEntry.path.toLowerCase().endsWith('.csv')) {
+      const filename = getFileName(zipEntry.path);
       const matchedType = matchFileType(filename);
       if (matchedType) {
         csvFiles.push({ 
-          path: relativePath, 
+          path: zipEntry.path, 
           entry: zipEntry, 
           filename,
           type: matchedType.type,
           priority: matchedType.priority,
+          size: zipEntry.size,
         });
       }
     }
@@ -86,51 +149,45 @@ export async function extractAndParseZip(zipFile, onProgress = null) {
 
   // Sort by priority (smaller files first)
   csvFiles.sort((a, b) => a.priority - b.priority);
-  
-  report('extracting', '', 100);
 
-  // Process files - extract text content in parallel for speed
-  report('parsing', '', 0);
-  
-  const totalFiles = csvFiles.length;
-  let processedFiles = 0;
+  const totalBytes = csvFiles.reduce((sum, file) => sum + file.size, 0);
+  let bytesRead = 0;
+  let lastPercent = -1;
 
-  // Extract all files to text in parallel (this is fast)
-  const extractPromises = csvFiles.map(async (file) => {
-    const content = await file.entry.async('text');
-    return { ...file, content };
-  });
-  
-  const extractedFiles = await Promise.all(extractPromises);
-  
-  report('parsing', '', 20);
-
-  // Parse files sequentially to avoid memory spikes, but could parallelize smaller ones
-  for (const file of extractedFiles) {
+  // Parse files one at a time so only one entry is being decompressed
+  for (const file of csvFiles) {
     try {
-      report('parsing', file.filename, Math.floor(20 + (processedFiles / totalFiles) * 80));
-      
-      // Use worker for large files (> 10MB of text)
-      const useWorker = file.content.length > 10 * 1024 * 1024;
-      const data = await parseCSVText(file.content, useWorker);
+      report('parsing', file.filename, totalBytes > 0 ? Math.floor((bytesRead / totalBytes) * 100) : 0, { bytesRead, totalBytes });
+
+      const stream = createEntryStream(await openZipEntryStream(zipFile, file.entry), (length) => {
+        bytesRead += length;
+        const percent = totalBytes > 0 ? Math.min(99, Math.floor((bytesRead / totalBytes) * 100)) : 0;
+        if (percent === lastPercent) return;
+        lastPercent = percent;
+        report('parsing', file.filename, percent, { bytesRead, totalBytes });
+      });
+      const rowFilter = getRowFilter ? getRowFilter(file.type, results) : null;
+      const parsing = parseCSVStream(stream, { rowFilter });
+      stream.start();
+      const { data, errors, totalRows, filteredRows, rowNumbers } = await parsing;
       
       results[file.type] = data;
       fileInfo[file.type] = {
         name: file.filename,
         rows: data.length,
+        totalRows,
+        filteredRows,
+        rowNumbers,
+        bytes: file.size,
         path: file.path,
+        parseErrors: errors,
       };
-      
-      // Free memory
-      file.content = null;
-      
-      processedFiles++;
     } catch (error) {
       console.error(`Error parsing ${file.filename}:`, error);
     }
   }
   
-  report('complete', '', 100);
+  report('complete', '', 100, { bytesRead, totalBytes });
   
   // Check for required files
   const missingRequired = FILE_TYPE_PATTERNS
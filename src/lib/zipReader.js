@@ -0,0 +1,153 @@
+/**
+ * ZIP Reader
+ * Reads a ZIP archive in slices: the central directory is read from the end of the file and
+ * each entry is decompressed as a stream (DecompressionStream), so the archive is never held
+ * in memory as a whole. Supports stored and deflated entries and ZIP64 archives (over 4 GB).
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP64_EXTRA_FIELD_ID = 0x0001;
+
+// Fixed record sizes (bytes)
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const ZIP64_EOCD_LOCATOR_SIZE = 20;
+const ZIP64_EOCD_SIZE = 56;
+const CENTRAL_HEADER_SIZE = 46;
+const LOCAL_HEADER_SIZE = 30;
+
+// 32-bit fields set to this value are stored in the ZIP64 extra field
+const ZIP64_MARKER = 0xffffffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+async function readSlice(blob, start, end) {
+  return new DataView(await blob.slice(start, end).arrayBuffer());
+}
+
+// Little-endian 64-bit value (exact up to 2^53, far beyond any archive size)
+function getUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+/**
+ * Locate the central directory from the end of central directory record (ZIP64 aware)
+ */
+async function readCentralDirectoryLocation(blob) {
+  // The record sits at the very end, followed only by an optional comment
+  const tailStart = Math.max(0, blob.size - EOCD_SIZE - MAX_COMMENT_SIZE);
+  const tail = await readSlice(blob, tailStart, blob.size);
+  let eocd = -1;
+  for (let i = tail.byteLength - EOCD_SIZE; i >= 0; i--) {
+    if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('Not a ZIP archive');
+
+  let entryCount = tail.getUint16(eocd + 10, true);
+  let size = tail.getUint32(eocd + 12, true);
+  let offset = tail.getUint32(eocd + 16, true);
+
+  // ZIP64 archives point to a second end record through a locator just before this one
+  const eocdPosition = tailStart + eocd;
+  if ((entryCount === 0xffff || size === ZIP64_MARKER || offset === ZIP64_MARKER) && eocdPosition >= ZIP64_EOCD_LOCATOR_SIZE) {
+    const locator = await readSlice(blob, eocdPosition - ZIP64_EOCD_LOCATOR_SIZE, eocdPosition);
+    if (locator.getUint32(0, true) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+      const recordStart = getUint64(locator, 8);
+      const record = await readSlice(blob, recordStart, recordStart + ZIP64_EOCD_SIZE);
+      if (record.getUint32(0, true) !== ZIP64_EOCD_SIGNATURE) throw new Error('Corrupt ZIP64 end of central directory');
+      entryCount = getUint64(record, 32);
+      size = getUint64(record, 40);
+      offset = getUint64(record, 48);
+    }
+  }
+
+  return { entryCount, size, offset };
+}
+
+/**
+ * List the entries of an archive (reads only the end of the file and the central directory)
+ * @param {Blob} blob - ZIP archive (File or Blob)
+ * @returns {Promise<Array>} - [{ path, dir, size (uncompressed bytes), compressedSize, method, encrypted, localHeaderOffset }]
+ */
+export async function listZipEntries(blob) {
+  const { entryCount, size, offset } = await readCentralDirectoryLocation(blob);
+  const directory = await readSlice(blob, offset, offset + size);
+  const decoder = new TextDecoder('utf-8');
+  const entries = [];
+
+  let p = 0;
+  for (let i = 0; i < entryCount; i++) {
+    if (directory.getUint32(p, true) !== CENTRAL_HEADER_SIGNATURE) throw new Error('Corrupt ZIP central directory');
+    const flags = directory.getUint16(p + 8, true);
+    const method = directory.getUint16(p + 10, true);
+    let compressedSize = directory.getUint32(p + 20, true);
+    let uncompressedSize = directory.getUint32(p + 24, true);
+    const nameLength = directory.getUint16(p + 28, true);
+    const extraLength = directory.getUint16(p + 30, true);
+    const commentLength = directory.getUint16(p + 32, true);
+    let localHeaderOffset = directory.getUint32(p + 42, true);
+    const path = decoder.decode(new Uint8Array(directory.buffer, p + CENTRAL_HEADER_SIZE, nameLength));
+
+    // ZIP64 extra field: 64-bit values, in this order, for the 32-bit fields that overflowed
+    const extraEnd = p + CENTRAL_HEADER_SIZE + nameLength + extraLength;
+    for (let extra = p + CENTRAL_HEADER_SIZE + nameLength; extra + 4 <= extraEnd;) {
+      const id = directory.getUint16(extra, true);
+      const length = directory.getUint16(extra + 2, true);
+      if (id === ZIP64_EXTRA_FIELD_ID) {
+        let field = extra + 4;
+        if (uncompressedSize === ZIP64_MARKER) {
+          uncompressedSize = getUint64(directory, field);
+          field += 8;
+        }
+        if (compressedSize === ZIP64_MARKER) {
+          compressedSize = getUint64(directory, field);
+          field += 8;
+        }
+        if (localHeaderOffset === ZIP64_MARKER) localHeaderOffset = getUint64(directory, field);
+      }
+      extra += 4 + length;
+    }
+
+    entries.push({
+      path,
+      dir: path.endsWith('/'),
+      size: uncompressedSize,
+      compressedSize,
+      method,
+      encrypted: Boolean(flags & 1),
+      localHeaderOffset,
+    });
+    p = extraEnd + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Open an entry's uncompressed bytes as a stream
+ * @param {Blob} blob - ZIP archive
+ * @param {object} entry - Entry from listZipEntries()
+ * @returns {Promise<ReadableStream>} - Stream of Uint8Array chunks
+ */
+export async function openZipEntryStream(blob, entry) {
+  if (entry.encrypted) throw new Error(`${entry.path} is encrypted`);
+  if (entry.method !== METHOD_STORED && entry.method !== METHOD_DEFLATE) {
+    throw new Error(`${entry.path} uses an unsupported compression method (${entry.method})`);
+  }
+
+  // The local header's name and extra field lengths can differ from the central directory's
+  const header = await readSlice(blob, entry.localHeaderOffset, entry.localHeaderOffset + LOCAL_HEADER_SIZE);
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) throw new Error(`Corrupt ZIP entry ${entry.path}`);
+  const dataStart = entry.localHeaderOffset + LOCAL_HEADER_SIZE + header.getUint16(26, true) + header.getUint16(28, true);
+
+  const data = blob.slice(dataStart, dataStart + entry.compressedSize).stream();
+  return entry.method === METHOD_DEFLATE ? data.pipeThrough(new DecompressionStream('deflate-raw')) : data;
+}
@@ -0,0 +1,210 @@
+/**
+ * Analytics Worker
+ * Runs upload parsing, smart money aggregation and portfolio scans off the main thread.
+ *
+ * Message protocol (main -> worker), every request carries a requestId:
+ *   { type: 'parseZip', requestId, file, loadFilters }
+ *   { type: 'parseCsv', requestId, file, loadFilters, expectedType, context }
+ *   { type: 'aggregate', requestId, smartMoneyRaw, securitiesData }
+ *   { type: 'loadDataset', requestId, tradingData, smartMoneyAggregated, securitiesData }
+ *   { type: 'scan', requestId, isins, date, weights, edaConstants }
+ *   { type: 'calibrate', requestId, asOf }
+ *   { type: 'fitWeights', requestId, options, asOf }
+ *   { type: 'backtest', requestId, options, asOf }
+ *   { type: 'simulate', requestId, trades, options, asOf }
+ *   { type: 'cancel', requestId }
+ *
+ * Analytics only see rows dated on or before asOf (the scan date for scans), see truncateTimeSeriesIndex()
+ *
+ * Uploads are parsed with the load filters applied row by row (row filters are rebuilt here
+ * from the plain filter settings; context: { transactions, securities } loaded so far).
+ *
+ * Replies (worker -> main):
+ *   { type: 'progress', requestId, phase, done, total, file }
+ *   { type: 'result', requestId, payload }
+ *   { type: 'cancelled', requestId }
+ *   { type: 'error', requestId, message }
+ */
+
+import { parseCSV, detectFileType } from '../lib/csvParser';
+import { extractAndParseZip } from '../lib/zipParser';
+import { createRowFilter, hasLoadFilters } from '../lib/loadFilters';
+import {
+  addSmartMoneyRows,
+  finalizeSmartMoneyAggregation,
+  buildSecurityToIsinMap,
+  buildIsinToSecurityMap,
+} from '../lib/smartMoney';
+import { buildTimeSeriesIndex, truncateTimeSeriesIndex } from '../lib/timeSeriesIndex';
+import { scanPortfolio } from '../lib/portfolioScan';
+import { calibrateEdaConstants } from '../lib/calibration';
+import { fitSentimentWeights } from '../lib/weightFit';
+import { runTrafficLightBacktest } from '../lib/backtest';
+import { simulateStrategies } from '../lib/strategySimulator';
+
+// Raw rows aggregated between progress reports / cancellation checks
+const AGGREGATE_CHUNK_SIZE = 50000;
+
+const cancelled = new Set();
+let dataset = null; // { seriesIndex, isinToSecurity }
+let pointInTime = null; // { asOf, seriesIndex } for the last cutoff used
+
+function post(type, requestId, extra = {}) {
+  self.postMessage({ type, requestId, ...extra });
+}
+
+async function parseZip({ requestId, file, loadFilters }) {
+  const result = await extractAndParseZip(file, ({ phase, file: entryName, bytesRead, totalBytes }) => {
+    if (phase === 'parsing') post('progress', requestId, { phase, done: bytesRead, total: totalBytes, file: entryName });
+  }, {
+    // Files are parsed securities and transactions first, so trading and smart money rows
+    // can be restricted to the traded securities
+    getRowFilter: (type, parsed) => createRowFilter(type, loadFilters, {
+      transactions: parsed.transactions,
+      securities: parsed.securities,
+    }),
+  });
+  post('result', requestId, { payload: result });
+}
+
+async function parseCsv({ requestId, file, loadFilters, expectedType, context }) {
+  // The first row's headers pick the file type whose filter applies while parsing
+  let firstRow = null;
+  let rowFilter = null;
+  const filterRow = (row) => {
+    if (!firstRow) {
+      firstRow = row;
+      rowFilter = createRowFilter(expectedType || detectFileType([row]), loadFilters, context || {});
+    }
+    return !rowFilter || rowFilter(row);
+  };
+  const result = await parseCSV(file, { rowFilter: hasLoadFilters(loadFilters) ? filterRow : null });
+  post('result', requestId, { payload: { ...result, firstRow } });
+}
+
+async function aggregate({ requestId, smartMoneyRaw, securitiesData }) {
+  const securityToIsin = buildSecurityToIsinMap(securitiesData);
+  const aggregated = new Map();
+  const total = smartMoneyRaw.length;
+
+  for (let start = 0; start < total; start += AGGREGATE_CHUNK_SIZE) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (cancelled.has(requestId)) return post('cancelled', requestId);
+
+    addSmartMoneyRows(aggregated, smartMoneyRaw.slice(start, start + AGGREGATE_CHUNK_SIZE), securityToIsin);
+    post('progress', requestId, { phase: 'aggregating', done: Math.min(start + AGGREGATE_CHUNK_SIZE, total), total });
+  }
+
+  post('result', requestId, { payload: { aggregated: finalizeSmartMoneyAggregation(aggregated) } });
+}
+
+// Point-in-time view of the loaded index (null asOf = the whole dataset)
+function indexAsOf(asOf) {
+  if (!asOf) return dataset.seriesIndex;
+  if (!pointInTime || pointInTime.asOf !== asOf) {
+    pointInTime = { asOf, seriesIndex: truncateTimeSeriesIndex(dataset.seriesIndex, asOf) };
+  }
+  return pointInTime.seriesIndex;
+}
+
+function loadDataset({ requestId, tradingData, smartMoneyAggregated, securitiesData }) {
+  pointInTime = null;
+  dataset = {
+    seriesIndex: buildTimeSeriesIndex(tradingData, smartMoneyAggregated),
+    isinToSecurity: buildIsinToSecurityMap(securitiesData || []),
+  };
+  post('result', requestId, { payload: { loaded: true } });
+}
+
+async function scan({ requestId, isins, date, weights, edaConstants }) {
+  if (!dataset) {
+    return post('error', requestId, { message: 'No dataset loaded in analytics worker' });
+  }
+
+  const context = {
+    ...dataset,
+    seriesIndex: indexAsOf(date),
+    sentimentWeights: weights || undefined,
+    edaConstants: edaConstants || undefined,
+  };
+  const result = await scanPortfolio(isins, date, context, {
+    onProgress: (done, total) => post('progress', requestId, { phase: 'scanning', done, total }),
+    isCancelled: () => cancelled.has(requestId),
+  });
+
+  if (result === null) return post('cancelled', requestId);
+  post('result', requestId, { payload: result });
+}
+
+function calibrate({ requestId, asOf }) {
+  if (!dataset) {
+    return post('error', requestId, { message: 'No dataset loaded in analytics worker' });
+  }
+  post('result', requestId, { payload: calibrateEdaConstants(indexAsOf(asOf)) });
+}
+
+async function fitWeights({ requestId, options, asOf }) {
+  if (!dataset) {
+    return post('error', requestId, { message: 'No dataset loaded in analytics worker' });
+  }
+
+  const result = await fitSentimentWeights(indexAsOf(asOf), options, {
+    onProgress: (done, total) => post('progress', requestId, { phase: 'fitting', done, total }),
+    isCancelled: () => cancelled.has(requestId),
+  });
+
+  if (result === null) return post('cancelled', requestId);
+  post('result', requestId, { payload: result });
+}
+
+async function backtest({ requestId, options, asOf }) {
+  if (!dataset) {
+    return post('error', requestId, { message: 'No dataset loaded in analytics worker' });
+  }
+
+  const result = await runTrafficLightBacktest(indexAsOf(asOf), options, {
+    onProgress: (done, total) => post('progress', requestId, { phase: 'backtesting', done, total }),
+    isCancelled: () => cancelled.has(requestId),
+  });
+
+  if (result === null) return post('cancelled', requestId);
+  post('result', requestId, { payload: result });
+}
+
+async function simulate({ requestId, trades, options, asOf }) {
+  if (!dataset) {
+    return post('error', requestId, { message: 'No dataset loaded in analytics worker' });
+  }
+
+  const result = await simulateStrategies(indexAsOf(asOf), trades, { ...options, maxDate: asOf || null }, {
+    onProgress: (done, total) => post('progress', requestId, { phase: 'simulating', done, total }),
+    isCancelled: () => cancelled.has(requestId),
+  });
+
+  if (result === null) return post('cancelled', requestId);
+  post('result', requestId, { payload: result });
+}
+
+const handlers = { parseZip, parseCsv, aggregate, loadDataset, scan, calibrate, fitWeights, backtest, simulate };
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  if (message.type === 'cancel') {
+    cancelled.add(message.requestId);
+    return;
+  }
+
+  const handler = handlers[message.type];
+  if (!handler) {
+    return post('error', message.requestId, { message: `Unknown message type: ${message.type}` });
+  }
+
+  try {
+    await handler(message);
+  } catch (err) {
+    post('error', message.requestId, { message: err.message });
+  } finally {
+    cancelled.delete(message.requestId);
+  }
+};